@@ -29,6 +29,12 @@ module.exports = {
         chrome: 'readonly',
         CONFIG: 'readonly',
         SupabaseClient: 'readonly',
+        SaveQueue: 'readonly',
+        SAVE_QUEUE_ALARM: 'readonly',
+        PageHighlighter: 'readonly',
+        SiteExtractors: 'readonly',
+        YouTubeCapture: 'readonly',
+        CanonicalUrl: 'readonly',
         importScripts: 'readonly',
         Readability: 'readonly',
       },
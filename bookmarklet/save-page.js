@@ -68,6 +68,8 @@
     image_url: getMeta('og:image'),
     site_name: getMeta('og:site_name') || getSiteName(originalUrl),
     author: getMeta('author') || document.querySelector('[rel="author"], .author, .byline')?.innerText?.trim() || null,
+    // Saved under this when usable, so one article isn't saved under several URLs
+    canonical_url: document.querySelector('link[rel="canonical"]')?.href || null,
   };
 
   // Save via Edge Function with prefetched content
@@ -84,7 +86,12 @@
   });
 
   if (saveRes.ok) {
-    toast.textContent = selection ? '✓ Highlight saved!' : '✓ Page saved!';
+    const result = await saveRes.json();
+    if (result.already_saved) {
+      toast.textContent = '✓ Already in Stash';
+    } else {
+      toast.textContent = selection ? '✓ Highlight saved!' : '✓ Page saved!';
+    }
     toast.style.background = '#10b981';
     setTimeout(() => toast.remove(), 2000);
   } else {
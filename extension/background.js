@@ -1,7 +1,7 @@
 // Background service worker
 // Handles context menus and saving
 
-importScripts('config.js', 'supabase.js');
+importScripts('config.js', 'supabase.js', 'save-queue.js', 'youtube.js', 'canonical-url.js');
 
 /**
  * Normalize a date value to ISO 8601 format for PostgreSQL
@@ -46,17 +46,77 @@ function normalizeDate(dateValue) {
 }
 
 let supabase = null;
+const saveQueue = new SaveQueue();
 
 // Initialize on startup
 chrome.runtime.onInstalled.addListener(() => {
   initSupabase();
   setupContextMenu();
+  saveQueue.updateBadge();
 });
 
 chrome.runtime.onStartup.addListener(() => {
   initSupabase();
+  retryQueuedSaves();
 });
 
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SAVE_QUEUE_ALARM) retryQueuedSaves();
+});
+
+/**
+ * Retry queued saves
+ * @param {Object} options - { force, id } - see SaveQueue.process
+ * @returns {Promise<{saved: number, failed: number, remaining: number}>}
+ */
+async function retryQueuedSaves(options = {}) {
+  if (!supabase) await initSupabase();
+  return saveQueue.process(async (row) => {
+    try {
+      await supabase.insert('saves', row);
+    } catch (err) {
+      // 409: saved meanwhile (another device, the bookmarklet) - nothing left to do
+      if (err.status !== 409) throw err;
+    }
+  }, options);
+}
+
+/**
+ * Whether a failed insert is worth retrying later
+ * Network errors have no status; 401 is an expired session; 408/429/5xx are temporary
+ * @param {Error} err - Error from supabase.insert
+ * @returns {boolean}
+ */
+function isRetryable(err) {
+  return !err.status || [401, 408, 429].includes(err.status) || err.status >= 500;
+}
+
+/**
+ * Store a saves row, queueing it for retry if Supabase can't be reached
+ * @param {Object} row - saves row
+ * @param {string} kind - 'page' or 'highlight'
+ * @returns {Promise<{queued: boolean, saved: Object|null, alreadySaved: boolean}>} queued is true
+ *   when the save is waiting for a retry; saved is the stored row otherwise, or the existing
+ *   save when the page was already in Stash (alreadySaved)
+ * @throws {Error} When the row was rejected for good
+ */
+async function insertOrQueue(row, kind) {
+  try {
+    const [saved] = await supabase.insert('saves', row);
+    return { queued: false, saved, alreadySaved: false };
+  } catch (err) {
+    // 409 is the unique URL key: the page is saved under another form of this URL
+    if (err.status === 409) {
+      const existing = await findPageSave(row.url);
+      if (existing) return { queued: false, saved: existing, alreadySaved: true };
+    }
+    if (!isRetryable(err)) throw err;
+    console.warn('Save failed, queued for retry:', err.message);
+    await saveQueue.add(row, { kind, error: err });
+    return { queued: true, saved: null, alreadySaved: false };
+  }
+}
+
 async function initSupabase() {
   supabase = new SupabaseClient(CONFIG.SUPABASE_URL, CONFIG.SUPABASE_ANON_KEY);
   await supabase.init();
@@ -76,6 +136,18 @@ function setupContextMenu() {
       title: 'Save page to Stash',
       contexts: ['page'],
     });
+
+    chrome.contextMenus.create({
+      id: 'save-window-tabs',
+      title: 'Save all tabs in this window to Stash',
+      contexts: ['page', 'action'],
+    });
+
+    chrome.contextMenus.create({
+      id: 'save-selected-tabs',
+      title: 'Save selected tabs to Stash',
+      contexts: ['page', 'action'],
+    });
   });
 }
 
@@ -87,25 +159,121 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
     await saveHighlight(tab, info.selectionText);
   } else if (info.menuItemId === 'save-page') {
     await savePage(tab);
+  } else if (info.menuItemId === 'save-window-tabs' || info.menuItemId === 'save-selected-tabs') {
+    await saveTabsFromMenu(tab, info.menuItemId === 'save-selected-tabs' ? 'selected' : 'all');
+  }
+});
+
+// Keyboard shortcuts (chrome://extensions/shortcuts to change them)
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command === 'open-stash') {
+    chrome.tabs.create({ url: CONFIG.WEB_APP_URL });
+    return;
+  }
+
+  if (!tab) {
+    [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  }
+  if (!tab?.url || !/^https?:\/\//.test(tab.url)) return;
+  if (!supabase) await initSupabase();
+
+  if (command === 'save-page') {
+    await savePage(tab);
+  } else if (command === 'save-highlight') {
+    const [{ result: selectionText } = {}] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => window.getSelection().toString().trim(),
+    }).catch(() => []);
+
+    if (selectionText) {
+      await saveHighlight(tab, selectionText);
+    } else {
+      chrome.tabs.sendMessage(tab.id, {
+        action: 'showToast',
+        message: 'Select some text to save as a highlight',
+        isError: true,
+      }).catch(() => {});
+    }
+  }
+});
+
+// Omnibox: type "stash" then a space to search the library from the address bar
+const OMNIBOX_LIMIT = 6;
+let omniboxQuery = '';
+
+chrome.omnibox.setDefaultSuggestion({ description: 'Search Stash for <match>%s</match>' });
+
+// Omnibox descriptions are XML, so text must be escaped
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Link to the web app with a search already run
+function webAppSearchUrl(query) {
+  return `${CONFIG.WEB_APP_URL}?q=${encodeURIComponent(query)}`;
+}
+
+chrome.omnibox.onInputChanged.addListener(async (text, suggest) => {
+  const query = text.trim();
+  omniboxQuery = query;
+  if (query.length < 2) return;
+
+  try {
+    if (!supabase) await initSupabase();
+    const saves = await supabase.rpc('search_saves', {
+      search_query: query,
+      user_uuid: CONFIG.USER_ID,
+    }, { select: 'id,url,title,highlight,site_name', limit: OMNIBOX_LIMIT });
+
+    // A newer keystroke has started its own search
+    if (query !== omniboxQuery) return;
+
+    suggest(saves.map((save) => {
+      const title = save.title || save.highlight?.substring(0, 80) || 'Untitled';
+      const site = save.site_name ? ` <dim>- ${escapeXml(save.site_name)}</dim>` : '';
+      return {
+        // Kindle highlights and the like have no URL; those open a search for their title
+        content: save.url || webAppSearchUrl(title),
+        description: `${escapeXml(title)}${site}`,
+      };
+    }));
+  } catch (err) {
+    console.error('Omnibox search failed:', err);
+  }
+});
+
+chrome.omnibox.onInputEntered.addListener((text, disposition) => {
+  const url = /^https?:\/\//.test(text) ? text : webAppSearchUrl(text.trim());
+
+  if (disposition === 'currentTab') {
+    chrome.tabs.update({ url });
+  } else {
+    chrome.tabs.create({ url, active: disposition === 'newForegroundTab' });
   }
 });
 
 // Save highlighted text
 async function saveHighlight(tab, selectionText) {
   try {
-    await supabase.insert('saves', {
+    const { queued } = await insertOrQueue({
       user_id: CONFIG.USER_ID,
-      url: tab.url,
+      url: CanonicalUrl.clean(tab.url),
       title: tab.title,
       highlight: selectionText,
       site_name: new URL(tab.url).hostname.replace('www.', ''),
       source: 'extension',
-    });
+    }, 'highlight');
 
     chrome.tabs.sendMessage(tab.id, {
       action: 'showToast',
-      message: 'Highlight saved!',
+      message: queued ? "Couldn't reach Stash - highlight queued and will be retried" : 'Highlight saved!',
     });
+    if (!queued) refreshPageStash(tab);
   } catch (err) {
     console.error('Save highlight failed:', err);
     chrome.tabs.sendMessage(tab.id, {
@@ -116,56 +284,187 @@ async function saveHighlight(tab, selectionText) {
   }
 }
 
+// Run extractArticle in a tab, injecting the content script first if it isn't loaded
+// (tabs opened before the extension was installed or reloaded don't have it)
+async function extractArticleFromTab(tab) {
+  try {
+    return await chrome.tabs.sendMessage(tab.id, { action: 'extractArticle' });
+  } catch (e) {
+    // Content script not loaded, inject it first
+    console.log('Content script not loaded, injecting...');
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      files: ['Readability.js', 'page-highlights.js', 'site-extractors.js', 'content.js']
+    });
+    // Wait a moment for script to initialize
+    await new Promise(r => setTimeout(r, 100));
+    return chrome.tabs.sendMessage(tab.id, { action: 'extractArticle' });
+  }
+}
+
+// Build the saves row for an extracted page
+function pageRow(tab, article) {
+  return {
+    user_id: CONFIG.USER_ID,
+    url: CanonicalUrl.resolve(tab.url, article.canonicalUrl),
+    title: article.title,
+    content: article.content,
+    content_markdown: article.contentMarkdown || null,
+    excerpt: article.excerpt,
+    site_name: article.siteName,
+    author: article.author,
+    published_at: normalizeDate(article.publishedTime),
+    image_url: article.imageUrl,
+    site_metadata: article.siteMetadata || null,
+    source: 'extension',
+  };
+}
+
+// Build a link-only saves row for a page that couldn't be extracted
+function linkRow(tab) {
+  return {
+    user_id: CONFIG.USER_ID,
+    url: CanonicalUrl.clean(tab.url),
+    title: tab.title,
+    site_name: new URL(tab.url).hostname.replace('www.', ''),
+    source: 'extension',
+  };
+}
+
+// Build the saves row for a YouTube video
+// content is the timestamped transcript, or the description when there are no captions
+function videoRow(tab, video) {
+  const content = video.transcript || video.description;
+  return {
+    user_id: CONFIG.USER_ID,
+    // Without &t=, &list= and the like, so every way of opening the video is one save
+    url: `https://www.youtube.com/watch?v=${video.videoId}`,
+    title: video.title || tab.title,
+    content: content || null,
+    excerpt: (video.description || video.transcript || '').substring(0, 300) || null,
+    site_name: 'YouTube',
+    author: video.channel,
+    published_at: normalizeDate(video.publishedAt),
+    image_url: video.thumbnailUrl,
+    source: 'extension',
+    content_type: 'video',
+    video_metadata: {
+      video_id: video.videoId,
+      channel: video.channel,
+      channel_url: video.channelUrl,
+      duration_seconds: video.durationSeconds,
+      description: video.description,
+      is_live: video.isLive,
+      has_transcript: !!video.transcript,
+      transcript_language: video.captions?.language || null,
+      transcript_auto_generated: video.captions?.autoGenerated ?? null,
+      key_points: null,
+      processed: false,
+    },
+  };
+}
+
+/**
+ * Build the saves row for a tab: a video for YouTube watch pages, otherwise the extracted article
+ * @param {Object} tab - Tab to save
+ * @returns {Promise<Object|null>} Row, or null if the page couldn't be read
+ */
+async function extractRowFromTab(tab) {
+  if (YouTubeCapture.videoId(tab.url)) {
+    const video = await YouTubeCapture.capture(tab).catch((err) => {
+      console.warn('YouTube capture failed, saving as a page:', err);
+      return null;
+    });
+    if (video) return videoRow(tab, video);
+  }
+
+  const article = await extractArticleFromTab(tab);
+  return article ? pageRow(tab, article) : null;
+}
+
+// PDFs open in Chrome's viewer, where the content script can't run
+const MAX_PDF_BYTES = 25 * 1024 * 1024;
+
+async function isPdfTab(tab) {
+  if (/\.pdf$/i.test(new URL(tab.url).pathname)) return true;
+
+  try {
+    const [{ result } = {}] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => document.contentType,
+    });
+    return result === 'application/pdf';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Save a PDF tab through the save-page function, which extracts its text and stores the file
+ * The file is downloaded here so PDFs behind the user's logins work
+ * @param {Object} tab - Tab showing the PDF
+ * @returns {Promise<{save: Object, alreadySaved: boolean}>} The new save, or the existing one
+ */
+async function savePdf(tab) {
+  const res = await fetch(tab.url, { credentials: 'include' });
+  if (!res.ok) throw new Error(`Could not download the PDF (${res.status})`);
+
+  const file = await res.blob();
+  if (file.size > MAX_PDF_BYTES) {
+    throw new Error(`PDF is too large to save (max ${MAX_PDF_BYTES / 1024 / 1024} MB)`);
+  }
+
+  const { save, already_saved: alreadySaved = false } = await supabase.invoke('save-page', file, {
+    contentType: 'application/pdf',
+    params: { url: tab.url, user_id: CONFIG.USER_ID, source: 'extension' },
+  });
+  return { save, alreadySaved };
+}
+
+// Tell the page it's already in Stash and hand the existing save to the popup
+function reportAlreadySaved(tab, save) {
+  chrome.tabs.sendMessage(tab.id, { action: 'showToast', message: 'Already in Stash' }).catch(() => {});
+  return { success: true, queued: false, alreadySaved: true, save: { id: save.id, title: save.title } };
+}
+
 // Save full page - returns { success, error } for popup feedback
+// A page that's already saved (in any form of its URL) is reported with alreadySaved instead
 async function savePage(tab) {
   try {
     console.log('savePage called for:', tab.url);
-    let article;
 
-    // Extract from current page - inject content script first if needed
-    console.log('Extracting article...');
+    const existing = await findPageSave(tab.url).catch(() => null);
+    if (existing) return reportAlreadySaved(tab, existing);
 
-    try {
-      article = await chrome.tabs.sendMessage(tab.id, { action: 'extractArticle' });
-    } catch (e) {
-      // Content script not loaded, inject it first
-      console.log('Content script not loaded, injecting...');
-      await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        files: ['Readability.js', 'content.js']
-      });
-      // Wait a moment for script to initialize
-      await new Promise(r => setTimeout(r, 100));
-      article = await chrome.tabs.sendMessage(tab.id, { action: 'extractArticle' });
+    if (await isPdfTab(tab)) {
+      const { save: saved, alreadySaved } = await savePdf(tab);
+      if (alreadySaved) return reportAlreadySaved(tab, saved);
+      return { success: true, queued: false, save: { id: saved.id, title: saved.title } };
     }
 
-    console.log('Article extracted:', article?.title, 'content length:', article?.content?.length);
+    // Extract from current page - inject content script first if needed
+    console.log('Extracting article...');
+    const row = await extractRowFromTab(tab);
+
+    console.log('Article extracted:', row?.title, 'content length:', row?.content?.length);
 
-    if (!article) {
+    if (!row) {
       throw new Error('Failed to extract article content');
     }
 
     console.log('Inserting into Supabase...');
-    const result = await supabase.insert('saves', {
-      user_id: CONFIG.USER_ID,
-      url: tab.url,
-      title: article.title,
-      content: article.content,
-      excerpt: article.excerpt,
-      site_name: article.siteName,
-      author: article.author,
-      published_at: normalizeDate(article.publishedTime),
-      image_url: article.imageUrl,
-      source: 'extension',
-    });
-    console.log('Insert result:', result);
+    const { queued, saved, alreadySaved } = await insertOrQueue(row, 'page');
+    console.log('Insert result:', queued ? 'queued' : 'saved');
+    // Found under the page's canonical URL
+    if (alreadySaved) return reportAlreadySaved(tab, saved);
 
     chrome.tabs.sendMessage(tab.id, {
       action: 'showToast',
-      message: 'Page saved!',
+      message: queued ? "Couldn't reach Stash - page queued and will be retried" : 'Page saved!',
     }).catch(() => {}); // Ignore if content script not available
+    if (!queued) refreshPageStash(tab);
 
-    return { success: true };
+    return { success: true, queued, save: saved ? { id: saved.id, title: saved.title } : null };
   } catch (err) {
     console.error('Save page failed:', err);
     chrome.tabs.sendMessage(tab.id, {
@@ -178,6 +477,231 @@ async function savePage(tab) {
   }
 }
 
+// Save every tab in a window (or the selected ones)
+// Progress lives here rather than in the popup, which closes as soon as it loses focus
+let tabBatch = null;
+
+/**
+ * Pick the tabs to save from a window
+ * 'all' skips pinned tabs (usually mail, chat and the like); both modes skip non-web pages
+ * @param {number} windowId - Window to save from
+ * @param {'all'|'selected'} mode - Every tab, or only the highlighted ones
+ * @returns {Promise<Array>} Tabs
+ */
+async function getTabsToSave(windowId, mode) {
+  const tabs = await chrome.tabs.query({ windowId });
+  return tabs
+    .filter((tab) => (mode === 'selected' ? tab.highlighted : !tab.pinned))
+    .filter((tab) => /^https?:\/\//.test(tab.url || ''));
+}
+
+// Send batch progress to the popup, if it's open
+function reportTabBatch() {
+  chrome.runtime.sendMessage({ action: 'saveTabsProgress', progress: tabBatch }).catch(() => {});
+}
+
+/**
+ * Close saved tabs, keeping the window open
+ * @param {number} windowId - Window the tabs are in
+ * @param {Array<number>} tabIds - Tabs that were saved
+ * @returns {Promise<number>} Number of tabs closed
+ */
+async function closeSavedTabs(windowId, tabIds) {
+  const open = await chrome.tabs.query({ windowId });
+  // The user may have closed some while the batch ran
+  const toClose = tabIds.filter((id) => open.some((tab) => tab.id === id));
+
+  // Closing the last tab would close the window
+  if (toClose.length === open.length) {
+    await chrome.tabs.create({ windowId });
+  }
+  await chrome.tabs.remove(toClose);
+  return toClose.length;
+}
+
+/**
+ * Save tabs one after another
+ * Pages that can't be read (discarded tabs, store pages) are saved as a link with their title
+ * @param {number} windowId - Window to save from
+ * @param {Object} options
+ * @param {'all'|'selected'} options.mode - Every tab, or only the highlighted ones
+ * @param {boolean} options.closeTabs - Close each tab once it's stored in Stash
+ * @returns {Promise<Object>} Final progress: total, done, saved, linkOnly, alreadySaved, queued,
+ *   failed, closed. Tabs already in Stash count as saved (and are closed with them)
+ */
+async function saveTabs(windowId, { mode = 'all', closeTabs = false } = {}) {
+  if (tabBatch?.running) throw new Error('Already saving tabs');
+  if (!supabase) await initSupabase();
+
+  const tabs = await getTabsToSave(windowId, mode);
+  if (!tabs.length) throw new Error('No web pages to save in this window');
+
+  tabBatch = {
+    running: true, current: null, total: tabs.length, done: 0,
+    saved: 0, linkOnly: 0, alreadySaved: 0, queued: 0, failed: [], closed: 0,
+  };
+  const savedTabIds = [];
+
+  for (const tab of tabs) {
+    tabBatch.current = tab.title || tab.url;
+    reportTabBatch();
+
+    try {
+      if (await findPageSave(tab.url).catch(() => null)) {
+        tabBatch.saved++;
+        tabBatch.alreadySaved++;
+        savedTabIds.push(tab.id);
+      } else if (await isPdfTab(tab)) {
+        const { alreadySaved } = await savePdf(tab);
+        tabBatch.saved++;
+        if (alreadySaved) tabBatch.alreadySaved++;
+        savedTabIds.push(tab.id);
+      } else {
+        const extracted = await extractRowFromTab(tab).catch(() => null);
+        const { queued, alreadySaved } = await insertOrQueue(extracted || linkRow(tab), 'page');
+        if (queued) {
+          // Only in the local queue so far - keep the tab open until it's really saved
+          tabBatch.queued++;
+        } else {
+          tabBatch.saved++;
+          if (alreadySaved) tabBatch.alreadySaved++;
+          else if (!extracted) tabBatch.linkOnly++;
+          savedTabIds.push(tab.id);
+        }
+      }
+    } catch (err) {
+      console.error('Save tab failed:', tab.url, err);
+      tabBatch.failed.push({ title: tab.title, url: tab.url, error: err.message });
+    }
+    tabBatch.done++;
+  }
+
+  tabBatch.current = null;
+  if (closeTabs && savedTabIds.length) {
+    try {
+      tabBatch.closed = await closeSavedTabs(windowId, savedTabIds);
+    } catch (err) {
+      console.error('Close saved tabs failed:', err);
+    }
+  }
+  tabBatch.running = false;
+  reportTabBatch();
+  return tabBatch;
+}
+
+/**
+ * Summarize a finished batch in one line
+ * @param {Object} batch - Result of saveTabs
+ * @returns {string}
+ */
+function describeTabBatch(batch) {
+  const parts = [`Saved ${batch.saved} of ${batch.total} tabs`];
+  if (batch.alreadySaved) parts.push(`${batch.alreadySaved} already in Stash`);
+  if (batch.queued) parts.push(`${batch.queued} queued for retry`);
+  if (batch.failed.length) parts.push(`${batch.failed.length} failed`);
+  if (batch.closed) parts.push(`${batch.closed} closed`);
+  return parts.join(', ');
+}
+
+// Context menu entry point; the "close tabs" choice is the one last made in the popup
+async function saveTabsFromMenu(tab, mode) {
+  const { stash_close_saved_tabs: closeTabs = false } = await chrome.storage.local.get(['stash_close_saved_tabs']);
+  let message;
+  let isError = false;
+
+  try {
+    message = describeTabBatch(await saveTabs(tab.windowId, { mode, closeTabs }));
+  } catch (err) {
+    message = 'Failed to save tabs: ' + err.message;
+    isError = true;
+  }
+
+  // The clicked tab may have been closed, so report in whichever tab is active now
+  const [active] = await chrome.tabs.query({ active: true, windowId: tab.windowId });
+  if (active) {
+    chrome.tabs.sendMessage(active.id, { action: 'showToast', message, isError }).catch(() => {});
+  }
+}
+
+/**
+ * File a save from the popup editor
+ * @param {string} saveId - Save to update
+ * @param {Object} filing
+ * @param {Array<string>} filing.tagIds - Existing tags to add
+ * @param {string|null} filing.folderId - Folder, or null for none
+ * @param {boolean} filing.isFavorite - Mark as favorite
+ * @param {string} filing.note - Note on the save
+ */
+async function fileSave(saveId, { tagIds = [], folderId = null, isFavorite = false, note = '' }) {
+  if (!supabase) await initSupabase();
+
+  await supabase.update('saves', saveId, {
+    folder_id: folderId || null,
+    is_favorite: !!isFavorite,
+    note: note.trim() || null,
+  });
+
+  if (tagIds.length) {
+    // The save may already carry some of these tags
+    await supabase.insert('save_tags', tagIds.map((tagId) => ({ save_id: saveId, tag_id: tagId })), { ignoreDuplicates: true });
+  }
+}
+
+/**
+ * Find the page save for a URL, matching any form of it (saves.url_key)
+ * @param {string} href - Page URL
+ * @returns {Promise<Object|null>} { id, title }, or null if the page isn't saved
+ */
+async function findPageSave(href) {
+  if (!supabase) await initSupabase();
+
+  const rows = await supabase.rpc('find_saves_by_url', {
+    page_url: href,
+    user_uuid: CONFIG.USER_ID,
+  }, { select: 'id,title,highlight' });
+  return rows.find((row) => !row.highlight) || null;
+}
+
+/**
+ * Find a page in Stash along with its highlights
+ * Highlights are highlight saves for the same URL (quote only) and in-app
+ * annotations on the page's save (quote with context)
+ * @param {string} href - Page URL
+ * @returns {Promise<{save: Object|null, highlights: Array}>}
+ */
+async function getPageStash(href) {
+  if (!supabase) await initSupabase();
+
+  // Oldest first; matches the page in any form of its URL
+  const rows = await supabase.rpc('find_saves_by_url', {
+    page_url: href,
+    user_uuid: CONFIG.USER_ID,
+  }, { select: 'id,title,highlight,note,is_archived,is_favorite' });
+  if (!rows.length) return { save: null, highlights: [] };
+
+  const pageSaves = rows.filter((row) => !row.highlight);
+  const highlights = rows
+    .filter((row) => row.highlight)
+    .map((row) => ({ quote: row.highlight, prefix: '', suffix: '', note: row.note }));
+
+  if (pageSaves.length) {
+    const annotations = await supabase.select('annotations', {
+      select: 'quote,prefix,suffix,note',
+      in: { save_id: pageSaves.map((save) => save.id) },
+      order: 'start_offset.asc',
+    });
+    highlights.push(...annotations);
+  }
+
+  // Only highlights saved means the page itself isn't in Stash, but it's still worth flagging
+  return { save: pageSaves[0] || rows[0], highlights };
+}
+
+// Ask a tab to re-check its Stash badge and highlights after something was saved from it
+function refreshPageStash(tab) {
+  chrome.tabs.sendMessage(tab.id, { action: 'refreshStashHighlights' }).catch(() => {});
+}
+
 // Handle messages from popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'savePage') {
@@ -192,6 +716,76 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  if (request.action === 'countTabs') {
+    (async () => {
+      try {
+        const [all, selected] = await Promise.all([
+          getTabsToSave(request.windowId, 'all'),
+          getTabsToSave(request.windowId, 'selected'),
+        ]);
+        sendResponse({ all: all.length, selected: selected.length });
+      } catch (err) {
+        sendResponse({ all: 0, selected: 0, error: err.message });
+      }
+    })();
+    return true;
+  }
+
+  if (request.action === 'saveTabs') {
+    (async () => {
+      try {
+        const result = await saveTabs(request.windowId, { mode: request.mode, closeTabs: request.closeTabs });
+        sendResponse({ success: true, result, summary: describeTabBatch(result) });
+      } catch (err) {
+        sendResponse({ success: false, error: err.message });
+      }
+    })();
+    return true;
+  }
+
+  if (request.action === 'getSaveTabsProgress') {
+    sendResponse({ progress: tabBatch });
+    return false;
+  }
+
+  if (request.action === 'getFilingOptions') {
+    (async () => {
+      if (!supabase) await initSupabase();
+      try {
+        const [tags, folders] = await Promise.all([
+          supabase.select('tags', { select: 'id,name,color', order: 'name.asc' }),
+          supabase.select('folders', { select: 'id,name', order: 'name.asc' }),
+        ]);
+        sendResponse({ success: true, tags, folders });
+      } catch (err) {
+        sendResponse({ success: false, error: err.message });
+      }
+    })();
+    return true;
+  }
+
+  if (request.action === 'fileSave') {
+    fileSave(request.saveId, request.filing)
+      .then(() => sendResponse({ success: true }))
+      .catch((err) => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (request.action === 'getPageStash') {
+    getPageStash(request.url)
+      .then(sendResponse)
+      .catch((err) => {
+        console.error('Page lookup failed:', err);
+        sendResponse({ save: null, highlights: [] });
+      });
+    return true;
+  }
+
+  if (request.action === 'openInStash') {
+    chrome.tabs.create({ url: request.query ? webAppSearchUrl(request.query) : CONFIG.WEB_APP_URL });
+    return false;
+  }
+
   if (request.action === 'getUser') {
     (async () => {
       if (!supabase) await initSupabase();
@@ -224,6 +818,28 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  if (request.action === 'getPendingSaves') {
+    saveQueue.getItems().then((items) => sendResponse({ success: true, items }));
+    return true;
+  }
+
+  if (request.action === 'retryPendingSaves') {
+    (async () => {
+      try {
+        const result = await retryQueuedSaves({ force: true, id: request.id || null });
+        sendResponse({ success: true, ...result });
+      } catch (err) {
+        sendResponse({ success: false, error: err.message });
+      }
+    })();
+    return true;
+  }
+
+  if (request.action === 'discardPendingSave') {
+    saveQueue.remove(request.id).then(() => sendResponse({ success: true }));
+    return true;
+  }
+
   if (request.action === 'getRecentSaves') {
     (async () => {
       if (!supabase) await initSupabase();
@@ -0,0 +1,61 @@
+// Canonical page URLs - loaded by the background service worker
+// Pages are saved under their canonical link when usable, without tracking
+// parameters or #fragments. Duplicates are caught by saves.url_key, which
+// the database sets from the URL.
+// Mirrors cleanUrl/canonicalUrl in web/utils/canonical-url.js.
+
+class CanonicalUrl {
+  static isTrackingParam(name) {
+    return /^(utm_[a-z0-9_]*|fbclid|gclid|gclsrc|dclid|msclkid|yclid|twclid|igshid|mc_cid|mc_eid|_hsenc|_hsmi|mkt_tok|ref_src|ref_url)$/i.test(name);
+  }
+
+  // #!/... and #/... are app routes, so part of the address
+  static isRouteFragment(hash) {
+    return /^#[!/]/.test(hash);
+  }
+
+  /**
+   * Drop tracking parameters and the #fragment from a page URL
+   * @param {string} href - Page URL
+   * @returns {string}
+   */
+  static clean(href) {
+    let url;
+    try {
+      url = new URL(href);
+    } catch {
+      return href;
+    }
+    if (!/^https?:$/.test(url.protocol)) return href;
+
+    // Deleting re-encodes the whole query, so it's left alone when there's nothing to drop
+    [...url.searchParams.keys()]
+      .filter((key) => CanonicalUrl.isTrackingParam(key))
+      .forEach((key) => url.searchParams.delete(key));
+    if (!CanonicalUrl.isRouteFragment(url.hash)) url.hash = '';
+    return url.href;
+  }
+
+  /**
+   * The URL to save a page under: its canonical link when that's usable, cleaned
+   * @param {string} pageUrl - Address the page was opened at
+   * @param {string|null} canonicalHref - href of the page's <link rel="canonical">
+   * @returns {string}
+   */
+  static resolve(pageUrl, canonicalHref) {
+    if (canonicalHref) {
+      try {
+        const page = new URL(pageUrl);
+        const canonical = new URL(canonicalHref, page);
+        // Some sites point every page's canonical link at their home page
+        const pointsHome = canonical.pathname === '/' && page.pathname !== '/';
+        if (/^https?:$/.test(canonical.protocol) && !pointsHome) {
+          return CanonicalUrl.clean(canonical.href);
+        }
+      } catch {
+        // Unparseable canonical link; use the page address
+      }
+    }
+    return CanonicalUrl.clean(pageUrl);
+  }
+}
@@ -20,6 +20,24 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 });
 
 async function extractArticle() {
+  // Threads, discussions and GitHub pages have their own extractors
+  const site = SiteExtractors.extract(document, window.location.href);
+  if (site) {
+    return {
+      success: true,
+      title: site.title || document.title,
+      content: htmlToText(site.html),
+      contentMarkdown: htmlToMarkdown(site.html),
+      excerpt: site.excerpt,
+      siteName: site.siteName,
+      author: site.author,
+      publishedTime: site.publishedTime,
+      imageUrl: site.imageUrl,
+      siteMetadata: site.metadata,
+      canonicalUrl: extractCanonicalUrl(),
+    };
+  }
+
   try {
     // Clone the document for Readability (it modifies the DOM)
     const documentClone = document.cloneNode(true);
@@ -34,11 +52,13 @@ async function extractArticle() {
         success: true,
         title: article.title || document.title,
         content: htmlToText(article.content),
+        contentMarkdown: htmlToMarkdown(article.content),
         excerpt: article.excerpt || article.textContent?.substring(0, 300) + '...',
         siteName: article.siteName || extractSiteName(),
         author: article.byline,
         publishedTime: extractPublishedTime(),
         imageUrl: extractMainImage(),
+        canonicalUrl: extractCanonicalUrl(),
       };
     }
   } catch (e) {
@@ -58,6 +78,7 @@ async function extractArticle() {
     author: extractAuthor(),
     publishedTime: extractPublishedTime(),
     imageUrl: extractMainImage(),
+    canonicalUrl: extractCanonicalUrl(),
   };
 }
 
@@ -156,15 +177,18 @@ function cleanContent(text) {
     .trim();
 }
 
-// Convert HTML to plain text while preserving structure
+// Block elements that get their own paragraph in plain text
+const TEXT_BLOCK_TAGS = ['p', 'div', 'article', 'section', 'header', 'footer', 'main', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'figure', 'table', 'tr'];
+const CONVERT_SKIP_TAGS = ['script', 'style', 'noscript', 'iframe', 'svg', 'button', 'form'];
+
+// Convert HTML to plain text with paragraph breaks
+// This is what's stored in saves.content, so it's what search and excerpts see
 function htmlToText(html) {
   if (!html) return '';
 
-  // Create a temporary element to parse HTML
   const temp = document.createElement('div');
   temp.innerHTML = html;
 
-  // Process the DOM to preserve formatting
   function processNode(node) {
     let result = '';
 
@@ -174,65 +198,19 @@ function htmlToText(html) {
       } else if (child.nodeType === Node.ELEMENT_NODE) {
         const tag = child.tagName.toLowerCase();
 
-        // Block elements that need line breaks
-        if (['p', 'div', 'article', 'section', 'header', 'footer', 'main'].includes(tag)) {
-          result += '\n\n' + processNode(child) + '\n\n';
-        }
-        // Headings
-        else if (['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(tag)) {
+        if (CONVERT_SKIP_TAGS.includes(tag)) continue;
+
+        if (TEXT_BLOCK_TAGS.includes(tag)) {
           result += '\n\n' + processNode(child) + '\n\n';
-        }
-        // Line breaks
-        else if (tag === 'br') {
+        } else if (tag === 'br') {
           result += '\n';
-        }
-        // List items
-        else if (tag === 'li') {
+        } else if (tag === 'li') {
           result += '\n• ' + processNode(child);
-        }
-        // Lists
-        else if (['ul', 'ol'].includes(tag)) {
+        } else if (['ul', 'ol'].includes(tag)) {
           result += '\n' + processNode(child) + '\n';
-        }
-        // Blockquotes
-        else if (tag === 'blockquote') {
-          const text = processNode(child).trim().split('\n').map(line => '> ' + line).join('\n');
-          result += '\n\n' + text + '\n\n';
-        }
-        // Links - convert to markdown
-        else if (tag === 'a') {
-          const href = child.getAttribute('href');
-          const text = processNode(child).trim();
-          if (href && text && !href.startsWith('#') && !href.startsWith('javascript:')) {
-            // Make relative URLs absolute
-            const absoluteUrl = href.startsWith('http') ? href : new URL(href, window.location.origin).href;
-            result += `[${text}](${absoluteUrl})`;
-          } else {
-            result += text;
-          }
-        }
-        // Bold
-        else if (['strong', 'b'].includes(tag)) {
-          result += '**' + processNode(child) + '**';
-        }
-        // Italic
-        else if (['em', 'i'].includes(tag)) {
-          result += '*' + processNode(child) + '*';
-        }
-        // Code
-        else if (tag === 'code') {
-          result += '`' + processNode(child) + '`';
-        }
-        // Pre/code blocks
-        else if (tag === 'pre') {
-          result += '\n\n```\n' + processNode(child) + '\n```\n\n';
-        }
-        // Skip script, style, etc.
-        else if (['script', 'style', 'noscript', 'iframe'].includes(tag)) {
-          // Skip
-        }
-        // Other inline elements
-        else {
+        } else if (['td', 'th'].includes(tag)) {
+          result += processNode(child) + '\t';
+        } else {
           result += processNode(child);
         }
       }
@@ -241,17 +219,144 @@ function htmlToText(html) {
     return result;
   }
 
-  let text = processNode(temp);
+  return tidyWhitespace(processNode(temp));
+}
+
+// Convert article HTML to Markdown for the reader view (saves.content_markdown)
+// Keeps headings, lists, quotes, code, tables, images and links. Only the
+// Markdown is kept - attributes, scripts and unknown markup are dropped - and
+// text is escaped so it can't turn into markup when rendered.
+function htmlToMarkdown(html) {
+  if (!html) return '';
+
+  const temp = document.createElement('div');
+  temp.innerHTML = html;
+
+  // Absolute http(s)/mailto URLs only - drops javascript:, data: and in-page anchors
+  function safeUrl(value) {
+    if (!value || value.startsWith('#')) return null;
+    try {
+      const url = new URL(value, document.baseURI);
+      return ['http:', 'https:', 'mailto:'].includes(url.protocol) ? url.href.replace(/\(/g, '%28').replace(/\)/g, '%29') : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function escapeText(text) {
+    return text
+      .replace(/\\/g, '\\\\')
+      .replace(/[`*_[\]]/g, '\\$&')
+      .replace(/</g, '&lt;')
+      .replace(/\s+/g, ' ');
+  }
+
+  // Inline content of an element, on one line
+  function inline(node) {
+    return blocks(node).replace(/\s*\n\s*/g, ' ').trim();
+  }
+
+  // Nested lists come back from blocks() and are indented under their item
+  function list(node, ordered) {
+    let index = 1;
+    const items = [];
+    for (const child of node.children) {
+      if (child.tagName.toLowerCase() !== 'li') continue;
+      const marker = ordered ? `${index++}. ` : '- ';
+      const body = collapseBlankLines(blocks(child)).replace(/\n/g, `\n${' '.repeat(marker.length)}`);
+      items.push(`${marker}${body}`);
+    }
+    return `\n\n${items.join('\n')}\n\n`;
+  }
+
+  function table(node) {
+    const rows = [...node.querySelectorAll('tr')].map(tr =>
+      [...tr.children].map(cell => inline(cell).replace(/\|/g, '\\|'))
+    ).filter(cells => cells.length);
+    if (!rows.length) return '';
+
+    const width = Math.max(...rows.map(cells => cells.length));
+    const line = cells => `| ${[...cells, ...Array(width - cells.length).fill('')].join(' | ')} |`;
+    return `\n\n${[line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n')}\n\n`;
+  }
+
+  function blocks(node) {
+    let result = '';
+
+    for (const child of node.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        result += escapeText(child.textContent);
+        continue;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE) continue;
+
+      const tag = child.tagName.toLowerCase();
+      if (CONVERT_SKIP_TAGS.includes(tag)) continue;
+
+      if (/^h[1-6]$/.test(tag)) {
+        const text = inline(child);
+        if (text) result += `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n`;
+      } else if (['p', 'div', 'article', 'section', 'header', 'footer', 'main', 'figure'].includes(tag)) {
+        result += `\n\n${blocks(child).trim()}\n\n`;
+      } else if (tag === 'figcaption') {
+        const text = inline(child);
+        if (text) result += `\n\n*${text}*\n\n`;
+      } else if (tag === 'blockquote') {
+        const text = collapseBlankLines(blocks(child)).split('\n').map(line => `> ${line}`).join('\n');
+        result += `\n\n${text}\n\n`;
+      } else if (tag === 'pre') {
+        const language = (child.querySelector('code')?.className.match(/language-([\w-]+)/) || [])[1] || '';
+        const code = child.textContent.replace(/\n$/, '');
+        const fence = code.includes('```') ? '~~~' : '```';
+        result += `\n\n${fence}${language}\n${code}\n${fence}\n\n`;
+      } else if (tag === 'ul' || tag === 'ol') {
+        result += list(child, tag === 'ol');
+      } else if (tag === 'table') {
+        result += table(child);
+      } else if (tag === 'hr') {
+        result += '\n\n---\n\n';
+      } else if (tag === 'br') {
+        result += '\n';
+      } else if (tag === 'img') {
+        const src = safeUrl(child.getAttribute('src') || child.dataset.src);
+        if (src) result += `![${escapeText(child.getAttribute('alt') || '')}](${src})`;
+      } else if (tag === 'a') {
+        const href = safeUrl(child.getAttribute('href'));
+        const text = inline(child);
+        result += href && text ? `[${text}](${href})` : text;
+      } else if (['strong', 'b'].includes(tag)) {
+        const text = inline(child);
+        if (text) result += `**${text}**`;
+      } else if (['em', 'i'].includes(tag)) {
+        const text = inline(child);
+        if (text) result += `*${text}*`;
+      } else if (tag === 'code') {
+        const code = child.textContent;
+        if (code) result += code.includes('`') ? `\`\` ${code} \`\`` : `\`${code}\``;
+      } else {
+        result += blocks(child);
+      }
+    }
+
+    return result;
+  }
+
+  // Leading spaces are kept - they nest lists and belong to code blocks
+  function collapseBlankLines(text) {
+    return text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  return collapseBlankLines(blocks(temp));
+}
 
-  // Clean up excessive whitespace while preserving intentional line breaks
-  text = text
+// Collapse runs of spaces and blank lines, keeping paragraph breaks
+function tidyWhitespace(text) {
+  return text
     .replace(/[ \t]+/g, ' ')           // Collapse horizontal whitespace
     .replace(/\n[ \t]+/g, '\n')        // Remove leading spaces on lines
     .replace(/[ \t]+\n/g, '\n')        // Remove trailing spaces on lines
     .replace(/\n{3,}/g, '\n\n')        // Max 2 consecutive newlines
     .trim();
-
-  return text;
 }
 
 function extractAuthor() {
@@ -284,6 +389,11 @@ function extractMainImage() {
          null;
 }
 
+// The background resolves this against the page URL and decides whether to use it
+function extractCanonicalUrl() {
+  return document.querySelector('link[rel="canonical"]')?.getAttribute('href') || null;
+}
+
 // Show save confirmation toast
 function showToast(message, isError = false) {
   const existing = document.getElementById('stash-toast');
@@ -328,5 +438,10 @@ function showToast(message, isError = false) {
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'showToast') {
     showToast(request.message, request.isError);
+  } else if (request.action === 'refreshStashHighlights') {
+    PageHighlighter.refresh();
   }
 });
+
+// Show highlights and the "In Stash" badge if this page is already saved
+PageHighlighter.refresh();
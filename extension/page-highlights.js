@@ -0,0 +1,240 @@
+// Page highlights - runs before content.js on every page
+// Re-paints a saved page's highlights in the live page and shows an "In Stash" badge
+
+// Stash's own elements, never searched for highlight text
+const STASH_UI_IDS = ['stash-indicator', 'stash-toast'];
+const SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'INPUT', 'SELECT', 'OPTION', 'TEMPLATE']);
+
+class PageHighlighter {
+  /**
+   * Index the page's visible text with whitespace removed
+   * Whitespace is dropped rather than collapsed because the saved text and the
+   * live DOM break paragraphs differently; every other character maps back to
+   * its text node and offset.
+   * @param {Node} root - Element to index
+   * @returns {{text: string, nodes: Text[], offsets: number[]}}
+   */
+  static indexText(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        for (let el = node.parentElement; el; el = el.parentElement) {
+          if (SKIP_TAGS.has(el.tagName) || STASH_UI_IDS.includes(el.id)) return NodeFilter.FILTER_REJECT;
+        }
+        return NodeFilter.FILTER_ACCEPT;
+      },
+    });
+
+    const chars = [];
+    const nodes = [];
+    const offsets = [];
+
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      const data = node.data;
+      for (let i = 0; i < data.length; i++) {
+        if (/\s/.test(data[i])) continue;
+        chars.push(data[i]);
+        nodes.push(node);
+        offsets.push(i);
+      }
+    }
+
+    return { text: chars.join(''), nodes, offsets };
+  }
+
+  static squash(text) {
+    return (text || '').replace(/\s+/g, '');
+  }
+
+  /**
+   * Find a highlight in indexed text, using its context to pick between repeats
+   * @param {string} text - Indexed text from indexText
+   * @param {Object} highlight - { quote, prefix, suffix }
+   * @returns {{start: number, end: number}|null}
+   */
+  static locate(text, highlight) {
+    const quote = PageHighlighter.squash(highlight.quote);
+    if (!quote) return null;
+
+    const prefix = PageHighlighter.squash(highlight.prefix);
+    const suffix = PageHighlighter.squash(highlight.suffix);
+    let best = null;
+    let bestScore = -1;
+
+    for (let index = text.indexOf(quote); index !== -1; index = text.indexOf(quote, index + 1)) {
+      const before = text.slice(Math.max(0, index - prefix.length), index);
+      const after = text.slice(index + quote.length, index + quote.length + suffix.length);
+
+      let score = 0;
+      while (score < before.length && before[before.length - 1 - score] === prefix[prefix.length - 1 - score]) score++;
+      for (let i = 0; i < after.length && after[i] === suffix[i]; i++) score++;
+
+      if (score > bestScore) {
+        bestScore = score;
+        best = { start: index, end: index + quote.length };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Paint highlights as <mark> elements
+   * @param {Array} highlights - { quote, prefix, suffix, note }
+   * @returns {number} How many were found in the page
+   */
+  static paint(highlights) {
+    PageHighlighter.clear();
+    const index = PageHighlighter.indexText(document.body);
+
+    // Locate everything before touching the DOM - wrapping splits text nodes
+    const found = highlights
+      .map((highlight) => ({ highlight, match: PageHighlighter.locate(index.text, highlight) }))
+      .filter(({ match }) => match)
+      .sort((a, b) => b.match.start - a.match.start);
+
+    // Work from the end of the page back so earlier offsets stay valid
+    let paintedFrom = Infinity;
+    let painted = 0;
+    found.forEach(({ highlight, match }) => {
+      if (match.end > paintedFrom) return; // Overlaps one already painted
+      PageHighlighter.wrap(index, match, highlight);
+      paintedFrom = match.start;
+      painted++;
+    });
+
+    return painted;
+  }
+
+  // Wrap one located highlight, one mark per text node, last node first
+  static wrap(index, { start, end }, highlight) {
+    const spans = [];
+    for (let i = start; i < end; i++) {
+      const last = spans[spans.length - 1];
+      if (last && last.node === index.nodes[i]) {
+        last.to = index.offsets[i] + 1;
+      } else {
+        spans.push({ node: index.nodes[i], from: index.offsets[i], to: index.offsets[i] + 1 });
+      }
+    }
+
+    spans.reverse().forEach(({ node, from, to }) => {
+      let target = node;
+      if (to < target.data.length) target.splitText(to);
+      if (from > 0) target = target.splitText(from);
+
+      const mark = document.createElement('mark');
+      mark.className = 'stash-highlight';
+      mark.style.cssText = `
+        background: #fef08a;
+        color: inherit;
+        border-radius: 2px;
+        ${highlight.note ? 'border-bottom: 2px solid #ca8a04;' : ''}
+      `;
+      if (highlight.note) mark.title = highlight.note;
+      target.parentNode.insertBefore(mark, target);
+      mark.appendChild(target);
+    });
+  }
+
+  static clear() {
+    document.querySelectorAll('mark.stash-highlight').forEach((mark) => {
+      const parent = mark.parentNode;
+      while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+      parent.removeChild(mark);
+      parent.normalize();
+    });
+  }
+
+  /**
+   * Show the "In Stash" badge in the corner of the page
+   * @param {Object} save - { title, is_archived, is_favorite }
+   * @param {Object} counts - { highlights, painted }
+   */
+  static showIndicator(save, { highlights, painted }) {
+    document.getElementById('stash-indicator')?.remove();
+
+    const parts = ['In Stash'];
+    if (save.is_favorite) parts.push('★ Favorite');
+    if (save.is_archived) parts.push('Archived');
+    if (highlights) {
+      parts.push(`${highlights} highlight${highlights === 1 ? '' : 's'}`);
+    }
+
+    const indicator = document.createElement('div');
+    indicator.id = 'stash-indicator';
+    indicator.title = painted < highlights
+      ? `${highlights - painted} highlight(s) couldn't be found on this version of the page. Click to open in Stash`
+      : 'Click to open in Stash';
+    indicator.style.cssText = `
+      position: fixed;
+      bottom: 20px;
+      left: 20px;
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 6px 8px 6px 12px;
+      background: #6366f1;
+      color: white;
+      border-radius: 999px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 12px;
+      font-weight: 500;
+      line-height: 1.4;
+      z-index: 999998;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+      cursor: pointer;
+      opacity: 0.9;
+    `;
+
+    const label = document.createElement('span');
+    label.textContent = parts.join(' · ');
+
+    const close = document.createElement('button');
+    close.textContent = '×';
+    close.title = 'Hide';
+    close.style.cssText = `
+      background: none;
+      border: none;
+      color: inherit;
+      font-size: 16px;
+      line-height: 1;
+      padding: 0 4px;
+      cursor: pointer;
+    `;
+    close.addEventListener('click', (e) => {
+      e.stopPropagation();
+      indicator.remove();
+    });
+
+    indicator.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'openInStash', query: save.title || '' });
+    });
+
+    indicator.append(label, close);
+    document.body.appendChild(indicator);
+  }
+
+  /**
+   * Look up this page in Stash and show what's there
+   */
+  static async refresh() {
+    if (!/^https?:$/.test(window.location.protocol)) return;
+
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({ action: 'getPageStash', url: window.location.href });
+    } catch {
+      return; // Extension reloaded or unavailable
+    }
+
+    if (!response?.save) {
+      PageHighlighter.clear();
+      document.getElementById('stash-indicator')?.remove();
+      return;
+    }
+
+    const painted = PageHighlighter.paint(response.highlights);
+    PageHighlighter.showIndicator(response.save, { highlights: response.highlights.length, painted });
+  }
+}
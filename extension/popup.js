@@ -1,4 +1,8 @@
 // Popup script
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const DEFAULT_TAG_COLOR = '#6366f1';
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{3,8}$/i;
+
 document.addEventListener('DOMContentLoaded', async () => {
   const authView = document.getElementById('auth-view');
   const mainView = document.getElementById('main-view');
@@ -10,12 +14,36 @@ document.addEventListener('DOMContentLoaded', async () => {
   const savePageBtn = document.getElementById('save-page-btn');
   const savesList = document.getElementById('saves-list');
   const openAppLink = document.getElementById('open-app-link');
+  const pendingSection = document.getElementById('pending-section');
+  const pendingCount = document.getElementById('pending-count');
+  const pendingList = document.getElementById('pending-list');
+  const retryAllBtn = document.getElementById('retry-all-btn');
+  const saveTabsBtn = document.getElementById('save-tabs-btn');
+  const saveSelectedBtn = document.getElementById('save-selected-btn');
+  const closeTabsCheckbox = document.getElementById('close-tabs-checkbox');
+  const tabsProgress = document.getElementById('tabs-progress');
+  const tabsProgressFill = document.getElementById('tabs-progress-fill');
+  const tabsProgressText = document.getElementById('tabs-progress-text');
+  const tabsFailed = document.getElementById('tabs-failed');
+  const saveEditor = document.getElementById('save-editor');
+  const saveEditorTitle = document.getElementById('save-editor-title');
+  const tagChips = document.getElementById('tag-chips');
+  const tagInput = document.getElementById('tag-input');
+  const tagSuggestions = document.getElementById('tag-suggestions');
+  const folderSelect = document.getElementById('folder-select');
+  const favoriteCheckbox = document.getElementById('favorite-checkbox');
+  const noteInput = document.getElementById('note-input');
+  const editorError = document.getElementById('editor-error');
+  const editorSkipBtn = document.getElementById('editor-skip-btn');
+  const editorDoneBtn = document.getElementById('editor-done-btn');
 
   const settingsBtn = document.getElementById('settings-btn');
 
   // Single-user mode - skip auth, go straight to main view
   showMainView();
   loadRecentSaves();
+  loadPendingSaves();
+  initSaveTabs();
 
   // Settings button - open web app settings
   settingsBtn.addEventListener('click', () => {
@@ -103,13 +131,30 @@ document.addEventListener('DOMContentLoaded', async () => {
 
       savePageBtn.disabled = false;
 
-      if (response?.success) {
+      if (response?.queued) {
+        savePageBtn.innerHTML = `
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <circle cx="12" cy="12" r="10"></circle>
+            <polyline points="12 6 12 12 16 14"></polyline>
+          </svg>
+          Queued - will retry
+        `;
+      } else if (response?.alreadySaved) {
+        // No editor: filing it would overwrite the existing save's note and favorite
+        savePageBtn.innerHTML = `
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polyline points="20 6 9 17 4 12"></polyline>
+          </svg>
+          Already in Stash
+        `;
+      } else if (response?.success) {
         savePageBtn.innerHTML = `
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <polyline points="20 6 9 17 4 12"></polyline>
           </svg>
           Saved!
         `;
+        if (response.save) openSaveEditor(response.save);
       } else {
         savePageBtn.innerHTML = `
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -144,9 +189,214 @@ document.addEventListener('DOMContentLoaded', async () => {
         Save This Page
       `;
       loadRecentSaves();
+      loadPendingSaves();
     }, 2000);
   });
 
+  // Save editor - tags, folder, favorite and note for the page just saved
+  let editingSaveId = null;
+  let allTags = [];
+  let selectedTagIds = [];
+
+  async function openSaveEditor(save) {
+    editingSaveId = save.id;
+    selectedTagIds = [];
+    saveEditorTitle.textContent = save.title || 'Untitled';
+    favoriteCheckbox.checked = false;
+    noteInput.value = '';
+    tagInput.value = '';
+    editorError.textContent = '';
+    renderTagChips();
+    saveEditor.classList.remove('hidden');
+    tagInput.focus();
+
+    const response = await chrome.runtime.sendMessage({ action: 'getFilingOptions' });
+    if (!response?.success) {
+      editorError.textContent = response?.error || 'Could not load tags and folders';
+      return;
+    }
+
+    allTags = response.tags;
+    folderSelect.innerHTML = '<option value="">No folder</option>' + response.folders.map(folder =>
+      `<option value="${folder.id}">${escapeHtml(folder.name)}</option>`
+    ).join('');
+  }
+
+  function closeSaveEditor() {
+    editingSaveId = null;
+    saveEditor.classList.add('hidden');
+    tagSuggestions.classList.add('hidden');
+  }
+
+  function renderTagChips() {
+    tagChips.innerHTML = selectedTagIds.map(id => {
+      const tag = allTags.find(t => t.id === id);
+      // Tag colors are user data: only a hex color goes into the style attribute
+      const color = HEX_COLOR_PATTERN.test(tag?.color || '') ? tag.color : DEFAULT_TAG_COLOR;
+      return `
+        <span class="tag-chip" style="--tag-color: ${color}">
+          ${escapeHtml(tag?.name || '')}
+          <button class="tag-chip-remove" data-id="${id}" title="Remove">×</button>
+        </span>
+      `;
+    }).join('');
+
+    tagChips.querySelectorAll('.tag-chip-remove').forEach(btn => {
+      btn.addEventListener('click', () => {
+        selectedTagIds = selectedTagIds.filter(id => id !== btn.dataset.id);
+        renderTagChips();
+      });
+    });
+  }
+
+  // Existing tags matching what's typed, best matches (prefix) first
+  function matchingTags(text) {
+    const query = text.trim().toLowerCase();
+    if (!query) return [];
+    return allTags
+      .filter(tag => !selectedTagIds.includes(tag.id) && tag.name.toLowerCase().includes(query))
+      .sort((a, b) => b.name.toLowerCase().startsWith(query) - a.name.toLowerCase().startsWith(query))
+      .slice(0, 6);
+  }
+
+  function addTag(id) {
+    selectedTagIds.push(id);
+    tagInput.value = '';
+    tagSuggestions.classList.add('hidden');
+    renderTagChips();
+    tagInput.focus();
+  }
+
+  tagInput.addEventListener('input', () => {
+    const matches = matchingTags(tagInput.value);
+    tagSuggestions.classList.toggle('hidden', matches.length === 0);
+    tagSuggestions.innerHTML = matches.map((tag, i) => `
+      <div class="tag-suggestion ${i === 0 ? 'active' : ''}" data-id="${tag.id}">${escapeHtml(tag.name)}</div>
+    `).join('');
+
+    tagSuggestions.querySelectorAll('.tag-suggestion').forEach(item => {
+      // mousedown so the pick lands before the input loses focus
+      item.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        addTag(item.dataset.id);
+      });
+    });
+  });
+
+  tagInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      const [first] = matchingTags(tagInput.value);
+      if (first) addTag(first.id);
+    } else if (e.key === 'Backspace' && !tagInput.value && selectedTagIds.length) {
+      selectedTagIds.pop();
+      renderTagChips();
+    } else if (e.key === 'Escape') {
+      tagSuggestions.classList.add('hidden');
+    }
+  });
+
+  tagInput.addEventListener('blur', () => {
+    tagSuggestions.classList.add('hidden');
+  });
+
+  editorSkipBtn.addEventListener('click', closeSaveEditor);
+
+  editorDoneBtn.addEventListener('click', async () => {
+    if (!editingSaveId) return;
+
+    editorDoneBtn.disabled = true;
+    editorDoneBtn.textContent = 'Saving...';
+    editorError.textContent = '';
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'fileSave',
+      saveId: editingSaveId,
+      filing: {
+        tagIds: selectedTagIds,
+        folderId: folderSelect.value || null,
+        isFavorite: favoriteCheckbox.checked,
+        note: noteInput.value,
+      },
+    });
+
+    editorDoneBtn.disabled = false;
+    editorDoneBtn.textContent = 'Done';
+
+    if (response?.success) {
+      closeSaveEditor();
+      loadRecentSaves();
+    } else {
+      editorError.textContent = response?.error || 'Failed to update save';
+    }
+  });
+
+  // Load saves waiting in the retry queue
+  async function loadPendingSaves() {
+    const response = await chrome.runtime.sendMessage({ action: 'getPendingSaves' });
+    const items = response?.items || [];
+
+    pendingSection.classList.toggle('hidden', items.length === 0);
+    pendingCount.textContent = items.length ? `(${items.length})` : '';
+    if (!items.length) {
+      pendingList.innerHTML = '';
+      return;
+    }
+
+    pendingList.innerHTML = items.map(item => {
+      const isHighlight = item.kind === 'highlight';
+      const title = item.row.title || item.row.highlight?.substring(0, 50) || item.row.url;
+      const tries = `${item.attempts} ${item.attempts === 1 ? 'try' : 'tries'}`;
+      const next = item.nextAttemptAt > Date.now()
+        ? `next ${new Date(item.nextAttemptAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+        : 'retrying soon';
+
+      return `
+        <div class="save-item pending-item" data-id="${item.id}">
+          <div class="icon ${isHighlight ? 'highlight' : ''}">
+            ${isHighlight ? '✨' : '📄'}
+          </div>
+          <div class="content">
+            <div class="title">${escapeHtml(title)}</div>
+            <div class="meta">${tries} · ${next}</div>
+            <div class="meta pending-error" title="${escapeHtml(item.lastError)}">${escapeHtml(item.lastError)}</div>
+          </div>
+          <div class="pending-actions">
+            <button class="text-btn" data-action="retry">Retry</button>
+            <button class="text-btn" data-action="discard">Discard</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    pendingList.querySelectorAll('.pending-item').forEach(item => {
+      item.querySelector('[data-action="retry"]').addEventListener('click', async (e) => {
+        e.target.disabled = true;
+        e.target.textContent = 'Retrying...';
+        await chrome.runtime.sendMessage({ action: 'retryPendingSaves', id: item.dataset.id });
+        loadPendingSaves();
+        loadRecentSaves();
+      });
+
+      item.querySelector('[data-action="discard"]').addEventListener('click', async () => {
+        if (!confirm('Discard this save? It will not be stored in Stash.')) return;
+        await chrome.runtime.sendMessage({ action: 'discardPendingSave', id: item.dataset.id });
+        loadPendingSaves();
+      });
+    });
+  }
+
+  // Retry every pending save now
+  retryAllBtn.addEventListener('click', async () => {
+    retryAllBtn.disabled = true;
+    retryAllBtn.textContent = 'Retrying...';
+    await chrome.runtime.sendMessage({ action: 'retryPendingSaves' });
+    retryAllBtn.disabled = false;
+    retryAllBtn.textContent = 'Retry all';
+    loadPendingSaves();
+    loadRecentSaves();
+  });
+
   // Load recent saves
   async function loadRecentSaves() {
     const response = await chrome.runtime.sendMessage({ action: 'getRecentSaves' });
@@ -183,17 +433,86 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
+  // Save all (or the selected) tabs in this window
+  async function initSaveTabs() {
+    const { id: windowId } = await chrome.windows.getCurrent();
+    const { stash_close_saved_tabs: closeTabs = false } = await chrome.storage.local.get(['stash_close_saved_tabs']);
+    closeTabsCheckbox.checked = closeTabs;
+
+    const counts = (await chrome.runtime.sendMessage({ action: 'countTabs', windowId })) || { all: 0, selected: 0 };
+    saveTabsBtn.textContent = `Save All Tabs (${counts.all})`;
+    saveTabsBtn.disabled = counts.all === 0;
+    // Selecting tabs (Shift/Cmd-click) offers saving just those
+    if (counts.selected > 1) {
+      saveSelectedBtn.textContent = `Save Selected (${counts.selected})`;
+      saveSelectedBtn.classList.remove('hidden');
+    }
+
+    // A batch started earlier may still be running
+    const { progress } = await chrome.runtime.sendMessage({ action: 'getSaveTabsProgress' });
+    if (progress?.running) renderTabsProgress(progress);
+
+    saveTabsBtn.addEventListener('click', () => saveTabs(windowId, 'all'));
+    saveSelectedBtn.addEventListener('click', () => saveTabs(windowId, 'selected'));
+    closeTabsCheckbox.addEventListener('change', () => {
+      chrome.storage.local.set({ stash_close_saved_tabs: closeTabsCheckbox.checked });
+    });
+  }
+
+  async function saveTabs(windowId, mode) {
+    saveTabsBtn.disabled = true;
+    saveSelectedBtn.disabled = true;
+    tabsFailed.innerHTML = '';
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'saveTabs',
+      windowId,
+      mode,
+      closeTabs: closeTabsCheckbox.checked,
+    });
+
+    saveTabsBtn.disabled = false;
+    saveSelectedBtn.disabled = false;
+
+    if (response?.success) {
+      renderTabsProgress(response.result);
+      tabsProgressText.textContent = response.summary;
+    } else {
+      tabsProgress.classList.remove('hidden');
+      tabsProgressText.textContent = response?.error || 'Failed to save tabs';
+    }
+    loadRecentSaves();
+    loadPendingSaves();
+  }
+
+  function renderTabsProgress(progress) {
+    tabsProgress.classList.remove('hidden');
+    tabsProgressFill.style.width = `${Math.round((progress.done / progress.total) * 100)}%`;
+    tabsProgressText.textContent = progress.running
+      ? `Saving ${progress.done + 1} of ${progress.total}: ${progress.current || ''}`
+      : `Saved ${progress.saved} of ${progress.total} tabs`;
+
+    tabsFailed.innerHTML = progress.failed.map(tab => `
+      <li title="${escapeHtml(tab.error)}">${escapeHtml(tab.title || tab.url)}</li>
+    `).join('');
+  }
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === 'saveTabsProgress' && message.progress) {
+      renderTabsProgress(message.progress);
+    }
+  });
+
   // Open web app
   openAppLink.addEventListener('click', (e) => {
     e.preventDefault();
     chrome.tabs.create({ url: CONFIG.WEB_APP_URL });
   });
 
-  // Helper
+  // Helper: quotes are escaped too, so the result is safe inside attribute values
   function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    if (!text) return '';
+    return String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
   }
 
 });
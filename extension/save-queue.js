@@ -0,0 +1,150 @@
+// Offline save queue for the Chrome extension
+// Saves that fail to reach Supabase (offline, expired session, outage) are kept
+// in chrome.storage.local and retried with exponential backoff
+
+const SAVE_QUEUE_KEY = 'stash_save_queue';
+const SAVE_QUEUE_ALARM = 'stash-retry-queue';
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+// After this many failed attempts an item waits for a manual retry from the popup
+const MAX_AUTO_ATTEMPTS = 10;
+
+class SaveQueue {
+  constructor() {
+    this.running = null;
+  }
+
+  /**
+   * Delay before the next automatic retry: 30s, 1m, 2m, 4m... capped at 1 hour
+   * @param {number} attempts - Failed attempts so far
+   * @returns {number} Milliseconds
+   */
+  static retryDelay(attempts) {
+    return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+  }
+
+  async getItems() {
+    const stored = await chrome.storage.local.get([SAVE_QUEUE_KEY]);
+    return stored[SAVE_QUEUE_KEY] || [];
+  }
+
+  async setItems(items) {
+    await chrome.storage.local.set({ [SAVE_QUEUE_KEY]: items });
+    await this.updateBadge(items);
+    await this.scheduleRetry(items);
+  }
+
+  /**
+   * Queue a save that couldn't be stored
+   * @param {Object} row - The saves row that failed to insert
+   * @param {Object} info
+   * @param {string} info.kind - 'page' or 'highlight'
+   * @param {Error} info.error - Why it failed
+   * @returns {Promise<Object>} The queued item
+   */
+  async add(row, { kind, error }) {
+    const now = Date.now();
+    const item = {
+      id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+      kind,
+      row,
+      attempts: 1,
+      lastError: error?.message || 'Unknown error',
+      lastStatus: error?.status || null,
+      queuedAt: new Date(now).toISOString(),
+      nextAttemptAt: now + SaveQueue.retryDelay(1),
+    };
+
+    await this.setItems([...(await this.getItems()), item]);
+    return item;
+  }
+
+  async remove(id) {
+    await this.setItems((await this.getItems()).filter((item) => item.id !== id));
+  }
+
+  /**
+   * Try to store queued saves
+   * @param {Function} insert - Stores one saves row; throws on failure
+   * @param {Object} options
+   * @param {boolean} options.force - Retry everything now, ignoring backoff and the attempt limit
+   * @param {string} options.id - Only retry this item (implies force)
+   * @returns {Promise<{saved: number, failed: number, remaining: number}>}
+   */
+  async process(insert, { force = false, id = null } = {}) {
+    // One run at a time; an alarm and a popup click can arrive together
+    if (this.running) await this.running;
+    this.running = this.runOnce(insert, { force: force || !!id, id });
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  async runOnce(insert, { force, id }) {
+    const now = Date.now();
+    const items = await this.getItems();
+    const result = { saved: 0, failed: 0, remaining: 0 };
+    const savedIds = new Set();
+
+    for (const item of items) {
+      const due = id
+        ? item.id === id
+        : force || (item.attempts < MAX_AUTO_ATTEMPTS && item.nextAttemptAt <= now);
+      if (!due) continue;
+
+      try {
+        await insert(item.row);
+        savedIds.add(item.id);
+        result.saved++;
+      } catch (err) {
+        item.attempts++;
+        item.lastError = err.message;
+        item.lastStatus = err.status || null;
+        item.nextAttemptAt = Date.now() + SaveQueue.retryDelay(item.attempts);
+        result.failed++;
+      }
+    }
+
+    // Re-read so items queued while this run was in flight aren't dropped
+    const updated = new Map(items.map((item) => [item.id, item]));
+    const latest = (await this.getItems())
+      .filter((item) => !savedIds.has(item.id))
+      .map((item) => updated.get(item.id) || item);
+
+    await this.setItems(latest);
+    result.remaining = latest.length;
+    return result;
+  }
+
+  /**
+   * Show the number of pending saves on the toolbar icon
+   * @param {Array} items - Queue items
+   */
+  async updateBadge(items) {
+    const count = (items || (await this.getItems())).length;
+    await chrome.action.setBadgeText({ text: count > 0 ? String(count) : '' });
+    if (count > 0) {
+      await chrome.action.setBadgeBackgroundColor({ color: '#f59e0b' });
+    }
+  }
+
+  /**
+   * Set an alarm for the earliest automatic retry
+   * Service workers are shut down when idle, so a timer wouldn't survive
+   * @param {Array} items - Queue items
+   */
+  async scheduleRetry(items) {
+    const next = items
+      .filter((item) => item.attempts < MAX_AUTO_ATTEMPTS)
+      .reduce((earliest, item) => Math.min(earliest, item.nextAttemptAt), Infinity);
+
+    if (next === Infinity) {
+      await chrome.alarms.clear(SAVE_QUEUE_ALARM);
+    } else {
+      // Chrome runs alarms at most every 30 seconds
+      await chrome.alarms.create(SAVE_QUEUE_ALARM, { when: Math.max(next, Date.now() + 30 * 1000) });
+    }
+  }
+}
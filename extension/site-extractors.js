@@ -0,0 +1,490 @@
+// Site-specific extractors for pages Readability handles badly: X threads,
+// Hacker News and Reddit discussions, GitHub READMEs and issues, Substack notes.
+// Loaded as a content script before content.js, which tries these first.
+// Mirrors supabase/functions/save-page/site-extractors.ts; tests/unit/site-extractors.test.ts
+// runs both copies against the same fixtures.
+
+// Wrapped so its helpers don't collide with content.js in the shared content script scope
+const SiteExtractors = (() => {
+  // Discussions can run to thousands of comments; keep the top of the thread
+  const MAX_COMMENTS = 200;
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function textOf(el) {
+    return (el?.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+
+  function meta(doc, key) {
+    const el = doc.querySelector(`meta[property="${key}"]`) || doc.querySelector(`meta[name="${key}"]`);
+    return el?.getAttribute('content') || null;
+  }
+
+  function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+  }
+
+  function toNumber(value) {
+    const digits = String(value ?? '').replace(/[^\d]/g, '');
+    return digits ? Number(digits) : null;
+  }
+
+  // Plain text as paragraphs
+  function paragraphs(text) {
+    return text
+      .split(/\n{2,}/)
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .map((part) => `<p>${escapeHtml(part).replace(/\n/g, '<br>')}</p>`)
+      .join('');
+  }
+
+  // Copy of an element without site chrome (buttons, reply links), with emoji
+  // images turned back into the characters in their alt text
+  function cleanCopy(el, removeSelectors = []) {
+    const copy = el.cloneNode(true);
+    removeSelectors.forEach((selector) => {
+      copy.querySelectorAll(selector).forEach((node) => node.remove());
+    });
+    copy.querySelectorAll('img[alt]').forEach((img) => {
+      const src = img.getAttribute('src') || '';
+      if (/emoji/.test(src)) img.replaceWith(el.ownerDocument.createTextNode(img.getAttribute('alt')));
+    });
+    return copy;
+  }
+
+  function cleanHtml(el, removeSelectors = []) {
+    return el ? cleanCopy(el, removeSelectors).innerHTML.trim() : '';
+  }
+
+  // A comment, nested in one blockquote per level of reply
+  function commentHtml({ author, date, score, body }, depth) {
+    const details = [
+      `<strong>${escapeHtml(author || '[deleted]')}</strong>`,
+      score !== null && score !== undefined ? `${score} point${score === 1 ? '' : 's'}` : null,
+      date ? escapeHtml(date.slice(0, 10)) : null,
+    ].filter(Boolean).join(' · ');
+    const html = `<p>${details}</p><div>${body}</div>`;
+    return '<blockquote>'.repeat(depth) + html + '</blockquote>'.repeat(depth);
+  }
+
+  // Objects from the page's JSON-LD scripts, with @graph entries flattened
+  function jsonLd(doc) {
+    const items = [];
+    doc.querySelectorAll('script[type="application/ld+json"]').forEach((script) => {
+      try {
+        const data = JSON.parse(script.textContent);
+        [data].flat().forEach((item) => items.push(...(item?.['@graph'] || [item])));
+      } catch {
+        // Ignore malformed blocks
+      }
+    });
+    return items;
+  }
+
+  // ==================== X / Twitter ====================
+
+  function parseTweet(el) {
+    const profileLink = el.querySelector('[data-testid="User-Name"] a[href^="/"]');
+    const handle = (profileLink?.getAttribute('href') || '').split('/')[1] || null;
+    const time = el.querySelector('time[datetime]');
+    const permalink = time?.closest('a')?.getAttribute('href') || '';
+    const textEl = el.querySelector('[data-testid="tweetText"]');
+    const text = textEl ? cleanCopy(textEl) : null;
+
+    return {
+      id: (permalink.match(/\/status\/(\d+)/) || [])[1] || null,
+      handle,
+      name: textOf(profileLink) || handle,
+      date: time?.getAttribute('datetime') || null,
+      text: textOf(text),
+      html: text?.innerHTML.trim() || '',
+      images: [...el.querySelectorAll('[data-testid="tweetPhoto"] img')]
+        .map((img) => img.getAttribute('src'))
+        .filter(Boolean),
+    };
+  }
+
+  const twitter = {
+    name: 'x',
+
+    matches(url) {
+      return /^(mobile\.)?(x|twitter)\.com$/.test(url.hostname.replace(/^www\./, '')) &&
+        /\/status\/\d+/.test(url.pathname);
+    },
+
+    // The thread is the run of posts by the author around the linked post;
+    // replies from other people end it
+    extract(doc, url) {
+      const tweets = [...doc.querySelectorAll('article[data-testid="tweet"]')]
+        .map(parseTweet)
+        .filter((tweet) => tweet.handle && (tweet.text || tweet.images.length));
+      if (!tweets.length) return null;
+
+      const statusId = (url.pathname.match(/\/status\/(\d+)/) || [])[1];
+      const focalIndex = Math.max(0, tweets.findIndex((tweet) => tweet.id === statusId));
+      const focal = tweets[focalIndex];
+
+      let start = focalIndex;
+      while (start > 0 && tweets[start - 1].handle === focal.handle) start--;
+      let end = focalIndex + 1;
+      while (end < tweets.length && tweets[end].handle === focal.handle) end++;
+      const thread = tweets.slice(start, end);
+
+      const html = thread
+        .map((tweet) => `<div>${tweet.html}</div>${tweet.images.map((src) => `<img src="${escapeHtml(src)}" alt="">`).join('')}`)
+        .join('');
+
+      return {
+        title: `${focal.name} on X: "${truncate(thread[0].text || 'Photo', 80)}"`,
+        author: `${focal.name} (@${focal.handle})`,
+        html,
+        excerpt: truncate(thread.map((tweet) => tweet.text).join(' '), 300),
+        siteName: 'X',
+        publishedTime: thread[0].date,
+        imageUrl: thread.find((tweet) => tweet.images.length)?.images[0] || meta(doc, 'og:image'),
+        metadata: {
+          extractor: 'x',
+          tweet_id: thread[0].id || statusId,
+          handle: focal.handle,
+          post_count: thread.length,
+        },
+      };
+    },
+  };
+
+  // ==================== Hacker News ====================
+
+  const hackerNews = {
+    name: 'hacker-news',
+
+    matches(url) {
+      return url.hostname === 'news.ycombinator.com' && url.pathname === '/item';
+    },
+
+    extract(doc, url) {
+      const item = doc.querySelector('.fatitem');
+      if (!item) return null;
+
+      const titleLink = item.querySelector('.titleline > a');
+      const author = textOf(item.querySelector('.hnuser')) || null;
+      const date = (item.querySelector('.age')?.getAttribute('title') || '').split(' ')[0] || null;
+      const points = toNumber(textOf(item.querySelector('.score')));
+      // Story text (Ask HN, Show HN), or the comment when the item is a comment
+      const text = item.querySelector('.toptext') || item.querySelector('.commtext');
+
+      const href = titleLink?.getAttribute('href') || '';
+      const link = href && !href.startsWith('item?') ? new URL(href, url).href : null;
+
+      const rows = [...doc.querySelectorAll('tr.athing.comtr')];
+      const comments = rows.slice(0, MAX_COMMENTS).map((row) => {
+        const body = row.querySelector('.commtext');
+        if (!body) return ''; // Deleted or flagged
+        const indent = row.querySelector('td.ind');
+        const depth = toNumber(indent?.getAttribute('indent')) ??
+          Math.round((toNumber(indent?.querySelector('img')?.getAttribute('width')) || 0) / 40);
+        return commentHtml({
+          author: textOf(row.querySelector('.hnuser')),
+          date: row.querySelector('.age')?.getAttribute('title') || null,
+          body: cleanHtml(body, ['.reply']),
+        }, depth);
+      }).join('');
+
+      let html = '';
+      if (link) html += `<p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>`;
+      if (text) html += `<div>${cleanHtml(text, ['.reply'])}</div>`;
+      if (comments) html += `<h2>Comments</h2>${comments}`;
+
+      const title = textOf(titleLink) || `Comment by ${author || 'unknown'} on Hacker News`;
+      return {
+        title,
+        author,
+        html,
+        excerpt: truncate(textOf(text) || title, 300),
+        siteName: 'Hacker News',
+        publishedTime: date,
+        imageUrl: null,
+        metadata: {
+          extractor: 'hacker-news',
+          item_id: url.searchParams.get('id'),
+          points,
+          comment_count: rows.length,
+          link_url: link,
+        },
+      };
+    },
+  };
+
+  // ==================== Reddit ====================
+
+  // Current Reddit renders posts and comments as <shreddit-*> elements;
+  // old.reddit.com uses .thing blocks
+  function readRedditPost(doc) {
+    const post = doc.querySelector('shreddit-post');
+    if (post) {
+      const comments = [...doc.querySelectorAll('shreddit-comment')].map((comment) => ({
+        author: comment.getAttribute('author'),
+        depth: toNumber(comment.getAttribute('depth')) || 0,
+        score: toNumber(comment.getAttribute('score')),
+        date: comment.querySelector('faceplate-timeago')?.getAttribute('ts') || null,
+        body: cleanHtml(comment.querySelector('[slot="comment"]')),
+      }));
+      return {
+        title: post.getAttribute('post-title'),
+        author: post.getAttribute('author'),
+        subreddit: post.getAttribute('subreddit-prefixed-name'),
+        date: post.getAttribute('created-timestamp'),
+        score: toNumber(post.getAttribute('score')),
+        commentCount: toNumber(post.getAttribute('comment-count')),
+        link: post.getAttribute('content-href'),
+        body: post.querySelector('[slot="text-body"]'),
+        comments,
+      };
+    }
+
+    const thing = doc.querySelector('.thing.link');
+    if (!thing) return null;
+
+    const comments = [...doc.querySelectorAll('.commentarea .thing.comment')].map((comment) => {
+      let depth = 0;
+      for (let el = comment.parentElement; el; el = el.parentElement) {
+        if (el.classList?.contains('comment')) depth++;
+      }
+      // The comment's own entry comes before its replies
+      const entry = comment.querySelector('.entry');
+      return {
+        author: textOf(entry?.querySelector('.author')),
+        depth,
+        score: toNumber(entry?.querySelector('.score.unvoted')?.getAttribute('title')),
+        date: entry?.querySelector('time')?.getAttribute('datetime') || null,
+        body: cleanHtml(entry?.querySelector('.md')),
+      };
+    });
+    const subreddit = thing.getAttribute('data-subreddit');
+    return {
+      title: textOf(thing.querySelector('a.title')),
+      author: thing.getAttribute('data-author') || textOf(thing.querySelector('.author')),
+      subreddit: subreddit ? `r/${subreddit}` : null,
+      date: thing.querySelector('time')?.getAttribute('datetime') || null,
+      score: toNumber(thing.getAttribute('data-score')),
+      commentCount: toNumber(thing.getAttribute('data-comments-count')),
+      link: thing.getAttribute('data-url'),
+      body: thing.querySelector('.md'),
+      comments,
+    };
+  }
+
+  const reddit = {
+    name: 'reddit',
+
+    matches(url) {
+      return /(^|\.)reddit\.com$/.test(url.hostname) && /\/comments\/\w+/.test(url.pathname);
+    },
+
+    extract(doc, url) {
+      const post = readRedditPost(doc);
+      if (!post?.title) return null;
+
+      // Link posts point elsewhere; self posts point back at themselves
+      const link = post.link && !/reddit\.com\/r\/[^/]+\/comments\//.test(new URL(post.link, url).href)
+        ? new URL(post.link, url).href
+        : null;
+
+      const comments = post.comments
+        .filter((comment) => comment.body)
+        .slice(0, MAX_COMMENTS)
+        .map((comment) => commentHtml(comment, comment.depth))
+        .join('');
+
+      let html = '';
+      if (link) html += `<p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>`;
+      if (post.body) html += `<div>${cleanHtml(post.body)}</div>`;
+      if (comments) html += `<h2>Comments</h2>${comments}`;
+
+      return {
+        title: post.title,
+        author: post.author ? `u/${post.author}` : null,
+        html,
+        excerpt: truncate(textOf(post.body) || post.title, 300),
+        siteName: post.subreddit || 'Reddit',
+        publishedTime: post.date,
+        imageUrl: meta(doc, 'og:image'),
+        metadata: {
+          extractor: 'reddit',
+          subreddit: post.subreddit,
+          score: post.score,
+          comment_count: post.commentCount ?? post.comments.length,
+          link_url: link,
+        },
+      };
+    },
+  };
+
+  // ==================== GitHub ====================
+
+  const GITHUB_RESERVED = ['orgs', 'settings', 'marketplace', 'explore', 'topics', 'search', 'notifications', 'login', 'sponsors'];
+
+  function githubPath(url) {
+    const [owner, repo, section, number] = url.pathname.split('/').filter(Boolean);
+    if (!owner || !repo || GITHUB_RESERVED.includes(owner)) return null;
+    return { repo: `${owner}/${repo}`, section, number };
+  }
+
+  function githubReadme(doc, repo) {
+    const readme = doc.querySelector('article.markdown-body');
+    if (!readme) return null;
+
+    // "A description. Contribute to owner/repo development by creating an account on GitHub."
+    const description = (meta(doc, 'og:description') || '').replace(/\s*Contribute to .* development by creating an account on GitHub\.$/, '') || null;
+    const stars = toNumber(doc.querySelector('#repo-stars-counter-star')?.getAttribute('title'));
+
+    return {
+      title: description ? `${repo}: ${description}` : repo,
+      author: repo.split('/')[0],
+      html: cleanHtml(readme, ['a.anchor', 'svg']),
+      excerpt: truncate(description || textOf(readme), 300),
+      siteName: 'GitHub',
+      publishedTime: null,
+      imageUrl: meta(doc, 'og:image'),
+      metadata: { extractor: 'github', kind: 'repository', repo, description, stars },
+    };
+  }
+
+  function githubIssue(doc, repo, kind, number) {
+    const title = textOf(doc.querySelector('.js-issue-title, bdi.markdown-title, [data-testid="issue-title"]'));
+    const comments = [...doc.querySelectorAll('.timeline-comment')]
+      .map((comment) => ({
+        author: textOf(comment.querySelector('.author')),
+        date: comment.querySelector('relative-time')?.getAttribute('datetime') || null,
+        body: cleanHtml(comment.querySelector('.comment-body'), ['a.anchor', 'svg']),
+      }))
+      .filter((comment) => comment.body);
+    if (!title || !comments.length) return null;
+
+    const state = textOf(doc.querySelector('.gh-header-meta .State, [data-testid="header-state"]')) || null;
+    const [opening, ...replies] = comments;
+
+    let html = `<p>${escapeHtml([state, `${repo}#${number}`, `opened by ${opening.author}`].filter(Boolean).join(' · '))}</p>`;
+    html += `<div>${opening.body}</div>`;
+    if (replies.length) {
+      html += `<h2>Comments</h2>${replies.slice(0, MAX_COMMENTS).map((reply) => commentHtml(reply, 0)).join('<hr>')}`;
+    }
+
+    return {
+      title: `${title} (${repo}#${number})`,
+      author: opening.author || null,
+      html,
+      excerpt: truncate(textOf(doc.querySelector('.timeline-comment .comment-body')) || title, 300),
+      siteName: 'GitHub',
+      publishedTime: opening.date,
+      imageUrl: meta(doc, 'og:image'),
+      metadata: {
+        extractor: 'github',
+        kind,
+        repo,
+        number: Number(number),
+        state,
+        comment_count: replies.length,
+      },
+    };
+  }
+
+  const github = {
+    name: 'github',
+
+    matches(url) {
+      const path = url.hostname === 'github.com' ? githubPath(url) : null;
+      if (!path) return false;
+      return !path.section || path.section === 'tree' || (['issues', 'pull'].includes(path.section) && /^\d+$/.test(path.number || ''));
+    },
+
+    extract(doc, url) {
+      const path = githubPath(url);
+      if (!path) return null;
+      const { repo, section, number } = path;
+      if (section === 'issues' || section === 'pull') {
+        return githubIssue(doc, repo, section === 'pull' ? 'pull' : 'issue', number);
+      }
+      return githubReadme(doc, repo);
+    },
+  };
+
+  // ==================== Substack notes ====================
+
+  const substackNote = {
+    name: 'substack-note',
+
+    matches(url) {
+      return /(^|\.)substack\.com$/.test(url.hostname) && /\/note\/c-\d+/.test(url.pathname);
+    },
+
+    // Notes are rendered by script; the post itself is in the JSON-LD and meta tags
+    extract(doc, url) {
+      const posting = jsonLd(doc).find((item) => /Posting$/.test(item?.['@type'] || ''));
+      const text = posting?.articleBody || posting?.text || meta(doc, 'og:description') || '';
+      if (!text.trim()) return null;
+
+      const author = [posting?.author].flat()[0]?.name || meta(doc, 'author') || null;
+      const handle = (url.pathname.match(/\/@([\w-]+)/) || [])[1] || null;
+
+      return {
+        title: `${author || 'Note'} on Substack: "${truncate(text.replace(/\s+/g, ' ').trim(), 80)}"`,
+        author,
+        html: paragraphs(text),
+        excerpt: truncate(text.replace(/\s+/g, ' ').trim(), 300),
+        siteName: 'Substack',
+        publishedTime: posting?.datePublished || null,
+        imageUrl: meta(doc, 'og:image'),
+        metadata: {
+          extractor: 'substack-note',
+          note_id: (url.pathname.match(/\/note\/(c-\d+)/) || [])[1],
+          handle,
+        },
+      };
+    },
+  };
+
+  // Checked in order; the first extractor that matches the URL is used
+  const SITE_EXTRACTORS = [twitter, hackerNews, reddit, github, substackNote];
+
+  function findSiteExtractor(pageUrl) {
+    let url;
+    try {
+      url = new URL(pageUrl);
+    } catch {
+      return null;
+    }
+    return SITE_EXTRACTORS.find((extractor) => extractor.matches(url)) || null;
+  }
+
+  /**
+   * Extract a page with its site's extractor
+   * Returns null when no extractor handles the URL, or the page isn't what it
+   * expected (logged out, markup changed) - callers then fall back to Readability.
+   */
+  function extractSite(doc, pageUrl) {
+    const extractor = findSiteExtractor(pageUrl);
+    if (!extractor) return null;
+
+    try {
+      const article = extractor.extract(doc, new URL(pageUrl));
+      return article?.html ? article : null;
+    } catch (err) {
+      console.warn(`Site extractor ${extractor.name} failed:`, err);
+      return null;
+    }
+  }
+
+  return {
+    MAX_COMMENTS,
+    SITE_EXTRACTORS,
+    find: findSiteExtractor,
+    extract: extractSite,
+  };
+})();
@@ -63,6 +63,30 @@ class SupabaseClient {
     return await res.json();
   }
 
+  // Exchange the stored refresh token for a new access token
+  // Returns false when there's no session to refresh or the refresh was rejected
+  async refreshSession() {
+    const stored = await chrome.storage.local.get(['stash_session']);
+    const refreshToken = stored.stash_session?.refresh_token;
+    if (!refreshToken) return false;
+
+    const res = await fetch(`${this.url}/auth/v1/token?grant_type=refresh_token`, {
+      method: 'POST',
+      headers: {
+        'apikey': this.anonKey,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ refresh_token: refreshToken }),
+    });
+
+    if (!res.ok) return false;
+
+    const data = await res.json();
+    this.accessToken = data.access_token;
+    await chrome.storage.local.set({ stash_session: data });
+    return true;
+  }
+
   async signOut() {
     this.accessToken = null;
     await chrome.storage.local.remove(['stash_session']);
@@ -80,20 +104,30 @@ class SupabaseClient {
   }
 
   // Database operations
-  async insert(table, data) {
+  // ignoreDuplicates skips rows that clash with the primary key instead of failing
+  async insert(table, data, { ignoreDuplicates = false, retried = false } = {}) {
     console.log('Supabase insert:', table, 'data keys:', Object.keys(data));
+    const prefer = ignoreDuplicates ? 'return=representation,resolution=ignore-duplicates' : 'return=representation';
     const res = await fetch(`${this.url}/rest/v1/${table}`, {
       method: 'POST',
-      headers: { ...this.headers, 'Prefer': 'return=representation' },
+      headers: { ...this.headers, 'Prefer': prefer },
       body: JSON.stringify(data),
     });
 
     console.log('Supabase response status:', res.status);
 
+    // Expired access token: refresh once and try again
+    if (res.status === 401 && !retried && await this.refreshSession()) {
+      return this.insert(table, data, { ignoreDuplicates, retried: true });
+    }
+
     if (!res.ok) {
-      const err = await res.json();
+      const err = await res.json().catch(() => ({}));
       console.error('Supabase insert error:', err);
-      throw new Error(err.message || err.error || 'Insert failed');
+      // status lets callers tell a rejected row from an outage
+      const error = new Error(err.message || err.error || `Insert failed (${res.status})`);
+      error.status = res.status;
+      throw error;
     }
 
     const result = await res.json();
@@ -110,6 +144,14 @@ class SupabaseClient {
       }
     }
 
+    // { column: [values] } - matches any of the values
+    if (options.in) {
+      for (const [key, values] of Object.entries(options.in)) {
+        const list = values.map(v => `"${String(v).replace(/["\\]/g, '\\$&')}"`).join(',');
+        url += `&${key}=in.(${encodeURIComponent(list)})`;
+      }
+    }
+
     if (options.order) {
       url += `&order=${options.order}`;
     }
@@ -128,6 +170,50 @@ class SupabaseClient {
     return await res.json();
   }
 
+  // Call a Postgres function; options.select and options.limit apply to set-returning functions
+  async rpc(fn, params, options = {}) {
+    let url = `${this.url}/rest/v1/rpc/${fn}?select=${options.select || '*'}`;
+
+    if (options.limit) {
+      url += `&limit=${options.limit}`;
+    }
+
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: this.headers,
+      body: JSON.stringify(params),
+    });
+
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || 'RPC failed');
+    }
+
+    return await res.json();
+  }
+
+  // Call an Edge Function
+  // body is sent as JSON, or as-is when options.contentType is set (e.g. a file)
+  async invoke(fn, body, options = {}) {
+    const query = new URLSearchParams(options.params || {}).toString();
+    const contentType = options.contentType || 'application/json';
+
+    const res = await fetch(`${this.url}/functions/v1/${fn}${query ? `?${query}` : ''}`, {
+      method: 'POST',
+      headers: { ...this.headers, 'Content-Type': contentType },
+      body: options.contentType ? body : JSON.stringify(body),
+    });
+
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      const error = new Error(err.error || err.message || `${fn} failed (${res.status})`);
+      error.status = res.status;
+      throw error;
+    }
+
+    return await res.json();
+  }
+
   async update(table, id, data) {
     const res = await fetch(`${this.url}/rest/v1/${table}?id=eq.${id}`, {
       method: 'PATCH',
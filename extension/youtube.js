@@ -0,0 +1,150 @@
+// YouTube capture - loaded by the background service worker
+// Reads a watch page's video details and captions so the video is saved with its transcript
+
+// Transcript paragraphs start a new line after this long, at the next sentence end
+const TRANSCRIPT_PARAGRAPH_SECONDS = 30;
+// ...or regardless of punctuation (auto-generated captions have none)
+const TRANSCRIPT_PARAGRAPH_MAX_SECONDS = 60;
+
+/**
+ * Runs in the page's main world (YouTube's own player state isn't visible to
+ * content scripts). Must be self-contained - it's serialized into the page,
+ * which is also why it isn't a method.
+ * Reads the player rather than ytInitialPlayerResponse, which goes stale when
+ * YouTube navigates between videos without a page load.
+ * @param {string} videoId - Video the tab should be showing
+ * @returns {Promise<Object|null>} Video details and caption cues
+ */
+async function readYouTubePlayer(videoId) {
+  const player = document.getElementById('movie_player');
+  let response = player?.getPlayerResponse?.();
+  if (response?.videoDetails?.videoId !== videoId) response = window.ytInitialPlayerResponse;
+  if (response?.videoDetails?.videoId !== videoId) return null;
+
+  const details = response.videoDetails;
+  const micro = response.microformat?.playerMicroformatRenderer || {};
+  const tracks = response.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+
+  // Prefer captions written by the uploader over auto-generated ones
+  const track = tracks.find((t) => t.kind !== 'asr') || tracks[0];
+  let cues = [];
+  if (track) {
+    try {
+      const res = await fetch(`${track.baseUrl}&fmt=json3`);
+      const data = res.ok ? await res.json() : {};
+      cues = (data.events || [])
+        .filter((event) => event.segs)
+        .map((event) => ({
+          start: event.tStartMs / 1000,
+          text: event.segs.map((seg) => seg.utf8 || '').join(''),
+        }));
+    } catch {
+      // Saved without a transcript
+    }
+  }
+
+  const thumbnails = details.thumbnail?.thumbnails || [];
+  return {
+    videoId,
+    title: details.title,
+    channel: details.author,
+    channelUrl: micro.ownerProfileUrl || null,
+    description: details.shortDescription || '',
+    durationSeconds: Number(details.lengthSeconds) || null,
+    publishedAt: micro.publishDate || micro.uploadDate || null,
+    thumbnailUrl: thumbnails[thumbnails.length - 1]?.url || null,
+    isLive: !!details.isLiveContent,
+    captions: track
+      ? { language: track.languageCode, autoGenerated: track.kind === 'asr' }
+      : null,
+    cues,
+  };
+}
+
+class YouTubeCapture {
+  /**
+   * Video id of a YouTube watch page, or null for any other URL
+   * @param {string} href - Page URL
+   * @returns {string|null}
+   */
+  static videoId(href) {
+    let url;
+    try {
+      url = new URL(href);
+    } catch {
+      return null;
+    }
+
+    const host = url.hostname.replace(/^(www|m|music)\./, '');
+    if (host === 'youtu.be') return url.pathname.slice(1) || null;
+    if (host !== 'youtube.com') return null;
+    if (url.pathname === '/watch') return url.searchParams.get('v');
+
+    const short = url.pathname.match(/^\/(?:shorts|live)\/([\w-]+)/);
+    return short ? short[1] : null;
+  }
+
+  /**
+   * Format seconds as m:ss or h:mm:ss
+   * Same format as formatTimestamp in web/utils/transcript.js, which links them in the reader
+   * @param {number} seconds
+   * @returns {string}
+   */
+  static formatTimestamp(seconds) {
+    const total = Math.floor(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+  }
+
+  /**
+   * Join caption cues into paragraphs, each starting with its timestamp
+   * e.g. "[0:00] Welcome back to the channel...\n\n[0:34] Today we're..."
+   * @param {Array<{start: number, text: string}>} cues - Caption cues in order
+   * @returns {string}
+   */
+  static transcriptFromCues(cues) {
+    const paragraphs = [];
+    let current = null;
+
+    cues.forEach(({ start, text }) => {
+      const clean = text.replace(/\s+/g, ' ').trim();
+      if (!clean || /^\[[^\]]*\]$/.test(clean)) return; // Empty, or "[Music]" and the like
+
+      const elapsed = current ? start - current.start : 0;
+      const endsSentence = current && /[.!?]["')\]]?$/.test(current.text);
+      if (!current || elapsed >= TRANSCRIPT_PARAGRAPH_MAX_SECONDS || (elapsed >= TRANSCRIPT_PARAGRAPH_SECONDS && endsSentence)) {
+        current = { start, text: clean };
+        paragraphs.push(current);
+      } else {
+        current.text += ` ${clean}`;
+      }
+    });
+
+    return paragraphs
+      .map((paragraph) => `[${YouTubeCapture.formatTimestamp(paragraph.start)}] ${paragraph.text}`)
+      .join('\n\n');
+  }
+
+  /**
+   * Capture the video showing in a tab
+   * @param {Object} tab - Tab on a YouTube watch page
+   * @returns {Promise<Object|null>} Video details with `transcript`, or null if the player couldn't be read
+   */
+  static async capture(tab) {
+    const videoId = YouTubeCapture.videoId(tab.url);
+    if (!videoId) return null;
+
+    const [{ result } = {}] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      world: 'MAIN',
+      func: readYouTubePlayer,
+      args: [videoId],
+    });
+    if (!result) return null;
+
+    const { cues, ...video } = result;
+    return { ...video, transcript: YouTubeCapture.transcriptFromCues(cues) };
+  }
+}
@@ -0,0 +1,48 @@
+// Canonical page URLs: the page's canonical link when usable, without tracking
+// parameters or #fragments. Duplicates are caught by saves.url_key, which the
+// database sets from the URL (supabase/migrations/009_url_keys.sql).
+// Mirrors cleanUrl/canonicalUrl in web/utils/canonical-url.js.
+
+const TRACKING_PARAM_PATTERN = /^(utm_[a-z0-9_]*|fbclid|gclid|gclsrc|dclid|msclkid|yclid|twclid|igshid|mc_cid|mc_eid|_hsenc|_hsmi|mkt_tok|ref_src|ref_url)$/i;
+
+// #!/... and #/... are app routes, so part of the address
+const ROUTE_FRAGMENT_PATTERN = /^#[!/]/;
+
+export function cleanUrl(href: string): string {
+  let url: URL;
+  try {
+    url = new URL(href);
+  } catch {
+    return href;
+  }
+  if (!/^https?:$/.test(url.protocol)) return href;
+
+  // Deleting re-encodes the whole query, so it's left alone when there's nothing to drop
+  [...url.searchParams.keys()]
+    .filter((key) => TRACKING_PARAM_PATTERN.test(key))
+    .forEach((key) => url.searchParams.delete(key));
+  if (!ROUTE_FRAGMENT_PATTERN.test(url.hash)) url.hash = "";
+  return url.href;
+}
+
+export function canonicalUrl(pageUrl: string, canonicalHref?: string | null): string {
+  if (canonicalHref) {
+    try {
+      const page = new URL(pageUrl);
+      const canonical = new URL(canonicalHref, page);
+      // Some sites point every page's canonical link at their home page
+      const pointsHome = canonical.pathname === "/" && page.pathname !== "/";
+      if (/^https?:$/.test(canonical.protocol) && !pointsHome) {
+        return cleanUrl(canonical.href);
+      }
+    } catch {
+      // Unparseable canonical link; use the page address
+    }
+  }
+  return cleanUrl(pageUrl);
+}
+
+// href of a parsed page's <link rel="canonical">
+export function canonicalLink(doc: any): string | null {
+  return doc.querySelector('link[rel="canonical"]')?.getAttribute("href") || null;
+}
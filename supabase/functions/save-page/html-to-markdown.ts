@@ -0,0 +1,182 @@
+import { parseHTML } from "https://esm.sh/linkedom@0.16.8";
+
+// Convert Readability's article HTML into the two forms stored on a save:
+// plain text (saves.content - searched and excerpted) and Markdown
+// (saves.content_markdown - rendered in the reader view).
+// Mirrors htmlToText/htmlToMarkdown in extension/content.js.
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+
+const SKIP_TAGS = ["script", "style", "noscript", "iframe", "svg", "button", "form"];
+const TEXT_BLOCK_TAGS = ["p", "div", "article", "section", "header", "footer", "main", "h1", "h2", "h3", "h4", "h5", "h6", "blockquote", "pre", "figure", "table", "tr"];
+const MARKDOWN_BLOCK_TAGS = ["p", "div", "article", "section", "header", "footer", "main", "figure"];
+
+function parseFragment(html: string): any {
+  const { document } = parseHTML(`<!DOCTYPE html><html><body><div id="root">${html}</div></body></html>`);
+  return document.getElementById("root");
+}
+
+// Plain text with paragraph breaks
+export function htmlToText(html: string): string {
+  if (!html) return "";
+
+  function processNode(node: any): string {
+    let result = "";
+
+    for (const child of node.childNodes) {
+      if (child.nodeType === TEXT_NODE) {
+        result += child.textContent;
+      } else if (child.nodeType === ELEMENT_NODE) {
+        const tag = child.tagName.toLowerCase();
+
+        if (SKIP_TAGS.includes(tag)) continue;
+
+        if (TEXT_BLOCK_TAGS.includes(tag)) {
+          result += "\n\n" + processNode(child) + "\n\n";
+        } else if (tag === "br") {
+          result += "\n";
+        } else if (tag === "li") {
+          result += "\n• " + processNode(child);
+        } else if (["ul", "ol"].includes(tag)) {
+          result += "\n" + processNode(child) + "\n";
+        } else if (["td", "th"].includes(tag)) {
+          result += processNode(child) + "\t";
+        } else {
+          result += processNode(child);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  return processNode(parseFragment(html))
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n[ \t]+/g, "\n")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Markdown keeping headings, lists, quotes, code, tables, images and links.
+// Text is escaped and only http(s)/mailto URLs survive, so the result can't
+// carry markup or script into the reader view.
+export function htmlToMarkdown(html: string, baseUrl: string): string {
+  if (!html) return "";
+
+  function safeUrl(value: string | null): string | null {
+    if (!value || value.startsWith("#")) return null;
+    try {
+      const url = new URL(value, baseUrl);
+      return ["http:", "https:", "mailto:"].includes(url.protocol)
+        ? url.href.replace(/\(/g, "%28").replace(/\)/g, "%29")
+        : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function escapeText(text: string): string {
+    return text
+      .replace(/\\/g, "\\\\")
+      .replace(/[`*_[\]]/g, "\\$&")
+      .replace(/</g, "&lt;")
+      .replace(/\s+/g, " ");
+  }
+
+  // Leading spaces are kept - they nest lists and belong to code blocks
+  function collapseBlankLines(text: string): string {
+    return text.replace(/[ \t]+\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+  }
+
+  function inline(node: any): string {
+    return blocks(node).replace(/\s*\n\s*/g, " ").trim();
+  }
+
+  function list(node: any, ordered: boolean): string {
+    let index = 1;
+    const items: string[] = [];
+    for (const child of node.children) {
+      if (child.tagName.toLowerCase() !== "li") continue;
+      const marker = ordered ? `${index++}. ` : "- ";
+      const body = collapseBlankLines(blocks(child)).replace(/\n/g, `\n${" ".repeat(marker.length)}`);
+      items.push(`${marker}${body}`);
+    }
+    return `\n\n${items.join("\n")}\n\n`;
+  }
+
+  function table(node: any): string {
+    const rows: string[][] = [...node.querySelectorAll("tr")]
+      .map((tr: any) => [...tr.children].map((cell: any) => inline(cell).replace(/\|/g, "\\|")))
+      .filter((cells: string[]) => cells.length);
+    if (!rows.length) return "";
+
+    const width = Math.max(...rows.map((cells) => cells.length));
+    const line = (cells: string[]) => `| ${[...cells, ...Array(width - cells.length).fill("")].join(" | ")} |`;
+    return `\n\n${[line(rows[0]), line(Array(width).fill("---")), ...rows.slice(1).map(line)].join("\n")}\n\n`;
+  }
+
+  function blocks(node: any): string {
+    let result = "";
+
+    for (const child of node.childNodes) {
+      if (child.nodeType === TEXT_NODE) {
+        result += escapeText(child.textContent);
+        continue;
+      }
+      if (child.nodeType !== ELEMENT_NODE) continue;
+
+      const tag = child.tagName.toLowerCase();
+      if (SKIP_TAGS.includes(tag)) continue;
+
+      if (/^h[1-6]$/.test(tag)) {
+        const text = inline(child);
+        if (text) result += `\n\n${"#".repeat(Number(tag[1]))} ${text}\n\n`;
+      } else if (MARKDOWN_BLOCK_TAGS.includes(tag)) {
+        result += `\n\n${blocks(child).trim()}\n\n`;
+      } else if (tag === "figcaption") {
+        const text = inline(child);
+        if (text) result += `\n\n*${text}*\n\n`;
+      } else if (tag === "blockquote") {
+        const text = collapseBlankLines(blocks(child)).split("\n").map((line) => `> ${line}`).join("\n");
+        result += `\n\n${text}\n\n`;
+      } else if (tag === "pre") {
+        const language = (child.querySelector("code")?.getAttribute("class")?.match(/language-([\w-]+)/) || [])[1] || "";
+        const code = child.textContent.replace(/\n$/, "");
+        const fence = code.includes("```") ? "~~~" : "```";
+        result += `\n\n${fence}${language}\n${code}\n${fence}\n\n`;
+      } else if (tag === "ul" || tag === "ol") {
+        result += list(child, tag === "ol");
+      } else if (tag === "table") {
+        result += table(child);
+      } else if (tag === "hr") {
+        result += "\n\n---\n\n";
+      } else if (tag === "br") {
+        result += "\n";
+      } else if (tag === "img") {
+        const src = safeUrl(child.getAttribute("src") || child.getAttribute("data-src"));
+        if (src) result += `![${escapeText(child.getAttribute("alt") || "")}](${src})`;
+      } else if (tag === "a") {
+        const href = safeUrl(child.getAttribute("href"));
+        const text = inline(child);
+        result += href && text ? `[${text}](${href})` : text;
+      } else if (["strong", "b"].includes(tag)) {
+        const text = inline(child);
+        if (text) result += `**${text}**`;
+      } else if (["em", "i"].includes(tag)) {
+        const text = inline(child);
+        if (text) result += `*${text}*`;
+      } else if (tag === "code") {
+        const code = child.textContent;
+        if (code) result += code.includes("`") ? `\`\` ${code} \`\`` : `\`${code}\``;
+      } else {
+        result += blocks(child);
+      }
+    }
+
+    return result;
+  }
+
+  return collapseBlankLines(blocks(parseFragment(html)));
+}
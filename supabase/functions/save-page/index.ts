@@ -2,6 +2,10 @@ import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
 import { parseHTML } from "https://esm.sh/linkedom@0.16.8";
 import { Readability } from "https://esm.sh/@mozilla/readability@0.5.0";
+import { htmlToMarkdown, htmlToText } from "./html-to-markdown.ts";
+import { MAX_PDF_BYTES, extractPdf, isPdf, pagesToMarkdown, pagesToText, titleFromUrl } from "./pdf.ts";
+import { extractSite } from "./site-extractors.ts";
+import { canonicalLink, canonicalUrl } from "./canonical-url.ts";
 
 // Allowed origins for CORS
 const ALLOWED_ORIGINS = [
@@ -64,8 +68,25 @@ function extractMeta(doc: any, attr: string, value: string): string | null {
 }
 
 // Parse HTML and extract article data
+// Threads, discussions and other pages with a site extractor skip Readability
 function extractArticle(html: string, url: string) {
   const { document } = parseHTML(html);
+
+  const site = extractSite(document, url);
+  if (site) {
+    return {
+      title: site.title,
+      excerpt: site.excerpt,
+      image_url: site.imageUrl,
+      site_name: site.siteName,
+      author: site.author,
+      content: htmlToText(site.html),
+      content_markdown: htmlToMarkdown(site.html, url) || null,
+      site_metadata: site.metadata,
+      canonical_url: canonicalLink(document),
+    };
+  }
+
   const reader = new Readability(document);
   const article = reader.parse();
 
@@ -89,23 +110,69 @@ function extractArticle(html: string, url: string) {
                 extractMeta(document, "property", "article:author") ||
                 null;
 
-  // Extract paragraphs with line breaks
+  // Plain text for search, Markdown for the reader view
   let content = "";
+  let content_markdown = null;
   if (article?.content) {
-    const { document: articleDoc } = parseHTML(article.content);
-    const paragraphs: string[] = [];
-    articleDoc.querySelectorAll("p").forEach((p: any) => {
-      const text = p.textContent?.trim();
-      if (text) paragraphs.push(text);
-    });
-    content = paragraphs.join("\n\n");
+    content = htmlToText(article.content);
+    content_markdown = htmlToMarkdown(article.content, url) || null;
   }
 
   if (!content && article?.textContent) {
     content = article.textContent;
   }
 
-  return { title, excerpt, image_url, site_name, author, content };
+  const canonical_url = canonicalLink(document);
+
+  return { title, excerpt, image_url, site_name, author, content, content_markdown, canonical_url };
+}
+
+// The page save for a URL in any of its forms (same saves.url_key), if there is one
+async function findPageSave(supabase: any, user_id: string, url: string) {
+  const { data, error } = await supabase
+    .rpc("find_saves_by_url", { page_url: url, user_uuid: user_id })
+    .is("highlight", null)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+  return data?.[0] || null;
+}
+
+// Extract a PDF's text and keep the original file in the private documents bucket
+async function preparePdf(supabase: any, user_id: string, url: string, bytes: Uint8Array) {
+  if (bytes.length > MAX_PDF_BYTES) {
+    throw new Error(`PDF is too large (max ${MAX_PDF_BYTES / 1024 / 1024} MB)`);
+  }
+
+  const pdf = await extractPdf(bytes);
+  const content = pagesToText(pdf.pages);
+
+  const file_path = `${user_id}/${crypto.randomUUID()}.pdf`;
+  const { error } = await supabase.storage
+    .from("documents")
+    .upload(file_path, bytes, { contentType: "application/pdf" });
+
+  if (error) {
+    throw error;
+  }
+
+  return {
+    title: pdf.title || titleFromUrl(url),
+    excerpt: content.substring(0, 300),
+    content,
+    content_markdown: pagesToMarkdown(pdf.pages) || null,
+    image_url: null,
+    site_name: new URL(url).hostname.replace("www.", ""),
+    author: pdf.author,
+    pdf: {
+      content_type: "pdf",
+      file_path,
+      // Scanned PDFs have no text layer; the reader then only offers the PDF view
+      pdf_metadata: { page_count: pdf.pageCount, file_size: bytes.length, has_text: !!content },
+    },
+  };
 }
 
 serve(async (req) => {
@@ -117,9 +184,21 @@ serve(async (req) => {
   }
 
   try {
-    // Parse body first to get user_id for single-user mode fallback
-    const body = await req.json();
-    const { url, user_id: bodyUserId, highlight, source, prefetched } = body;
+    // Parse body first to get user_id for single-user mode fallback.
+    // The extension posts PDFs as the raw file with the other fields in the query string,
+    // so files behind the user's logins can be saved.
+    let body: any;
+    let pdfBytes: Uint8Array | null = null;
+
+    if (isPdf(req.headers.get("Content-Type"))) {
+      const params = new URL(req.url).searchParams;
+      body = { url: params.get("url"), user_id: params.get("user_id"), source: params.get("source") };
+      pdfBytes = new Uint8Array(await req.arrayBuffer());
+    } else {
+      body = await req.json();
+    }
+
+    const { url, user_id: bodyUserId, highlight, source, prefetched, save_id } = body;
 
     if (!url) {
       return new Response(
@@ -138,18 +217,40 @@ serve(async (req) => {
     }
     const user_id = authResult.user_id;
 
+    const supabase = createClient(
+      Deno.env.get("SUPABASE_URL")!,
+      Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!
+    );
+
+    // A page that's already saved is reported instead of saved twice.
+    // Highlights are saves of their own, and save_id fills in a known save.
+    if (!highlight && !save_id) {
+      const existing = await findPageSave(supabase, user_id, url);
+      if (existing) {
+        return new Response(
+          JSON.stringify({ success: true, already_saved: true, save: existing }),
+          { headers: { ...corsHeaders, "Content-Type": "application/json" } }
+        );
+      }
+    }
+
     let article: any = null;
 
-    // If client sent prefetched data, use it (handles paywalled sites, etc.)
-    if (prefetched) {
+    if (pdfBytes) {
+      article = await preparePdf(supabase, user_id, url, pdfBytes);
+    } else if (prefetched) {
+      // If client sent prefetched data, use it (handles paywalled sites, etc.)
       console.log("Using prefetched data from client");
       article = {
         title: prefetched.title || "Untitled",
         excerpt: prefetched.excerpt || "",
         content: prefetched.content || "",
+        content_markdown: prefetched.content_markdown || null,
         image_url: prefetched.image_url || null,
         site_name: prefetched.site_name || new URL(url).hostname.replace("www.", ""),
         author: prefetched.author || null,
+        site_metadata: prefetched.site_metadata || null,
+        canonical_url: prefetched.canonical_url || null,
       };
     } else {
       // Server-side fetch
@@ -160,11 +261,18 @@ serve(async (req) => {
       });
 
       if (response.ok) {
-        html = await response.text();
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        if (!highlight && isPdf(response.headers.get("Content-Type"), bytes)) {
+          article = await preparePdf(supabase, user_id, url, bytes);
+        } else {
+          html = new TextDecoder().decode(bytes);
+        }
       }
 
       // Extract article from direct fetch
-      article = html ? extractArticle(html, url) : null;
+      if (!article) {
+        article = html ? extractArticle(html, url) : null;
+      }
     }
 
     if (!article) {
@@ -174,22 +282,49 @@ serve(async (req) => {
     // Build save object
     const saveData: Record<string, unknown> = {
       user_id,
-      url,
+      url: canonicalUrl(url, article.canonical_url),
       title: article.title,
       excerpt: article.excerpt,
       content: highlight ? null : article.content.substring(0, 100000),
+      content_markdown: highlight || !article.content_markdown ? null : article.content_markdown.substring(0, 100000),
       highlight: highlight || null,
       image_url: article.image_url,
       site_name: article.site_name,
       author: article.author,
+      site_metadata: article.site_metadata || null,
       source: source || "api",
+      ...article.pdf,
     };
 
-    // Save to database
-    const supabase = createClient(
-      Deno.env.get("SUPABASE_URL")!,
-      Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!
-    );
+    // Fill in an existing save (e.g. a URL-only save from an import) instead of creating one.
+    // The imported title and source are kept.
+    if (save_id) {
+      const { data, error } = await supabase
+        .from("saves")
+        .update({
+          excerpt: saveData.excerpt,
+          content: saveData.content,
+          content_markdown: saveData.content_markdown,
+          image_url: saveData.image_url,
+          site_name: saveData.site_name,
+          author: saveData.author,
+          site_metadata: saveData.site_metadata,
+          ...article.pdf,
+        })
+        .eq("id", save_id)
+        .eq("user_id", user_id)
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return new Response(
+        JSON.stringify({ success: true, save: data }),
+        { headers: { ...corsHeaders, "Content-Type": "application/json" } }
+      );
+    }
 
     const { data, error } = await supabase
       .from("saves")
@@ -198,6 +333,20 @@ serve(async (req) => {
       .single();
 
     if (error) {
+      // Don't leave a stored PDF behind with no save pointing at it
+      if (article.pdf) {
+        await supabase.storage.from("documents").remove([article.pdf.file_path]);
+      }
+      // Unique url_key: the canonical URL was already saved
+      if (error.code === "23505") {
+        const existing = await findPageSave(supabase, user_id, saveData.url as string);
+        if (existing) {
+          return new Response(
+            JSON.stringify({ success: true, already_saved: true, save: existing }),
+            { headers: { ...corsHeaders, "Content-Type": "application/json" } }
+          );
+        }
+      }
       throw error;
     }
 
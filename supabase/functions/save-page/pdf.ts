@@ -0,0 +1,69 @@
+import { extractText, getDocumentProxy, getMeta } from "https://esm.sh/unpdf@1.4.0";
+
+// PDF support for save-page: detection, per-page text extraction and the
+// text/Markdown forms stored on the save
+
+// Larger files are rejected rather than stored
+export const MAX_PDF_BYTES = 25 * 1024 * 1024;
+
+const PDF_MAGIC = [0x25, 0x50, 0x44, 0x46, 0x2d]; // "%PDF-"
+
+// Servers often send PDFs as application/octet-stream, so check the bytes too
+export function isPdf(contentType: string | null, bytes?: Uint8Array): boolean {
+  if (contentType?.toLowerCase().includes("application/pdf")) return true;
+  return !!bytes && PDF_MAGIC.every((byte, i) => bytes[i] === byte);
+}
+
+// Re-join words hyphenated across line ends and trim each line
+function tidyPage(text: string): string {
+  return text
+    .replace(/(\w)-\n(\w)/g, "$1$2")
+    .replace(/[ \t]+/g, " ")
+    .replace(/ ?\n ?/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+export async function extractPdf(bytes: Uint8Array) {
+  const pdf = await getDocumentProxy(bytes);
+  const [{ totalPages, text }, { info }] = await Promise.all([
+    extractText(pdf, { mergePages: false }),
+    getMeta(pdf),
+  ]);
+
+  return {
+    pageCount: totalPages,
+    pages: text.map(tidyPage),
+    title: (info?.Title as string)?.trim() || null,
+    author: (info?.Author as string)?.trim() || null,
+  };
+}
+
+// Plain text for search and excerpts
+export function pagesToText(pages: string[]): string {
+  return pages.filter(Boolean).join("\n\n");
+}
+
+// Markdown for the reader: a heading per page, with the text escaped so stray
+// symbols at the start of a line don't turn into lists, quotes or headings
+export function pagesToMarkdown(pages: string[]): string {
+  return pages
+    .map((text, i) => {
+      if (!text) return "";
+      const escaped = text
+        .replace(/\\/g, "\\\\")
+        .replace(/[`*_[\]]/g, "\\$&")
+        .replace(/</g, "&lt;")
+        .replace(/^([#>+-])/gm, "\\$1")
+        .replace(/^(\d+)\./gm, "$1\\.");
+      return `## Page ${i + 1}\n\n${escaped}`;
+    })
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+// Title from the file name when the PDF has none, e.g. ".../attention-is-all-you-need.pdf"
+export function titleFromUrl(url: string): string {
+  const name = decodeURIComponent(new URL(url).pathname.split("/").pop() || "");
+  return name.replace(/\.pdf$/i, "").replace(/[-_]+/g, " ").trim() || "Untitled PDF";
+}
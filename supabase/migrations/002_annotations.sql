@@ -0,0 +1,49 @@
+-- Annotations Migration
+-- In-app highlights anchored to a save's article text
+-- Run this after schema.sql
+
+-- Each annotation stores a text-quote anchor (quote + surrounding context)
+-- plus a text-position anchor (character offsets into the rendered article).
+-- The position is tried first; the quote/context is used to re-locate the
+-- highlight if the rendered text has shifted.
+CREATE TABLE IF NOT EXISTS annotations (
+  id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  save_id uuid REFERENCES saves(id) ON DELETE CASCADE NOT NULL,
+
+  -- Text quote anchor
+  quote text NOT NULL,
+  prefix text DEFAULT '',
+  suffix text DEFAULT '',
+
+  -- Text position anchor
+  start_offset integer NOT NULL,
+  end_offset integer NOT NULL,
+
+  color text DEFAULT 'yellow',
+
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS annotations_save_id_idx ON annotations(save_id);
+CREATE INDEX IF NOT EXISTS annotations_user_id_idx ON annotations(user_id);
+
+-- RLS: users can only access their own annotations
+ALTER TABLE annotations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own annotations" ON annotations
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own annotations" ON annotations
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own annotations" ON annotations
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own annotations" ON annotations
+  FOR DELETE USING (auth.uid() = user_id);
+
+CREATE TRIGGER annotations_updated_at
+  BEFORE UPDATE ON annotations
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
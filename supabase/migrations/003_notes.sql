@@ -0,0 +1,56 @@
+-- Notes Migration
+-- Free-form notes on saves (articles, highlights, books...) and on annotations
+-- Run this after 002_annotations.sql
+
+-- Note on the save as a whole
+ALTER TABLE saves ADD COLUMN IF NOT EXISTS note text;
+
+-- Note on an in-app highlight
+ALTER TABLE annotations ADD COLUMN IF NOT EXISTS note text;
+
+-- Rebuild the saves full-text column to include the save note.
+-- Generated columns can't be altered in place, so drop and re-add
+-- (this also drops saves_fts_idx).
+ALTER TABLE saves DROP COLUMN IF EXISTS fts;
+
+ALTER TABLE saves ADD COLUMN fts tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(excerpt, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(content, '')), 'C') ||
+    setweight(to_tsvector('english', coalesce(highlight, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(note, '')), 'B')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS saves_fts_idx ON saves USING gin(fts);
+
+-- Full-text column for annotations (highlighted text + note)
+ALTER TABLE annotations ADD COLUMN IF NOT EXISTS fts tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(quote, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(note, '')), 'B')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS annotations_fts_idx ON annotations USING gin(fts);
+
+-- Search saves, also matching saves whose annotations match.
+-- Annotation matches add their rank to the save's own rank.
+CREATE OR REPLACE FUNCTION search_saves(search_query text, user_uuid uuid)
+RETURNS SETOF saves AS $$
+DECLARE
+  ts_query tsquery := plainto_tsquery('english', search_query);
+BEGIN
+  RETURN QUERY
+  SELECT s.*
+  FROM saves s
+  LEFT JOIN LATERAL (
+    SELECT sum(ts_rank(a.fts, ts_query)) AS rank
+    FROM annotations a
+    WHERE a.save_id = s.id
+      AND a.fts @@ ts_query
+  ) matched ON true
+  WHERE s.user_id = user_uuid
+    AND (s.fts @@ ts_query OR matched.rank IS NOT NULL)
+  ORDER BY ts_rank(s.fts, ts_query) + coalesce(matched.rank, 0) DESC;
+END;
+$$ LANGUAGE plpgsql;
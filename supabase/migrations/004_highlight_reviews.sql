@@ -0,0 +1,51 @@
+-- Highlight Reviews Migration
+-- Spaced-repetition schedule for the daily highlight review
+-- Run this after 003_notes.sql
+
+-- One row per reviewed highlight. A highlight is either a highlight save
+-- (Kindle, extension, imported) or an in-app annotation, so exactly one of
+-- save_id / annotation_id is set. Highlights without a row haven't been
+-- reviewed yet and count as new.
+CREATE TABLE IF NOT EXISTS highlight_reviews (
+  id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  save_id uuid REFERENCES saves(id) ON DELETE CASCADE UNIQUE,
+  annotation_id uuid REFERENCES annotations(id) ON DELETE CASCADE UNIQUE,
+
+  -- Schedule
+  interval_days real NOT NULL DEFAULT 0,
+  ease real NOT NULL DEFAULT 2.5,
+  repetitions integer NOT NULL DEFAULT 0,
+  due_at timestamp with time zone NOT NULL DEFAULT now(),
+  mastered boolean NOT NULL DEFAULT false,
+
+  -- Last answer: 'keep', 'soon', 'later' or 'master'
+  last_action text,
+  last_reviewed_at timestamp with time zone,
+
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+
+  CHECK ((save_id IS NULL) <> (annotation_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS highlight_reviews_user_due_idx ON highlight_reviews(user_id, due_at);
+
+-- RLS: users can only access their own review schedule
+ALTER TABLE highlight_reviews ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own highlight reviews" ON highlight_reviews
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own highlight reviews" ON highlight_reviews
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own highlight reviews" ON highlight_reviews
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own highlight reviews" ON highlight_reviews
+  FOR DELETE USING (auth.uid() = user_id);
+
+CREATE TRIGGER highlight_reviews_updated_at
+  BEFORE UPDATE ON highlight_reviews
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
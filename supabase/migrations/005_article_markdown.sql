@@ -0,0 +1,9 @@
+-- Article Markdown Migration
+-- Structured copy of article content for the reader view
+-- Run this after 004_highlight_reviews.sql
+
+-- saves.content stays plain text and keeps feeding full-text search and
+-- excerpts. content_markdown keeps the article's headings, lists, quotes,
+-- code blocks, tables, images and links; the reader renders it when present.
+-- Saves from before this migration only have plain text.
+ALTER TABLE saves ADD COLUMN IF NOT EXISTS content_markdown text;
@@ -0,0 +1,24 @@
+-- PDF Documents Migration
+-- Saved PDFs: extracted text on the save, original file in Storage
+-- Run this after 005_article_markdown.sql
+
+-- PDF saves have content_type 'pdf'. content holds the extracted text and
+-- content_markdown the same text under a heading per page.
+-- file_path is the object path in the "documents" bucket: <user id>/<uuid>.pdf
+ALTER TABLE saves ADD COLUMN IF NOT EXISTS file_path text;
+
+-- { page_count, file_size, has_text }
+ALTER TABLE saves ADD COLUMN IF NOT EXISTS pdf_metadata jsonb;
+
+-- Private bucket; the app reads files through signed URLs
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('documents', 'documents', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- Files are uploaded by the save-page function with the service role.
+-- Users can read and delete files in their own folder.
+CREATE POLICY "Users can view own documents" ON storage.objects
+  FOR SELECT USING (bucket_id = 'documents' AND (storage.foldername(name))[1] = auth.uid()::text);
+
+CREATE POLICY "Users can delete own documents" ON storage.objects
+  FOR DELETE USING (bucket_id = 'documents' AND (storage.foldername(name))[1] = auth.uid()::text);
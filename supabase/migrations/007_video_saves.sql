@@ -0,0 +1,12 @@
+-- Video Saves Migration
+-- YouTube videos saved with their transcript
+-- Run this after 006_pdf_documents.sql
+
+-- Video saves have content_type 'video'. content holds the transcript as
+-- paragraphs that each start with a [m:ss] timestamp (or the video
+-- description when it has no captions), so it is searched like any other save.
+-- { video_id, channel, channel_url, duration_seconds, description, is_live,
+--   has_transcript, transcript_language, transcript_auto_generated,
+--   key_points, processed }
+-- key_points and processed are set by the AI transcript cleanup, as for podcasts.
+ALTER TABLE saves ADD COLUMN IF NOT EXISTS video_metadata jsonb;
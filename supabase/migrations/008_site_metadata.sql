@@ -0,0 +1,14 @@
+-- Site Metadata Migration
+-- Details kept by the site extractors (X threads, Hacker News, Reddit, GitHub, Substack notes)
+-- Run this after 007_video_saves.sql
+
+-- Saves from a page with a site extractor keep what the site knows about it.
+-- Every shape has an "extractor" key naming the site:
+--   x:             { tweet_id, handle, post_count }
+--   hacker-news:   { item_id, points, comment_count, link_url }
+--   reddit:        { subreddit, score, comment_count, link_url }
+--   github:        { kind: 'repository', repo, description, stars }
+--                  { kind: 'issue' | 'pull', repo, number, state, comment_count }
+--   substack-note: { note_id, handle }
+-- NULL for saves extracted with Readability.
+ALTER TABLE saves ADD COLUMN IF NOT EXISTS site_metadata jsonb;
@@ -0,0 +1,99 @@
+-- URL Keys Migration
+-- One save per page: a normalized URL key with a unique index per user
+-- Run this after 008_site_metadata.sql
+
+-- The key ignores what doesn't change the page: http vs https, www./m.
+-- hosts, default ports, trailing slashes, tracking parameters (utm_*, fbclid,
+-- ...), query parameter order and #fragments other than #!/#/ app routes.
+--   https://www.example.com/post/?utm_source=x&b=2&a=1#comments
+--   -> example.com/post?a=1&b=2
+-- Mirrored by urlKey() in web/utils/canonical-url.js - keep the two in step.
+CREATE OR REPLACE FUNCTION normalize_url_key(page_url text)
+RETURNS text
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+  parts text[];
+  host text;
+  query text;
+BEGIN
+  -- scheme://host path ?query #fragment
+  parts := regexp_match(btrim(page_url), '^https?://([^/?#]+)([^?#]*)(\?[^#]*)?(#.*)?$', 'i');
+  IF parts IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  host := lower(parts[1]);
+  host := regexp_replace(host, '^[^@]*@', '');
+  host := regexp_replace(host, ':(80|443)$', '');
+  host := regexp_replace(host, '^(www|m|mobile)\.', '');
+  host := regexp_replace(host, '\.$', '');
+
+  SELECT string_agg(param, '&' ORDER BY param COLLATE "C") INTO query
+  FROM unnest(string_to_array(substr(coalesce(parts[3], ''), 2), '&')) AS param
+  WHERE param <> ''
+    AND split_part(param, '=', 1) !~* '^(utm_[a-z0-9_]*|fbclid|gclid|gclsrc|dclid|msclkid|yclid|twclid|igshid|mc_cid|mc_eid|_hsenc|_hsmi|mkt_tok|ref_src|ref_url)$';
+
+  RETURN host
+    || regexp_replace(parts[2], '/+$', '')
+    || coalesce('?' || query, '')
+    || CASE WHEN parts[4] ~ '^#[!/]' THEN parts[4] ELSE '' END;
+END;
+$$;
+
+-- Only page saves get a key; highlight saves share their page's URL.
+-- Saves without an http(s) URL (Kindle, podcasts) have none.
+ALTER TABLE saves ADD COLUMN IF NOT EXISTS url_key text;
+
+-- Existing duplicates: the oldest copy gets the key, later copies are left
+-- without one so the index can be built. They can be deleted from the app.
+UPDATE saves
+SET url_key = keyed.key
+FROM (
+  SELECT DISTINCT ON (user_id, normalize_url_key(url)) id, normalize_url_key(url) AS key
+  FROM saves
+  WHERE highlight IS NULL AND normalize_url_key(url) IS NOT NULL
+  ORDER BY user_id, normalize_url_key(url), created_at
+) keyed
+WHERE saves.id = keyed.id;
+
+-- Not partial, so inserts can use ON CONFLICT (user_id, url_key)
+CREATE UNIQUE INDEX IF NOT EXISTS saves_user_url_key_idx ON saves(user_id, url_key);
+
+-- Highlights are looked up by their page's key too
+CREATE INDEX IF NOT EXISTS saves_highlight_url_key_idx ON saves(user_id, normalize_url_key(url))
+  WHERE highlight IS NOT NULL;
+
+-- Set by the database so every save path (extension, bookmarklet, iOS
+-- Shortcut, imports, save-page function) gets the same key
+CREATE OR REPLACE FUNCTION set_save_url_key()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.url_key := CASE WHEN NEW.highlight IS NULL THEN normalize_url_key(NEW.url) END;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS saves_url_key ON saves;
+CREATE TRIGGER saves_url_key
+  BEFORE INSERT OR UPDATE OF url, highlight ON saves
+  FOR EACH ROW EXECUTE FUNCTION set_save_url_key();
+
+-- The page save and highlight saves for a URL, in any of its forms, oldest first
+CREATE OR REPLACE FUNCTION find_saves_by_url(page_url text, user_uuid uuid)
+RETURNS setof saves
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT *
+  FROM saves
+  WHERE user_id = user_uuid
+    AND (
+      url_key = normalize_url_key(page_url)
+      OR (highlight IS NOT NULL AND normalize_url_key(url) = normalize_url_key(page_url))
+    )
+  ORDER BY created_at;
+$$;
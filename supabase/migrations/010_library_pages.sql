@@ -0,0 +1,12 @@
+-- Library Pages Migration
+-- Indexes for loading the library list a page at a time
+-- Run this after 009_url_keys.sql
+
+-- The web app pages through saves by (sort column, id) after the last card
+-- shown, so each page is an index range scan rather than a growing OFFSET.
+-- One index per sort order in the sort menu.
+CREATE INDEX IF NOT EXISTS saves_user_created_page_idx ON saves(user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS saves_user_title_page_idx ON saves(user_id, title, id);
+
+-- Tag filters join save_tags on tag_id; the primary key starts with save_id
+CREATE INDEX IF NOT EXISTS save_tags_tag_id_idx ON save_tags(tag_id);
@@ -0,0 +1,163 @@
+-- Advanced Search Migration
+-- Search with query syntax: websearch_to_tsquery text plus tag, site, type, state and date filters
+-- Run this after 010_library_pages.sql
+
+-- Whether a save is of a type from the search syntax (type:podcast).
+-- Highlights are their own type whatever their content_type; Kindle
+-- highlights are both "kindle" and "highlight".
+CREATE OR REPLACE FUNCTION save_matches_type(save_highlight text, save_content_type text, save_source text, search_type text)
+RETURNS boolean AS $$
+  SELECT CASE search_type
+    WHEN 'highlight' THEN save_highlight IS NOT NULL
+    WHEN 'kindle' THEN save_source = 'kindle'
+    WHEN 'article' THEN save_highlight IS NULL AND coalesce(save_content_type, 'article') = 'article'
+    ELSE save_highlight IS NULL AND save_content_type = search_type
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Whether a save is from a site (site:nytimes.com): its host is the site or a
+-- subdomain of it, or its site name is the site
+CREATE OR REPLACE FUNCTION save_matches_site(page_url text, save_site_name text, site text)
+RETURNS boolean AS $$
+  SELECT lower(substring(page_url FROM '^[a-zA-Z][a-zA-Z0-9+.-]*://(?:[^@/]*@)?([^/:?#]+)')) = site
+    OR lower(substring(page_url FROM '^[a-zA-Z][a-zA-Z0-9+.-]*://(?:[^@/]*@)?([^/:?#]+)')) LIKE '%.' || site
+    OR lower(save_site_name) = site;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Whether a save passes the search filters. filters comes from
+-- web/utils/search-query.js, every key optional:
+--   tags, exclude_tags          tag names (every tag in tags is required)
+--   sites, exclude_sites        sites as in site:, e.g. "nytimes.com"
+--   types, exclude_types        article, highlight, kindle, podcast, book, video, pdf
+--   favorite, archived, read    booleans; archived saves count as read
+--   before, after               dates: created before (exclusive) / after (inclusive)
+--   folder                      folder name, as in folder:
+--   folder_id                   folder uuid
+CREATE OR REPLACE FUNCTION save_matches_filters(s saves, filters jsonb)
+RETURNS boolean AS $$
+  SELECT
+    -- Tags
+    NOT EXISTS (
+      SELECT 1
+      FROM jsonb_array_elements_text(coalesce(filters->'tags', '[]')) wanted(name)
+      WHERE NOT EXISTS (
+        SELECT 1 FROM save_tags st JOIN tags t ON t.id = st.tag_id
+        WHERE st.save_id = s.id AND lower(t.name) = lower(wanted.name)
+      )
+    )
+    AND NOT EXISTS (
+      SELECT 1
+      FROM save_tags st JOIN tags t ON t.id = st.tag_id
+      JOIN jsonb_array_elements_text(coalesce(filters->'exclude_tags', '[]')) unwanted(name)
+        ON lower(t.name) = lower(unwanted.name)
+      WHERE st.save_id = s.id
+    )
+    -- Sites
+    AND (
+      filters->'sites' IS NULL
+      OR EXISTS (
+        SELECT 1 FROM jsonb_array_elements_text(filters->'sites') site(name)
+        WHERE save_matches_site(s.url, s.site_name, site.name)
+      )
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM jsonb_array_elements_text(coalesce(filters->'exclude_sites', '[]')) site(name)
+      WHERE save_matches_site(s.url, s.site_name, site.name)
+    )
+    -- Types
+    AND (
+      filters->'types' IS NULL
+      OR EXISTS (
+        SELECT 1 FROM jsonb_array_elements_text(filters->'types') kind(name)
+        WHERE save_matches_type(s.highlight, s.content_type, s.source, kind.name)
+      )
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM jsonb_array_elements_text(coalesce(filters->'exclude_types', '[]')) kind(name)
+      WHERE save_matches_type(s.highlight, s.content_type, s.source, kind.name)
+    )
+    -- State
+    AND (filters->'favorite' IS NULL OR coalesce(s.is_favorite, false) = (filters->>'favorite')::boolean)
+    AND (filters->'archived' IS NULL OR coalesce(s.is_archived, false) = (filters->>'archived')::boolean)
+    AND (
+      filters->'read' IS NULL
+      OR (s.read_at IS NOT NULL OR coalesce(s.is_archived, false)) = (filters->>'read')::boolean
+    )
+    -- Dates
+    AND (filters->>'before' IS NULL OR s.created_at < (filters->>'before')::timestamptz)
+    AND (filters->>'after' IS NULL OR s.created_at >= (filters->>'after')::timestamptz)
+    -- Folder
+    AND (filters->>'folder_id' IS NULL OR s.folder_id = (filters->>'folder_id')::uuid)
+    AND (
+      filters->>'folder' IS NULL
+      OR EXISTS (
+        SELECT 1 FROM folders f
+        WHERE f.id = s.folder_id AND lower(f.name) = lower(filters->>'folder')
+      )
+    );
+$$ LANGUAGE sql STABLE;
+
+-- Search saves. search_query uses web search syntax ("exact phrase", -excluded,
+-- or); it may be empty when only filters are used. filters are as in
+-- save_matches_filters. sort_order is the web app's sort menu value; rank
+-- (text and annotation matches, as in search_saves) breaks ties. Saves come
+-- back without content, which the app loads when one is opened.
+CREATE OR REPLACE FUNCTION search_library(
+  search_query text,
+  filters jsonb,
+  user_uuid uuid,
+  sort_order text DEFAULT 'created_at.desc',
+  max_results integer DEFAULT 200
+)
+RETURNS TABLE (
+  id uuid,
+  url text,
+  title text,
+  excerpt text,
+  highlight text,
+  site_name text,
+  author text,
+  published_at timestamp with time zone,
+  image_url text,
+  content_type text,
+  folder_id uuid,
+  is_archived boolean,
+  is_favorite boolean,
+  note text,
+  created_at timestamp with time zone,
+  rank real
+) AS $$
+#variable_conflict use_column
+DECLARE
+  ts_query tsquery := websearch_to_tsquery('english', coalesce(search_query, ''));
+  -- A query of only stop words ("the") is empty; it filters nothing
+  has_text boolean := numnode(ts_query) > 0;
+BEGIN
+  RETURN QUERY
+  SELECT
+    s.id, s.url, s.title, s.excerpt, s.highlight, s.site_name, s.author,
+    s.published_at, s.image_url, s.content_type, s.folder_id,
+    s.is_archived, s.is_favorite, s.note, s.created_at,
+    score.value
+  FROM saves s
+  LEFT JOIN LATERAL (
+    SELECT sum(ts_rank(a.fts, ts_query)) AS rank
+    FROM annotations a
+    WHERE has_text
+      AND a.save_id = s.id
+      AND a.fts @@ ts_query
+  ) matched ON true
+  CROSS JOIN LATERAL (
+    SELECT CASE WHEN has_text THEN ts_rank(s.fts, ts_query) + coalesce(matched.rank, 0) ELSE 0 END::real AS value
+  ) score
+  WHERE s.user_id = user_uuid
+    AND (NOT has_text OR s.fts @@ ts_query OR matched.rank IS NOT NULL)
+    AND save_matches_filters(s, filters)
+  ORDER BY
+    CASE WHEN sort_order = 'created_at.asc' THEN s.created_at END ASC,
+    CASE WHEN sort_order = 'title.asc' THEN s.title END ASC,
+    CASE WHEN sort_order = 'created_at.desc' THEN s.created_at END DESC,
+    score.value DESC
+  LIMIT max_results;
+END;
+$$ LANGUAGE plpgsql STABLE;
@@ -0,0 +1,100 @@
+-- Search Snippets Migration
+-- search_library returns the passages that matched, with the matched words marked
+-- Run this after 011_advanced_search.sql
+
+-- Adds columns to search_library's results, so it's dropped and recreated:
+--   content_snippet    up to two passages of the text around the matches
+--   highlight_snippet  the whole highlight, for highlight saves
+--   pdf_metadata, video_metadata   for the cards' PDF and video badges
+-- Matched words are wrapped in U+E000 ... U+E001 (private-use characters that
+-- won't be in saved text) rather than HTML, since the text is the page's own;
+-- the web app escapes it and turns the pair into <mark> (renderSearchSnippet).
+-- Both are null without search text. Filters (save_matches_filters), sort and
+-- rank are as in 011.
+DROP FUNCTION IF EXISTS search_library(text, jsonb, uuid, text, integer);
+
+CREATE OR REPLACE FUNCTION search_library(
+  search_query text,
+  filters jsonb,
+  user_uuid uuid,
+  sort_order text DEFAULT 'created_at.desc',
+  max_results integer DEFAULT 200
+)
+RETURNS TABLE (
+  id uuid,
+  url text,
+  title text,
+  excerpt text,
+  highlight text,
+  site_name text,
+  author text,
+  published_at timestamp with time zone,
+  image_url text,
+  content_type text,
+  pdf_metadata jsonb,
+  video_metadata jsonb,
+  folder_id uuid,
+  is_archived boolean,
+  is_favorite boolean,
+  note text,
+  created_at timestamp with time zone,
+  rank real,
+  content_snippet text,
+  highlight_snippet text
+) AS $$
+#variable_conflict use_column
+DECLARE
+  ts_query tsquery := websearch_to_tsquery('english', coalesce(search_query, ''));
+  -- A query of only stop words ("the") is empty; it filters nothing
+  has_text boolean := numnode(ts_query) > 0;
+  mark_options text := format('StartSel=%s, StopSel=%s', chr(57344), chr(57345));
+BEGIN
+  -- Matching and ordering first, so ts_headline (slow on long articles) only
+  -- runs for the saves returned
+  RETURN QUERY
+  WITH results AS (
+    SELECT
+      s.id, s.url, s.title, s.excerpt, s.highlight, s.content, s.site_name, s.author,
+      s.published_at, s.image_url, s.content_type, s.pdf_metadata, s.video_metadata, s.folder_id,
+      s.is_archived, s.is_favorite, s.note, s.created_at,
+      score.value AS score,
+      row_number() OVER (
+        ORDER BY
+          CASE WHEN sort_order = 'created_at.asc' THEN s.created_at END ASC,
+          CASE WHEN sort_order = 'title.asc' THEN s.title END ASC,
+          CASE WHEN sort_order = 'created_at.desc' THEN s.created_at END DESC,
+          score.value DESC
+      ) AS position
+    FROM saves s
+    LEFT JOIN LATERAL (
+      SELECT sum(ts_rank(a.fts, ts_query)) AS rank
+      FROM annotations a
+      WHERE has_text
+        AND a.save_id = s.id
+        AND a.fts @@ ts_query
+    ) matched ON true
+    CROSS JOIN LATERAL (
+      SELECT CASE WHEN has_text THEN ts_rank(s.fts, ts_query) + coalesce(matched.rank, 0) ELSE 0 END::real AS value
+    ) score
+    WHERE s.user_id = user_uuid
+      AND (NOT has_text OR s.fts @@ ts_query OR matched.rank IS NOT NULL)
+      AND save_matches_filters(s, filters)
+    ORDER BY position
+    LIMIT max_results
+  )
+  SELECT
+    r.id, r.url, r.title, r.excerpt, r.highlight, r.site_name, r.author,
+    r.published_at, r.image_url, r.content_type, r.pdf_metadata, r.video_metadata, r.folder_id,
+    r.is_archived, r.is_favorite, r.note, r.created_at,
+    r.score,
+    CASE WHEN has_text AND r.highlight IS NULL THEN
+      ts_headline('english', coalesce(r.content, r.excerpt, ''), ts_query,
+        mark_options || ', MaxFragments=2, MaxWords=30, MinWords=12, FragmentDelimiter=" … "')
+    END,
+    CASE WHEN has_text AND r.highlight IS NOT NULL THEN
+      ts_headline('english', r.highlight, ts_query, mark_options || ', HighlightAll=true')
+    END
+  FROM results r
+  ORDER BY r.position;
+END;
+$$ LANGUAGE plpgsql STABLE;
@@ -0,0 +1,66 @@
+-- Smart Folders Migration
+-- Saved searches shown in the sidebar with how many saves they hold
+-- Run this after 012_search_snippets.sql
+
+-- A saved search: the view it was saved from and the search box query
+-- (search syntax, see web/utils/search-query.js; a folder is folder:Name).
+-- The web app parses the query, so counts and results follow any changes to
+-- the syntax, and relative dates (after:30d) stay relative.
+CREATE TABLE IF NOT EXISTS smart_folders (
+  id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  name text NOT NULL,
+  view text NOT NULL DEFAULT 'all',
+  query text NOT NULL DEFAULT '',
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS smart_folders_user_id_idx ON smart_folders(user_id);
+
+-- RLS: users can only access their own smart folders
+ALTER TABLE smart_folders ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own smart folders" ON smart_folders
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own smart folders" ON smart_folders
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own smart folders" ON smart_folders
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own smart folders" ON smart_folders
+  FOR DELETE USING (auth.uid() = user_id);
+
+CREATE TRIGGER smart_folders_updated_at
+  BEFORE UPDATE ON smart_folders
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+-- Whether a save matches search text: its own text or one of its annotations.
+-- An empty query (no words, or only stop words) matches everything. Filters
+-- are checked by save_matches_filters (011_advanced_search.sql).
+CREATE OR REPLACE FUNCTION save_matches_text(s saves, ts_query tsquery)
+RETURNS boolean AS $$
+  SELECT numnode(ts_query) = 0
+    OR s.fts @@ ts_query
+    OR EXISTS (SELECT 1 FROM annotations a WHERE a.save_id = s.id AND a.fts @@ ts_query);
+$$ LANGUAGE sql STABLE;
+
+-- Count the saves matching several searches at once, for the sidebar's smart
+-- folder counts. searches is a JSON array of {"query": ..., "filters": {...}},
+-- as search_library takes them; counts come back in the same order.
+CREATE OR REPLACE FUNCTION count_searches(searches jsonb, user_uuid uuid)
+RETURNS TABLE (search_index integer, save_count bigint) AS $$
+  SELECT
+    (search.ordinality - 1)::integer,
+    (
+      SELECT count(*)
+      FROM saves s
+      WHERE s.user_id = user_uuid
+        AND save_matches_text(s, websearch_to_tsquery('english', coalesce(search.value->>'query', '')))
+        AND save_matches_filters(s, coalesce(search.value->'filters', '{}'))
+    )
+  FROM jsonb_array_elements(searches) WITH ORDINALITY search(value, ordinality)
+  ORDER BY search.ordinality;
+$$ LANGUAGE sql STABLE;
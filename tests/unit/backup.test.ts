@@ -0,0 +1,171 @@
+import { describe, it, expect } from 'vitest';
+import {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  createBackup,
+  parseBackup,
+  planRestore,
+} from '../../web/utils/backup.js';
+
+const library = {
+  folders: [{ id: 'f1', user_id: 'u1', name: 'Research', color: '#fff' }],
+  tags: [
+    { id: 't1', user_id: 'u1', name: 'ai' },
+    { id: 't2', user_id: 'u1', name: 'longform' },
+  ],
+  saves: [
+    { id: 's1', user_id: 'u1', folder_id: 'f1', url: 'https://a.com', highlight: null, title: 'A', fts: 'x' },
+    { id: 's2', user_id: 'u1', folder_id: null, url: 'https://b.com', highlight: null, title: 'B', fts: 'x' },
+    { id: 's3', user_id: 'u1', folder_id: null, url: 'https://b.com', highlight: 'quote', title: 'B', fts: 'x' },
+  ],
+  saveTags: [
+    { save_id: 's1', tag_id: 't1', created_at: '2024-01-01' },
+    { save_id: 's2', tag_id: 't2', created_at: '2024-01-01' },
+  ],
+  annotations: [{ id: 'a1', user_id: 'u1', save_id: 's1', quote: 'Hi', note: 'n', fts: 'x' }],
+  highlightReviews: [
+    { id: 'r1', user_id: 'u1', save_id: 's3', annotation_id: null, interval_days: 3 },
+    { id: 'r2', user_id: 'u1', save_id: null, annotation_id: 'a1', interval_days: 7 },
+  ],
+  smartFolders: [{ id: 'sf1', user_id: 'u1', name: 'Recent AI', view: 'all', query: 'tag:ai after:30d' }],
+  preferences: { id: 'p1', user_id: 'u1', digest_enabled: true, digest_day: 1, last_digest_sent: '2024-01-01' },
+  settings: { 'stash-theme': 'dark' },
+};
+
+function sequentialIds() {
+  let n = 0;
+  return () => `new-${++n}`;
+}
+
+describe('createBackup', () => {
+  it('should version the backup and drop account-specific columns', () => {
+    const backup = createBackup(library, '2024-05-01T00:00:00.000Z');
+
+    expect(backup.format).toBe(BACKUP_FORMAT);
+    expect(backup.version).toBe(BACKUP_VERSION);
+    expect(backup.exported_at).toBe('2024-05-01T00:00:00.000Z');
+    expect(backup.data.saves[0]).toEqual({
+      id: 's1', folder_id: 'f1', url: 'https://a.com', highlight: null, title: 'A',
+    });
+    expect(backup.data.annotations[0]).not.toHaveProperty('fts');
+    expect(backup.data.smart_folders).toEqual([{ id: 'sf1', name: 'Recent AI', view: 'all', query: 'tag:ai after:30d' }]);
+    expect(backup.data.user_preferences).toEqual({ digest_enabled: true, digest_day: 1 });
+    expect(backup.settings).toEqual({ 'stash-theme': 'dark' });
+  });
+});
+
+describe('parseBackup', () => {
+  it('should round-trip a backup', () => {
+    const backup = createBackup(library);
+    expect(parseBackup(JSON.stringify(backup))).toEqual(backup);
+  });
+
+  it('should fill in missing lists', () => {
+    const parsed = parseBackup(JSON.stringify({ format: BACKUP_FORMAT, version: 1, data: {} }));
+    expect(parsed.data.saves).toEqual([]);
+    expect(parsed.data.smart_folders).toEqual([]);
+    expect(parsed.data.user_preferences).toBeNull();
+    expect(parsed.settings).toEqual({});
+  });
+
+  it('should reject invalid JSON, other files and newer versions', () => {
+    expect(() => parseBackup('{nope')).toThrow('not valid JSON');
+    expect(() => parseBackup('{"saves": []}')).toThrow("isn't a Stash backup");
+    expect(() => parseBackup(JSON.stringify({ format: BACKUP_FORMAT, version: 99, data: {} })))
+      .toThrow('newer version');
+  });
+});
+
+describe('planRestore', () => {
+  const backup = parseBackup(JSON.stringify(createBackup(library)));
+
+  it('should give every row a new ID and remap references when replacing', () => {
+    const existing = { folders: [{ id: 'old', name: 'Research' }], tags: [], saves: [] };
+    const plan = planRestore(backup, existing, { mode: 'replace', generateId: sequentialIds() });
+
+    expect(plan.folders).toEqual([{ id: 'new-1', name: 'Research', color: '#fff' }]);
+    expect(plan.tags.map((t) => t.id)).toEqual(['new-2', 'new-3']);
+    expect(plan.saves.map((s) => [s.id, s.folder_id])).toEqual([
+      ['new-4', 'new-1'],
+      ['new-5', null],
+      ['new-6', null],
+    ]);
+    expect(plan.saveTags).toEqual([
+      { save_id: 'new-4', tag_id: 'new-2', created_at: '2024-01-01' },
+      { save_id: 'new-5', tag_id: 'new-3', created_at: '2024-01-01' },
+    ]);
+    expect(plan.annotations).toEqual([{ id: 'new-7', save_id: 'new-4', quote: 'Hi', note: 'n' }]);
+    expect(plan.highlightReviews).toEqual([
+      { id: 'new-8', save_id: 'new-6', annotation_id: null, interval_days: 3 },
+      { id: 'new-9', save_id: null, annotation_id: 'new-7', interval_days: 7 },
+    ]);
+    expect(plan.smartFolders).toEqual([{ id: 'new-10', name: 'Recent AI', view: 'all', query: 'tag:ai after:30d' }]);
+    expect(plan.preferences).toEqual({ digest_enabled: true, digest_day: 1 });
+    expect(plan.skipped).toBe(0);
+  });
+
+  it('should reuse matching folders, tags and saves when merging', () => {
+    const existing = {
+      folders: [{ id: 'F', name: 'Research' }],
+      tags: [{ id: 'T', name: 'ai' }],
+      saves: [{ id: 'S', url: 'https://a.com', highlight: null }],
+    };
+    const plan = planRestore(backup, existing, { mode: 'merge', generateId: sequentialIds() });
+
+    expect(plan.folders).toEqual([]);
+    expect(plan.tags.map((t) => t.name)).toEqual(['longform']);
+    // The highlight shares a URL with s2 but is a different save
+    expect(plan.saves.map((s) => s.title)).toEqual(['B', 'B']);
+    expect(plan.skipped).toBe(1);
+    // Links and annotations for the skipped save are not restored
+    expect(plan.saveTags).toEqual([{ save_id: 'new-2', tag_id: 'new-1', created_at: '2024-01-01' }]);
+    expect(plan.annotations).toEqual([]);
+    // Only the review of the restored highlight save survives
+    expect(plan.highlightReviews.map((r) => r.save_id)).toEqual(['new-3']);
+  });
+
+  it('should match saves on their URL key', () => {
+    const existing = {
+      folders: [],
+      tags: [],
+      saves: [
+        { id: 'S1', url: 'https://www.a.com/?utm_source=rss', highlight: null },
+        { id: 'S2', url: 'http://b.com/', highlight: null },
+      ],
+    };
+    const plan = planRestore(backup, existing, { mode: 'merge', generateId: sequentialIds() });
+
+    // Only the highlight save is new; highlights still need the same text to match
+    expect(plan.saves.map((s) => s.highlight)).toEqual(['quote']);
+    expect(plan.skipped).toBe(2);
+  });
+
+  it('should skip smart folders with a name already in use when merging', () => {
+    const existing = { folders: [], tags: [], saves: [], smartFolders: [{ id: 'SF', name: 'Recent AI' }] };
+    const plan = planRestore(backup, existing, { mode: 'merge', generateId: sequentialIds() });
+    expect(plan.smartFolders).toEqual([]);
+  });
+
+  it('should point restored saves at existing folders', () => {
+    const existing = { folders: [{ id: 'F', name: 'Research' }], tags: [], saves: [] };
+    const plan = planRestore(backup, existing, { mode: 'merge', generateId: sequentialIds() });
+    expect(plan.saves[0].folder_id).toBe('F');
+  });
+
+  it('should collapse duplicate saves inside the backup', () => {
+    const dup = parseBackup(JSON.stringify(createBackup({
+      ...library,
+      saves: [library.saves[0], { ...library.saves[0], id: 's9' }],
+      saveTags: [
+        { save_id: 's1', tag_id: 't1' },
+        { save_id: 's9', tag_id: 't1' },
+      ],
+      annotations: [],
+    })));
+    const plan = planRestore(dup, { folders: [], tags: [], saves: [] }, { generateId: sequentialIds() });
+
+    expect(plan.saves).toHaveLength(1);
+    expect(plan.skipped).toBe(1);
+    expect(plan.saveTags).toHaveLength(1);
+  });
+});
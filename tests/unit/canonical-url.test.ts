@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isTrackingParam,
+  cleanUrl,
+  canonicalUrl,
+  urlKey,
+} from '../../web/utils/canonical-url.js';
+
+describe('isTrackingParam', () => {
+  it('should match campaign and click-id parameters', () => {
+    ['utm_source', 'UTM_Medium', 'utm_campaign', 'fbclid', 'gclid', 'mc_eid', '_hsenc'].forEach((name) => {
+      expect(isTrackingParam(name)).toBe(true);
+    });
+  });
+
+  it('should leave parameters that pick the page alone', () => {
+    ['id', 'v', 'page', 'q', 'ref', 'utm'].forEach((name) => {
+      expect(isTrackingParam(name)).toBe(false);
+    });
+  });
+});
+
+describe('cleanUrl', () => {
+  it('should drop tracking parameters and keep the rest', () => {
+    expect(cleanUrl('https://example.com/post?utm_source=twitter&id=4&fbclid=abc'))
+      .toBe('https://example.com/post?id=4');
+    expect(cleanUrl('https://example.com/post?utm_source=rss')).toBe('https://example.com/post');
+  });
+
+  it('should drop fragments but keep app routes', () => {
+    expect(cleanUrl('https://example.com/post#comments')).toBe('https://example.com/post');
+    expect(cleanUrl('https://example.com/#/inbox/42')).toBe('https://example.com/#/inbox/42');
+    expect(cleanUrl('https://example.com/#!/profile')).toBe('https://example.com/#!/profile');
+  });
+
+  it('should not re-encode a query without tracking parameters', () => {
+    expect(cleanUrl('https://example.com/search?q=a%20b&tag=x')).toBe('https://example.com/search?q=a%20b&tag=x');
+  });
+
+  it('should return other URLs unchanged', () => {
+    expect(cleanUrl('mailto:ada@example.com')).toBe('mailto:ada@example.com');
+    expect(cleanUrl('not a url')).toBe('not a url');
+  });
+});
+
+describe('canonicalUrl', () => {
+  it('should follow the canonical link', () => {
+    expect(canonicalUrl('https://amp.example.com/post.amp?utm_source=google', 'https://example.com/post'))
+      .toBe('https://example.com/post');
+  });
+
+  it('should resolve a relative canonical link against the page', () => {
+    expect(canonicalUrl('https://example.com/post?page=1&utm_medium=email', '/post'))
+      .toBe('https://example.com/post');
+  });
+
+  it('should clean the canonical link as well', () => {
+    expect(canonicalUrl('https://example.com/a', 'https://example.com/a?utm_source=canonical'))
+      .toBe('https://example.com/a');
+  });
+
+  it('should ignore a canonical link that points every page at the home page', () => {
+    expect(canonicalUrl('https://example.com/post?fbclid=1', 'https://example.com/'))
+      .toBe('https://example.com/post');
+    expect(canonicalUrl('https://example.com/?fbclid=1', 'https://example.com/'))
+      .toBe('https://example.com/');
+  });
+
+  it('should fall back to the page URL without a usable canonical link', () => {
+    expect(canonicalUrl('https://example.com/post#top', null)).toBe('https://example.com/post');
+    expect(canonicalUrl('https://example.com/post', 'javascript:void(0)')).toBe('https://example.com/post');
+  });
+});
+
+describe('urlKey', () => {
+  it('should give the same key to the forms of one page', () => {
+    const key = 'example.com/post?a=1&b=2';
+    [
+      'https://www.example.com/post?a=1&b=2',
+      'http://example.com/post/?b=2&a=1',
+      'https://EXAMPLE.com:443/post?a=1&utm_source=x&b=2#comments',
+      'https://m.example.com/post?fbclid=abc&a=1&b=2',
+      '  https://example.com/post?a=1&&b=2  ',
+    ].forEach((href) => {
+      expect(urlKey(href)).toBe(key);
+    });
+  });
+
+  it('should keep what picks the page', () => {
+    expect(urlKey('https://example.com/Post')).not.toBe(urlKey('https://example.com/post'));
+    expect(urlKey('https://example.com/item?id=1')).not.toBe(urlKey('https://example.com/item?id=2'));
+    expect(urlKey('https://blog.example.com/post')).toBe('blog.example.com/post');
+    expect(urlKey('https://example.com/#/inbox')).toBe('example.com#/inbox');
+    expect(urlKey('https://example.com:8080/')).toBe('example.com:8080');
+  });
+
+  it('should return null for URLs without a page', () => {
+    expect(urlKey('kindle://book/123')).toBeNull();
+    expect(urlKey('')).toBeNull();
+    expect(urlKey(null as unknown as string)).toBeNull();
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { parseCsv, parseCsvRecords, toCsv } from '../../web/utils/csv.js';
+
+describe('parseCsv', () => {
+  it('should split simple rows and fields', () => {
+    expect(parseCsv('a,b,c\n1,2,3')).toEqual([
+      ['a', 'b', 'c'],
+      ['1', '2', '3'],
+    ]);
+  });
+
+  it('should handle quoted fields with commas, quotes and newlines', () => {
+    const csv = 'title,note\n"Hello, world","She said ""hi""\nthen left"';
+    expect(parseCsv(csv)).toEqual([
+      ['title', 'note'],
+      ['Hello, world', 'She said "hi"\nthen left'],
+    ]);
+  });
+
+  it('should handle CRLF line endings, a BOM and blank lines', () => {
+    expect(parseCsv('\uFEFFa,b\r\n\r\n1,2\r\n')).toEqual([
+      ['a', 'b'],
+      ['1', '2'],
+    ]);
+  });
+
+  it('should keep empty fields', () => {
+    expect(parseCsv('a,,c')).toEqual([['a', '', 'c']]);
+  });
+});
+
+describe('parseCsvRecords', () => {
+  it('should key rows by trimmed header names', () => {
+    expect(parseCsvRecords('title, url\nExample,https://example.com')).toEqual([
+      { title: 'Example', url: 'https://example.com' },
+    ]);
+  });
+
+  it('should fill missing trailing fields with empty strings', () => {
+    expect(parseCsvRecords('a,b,c\n1')).toEqual([{ a: '1', b: '', c: '' }]);
+  });
+
+  it('should return an empty array for empty input', () => {
+    expect(parseCsvRecords('')).toEqual([]);
+  });
+});
+
+describe('toCsv', () => {
+  it('should quote fields with commas, quotes and newlines', () => {
+    expect(toCsv([['a', 'b,c'], ['say "hi"', 'line\nbreak']])).toBe(
+      'a,"b,c"\r\n"say ""hi""","line\nbreak"'
+    );
+  });
+
+  it('should write null and undefined as empty fields', () => {
+    expect(toCsv([[null, undefined, 0]])).toBe(',,0');
+  });
+
+  it('should round-trip through parseCsv', () => {
+    const rows = [['title', 'note'], ['Hello, world', 'She said "hi"\nthen left']];
+    expect(parseCsv(toCsv(rows))).toEqual(rows);
+  });
+});
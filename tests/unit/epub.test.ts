@@ -0,0 +1,156 @@
+import { describe, it, expect } from 'vitest';
+import {
+  escapeXml,
+  textToParagraphs,
+  renderChapter,
+  buildEpub,
+  saveToChapter,
+} from '../../web/utils/epub.js';
+
+// List the stored entries of a zip by walking its local file headers
+function readEntries(bytes: Uint8Array) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const entries: Record<string, string> = {};
+  const names: string[] = [];
+  let position = 0;
+
+  while (view.getUint32(position, true) === 0x04034b50) {
+    const size = view.getUint32(position + 18, true);
+    const nameLength = view.getUint16(position + 26, true);
+    const name = decoder.decode(bytes.subarray(position + 30, position + 30 + nameLength));
+    const start = position + 30 + nameLength;
+    entries[name] = decoder.decode(bytes.subarray(start, start + size));
+    names.push(name);
+    position = start + size;
+  }
+
+  return { names, entries };
+}
+
+function isWellFormed(xml: string) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  return doc.getElementsByTagName('parsererror').length === 0;
+}
+
+const chapter = {
+  title: 'Rust & <Go>',
+  author: 'Jane Doe',
+  site: 'example.com',
+  url: 'https://example.com/a?x=1&y=2',
+  keyPoints: ['Memory safety', 'Fast builds'],
+  content: 'First line\nsecond line\n\nSecond paragraph\u0007 here.',
+};
+
+describe('escapeXml', () => {
+  it('should escape markup and drop characters XML does not allow', () => {
+    expect(escapeXml(`a<b>&"c"'\u0000\t`)).toBe('a&lt;b&gt;&amp;&quot;c&quot;&apos;\t');
+  });
+});
+
+describe('textToParagraphs', () => {
+  it('should split paragraphs on blank lines and keep line breaks', () => {
+    expect(textToParagraphs('One\ntwo\n\n  \n\nThree <b>')).toBe('<p>One<br/>two</p>\n<p>Three &lt;b&gt;</p>');
+  });
+
+  it('should return an empty string for empty content', () => {
+    expect(textToParagraphs(null)).toBe('');
+  });
+});
+
+describe('renderChapter', () => {
+  it('should render title, byline, source and key points before the content', () => {
+    const xhtml = renderChapter(chapter);
+
+    expect(isWellFormed(xhtml)).toBe(true);
+    expect(xhtml).toContain('<h1>Rust &amp; &lt;Go&gt;</h1>');
+    expect(xhtml).toContain('<p class="byline">Jane Doe · example.com</p>');
+    expect(xhtml).toContain('href="https://example.com/a?x=1&amp;y=2"');
+    expect(xhtml.indexOf('Key points')).toBeLessThan(xhtml.indexOf('First line'));
+    expect(xhtml).toContain('<li>Memory safety</li>');
+  });
+
+  it('should leave out the preface when there are no key points', () => {
+    expect(renderChapter({ ...chapter, keyPoints: [] })).not.toContain('Key points');
+  });
+
+  it('should render the note after the key points and before the content', () => {
+    const xhtml = renderChapter({ ...chapter, note: 'Revisit <before> the workshop' });
+
+    expect(isWellFormed(xhtml)).toBe(true);
+    expect(xhtml).toContain('<h2>Note</h2>\n<p>Revisit &lt;before&gt; the workshop</p>');
+    expect(xhtml.indexOf('Key points')).toBeLessThan(xhtml.indexOf('<h2>Note</h2>'));
+    expect(xhtml.indexOf('<h2>Note</h2>')).toBeLessThan(xhtml.indexOf('First line'));
+  });
+
+  it('should leave out the note section when there is no note', () => {
+    expect(renderChapter(chapter)).not.toContain('class="note"');
+  });
+});
+
+describe('buildEpub', () => {
+  const epub = buildEpub({
+    title: 'Weekly Review',
+    identifier: 'urn:uuid:1234',
+    modified: '2024-03-04T05:06:07.890Z',
+    chapters: [chapter, { ...chapter, title: 'Second' }],
+  });
+  const { names, entries } = readEntries(epub);
+
+  it('should store the mimetype entry first', () => {
+    expect(names[0]).toBe('mimetype');
+    expect(entries.mimetype).toBe('application/epub+zip');
+  });
+
+  it('should include the package, both tables of contents and one file per chapter', () => {
+    expect(names).toEqual([
+      'mimetype',
+      'META-INF/container.xml',
+      'OEBPS/content.opf',
+      'OEBPS/nav.xhtml',
+      'OEBPS/toc.ncx',
+      'OEBPS/style.css',
+      'OEBPS/chapter-001.xhtml',
+      'OEBPS/chapter-002.xhtml',
+    ]);
+  });
+
+  it('should produce well-formed XML everywhere', () => {
+    names.filter((name) => /\.(xml|opf|xhtml|ncx)$/.test(name)).forEach((name) => {
+      expect(isWellFormed(entries[name]), name).toBe(true);
+    });
+  });
+
+  it('should list chapters in the spine and table of contents in order', () => {
+    const opf = entries['OEBPS/content.opf'];
+    expect(opf).toContain('<meta property="dcterms:modified">2024-03-04T05:06:07Z</meta>');
+    expect(opf.indexOf('idref="chapter-001"')).toBeLessThan(opf.indexOf('idref="chapter-002"'));
+
+    const nav = entries['OEBPS/nav.xhtml'];
+    expect(nav).toContain('<a href="chapter-001.xhtml">Rust &amp; &lt;Go&gt;</a>');
+    expect(nav).toContain('<a href="chapter-002.xhtml">Second</a>');
+    expect(entries['OEBPS/toc.ncx']).toContain('playOrder="2"');
+  });
+});
+
+describe('saveToChapter', () => {
+  it('should map save fields and fall back to the excerpt', () => {
+    expect(saveToChapter({
+      title: null,
+      author: 'A',
+      site_name: 'b.com',
+      url: 'https://b.com',
+      excerpt: 'Short',
+      note: 'Read twice',
+      ai_metadata: { key_points: ['K'] },
+    })).toEqual({
+      title: 'Untitled',
+      author: 'A',
+      site: 'b.com',
+      url: 'https://b.com',
+      keyPoints: ['K'],
+      note: 'Read twice',
+      content: 'Short',
+    });
+  });
+});
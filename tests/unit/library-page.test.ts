@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SAVE_CARD_COLUMNS,
+  pageCursor,
+  keysetFilter,
+} from '../../web/utils/library-page.js';
+
+describe('SAVE_CARD_COLUMNS', () => {
+  it('should leave out the full content', () => {
+    const columns = SAVE_CARD_COLUMNS.split(', ');
+    expect(columns).toContain('id');
+    expect(columns).toContain('excerpt');
+    expect(columns).not.toContain('content');
+    expect(columns).not.toContain('content_markdown');
+  });
+});
+
+describe('pageCursor', () => {
+  it('should take the sort value and id of the last save', () => {
+    const save = { id: 'b2', created_at: '2024-03-01T10:00:00+00:00', title: 'Hello' };
+    expect(pageCursor(save, 'created_at')).toEqual({ value: '2024-03-01T10:00:00+00:00', id: 'b2' });
+    expect(pageCursor(save, 'title')).toEqual({ value: 'Hello', id: 'b2' });
+  });
+
+  it('should use null for a missing sort value', () => {
+    expect(pageCursor({ id: 'c3', title: null }, 'title')).toEqual({ value: null, id: 'c3' });
+  });
+});
+
+describe('keysetFilter', () => {
+  const cursor = { value: '2024-03-01T10:00:00+00:00', id: 'b2' };
+
+  it('should continue below the cursor when sorted newest first', () => {
+    expect(keysetFilter(cursor, { column: 'created_at', ascending: false })).toBe(
+      'created_at.lt."2024-03-01T10:00:00+00:00",and(created_at.eq."2024-03-01T10:00:00+00:00",id.lt."b2")'
+    );
+  });
+
+  it('should continue above the cursor and into the nulls when ascending', () => {
+    expect(keysetFilter({ value: 'Hello', id: 'b2' }, { column: 'title', ascending: true })).toBe(
+      'title.gt."Hello",and(title.eq."Hello",id.gt."b2"),title.is.null'
+    );
+  });
+
+  it('should page through rows without a sort value', () => {
+    expect(keysetFilter({ value: null, id: 'c3' }, { column: 'title', ascending: true }))
+      .toBe('and(title.is.null,id.gt."c3")');
+    expect(keysetFilter({ value: null, id: 'c3' }, { column: 'title', ascending: false }))
+      .toBe('title.not.is.null,and(title.is.null,id.lt."c3")');
+  });
+
+  it('should quote values that contain filter syntax', () => {
+    const filter = keysetFilter({ value: 'Hello, "World" (part 2)', id: 'b2' }, { column: 'title', ascending: true });
+    expect(filter).toContain('title.gt."Hello, \\"World\\" (part 2)"');
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseInstapaperCsv,
+  parseOmnivoreJson,
+  parseRaindropCsv,
+} from '../../web/utils/library-parsers.js';
+
+describe('parseInstapaperCsv', () => {
+  const csv = `URL,Title,Selection,Folder,Timestamp,Tags
+https://example.com/a,Article A,,Unread,1609459200,"[""tech"",""ai""]"
+https://example.com/b,Article B,A quoted bit,Archive,1609545600,[]
+https://example.com/c,Article C,,Starred,1609632000,
+https://example.com/d,,,Research,1609718400,
+instapaper-private://email/123,Private,,Unread,1609718400,`;
+
+  it('should parse rows with JSON tag lists and timestamps', () => {
+    const items = parseInstapaperCsv(csv);
+
+    expect(items[0]).toMatchObject({
+      url: 'https://example.com/a',
+      title: 'Article A',
+      tags: ['tech', 'ai'],
+      folder: null,
+      isArchived: false,
+      isFavorite: false,
+      addedAt: '2021-01-01T00:00:00.000Z',
+    });
+  });
+
+  it('should map built-in folders to status and keep custom folders', () => {
+    const items = parseInstapaperCsv(csv);
+
+    expect(items[1]).toMatchObject({ isArchived: true, excerpt: 'A quoted bit', tags: [] });
+    expect(items[2]).toMatchObject({ isFavorite: true, folder: null });
+    expect(items[3]).toMatchObject({ folder: 'Research', title: 'https://example.com/d' });
+  });
+
+  it('should skip non-http URLs', () => {
+    expect(parseInstapaperCsv(csv)).toHaveLength(4);
+  });
+});
+
+describe('parseOmnivoreJson', () => {
+  const json = JSON.stringify([
+    {
+      title: 'Deep Work',
+      url: 'https://example.com/deep',
+      author: 'Cal',
+      description: 'Focus matters',
+      state: 'Archived',
+      savedAt: '2024-03-01T10:00:00.000Z',
+      labels: ['focus', { name: 'work' }],
+      highlights: [
+        { quote: 'Attention is scarce', annotation: 'So true', createdAt: '2024-03-02T10:00:00.000Z' },
+        { quote: '   ' },
+      ],
+    },
+    { title: 'No URL' },
+  ]);
+
+  it('should parse articles with labels as tags and archived state', () => {
+    const [item] = parseOmnivoreJson(json);
+
+    expect(item).toMatchObject({
+      url: 'https://example.com/deep',
+      title: 'Deep Work',
+      author: 'Cal',
+      excerpt: 'Focus matters',
+      tags: ['focus', 'work'],
+      isArchived: true,
+      addedAt: '2024-03-01T10:00:00.000Z',
+    });
+  });
+
+  it('should parse highlights with their annotations', () => {
+    const [item] = parseOmnivoreJson(json);
+
+    expect(item.highlights).toEqual([
+      { text: 'Attention is scarce', note: 'So true', addedAt: '2024-03-02T10:00:00.000Z' },
+    ]);
+  });
+
+  it('should skip entries without a URL', () => {
+    expect(parseOmnivoreJson(json)).toHaveLength(1);
+  });
+
+  it('should throw on invalid JSON', () => {
+    expect(() => parseOmnivoreJson('not json')).toThrow();
+  });
+});
+
+describe('parseRaindropCsv', () => {
+  const csv = `id,title,note,excerpt,url,folder,tags,created,cover,highlights,favorite
+1,Raindrop One,My note,An excerpt,https://example.com/r1,Reading/Later,"design, ux",2023-05-01T12:00:00.000Z,https://example.com/cover.jpg,"Highlight: First quote
+Note: First note
+
+Highlight: Second quote",true
+2,Raindrop Two,,,https://example.com/r2,Unsorted,,2023-05-02T12:00:00.000Z,,,false`;
+
+  it('should map collections to folders and keep notes and favorites', () => {
+    const [first, second] = parseRaindropCsv(csv);
+
+    expect(first).toMatchObject({
+      url: 'https://example.com/r1',
+      title: 'Raindrop One',
+      note: 'My note',
+      excerpt: 'An excerpt',
+      folder: 'Reading/Later',
+      tags: ['design', 'ux'],
+      imageUrl: 'https://example.com/cover.jpg',
+      isFavorite: true,
+      addedAt: '2023-05-01T12:00:00.000Z',
+    });
+    expect(second).toMatchObject({ folder: null, tags: [], isFavorite: false, note: null });
+  });
+
+  it('should parse highlights with optional notes', () => {
+    const [first, second] = parseRaindropCsv(csv);
+
+    expect(first.highlights).toEqual([
+      { text: 'First quote', note: 'First note', addedAt: null },
+      { text: 'Second quote', note: null, addedAt: null },
+    ]);
+    expect(second.highlights).toEqual([]);
+  });
+});
@@ -0,0 +1,183 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toYaml,
+  renderFilename,
+  linkHighlights,
+  saveToMarkdown,
+  buildVaultFiles,
+} from '../../web/utils/markdown-export.js';
+
+const article = {
+  id: 's1',
+  title: 'How to Think: A Guide',
+  url: 'https://example.com/think',
+  author: 'Jane Doe',
+  site_name: 'example.com',
+  content: 'First paragraph.\n\nSecond paragraph.',
+  note: 'Revisit before the workshop',
+  published_at: '2024-01-02T00:00:00.000Z',
+  created_at: '2024-02-03T10:00:00.000Z',
+  updated_at: '2024-02-03T10:00:00.000Z',
+  ai_metadata: { key_points: ['Think slowly', 'Write "things" down'] },
+};
+
+describe('toYaml', () => {
+  it('should quote strings, list arrays and nest objects', () => {
+    expect(toYaml({ title: 'A "quoted" title', tags: ['a', 'b'], meta: { count: 2 } })).toBe(
+      'title: "A \\"quoted\\" title"\ntags:\n  - "a"\n  - "b"\nmeta:\n  count: 2'
+    );
+  });
+
+  it('should skip empty values and empty nested objects', () => {
+    expect(toYaml({ a: null, b: '', c: [], d: { e: [] }, f: 'x' })).toBe('f: "x"');
+  });
+});
+
+describe('renderFilename', () => {
+  it('should use the title by default and strip unsafe characters', () => {
+    expect(renderFilename('', article)).toBe('How to Think A Guide.md');
+  });
+
+  it('should fill tokens and create folders from slashes', () => {
+    expect(renderFilename('{type}/{year}/{date} {title}', article)).toBe(
+      'article/2024/2024-02-03 How to Think A Guide.md'
+    );
+  });
+
+  it('should not let token values add folders', () => {
+    expect(renderFilename('{title}', { title: 'AC/DC live' })).toBe('AC DC live.md');
+  });
+
+  it('should fall back to Untitled', () => {
+    expect(renderFilename('{author}', { title: 'x' })).toBe('Untitled.md');
+  });
+});
+
+describe('linkHighlights', () => {
+  it('should link highlights by URL and book title, grouping the rest', () => {
+    const book = { id: 'b1', title: 'Deep Work', content_type: 'book' };
+    const highlights = [
+      { id: 'h1', url: 'https://example.com/think', title: 'x', highlight: 'web quote' },
+      { id: 'h2', url: null, title: 'Deep Work', highlight: 'book quote', source: 'kindle' },
+      { id: 'h3', url: null, title: 'Other Book', highlight: 'orphan', source: 'kindle' },
+    ];
+    const annotations = [{ id: 'a1', save_id: 's1', quote: 'Second' }];
+
+    const { linked, unlinked } = linkHighlights([article, book], highlights, annotations);
+
+    const articleGroup = linked.get('s1');
+    const bookGroup = linked.get('b1');
+    expect(articleGroup).toBeDefined();
+    expect(bookGroup).toBeDefined();
+    expect(articleGroup!.highlights.map((h) => h.id)).toEqual(['h1']);
+    expect(articleGroup!.annotations.map((a) => a.id)).toEqual(['a1']);
+    expect(bookGroup!.highlights.map((h) => h.id)).toEqual(['h2']);
+    expect(unlinked).toHaveLength(1);
+    expect(unlinked[0]).toMatchObject({ title: 'Other Book', content_type: 'book' });
+  });
+});
+
+describe('saveToMarkdown', () => {
+  it('should render frontmatter, note, content and highlights with notes', () => {
+    const markdown = saveToMarkdown(article, {
+      tags: ['thinking'],
+      highlights: [{ highlight: 'Saved from the extension', note: null }],
+      annotations: [
+        { quote: 'Second paragraph', note: 'Key idea', start_offset: 18 },
+        { quote: 'First', note: null, start_offset: 0 },
+      ],
+    });
+
+    expect(markdown).toBe(`---
+title: "How to Think: A Guide"
+url: "https://example.com/think"
+author: "Jane Doe"
+site_name: "example.com"
+type: "article"
+tags:
+  - "thinking"
+published_at: "2024-01-02T00:00:00.000Z"
+created_at: "2024-02-03T10:00:00.000Z"
+ai_metadata:
+  key_points:
+    - "Think slowly"
+    - "Write \\"things\\" down"
+---
+
+# How to Think: A Guide
+
+## Note
+
+Revisit before the workshop
+
+First paragraph.
+
+Second paragraph.
+
+## Highlights
+
+> First
+
+> Second paragraph
+
+**Note:** Key idea
+
+> Saved from the extension
+`);
+  });
+
+  it('should prefer the structured Markdown copy of an article', () => {
+    const markdown = saveToMarkdown({
+      ...article,
+      content_markdown: '## Part one\n\n- First point\n- Second point',
+    });
+
+    expect(markdown).toContain('## Part one\n\n- First point\n- Second point');
+    expect(markdown).not.toContain('First paragraph.');
+  });
+
+  it('should render book notes and description from the JSON content', () => {
+    const book = {
+      title: 'Deep Work',
+      content_type: 'book',
+      content: JSON.stringify({ description: 'About focus', notes: 'Loved it' }),
+    };
+
+    const markdown = saveToMarkdown(book);
+    expect(markdown).toContain('type: "book"');
+    expect(markdown).toContain('## Your Notes\n\nLoved it');
+    expect(markdown).toContain('## About This Book\n\nAbout focus');
+  });
+});
+
+describe('buildVaultFiles', () => {
+  const older = { ...article, id: 's2', title: 'Old Post', url: 'https://example.com/old', updated_at: '2023-01-01T00:00:00.000Z' };
+  const data = {
+    saves: [article, older],
+    highlightSaves: [],
+    annotations: [{ id: 'a1', save_id: 's2', quote: 'x', start_offset: 0, updated_at: '2024-06-01T00:00:00.000Z' }],
+    tagNames: { s1: ['thinking'] },
+  };
+
+  it('should export every save without a since date', () => {
+    const files = buildVaultFiles(data, { template: '{title}' });
+    expect(files.map((f) => f.name)).toEqual(['How to Think A Guide.md', 'Old Post.md']);
+    expect(files[0].content).toContain('  - "thinking"');
+  });
+
+  it('should only export saves changed since a date, including new annotations', () => {
+    const files = buildVaultFiles(data, { since: '2024-05-01T00:00:00.000Z', template: '{title}' });
+    expect(files.map((f) => f.name)).toEqual(['Old Post.md']);
+  });
+
+  it('should keep duplicate names unique and stable across incremental exports', () => {
+    const twin = { ...older, id: 's3', url: 'https://example.com/old-2', updated_at: '2024-07-01T00:00:00.000Z' };
+    const withTwin = { ...data, saves: [article, older, twin], annotations: [] };
+
+    const all = buildVaultFiles(withTwin, { template: '{title}' });
+    expect(all.map((f) => f.name)).toEqual(['How to Think A Guide.md', 'Old Post.md', 'Old Post (2).md']);
+
+    const changed = buildVaultFiles(withTwin, { since: '2024-05-01T00:00:00.000Z', template: '{title}' });
+    expect(changed.map((f) => f.name)).toEqual(['Old Post (2).md']);
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { parseNetscapeBookmarks, toNetscapeBookmarks } from '../../web/utils/netscape-bookmarks.js';
+
+const chromeExport = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+    <DT><H3 ADD_DATE="1609459200" PERSONAL_TOOLBAR_FOLDER="true">Bookmarks bar</H3>
+    <DL><p>
+        <DT><A HREF="https://example.com/a" ADD_DATE="1609459200" TAGS="tech,ai,tech">Article A</A>
+        <DD>Worth a reread
+        <DT><H3>Research</H3>
+        <DL><p>
+            <DT><A HREF="https://example.com/b">Article B</A>
+        </DL><p>
+        <DT><A HREF="https://example.com/c"></A>
+    </DL><p>
+    <DT><A HREF="https://example.com/d" ADD_DATE="1609459200000000">Article D</A>
+    <DT><A HREF="javascript:alert(1)">Bookmarklet</A>
+    <DT><A HREF="place:sort=8">Recent</A>
+</DL><p>`;
+
+describe('parseNetscapeBookmarks', () => {
+  const items = parseNetscapeBookmarks(chromeExport);
+
+  it('should parse links with tags, add date and description', () => {
+    expect(items[0]).toEqual({
+      url: 'https://example.com/a',
+      title: 'Article A',
+      note: 'Worth a reread',
+      tags: ['tech', 'ai'],
+      folder: 'Bookmarks bar',
+      isArchived: false,
+      addedAt: '2021-01-01T00:00:00.000Z',
+    });
+  });
+
+  it('should join nested folders into one folder name', () => {
+    expect(items[1]).toMatchObject({ url: 'https://example.com/b', folder: 'Bookmarks bar / Research' });
+    expect(items[2]).toMatchObject({ folder: 'Bookmarks bar', note: null });
+  });
+
+  it('should leave top-level links without a folder and fall back to the URL as title', () => {
+    expect(items[2].title).toBe('https://example.com/c');
+    expect(items[3]).toMatchObject({ folder: null, addedAt: '2021-01-01T00:00:00.000Z' });
+  });
+
+  it('should skip non-web links', () => {
+    expect(items).toHaveLength(4);
+  });
+});
+
+describe('toNetscapeBookmarks', () => {
+  const saves = [
+    {
+      id: 's1',
+      url: 'https://example.com/a?x=1&y=2',
+      title: 'Tips & "tricks"',
+      folder_id: 'f1',
+      note: 'Read <soon>',
+      created_at: '2021-01-01T00:00:00.000Z',
+    },
+    { id: 's2', url: 'https://example.com/b', title: 'Loose link', folder_id: null },
+    { id: 's3', url: null, title: 'A book' },
+  ];
+  const folders = [{ id: 'f1', name: 'Reading / Later' }];
+  const tagNames = { s1: ['tech', 'ai'] };
+
+  it('should write a bookmark file with nested folders and escaped values', () => {
+    const html = toNetscapeBookmarks(saves, { folders, tagNames });
+
+    expect(html.startsWith('<!DOCTYPE NETSCAPE-Bookmark-file-1>')).toBe(true);
+    expect(html).toContain('<DT><H3>Reading</H3>');
+    expect(html).toContain('<DT><H3>Later</H3>');
+    expect(html).toContain(
+      '<DT><A HREF="https://example.com/a?x=1&amp;y=2" ADD_DATE="1609459200" TAGS="tech,ai">Tips &amp; &quot;tricks&quot;</A>'
+    );
+    expect(html).toContain('<DD>Read &lt;soon&gt;');
+    expect(html).not.toContain('A book');
+  });
+
+  it('should round-trip through the parser', () => {
+    const items = parseNetscapeBookmarks(toNetscapeBookmarks(saves, { folders, tagNames }));
+
+    expect(items).toEqual([
+      {
+        url: 'https://example.com/a?x=1&y=2',
+        title: 'Tips & "tricks"',
+        note: 'Read <soon>',
+        tags: ['tech', 'ai'],
+        folder: 'Reading / Later',
+        isArchived: false,
+        addedAt: '2021-01-01T00:00:00.000Z',
+      },
+      {
+        url: 'https://example.com/b',
+        title: 'Loose link',
+        note: null,
+        tags: [],
+        folder: null,
+        isArchived: false,
+        addedAt: null,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parsePocketHtml,
+  parsePocketCsv,
+  parsePocketExport,
+  deduplicateByUrl,
+} from '../../web/utils/pocket-parser.js';
+
+const POCKET_HTML = `<!DOCTYPE html>
+<html>
+<head><title>Pocket Export</title></head>
+<body>
+<h1>Unread</h1>
+<ul>
+  <li><a href="https://example.com/one" time_added="1609459200" tags="tech,reading">First Article</a></li>
+  <li><a href="https://example.com/two" time_added="1609545600" tags="">https://example.com/two</a></li>
+</ul>
+<h1>Read Archive</h1>
+<ul>
+  <li><a href="https://example.com/three" time_added="1609632000" tags="history">Third Article</a></li>
+</ul>
+</body>
+</html>`;
+
+const POCKET_CSV = `title,url,time_added,cursor,tags,status
+First Article,https://example.com/one,1609459200,abc,tech|reading,unread
+"Quotes, Commas",https://example.com/two,1609545600,def,,archive
+Bad Row,not-a-url,1609545600,ghi,,unread`;
+
+describe('parsePocketHtml', () => {
+  it('should parse links with tags and time added', () => {
+    const items = parsePocketHtml(POCKET_HTML);
+
+    expect(items).toHaveLength(3);
+    expect(items[0]).toEqual({
+      url: 'https://example.com/one',
+      title: 'First Article',
+      tags: ['tech', 'reading'],
+      isArchived: false,
+      addedAt: '2021-01-01T00:00:00.000Z',
+    });
+  });
+
+  it('should mark links under the Read Archive heading as archived', () => {
+    const items = parsePocketHtml(POCKET_HTML);
+    expect(items.map((i) => i.isArchived)).toEqual([false, false, true]);
+  });
+
+  it('should handle links without tags', () => {
+    const items = parsePocketHtml(POCKET_HTML);
+    expect(items[1].tags).toEqual([]);
+  });
+});
+
+describe('parsePocketCsv', () => {
+  it('should parse rows with pipe-separated tags and status', () => {
+    const items = parsePocketCsv(POCKET_CSV);
+
+    expect(items[0]).toEqual({
+      url: 'https://example.com/one',
+      title: 'First Article',
+      tags: ['tech', 'reading'],
+      isArchived: false,
+      addedAt: '2021-01-01T00:00:00.000Z',
+    });
+    expect(items[1].title).toBe('Quotes, Commas');
+    expect(items[1].isArchived).toBe(true);
+  });
+
+  it('should skip rows without an http(s) URL', () => {
+    expect(parsePocketCsv(POCKET_CSV)).toHaveLength(2);
+  });
+});
+
+describe('parsePocketExport', () => {
+  it('should detect HTML by file name or content', () => {
+    expect(parsePocketExport(POCKET_HTML, 'ril_export.html')).toHaveLength(3);
+    expect(parsePocketExport(POCKET_HTML, 'export')).toHaveLength(3);
+  });
+
+  it('should fall back to CSV', () => {
+    expect(parsePocketExport(POCKET_CSV, 'part_000000.csv')).toHaveLength(2);
+  });
+});
+
+describe('deduplicateByUrl', () => {
+  it('should drop URLs that already exist or repeat within the file', () => {
+    const items = [
+      { url: 'https://example.com/one' },
+      { url: 'https://example.com/two' },
+      { url: 'https://example.com/two' },
+    ];
+
+    expect(deduplicateByUrl(items, ['https://example.com/one'])).toEqual([
+      { url: 'https://example.com/two' },
+    ]);
+  });
+
+  it('should treat tracking parameters and www. as the same URL', () => {
+    const items = [
+      { url: 'https://www.example.com/one?utm_source=rss' },
+      { url: 'https://example.com/two?fbclid=abc' },
+      { url: 'https://example.com/two/' },
+    ];
+
+    expect(deduplicateByUrl(items, ['https://example.com/one'])).toEqual([
+      { url: 'https://example.com/two?fbclid=abc' },
+    ]);
+  });
+});
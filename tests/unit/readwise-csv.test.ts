@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import {
+  READWISE_COLUMNS,
+  parseReadwiseCsv,
+  formatHighlightedAt,
+  highlightSaveToRow,
+  annotationToRow,
+  toReadwiseCsv,
+} from '../../web/utils/readwise-csv.js';
+import { parseCsv } from '../../web/utils/csv.js';
+
+const READWISE_CSV = `Highlight,Book Title,Book Author,Amazon Book ID,Note,Color,Tags,Location Type,Location,Highlighted at,Document tags
+"Stay hungry, stay foolish.",Steve Jobs,Walter Isaacson,B004W2UBYW,Great line,yellow,"quotes, life",location,1234,2021-02-01 18:03:00+00:00,biography
+An article highlight,Some Article,,,,,,,,2022-05-10 09:00:00+00:00,
+,Empty Highlight,,,,,,,,,`;
+
+describe('parseReadwiseCsv', () => {
+  it('should parse highlights with book, note and tags', () => {
+    const [first] = parseReadwiseCsv(READWISE_CSV);
+
+    expect(first).toEqual({
+      highlight: 'Stay hungry, stay foolish.',
+      title: 'Steve Jobs',
+      author: 'Walter Isaacson',
+      note: 'Great line',
+      color: 'yellow',
+      tags: ['quotes', 'life', 'biography'],
+      url: 'https://www.amazon.com/dp/B004W2UBYW',
+      addedAt: '2021-02-01T18:03:00.000Z',
+    });
+  });
+
+  it('should handle rows with optional columns empty', () => {
+    const [, second] = parseReadwiseCsv(READWISE_CSV);
+
+    expect(second).toMatchObject({
+      title: 'Some Article',
+      author: null,
+      note: null,
+      tags: [],
+      url: null,
+    });
+  });
+
+  it('should skip rows without highlight text', () => {
+    expect(parseReadwiseCsv(READWISE_CSV)).toHaveLength(2);
+  });
+});
+
+describe('formatHighlightedAt', () => {
+  it('should format ISO dates the way Readwise does', () => {
+    expect(formatHighlightedAt('2021-02-01T18:03:00.000Z')).toBe('2021-02-01 18:03:00+00:00');
+  });
+
+  it('should return an empty string for missing dates', () => {
+    expect(formatHighlightedAt(null)).toBe('');
+  });
+});
+
+describe('Readwise export rows', () => {
+  it('should map a highlight save with its tags and Amazon ID', () => {
+    const row = highlightSaveToRow(
+      {
+        highlight: 'A Kindle quote',
+        title: 'A Book',
+        author: 'An Author',
+        url: 'https://www.amazon.com/dp/B004W2UBYW',
+        note: 'Remember this',
+        created_at: '2021-02-01T18:03:00.000Z',
+      },
+      ['kindle', 'ideas']
+    );
+
+    expect(row).toHaveLength(READWISE_COLUMNS.length);
+    expect(row).toEqual([
+      'A Kindle quote', 'A Book', 'An Author', 'B004W2UBYW', 'Remember this', '',
+      'kindle, ideas', '', '', '2021-02-01 18:03:00+00:00', '',
+    ]);
+  });
+
+  it('should map an annotation with color, offset and document tags', () => {
+    const row = annotationToRow(
+      { quote: 'In-app quote', note: null, color: 'yellow', start_offset: 42, created_at: '2024-01-01T00:00:00.000Z' },
+      { title: 'Web Article', author: null, url: 'https://example.com/a' },
+      ['web']
+    );
+
+    expect(row).toEqual([
+      'In-app quote', 'Web Article', '', '', '', 'yellow',
+      '', 'offset', 42, '2024-01-01 00:00:00+00:00', 'web',
+    ]);
+  });
+
+  it('should round-trip through CSV with a Readwise header', () => {
+    const csv = toReadwiseCsv([
+      highlightSaveToRow({ highlight: 'Quote, with "quotes"', title: 'T', created_at: null }, []),
+    ]);
+
+    const [header, row] = parseCsv(csv);
+    expect(header).toEqual(READWISE_COLUMNS);
+    expect(row[0]).toBe('Quote, with "quotes"');
+    expect(parseReadwiseCsv(csv)[0].highlight).toBe('Quote, with "quotes"');
+  });
+});
@@ -1,5 +1,12 @@
 import { describe, it, expect } from 'vitest';
-import { renderBulkImportBook, renderBookCard } from '../../web/ui/renders.js';
+import {
+  renderBulkImportBook,
+  renderBookCard,
+  renderSaveCard,
+  renderSaveCardNotes,
+  renderSearchSnippet,
+  renderReviewItem,
+} from '../../web/ui/renders.js';
 
 describe('renderBulkImportBook', () => {
   const baseBook = {
@@ -209,6 +216,18 @@ describe('renderBookCard', () => {
     expect(html).toContain('book-card-cover-placeholder');
   });
 
+  it('should drop a cover with an unsafe scheme', () => {
+    const book = {
+      id: '1',
+      title: 'Test Book',
+      image_url: 'javascript:alert(1)',
+      content: '{}',
+    };
+    const html = renderBookCard(book);
+    expect(html).not.toContain('javascript:');
+    expect(html).toContain('book-card-cover-placeholder');
+  });
+
   it('should use site_name as author fallback', () => {
     const book = {
       id: '1',
@@ -220,3 +239,111 @@ describe('renderBookCard', () => {
     expect(html).toContain('Fallback Author');
   });
 });
+
+describe('renderSaveCard', () => {
+  const save = { id: '1', title: 'Attention Is All You Need', created_at: '2024-03-01T00:00:00.000Z' };
+
+  it('should label PDFs with their page count', () => {
+    const html = renderSaveCard({ ...save, content_type: 'pdf', pdf_metadata: { page_count: 15 } });
+    expect(html).toContain('<span class="save-card-type">PDF · 15 pages</span>');
+  });
+
+  it('should label videos with their length', () => {
+    const html = renderSaveCard({ ...save, content_type: 'video', video_metadata: { duration_seconds: 3729 } });
+    expect(html).toContain('<span class="save-card-type">Video · 1:02:09</span>');
+  });
+
+  it('should not label articles', () => {
+    expect(renderSaveCard(save)).not.toContain('save-card-type');
+  });
+
+  it('should drop an image with an unsafe scheme', () => {
+    const html = renderSaveCard({ ...save, image_url: 'javascript:alert(1)' });
+    expect(html).not.toContain('save-card-image');
+  });
+
+  it('should show the search snippet in place of the excerpt', () => {
+    const html = renderSaveCard({ ...save, excerpt: 'A new architecture', content_snippet: 'the \uE000Transformer\uE001 model' });
+    expect(html).toContain('the <mark class="search-match">Transformer</mark> model');
+    expect(html).not.toContain('A new architecture');
+  });
+
+  it('should mark matches in a highlight', () => {
+    const html = renderSaveCard({ ...save, highlight: 'Attention is all', highlight_snippet: '\uE000Attention\uE001 is all' });
+    expect(html).toContain('"<mark class="search-match">Attention</mark> is all"');
+  });
+});
+
+describe('renderSearchSnippet', () => {
+  it('should escape the snippet and mark the matched words', () => {
+    expect(renderSearchSnippet('<b>fast</b> \uE000cars\uE001 … red \uE000car\uE001'))
+      .toBe('&lt;b&gt;fast&lt;/b&gt; <mark class="search-match">cars</mark> … red <mark class="search-match">car</mark>');
+  });
+
+  it('should render nothing when nothing in the snippet matched', () => {
+    expect(renderSearchSnippet(null)).toBe('');
+    expect(renderSearchSnippet('The opening lines of the article')).toBe('');
+  });
+});
+
+describe('renderSaveCardNotes', () => {
+  it('should render nothing without a note or annotations', () => {
+    expect(renderSaveCardNotes({ id: '1' })).toBe('');
+    expect(renderSaveCardNotes({ id: '1', note: '   ', annotations: [] })).toBe('');
+  });
+
+  it('should render the save note escaped', () => {
+    const html = renderSaveCardNotes({ id: '1', note: 'Read <b>again</b>' });
+    expect(html).toContain('save-card-note');
+    expect(html).toContain('Read &lt;b&gt;again&lt;/b&gt;');
+  });
+
+  it('should count highlights and highlight notes', () => {
+    const html = renderSaveCardNotes({
+      id: '1',
+      annotations: [
+        { id: 'a', note: 'Key idea' },
+        { id: 'b', note: null },
+        { id: 'c', note: '' },
+      ],
+    });
+    expect(html).toContain('3 highlights · 1 note');
+  });
+
+  it('should use singular labels for a single highlight', () => {
+    const html = renderSaveCardNotes({ id: '1', annotations: [{ id: 'a', note: null }] });
+    expect(html).toContain('1 highlight<');
+  });
+});
+
+describe('renderReviewItem', () => {
+  const item = {
+    text: 'Quote <with> markup',
+    note: 'My note',
+    title: 'Deep Work',
+    author: 'Cal Newport',
+    source: 'kindle',
+  };
+  const actions = [
+    { action: 'soon', hint: 'tomorrow' },
+    { action: 'keep', hint: '3 days' },
+  ];
+
+  it('should render the quote, note, source and progress', () => {
+    const html = renderReviewItem(item, { position: 2, total: 10, actions });
+
+    expect(html).toContain('Highlight 2 of 10');
+    expect(html).toContain('Quote &lt;with&gt; markup');
+    expect(html).toContain('<div class="review-note">My note</div>');
+    expect(html).toContain('review-source-kindle">Kindle<');
+    expect(html).toContain('Deep Work · Cal Newport');
+  });
+
+  it('should render one button per action with its interval', () => {
+    const html = renderReviewItem({ ...item, note: null }, { position: 1, total: 1, actions });
+
+    expect(html).not.toContain('review-note');
+    expect(html).toContain('data-action="soon"');
+    expect(html).toMatch(/data-action="keep">\s*<span>Keep<\/span>\s*<small>3 days<\/small>/);
+  });
+});
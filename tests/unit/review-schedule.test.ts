@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import {
+  REVIEW_ACTIONS,
+  newReviewState,
+  nextInterval,
+  scheduleReview,
+  formatInterval,
+  toReviewItems,
+  reviewKey,
+  buildReviewQueue,
+} from '../../web/utils/review-schedule.js';
+
+const now = new Date('2024-06-10T12:00:00');
+
+describe('nextInterval', () => {
+  it('should grow "keep" intervals from 3 days to 7 and then by ease', () => {
+    expect(nextInterval(newReviewState(), 'keep')).toBe(3);
+    expect(nextInterval({ interval_days: 3, ease: 2.5, repetitions: 1 }, 'keep')).toBe(7);
+    expect(nextInterval({ interval_days: 7, ease: 2.5, repetitions: 2 }, 'keep')).toBe(18);
+  });
+
+  it('should bring "soon" back tomorrow and push "later" at least two weeks out', () => {
+    expect(nextInterval({ interval_days: 30, ease: 2.5, repetitions: 4 }, 'soon')).toBe(1);
+    expect(nextInterval(newReviewState(), 'later')).toBe(14);
+    expect(nextInterval({ interval_days: 10, ease: 2, repetitions: 3 }, 'later')).toBe(30);
+  });
+
+  it('should return null once mastered and reject unknown actions', () => {
+    expect(nextInterval(newReviewState(), 'master')).toBeNull();
+    expect(() => nextInterval(newReviewState(), 'skip')).toThrow('Unknown review action');
+  });
+});
+
+describe('scheduleReview', () => {
+  it('should set the due date and count the repetition', () => {
+    const schedule = scheduleReview(newReviewState(), 'keep', now);
+
+    expect(schedule).toEqual({
+      interval_days: 3,
+      ease: 2.5,
+      repetitions: 1,
+      due_at: new Date(now.getTime() + 3 * 86400000).toISOString(),
+      mastered: false,
+      last_action: 'keep',
+      last_reviewed_at: now.toISOString(),
+    });
+  });
+
+  it('should lower ease and restart growth on "soon"', () => {
+    const schedule = scheduleReview({ interval_days: 18, ease: 2.5, repetitions: 3 }, 'soon', now);
+    expect(schedule).toMatchObject({ interval_days: 1, ease: 2.3, repetitions: 0 });
+  });
+
+  it('should keep ease within bounds', () => {
+    expect(scheduleReview({ interval_days: 1, ease: 1.3, repetitions: 0 }, 'soon', now).ease).toBe(1.3);
+    expect(scheduleReview({ interval_days: 14, ease: 3.5, repetitions: 1 }, 'later', now).ease).toBe(3.5);
+  });
+
+  it('should mark mastered highlights', () => {
+    const schedule = scheduleReview({ interval_days: 7, ease: 2.5, repetitions: 2 }, 'master', now);
+    expect(schedule).toMatchObject({ mastered: true, interval_days: 7, last_action: 'master' });
+  });
+});
+
+describe('formatInterval', () => {
+  it('should describe intervals for the answer buttons', () => {
+    expect(REVIEW_ACTIONS.map((a) => formatInterval(nextInterval(newReviewState(), a))))
+      .toEqual(['tomorrow', '3 days', '2 weeks', 'done']);
+    expect(formatInterval(90)).toBe('3 months');
+    expect(formatInterval(400)).toBe('1 year');
+  });
+});
+
+describe('toReviewItems', () => {
+  it('should turn highlight saves and annotations into review items with their source', () => {
+    const items = toReviewItems(
+      [
+        { id: 's1', highlight: 'Kindle quote', title: 'Book', author: 'A', source: 'kindle', created_at: 'd1' },
+        { id: 's2', highlight: 'Web quote', title: null, source: 'extension', note: 'mine', created_at: 'd2' },
+      ],
+      [
+        { id: 'a1', save_id: 'p1', quote: 'Podcast quote', created_at: 'd3', saves: { title: 'Ep', content_type: 'podcast' } },
+      ]
+    );
+
+    expect(items.map((i) => [i.key, i.source, i.title])).toEqual([
+      ['save:s1', 'kindle', 'Book'],
+      ['save:s2', 'web', 'Untitled'],
+      ['annotation:a1', 'podcast', 'Ep'],
+    ]);
+    expect(items[1].note).toBe('mine');
+    expect(items[2]).toMatchObject({ saveId: 'p1', annotationId: 'a1', text: 'Podcast quote' });
+  });
+});
+
+describe('buildReviewQueue', () => {
+  const items = ['s1', 's2', 's3', 's4', 's5'].map((id) => ({ key: `save:${id}`, saveId: id }));
+  const review = (id: string, fields: object) => ({ save_id: id, annotation_id: null, mastered: false, ...fields });
+
+  it('should put due highlights first, most overdue first, then new ones', () => {
+    const reviews = [
+      review('s1', { due_at: '2024-06-09T00:00:00Z' }),
+      review('s2', { due_at: '2024-06-01T00:00:00Z' }),
+      review('s3', { due_at: '2024-07-01T00:00:00Z' }),
+      review('s4', { due_at: '2024-06-01T00:00:00Z', mastered: true }),
+    ];
+
+    const { queue, dueCount } = buildReviewQueue(items, reviews, { now, size: 10 });
+
+    expect(queue.map((i) => i.saveId)).toEqual(['s2', 's1', 's5']);
+    expect(queue[0].review).toBe(reviews[1]);
+    expect(queue[2].review).toBeNull();
+    expect(dueCount).toBe(2);
+  });
+
+  it('should count answers given today towards the daily size', () => {
+    const reviews = [review('s1', { due_at: '2024-06-13T00:00:00Z', last_reviewed_at: '2024-06-10T09:00:00' })];
+    const { queue, reviewedToday } = buildReviewQueue(items, reviews, { now, size: 3 });
+
+    expect(reviewedToday).toBe(1);
+    expect(queue).toHaveLength(2);
+  });
+
+  it('should order new highlights the same way throughout a day', () => {
+    const morning = buildReviewQueue(items, [], { now: new Date('2024-06-10T08:00:00'), size: 5 });
+    const evening = buildReviewQueue(items, [], { now: new Date('2024-06-10T20:00:00'), size: 5 });
+    expect(morning.queue.map((i) => i.key)).toEqual(evening.queue.map((i) => i.key));
+  });
+
+  it('should match reviews of annotations by annotation ID', () => {
+    expect(reviewKey({ save_id: null, annotation_id: 'a1' })).toBe('annotation:a1');
+    expect(reviewKey({ save_id: 's1', annotation_id: null })).toBe('save:s1');
+  });
+});
@@ -0,0 +1,192 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { sanitizeHtml, safeUrl } from '../../web/lib/sanitize.js';
+import { renderMarkdown } from '../../web/lib/utils.js';
+
+// Parse the sanitized output the way the reading pane would
+function parse(html: string) {
+  const div = document.createElement('div');
+  div.innerHTML = html;
+  return div;
+}
+
+describe('safeUrl', () => {
+  it('should keep http, https, mailto and relative URLs', () => {
+    ['https://example.com/a?b=1', 'http://example.com', 'mailto:ada@example.com', '/post/1', '#notes', 'page.html']
+      .forEach((url) => {
+        expect(safeUrl(url)).toBe(url);
+      });
+  });
+
+  it('should reject script and data URLs', () => {
+    [
+      'javascript:alert(1)',
+      'JavaScript:alert(1)',
+      ' javascript:alert(1)',
+      'java\tscript:alert(1)',
+      'java\nscript:alert(1)',
+      '\u0001javascript:alert(1)',
+      'vbscript:msgbox(1)',
+      'data:text/html,<script>alert(1)</script>',
+    ].forEach((url) => {
+      expect(safeUrl(url)).toBe('');
+    });
+  });
+
+  it('should allow raster data: images only as image sources', () => {
+    const png = 'data:image/png;base64,iVBORw0KGgo=';
+    expect(safeUrl(png, { image: true })).toBe(png);
+    expect(safeUrl(png)).toBe('');
+    expect(safeUrl('data:image/svg+xml;base64,PHN2Zz4=', { image: true })).toBe('');
+    expect(safeUrl('mailto:ada@example.com', { image: true })).toBe('');
+  });
+
+  it('should return empty string for missing URLs', () => {
+    expect(safeUrl('')).toBe('');
+    expect(safeUrl(null as unknown as string)).toBe('');
+  });
+});
+
+describe('sanitizeHtml', () => {
+  it('should keep formatting, links and images', () => {
+    const html = '<h2>Title</h2><p>Some <strong>bold</strong> and <em>em</em> <a href="https://example.com" title="Ex">link</a></p>'
+      + '<img src="https://example.com/a.png" alt="A"><pre><code class="language-js">x</code></pre>'
+      + '<table><tbody><tr><td colspan="2">cell</td></tr></tbody></table>';
+    const el = parse(sanitizeHtml(html));
+
+    expect(el.querySelector('h2')?.textContent).toBe('Title');
+    expect(el.querySelector('strong')?.textContent).toBe('bold');
+    expect(el.querySelector('a')?.getAttribute('href')).toBe('https://example.com');
+    expect(el.querySelector('a')?.getAttribute('title')).toBe('Ex');
+    expect(el.querySelector('img')?.getAttribute('src')).toBe('https://example.com/a.png');
+    expect(el.querySelector('code')?.className).toBe('language-js');
+    expect(el.querySelector('td')?.getAttribute('colspan')).toBe('2');
+  });
+
+  it('should open links in a new tab without access to the app', () => {
+    const a = parse(sanitizeHtml('<a href="https://example.com">x</a>')).querySelector('a');
+    expect(a?.getAttribute('target')).toBe('_blank');
+    expect(a?.getAttribute('rel')).toBe('noopener noreferrer');
+  });
+
+  it('should remove scripts, styles and embeds with their contents', () => {
+    const html = '<p>ok</p><script>alert(1)</script><style>body{display:none}</style>'
+      + '<iframe src="https://evil.example"></iframe><object data="x.swf"></object><embed src="x.swf">'
+      + '<form action="https://evil.example"><input name="password"><button>Go</button></form>'
+      + '<noscript><img src=x onerror=alert(1)></noscript><base href="https://evil.example/">'
+      + '<link rel="stylesheet" href="https://evil.example/x.css"><meta http-equiv="refresh" content="0;url=https://evil.example">';
+    const out = sanitizeHtml(html);
+
+    expect(out).toBe('<p>ok</p>');
+  });
+
+  it('should remove event handler attributes', () => {
+    const el = parse(sanitizeHtml(
+      '<img src="x.png" onerror="alert(1)"><p onclick="alert(1)" onmouseover="alert(1)">hi</p><a href="/a" onfocus="alert(1)">a</a>'
+    ));
+
+    el.querySelectorAll('*').forEach((node) => {
+      [...node.attributes].forEach((attr) => {
+        expect(attr.name.startsWith('on')).toBe(false);
+      });
+    });
+    expect(el.querySelector('p')?.textContent).toBe('hi');
+  });
+
+  it('should drop javascript: links however they are written', () => {
+    [
+      '<a href="javascript:alert(1)">x</a>',
+      '<a href="JaVaScRiPt:alert(1)">x</a>',
+      '<a href="&#106;avascript:alert(1)">x</a>',
+      '<a href="jav&#x09;ascript:alert(1)">x</a>',
+      '<a href="&#x6A;&#x61;&#x76;&#x61;&#x73;&#x63;&#x72;&#x69;&#x70;&#x74;&#x3A;alert(1)">x</a>',
+      '<a href=" javascript:alert(1)">x</a>',
+    ].forEach((html) => {
+      const a = parse(sanitizeHtml(html)).querySelector('a');
+      expect(a?.textContent).toBe('x');
+      expect(a?.hasAttribute('href')).toBe(false);
+    });
+  });
+
+  it('should drop unsafe image sources', () => {
+    const img = parse(sanitizeHtml('<img src="javascript:alert(1)" alt="x">')).querySelector('img');
+    expect(img?.hasAttribute('src')).toBe(false);
+    expect(img?.getAttribute('alt')).toBe('x');
+  });
+
+  it('should remove SVG and MathML, which can carry script', () => {
+    const out = sanitizeHtml(
+      '<svg><script>alert(1)</script><a xlink:href="javascript:alert(1)"><text>x</text></a></svg>'
+      + '<math><mtext><img src=x onerror=alert(1)></mtext></math><p>after</p>'
+    );
+    expect(out).toBe('<p>after</p>');
+  });
+
+  it('should remove style and id attributes', () => {
+    const el = parse(sanitizeHtml(
+      '<p style="position:fixed;inset:0" id="reading-body" class="modal">x</p><img name="getElementById" src="a.png">'
+    ));
+    const p = el.querySelector('p');
+
+    expect(p?.hasAttribute('style')).toBe(false);
+    expect(p?.hasAttribute('id')).toBe(false);
+    expect(p?.hasAttribute('class')).toBe(false);
+    expect(el.querySelector('img')?.hasAttribute('name')).toBe(false);
+  });
+
+  it('should unwrap unknown elements but keep their text', () => {
+    expect(sanitizeHtml('<custom-widget data-x="1">hello <b>there</b></custom-widget>'))
+      .toBe('hello <b>there</b>');
+    expect(sanitizeHtml('<font color="red">red</font>')).toBe('red');
+  });
+
+  it('should not be fooled by quote breakouts and comments', () => {
+    const out = sanitizeHtml('<img src="x" alt="\\" onerror=alert(1) x=\\""><!-- <script>alert(1)</script> --><p>ok</p>');
+    const el = parse(out);
+
+    expect(el.querySelector('img')?.hasAttribute('onerror')).toBe(false);
+    expect(out).not.toContain('<!--');
+    expect(el.querySelector('p')?.textContent).toBe('ok');
+  });
+
+  it('should keep Markdown task list checkboxes, disabled', () => {
+    const input = parse(sanitizeHtml('<ul><li><input type="checkbox" checked> done</li></ul>')).querySelector('input');
+    expect(input?.hasAttribute('checked')).toBe(true);
+    expect(input?.hasAttribute('disabled')).toBe(true);
+
+    expect(sanitizeHtml('<input type="text" value="x"><input type="image" src="x">')).toBe('');
+  });
+
+  it('should escape text so it stays text', () => {
+    expect(sanitizeHtml('a &lt;script&gt; b')).toBe('a &lt;script&gt; b');
+  });
+
+  it('should return empty string for empty input', () => {
+    expect(sanitizeHtml('')).toBe('');
+    expect(sanitizeHtml(null as unknown as string)).toBe('');
+  });
+});
+
+describe('renderMarkdown', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should sanitize HTML that marked passes through', () => {
+    // marked keeps raw HTML blocks as they are
+    vi.stubGlobal('marked', {
+      setOptions: () => {},
+      parse: (text: string) => `<p>${text}</p>`,
+    });
+    const out = renderMarkdown('hi <img src=x onerror=alert(1)><script>alert(1)</script>');
+
+    expect(out).not.toContain('onerror');
+    expect(out).not.toContain('<script');
+    expect(out).toContain('hi ');
+  });
+
+  it('should escape the text when marked is not loaded', () => {
+    const out = renderMarkdown('<script>alert(1)</script>');
+    expect(out).not.toContain('<script');
+    expect(out).toContain('&lt;script&gt;');
+  });
+});
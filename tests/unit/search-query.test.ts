@@ -0,0 +1,148 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseSearchQuery,
+  applyViewFilters,
+  buildSearch,
+  snippetTerms,
+  findFirstMatch,
+} from '../../web/utils/search-query.js';
+
+describe('parseSearchQuery', () => {
+  it('should split filters from the full-text terms', () => {
+    const { text, filters } = parseSearchQuery(
+      'tag:ai site:nytimes.com type:podcast is:favorite is:unread before:2025-01-01 "exact phrase" -excluded'
+    );
+
+    expect(text).toBe('"exact phrase" -excluded');
+    expect(filters).toEqual({
+      tags: ['ai'],
+      sites: ['nytimes.com'],
+      types: ['podcast'],
+      favorite: true,
+      read: false,
+      before: '2025-01-01',
+    });
+  });
+
+  it('should leave plain queries as text', () => {
+    expect(parseSearchQuery('climate policy or energy')).toEqual({ text: 'climate policy or energy', filters: {} });
+  });
+
+  it('should exclude with a leading minus', () => {
+    const { filters } = parseSearchQuery('-tag:done -site:medium.com -type:highlight -is:archived -is:read');
+    expect(filters).toEqual({
+      exclude_tags: ['done'],
+      exclude_sites: ['medium.com'],
+      exclude_types: ['highlight'],
+      archived: false,
+      read: false,
+    });
+  });
+
+  it('should take quoted filter values and repeated filters', () => {
+    const { text, filters } = parseSearchQuery('tag:"machine learning" tag:papers after:2024-06-01 transformers');
+    expect(text).toBe('transformers');
+    expect(filters.tags).toEqual(['machine learning', 'papers']);
+    expect(filters.after).toBe('2024-06-01');
+  });
+
+  it('should normalize sites and types', () => {
+    const { filters } = parseSearchQuery('site:https://www.NYTimes.com/section type:Podcasts TYPE:pdf');
+    expect(filters.sites).toEqual(['nytimes.com']);
+    expect(filters.types).toEqual(['podcast', 'pdf']);
+  });
+
+  it('should take a folder name', () => {
+    const { text, filters } = parseSearchQuery('folder:"Reading list" -folder:Old');
+    expect(text).toBe('-folder:Old');
+    expect(filters.folder).toBe('Reading list');
+  });
+
+  it('should resolve relative dates from now', () => {
+    const now = new Date('2025-03-31T12:00:00Z');
+    expect(parseSearchQuery('after:30d', now).filters).toEqual({ after: '2025-03-01' });
+    expect(parseSearchQuery('after:2w before:1W', now).filters).toEqual({ after: '2025-03-17', before: '2025-03-24' });
+    expect(parseSearchQuery('after:1m', now).filters).toEqual({ after: '2025-03-03' });
+    expect(parseSearchQuery('after:1y', now).filters).toEqual({ after: '2024-03-31' });
+    expect(parseSearchQuery('after:3x', now)).toEqual({ text: 'after:3x', filters: {} });
+  });
+
+  it('should search unknown filters and bad values as text', () => {
+    const { text, filters } = parseSearchQuery('author:smith type:movie is:lovely before:yesterday https://example.com');
+    expect(text).toBe('author:smith type:movie is:lovely before:yesterday https://example.com');
+    expect(filters).toEqual({});
+  });
+
+  it('should handle empty input', () => {
+    expect(parseSearchQuery('')).toEqual({ text: '', filters: {} });
+    expect(parseSearchQuery(null as unknown as string)).toEqual({ text: '', filters: {} });
+  });
+});
+
+describe('applyViewFilters', () => {
+  it('should add the view filter', () => {
+    expect(applyViewFilters({ tags: ['ai'] }, 'all')).toEqual({ archived: false, tags: ['ai'] });
+    expect(applyViewFilters({}, 'highlights')).toEqual({ types: ['highlight'] });
+    expect(applyViewFilters({}, 'favorites')).toEqual({ favorite: true });
+    expect(applyViewFilters({}, 'archived')).toEqual({ archived: true });
+    expect(applyViewFilters({}, 'podcasts')).toEqual({ types: ['podcast'] });
+  });
+
+  it('should let the query override the view', () => {
+    expect(applyViewFilters({ archived: true }, 'all')).toEqual({ archived: true });
+    expect(applyViewFilters({ types: ['video'] }, 'articles')).toEqual({ types: ['video'] });
+  });
+
+  it('should limit the weekly view to the last seven days', () => {
+    const now = new Date('2025-03-10T12:00:00Z');
+    expect(applyViewFilters({}, 'weekly', now)).toEqual({ after: '2025-03-03T12:00:00.000Z' });
+    expect(applyViewFilters({ after: '2025-01-01' }, 'weekly', now)).toEqual({ after: '2025-01-01' });
+  });
+
+  it('should add nothing for views without a filter', () => {
+    expect(applyViewFilters({ read: false }, 'stats')).toEqual({ read: false });
+  });
+});
+
+describe('buildSearch', () => {
+  it('should combine the query with the view, tag and folder', () => {
+    expect(buildSearch('tag:ai transformers', { view: 'articles', tagName: 'papers', folderId: 'f1' })).toEqual({
+      text: 'transformers',
+      filters: { types: ['article'], tags: ['ai', 'papers'], folder_id: 'f1' },
+    });
+  });
+
+  it('should default to All Saves', () => {
+    expect(buildSearch('is:favorite')).toEqual({ text: '', filters: { archived: false, favorite: true } });
+  });
+});
+
+describe('snippetTerms', () => {
+  it('should list each matched word once, in order', () => {
+    expect(snippetTerms('\uE000Cars\uE001 and \uE000roads\uE001 … more \uE000Cars\uE001')).toEqual(['Cars', 'roads']);
+  });
+
+  it('should return nothing without marks', () => {
+    expect(snippetTerms('no matches here')).toEqual([]);
+    expect(snippetTerms(null)).toEqual([]);
+  });
+});
+
+describe('findFirstMatch', () => {
+  it('should find the earliest of the terms, ignoring case', () => {
+    expect(findFirstMatch('Roads were built for cars.', ['cars', 'roads'])).toEqual({ start: 0, end: 5 });
+  });
+
+  it('should only match whole words', () => {
+    expect(findFirstMatch('The start of the art', ['art'])).toEqual({ start: 17, end: 20 });
+  });
+
+  it('should match terms with regex characters literally', () => {
+    expect(findFirstMatch('Written in C++ mostly', ['C++'])).toEqual({ start: 11, end: 14 });
+  });
+
+  it('should return null when nothing matches', () => {
+    expect(findFirstMatch('Nothing here', ['cars'])).toBeNull();
+    expect(findFirstMatch('Nothing here', [])).toBeNull();
+  });
+});
@@ -0,0 +1,275 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import * as functionExtractors from '../../supabase/functions/save-page/site-extractors';
+
+function loadFixture(name: string): Document {
+  const html = readFileSync(join(__dirname, '../fixtures/sites', name), 'utf-8');
+  return new DOMParser().parseFromString(html, 'text/html');
+}
+
+// Article HTML as a detached element, to query what an extractor produced
+function parseOutput(html: string): HTMLElement {
+  const root = document.createElement('div');
+  root.innerHTML = html;
+  return root;
+}
+
+type Extractors = Pick<typeof functionExtractors, 'extractSite' | 'findSiteExtractor' | 'MAX_COMMENTS'>;
+
+// The extension's copy is a classic content script that defines a
+// SiteExtractors global; run it and take the same functions from that
+function loadExtensionExtractors(): Extractors {
+  const source = readFileSync(join(__dirname, '../../extension/site-extractors.js'), 'utf-8');
+  const { find, extract, MAX_COMMENTS } = new Function(`${source}\nreturn SiteExtractors;`)();
+  return { findSiteExtractor: find, extractSite: extract, MAX_COMMENTS };
+}
+
+// The save-page function and the extension each carry a copy of the
+// extractors; both have to pass on the same fixtures
+const implementations: Array<[string, Extractors]> = [
+  ['save-page function', functionExtractors],
+  ['extension content script', loadExtensionExtractors()],
+];
+
+describe.each(implementations)('%s', (_name, { extractSite, findSiteExtractor, MAX_COMMENTS }) => {
+  describe('findSiteExtractor', () => {
+    it('should pick the extractor for each supported site', () => {
+      expect(findSiteExtractor('https://x.com/ada/status/1001')?.name).toBe('x');
+      expect(findSiteExtractor('https://twitter.com/ada/status/1001?s=20')?.name).toBe('x');
+      expect(findSiteExtractor('https://news.ycombinator.com/item?id=39500000')?.name).toBe('hacker-news');
+      expect(findSiteExtractor('https://www.reddit.com/r/productivity/comments/1b2c3d4/whats_your/')?.name).toBe('reddit');
+      expect(findSiteExtractor('https://old.reddit.com/r/programming/comments/9x8y7z/simple/')?.name).toBe('reddit');
+      expect(findSiteExtractor('https://github.com/example/stash')?.name).toBe('github');
+      expect(findSiteExtractor('https://github.com/example/stash/issues/42')?.name).toBe('github');
+      expect(findSiteExtractor('https://github.com/example/stash/pull/7')?.name).toBe('github');
+      expect(findSiteExtractor('https://substack.com/@grace/note/c-51234567')?.name).toBe('substack-note');
+    });
+
+    it('should leave other pages to Readability', () => {
+      expect(findSiteExtractor('https://example.com/article')).toBeNull();
+      expect(findSiteExtractor('https://x.com/ada')).toBeNull();
+      expect(findSiteExtractor('https://news.ycombinator.com/news')).toBeNull();
+      expect(findSiteExtractor('https://www.reddit.com/r/productivity/')).toBeNull();
+      expect(findSiteExtractor('https://github.com/example/stash/blob/main/README.md')).toBeNull();
+      expect(findSiteExtractor('https://github.com/settings/profile')).toBeNull();
+      expect(findSiteExtractor('https://grace.substack.com/p/ships-and-harbors')).toBeNull();
+      expect(findSiteExtractor('not a url')).toBeNull();
+    });
+  });
+
+  describe('extractSite', () => {
+    it('should return null when the page is missing the expected markup', () => {
+      const doc = new DOMParser().parseFromString('<html><body><p>Log in to continue</p></body></html>', 'text/html');
+      expect(extractSite(doc, 'https://x.com/ada/status/1001')).toBeNull();
+      expect(extractSite(doc, 'https://news.ycombinator.com/item?id=1')).toBeNull();
+      expect(extractSite(doc, 'https://github.com/example/stash/issues/42')).toBeNull();
+    });
+
+    it('should return null for sites without an extractor', () => {
+      expect(extractSite(loadFixture('hacker-news-item.html'), 'https://example.com/')).toBeNull();
+    });
+  });
+
+  describe('X thread extractor', () => {
+    const article = extractSite(loadFixture('x-thread.html'), 'https://x.com/ada/status/1001')!;
+
+    it('should keep the run of posts by the author and stop at the first reply from someone else', () => {
+      const output = parseOutput(article.html);
+      expect(output.textContent).toContain('Some notes on the Analytical Engine');
+      expect(output.textContent).toContain('Jacquard loom');
+      expect(output.textContent).not.toContain('Great thread!');
+      expect(output.textContent).not.toContain('Thank you Charles');
+      expect(article.metadata).toEqual({ extractor: 'x', tweet_id: '1001', handle: 'ada', post_count: 3 });
+    });
+
+    it('should start the thread at its first post when linked to a later one', () => {
+      const later = extractSite(loadFixture('x-thread.html'), 'https://x.com/ada/status/1003')!;
+      expect(later.metadata.tweet_id).toBe('1001');
+      expect(later.metadata.post_count).toBe(3);
+    });
+
+    it('should read title, author and date from the posts', () => {
+      expect(article.title).toBe('Ada Lovelace on X: "Some notes on the Analytical Engine, a thread 🧵"');
+      expect(article.author).toBe('Ada Lovelace (@ada)');
+      expect(article.siteName).toBe('X');
+      expect(article.publishedTime).toBe('2024-03-01T09:00:00.000Z');
+    });
+
+    it('should keep photos and links but turn emoji images into text', () => {
+      const output = parseOutput(article.html);
+      const images = [...output.querySelectorAll('img')].map((img) => img.getAttribute('src'));
+      expect(images).toEqual(['https://pbs.twimg.com/media/engine.jpg?format=jpg&name=small']);
+      expect(output.querySelector('a')?.getAttribute('href')).toBe('https://t.co/abc');
+      expect(output.textContent).toContain('a thread 🧵');
+      expect(article.imageUrl).toBe('https://pbs.twimg.com/media/engine.jpg?format=jpg&name=small');
+    });
+  });
+
+  describe('Hacker News extractor', () => {
+    const url = 'https://news.ycombinator.com/item?id=39500000';
+    const article = extractSite(loadFixture('hacker-news-item.html'), url)!;
+
+    it('should read the story', () => {
+      expect(article.title).toBe('Show HN: A read-it-later app on Postgres');
+      expect(article.author).toBe('pg_fan');
+      expect(article.siteName).toBe('Hacker News');
+      expect(article.publishedTime).toBe('2024-02-26T15:04:05');
+      expect(article.excerpt).toContain('I built this to replace Pocket');
+      expect(article.metadata).toEqual({
+        extractor: 'hacker-news',
+        item_id: '39500000',
+        points: 128,
+        comment_count: 4,
+        link_url: 'https://example.com/stash',
+      });
+    });
+
+    it('should nest replies in a blockquote per level', () => {
+      const output = parseOutput(article.html);
+      const topLevel = [...output.children].filter((el) => el.tagName === 'P' && el.querySelector('strong'));
+      expect(topLevel.map((el) => el.querySelector('strong')?.textContent)).toEqual(['alice', 'bob']);
+
+      const reply = output.querySelector('blockquote');
+      expect(reply?.querySelector('strong')?.textContent).toBe('pg_fan');
+      expect(reply?.textContent).toContain('ts_rank over a weighted tsvector.');
+    });
+
+    it('should drop reply links and flagged comments', () => {
+      const output = parseOutput(article.html);
+      expect(output.textContent).not.toContain('reply');
+      expect(output.textContent).not.toContain('[flagged]');
+      expect(output.querySelector('a[href="https://www.postgresql.org/docs/current/textsearch.html"]')).not.toBeNull();
+    });
+
+    it('should cap the number of comments', () => {
+      const doc = loadFixture('hacker-news-item.html');
+      const tree = doc.querySelector('.comment-tree tbody')!;
+      const row = doc.querySelector('tr.athing.comtr')!;
+      for (let i = 0; i < MAX_COMMENTS + 10; i++) tree.appendChild(row.cloneNode(true));
+
+      const output = parseOutput(extractSite(doc, url)!.html);
+      const authors = output.querySelectorAll('p > strong');
+      expect(authors.length).toBeLessThanOrEqual(MAX_COMMENTS);
+      expect(authors.length).toBeGreaterThan(MAX_COMMENTS - 5);
+    });
+  });
+
+  describe('Reddit extractor', () => {
+    it('should read a post and its comments from current Reddit', () => {
+      const article = extractSite(
+        loadFixture('reddit-post.html'),
+        'https://www.reddit.com/r/productivity/comments/1b2c3d4/whats_your_readitlater_setup/'
+      )!;
+
+      expect(article.title).toBe("What's your read-it-later setup?");
+      expect(article.author).toBe('u/quiet_reader');
+      expect(article.siteName).toBe('r/productivity');
+      expect(article.publishedTime).toBe('2024-02-20T08:15:00.000000+0000');
+      expect(article.metadata).toEqual({
+        extractor: 'reddit',
+        subreddit: 'r/productivity',
+        score: 311,
+        comment_count: 57,
+        link_url: null,
+      });
+
+      const output = parseOutput(article.html);
+      expect(output.querySelector('ul')?.textContent).toContain('Needs an API');
+      expect(output.textContent).not.toContain('Share');
+
+      const reply = output.querySelector('blockquote');
+      expect(reply?.querySelector('strong')?.textContent).toBe('quiet_reader');
+      expect(reply?.textContent).toContain('12 points');
+      expect(output.textContent).toContain('Print everything.');
+      expect(output.textContent).toContain('paper_fan · 1 point');
+      expect(output.textContent).not.toContain('[deleted]');
+    });
+
+    it('should read a link post from old Reddit', () => {
+      const article = extractSite(
+        loadFixture('reddit-old.html'),
+        'https://old.reddit.com/r/programming/comments/9x8y7z/simple_made_easy_revisited/'
+      )!;
+
+      expect(article.title).toBe('Simple Made Easy, revisited');
+      expect(article.author).toBe('u/essay_poster');
+      expect(article.siteName).toBe('r/programming');
+      expect(article.metadata.link_url).toBe('https://example.org/essays/simple-made-easy');
+      expect(article.metadata.score).toBe(1024);
+
+      const output = parseOutput(article.html);
+      expect(output.querySelector('a')?.getAttribute('href')).toBe('https://example.org/essays/simple-made-easy');
+      const reply = output.querySelector('blockquote');
+      expect(reply?.querySelector('strong')?.textContent).toBe('skeptic');
+      expect(reply?.textContent).toContain('Easy for whom?');
+    });
+  });
+
+  describe('GitHub extractor', () => {
+    it('should save a repository README', () => {
+      const article = extractSite(loadFixture('github-readme.html'), 'https://github.com/example/stash')!;
+
+      expect(article.title).toBe('example/stash: A self-hosted read-it-later app.');
+      expect(article.author).toBe('example');
+      expect(article.metadata).toEqual({
+        extractor: 'github',
+        kind: 'repository',
+        repo: 'example/stash',
+        description: 'A self-hosted read-it-later app.',
+        stars: 1234,
+      });
+
+      const output = parseOutput(article.html);
+      expect(output.querySelector('h1')?.textContent).toBe('Stash');
+      expect(output.querySelector('pre')?.textContent).toBe('npm install\nnpm run dev');
+      expect(output.querySelector('a.anchor')).toBeNull();
+      expect(output.querySelector('svg')).toBeNull();
+    });
+
+    it('should save an issue with its comments', () => {
+      const article = extractSite(loadFixture('github-issue.html'), 'https://github.com/example/stash/issues/42')!;
+
+      expect(article.title).toBe('Highlights lost after editing an article (example/stash#42)');
+      expect(article.author).toBe('octocat');
+      expect(article.publishedTime).toBe('2024-01-10T12:00:00Z');
+      expect(article.metadata).toEqual({
+        extractor: 'github',
+        kind: 'issue',
+        repo: 'example/stash',
+        number: 42,
+        state: 'Open',
+        comment_count: 1,
+      });
+
+      const output = parseOutput(article.html);
+      expect(output.querySelector('p')?.textContent).toBe('Open · example/stash#42 · opened by octocat');
+      expect(output.querySelector('ol')?.children).toHaveLength(2);
+      expect(output.querySelector('h2')?.textContent).toBe('Comments');
+      expect(output.textContent).toContain('Thanks, looking at locateTextAnchor.');
+    });
+  });
+
+  describe('Substack note extractor', () => {
+    it('should read the note from its structured data', () => {
+      const article = extractSite(loadFixture('substack-note.html'), 'https://substack.com/@grace/note/c-51234567')!;
+
+      expect(article.title).toBe('Grace Hopper on Substack: "Ships are safe in harbor, but that is not what ships are for. Wrote more about…"');
+      expect(article.author).toBe('Grace Hopper');
+      expect(article.publishedTime).toBe('2024-04-02T14:20:00.000Z');
+      expect(article.metadata).toEqual({ extractor: 'substack-note', note_id: 'c-51234567', handle: 'grace' });
+
+      const output = parseOutput(article.html);
+      expect(output.querySelectorAll('p')).toHaveLength(2);
+    });
+
+    it('should fall back to the description when there is no structured data', () => {
+      const doc = loadFixture('substack-note.html');
+      doc.querySelector('script[type="application/ld+json"]')!.remove();
+
+      const article = extractSite(doc, 'https://substack.com/@grace/note/c-51234567')!;
+      expect(article.html).toBe('<p>Ships are safe in harbor, but that is not what ships are for.</p>');
+      expect(article.author).toBeNull();
+    });
+  });
+});
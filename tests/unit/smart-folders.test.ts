@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { smartFolderFromSearch } from '../../web/utils/smart-folders.js';
+
+describe('smartFolderFromSearch', () => {
+  it('should keep the view and query', () => {
+    expect(smartFolderFromSearch({ view: 'favorites', query: ' site:arxiv.org is:unread ' })).toEqual({
+      view: 'favorites',
+      query: 'site:arxiv.org is:unread',
+    });
+  });
+
+  it('should write the tag and folder filters into the query', () => {
+    expect(smartFolderFromSearch({ view: 'all', query: 'after:1m', tagName: 'machine learning', folderName: 'Papers' }))
+      .toEqual({ view: 'all', query: 'tag:"machine learning" folder:Papers after:1m' });
+  });
+
+  it('should drop quotes the query syntax cannot hold', () => {
+    expect(smartFolderFromSearch({ view: 'all', tagName: 'the "best" ones' }).query).toBe('tag:"the best ones"');
+  });
+
+  it('should turn views without a save list into a type filter', () => {
+    expect(smartFolderFromSearch({ view: 'podcasts', query: 'ai' })).toEqual({ view: 'all', query: 'type:podcast ai' });
+    expect(smartFolderFromSearch({ view: 'stats', query: 'ai' })).toEqual({ view: 'all', query: 'ai' });
+  });
+});
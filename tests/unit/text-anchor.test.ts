@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  createTextAnchor,
+  locateTextAnchor,
+  wrapTextRange,
+  unwrapMarks,
+} from '../../web/utils/text-anchor.js';
+
+function createArticle(html: string) {
+  document.body.innerHTML = `<div id="article">${html}</div>`;
+  return document.getElementById('article') as HTMLElement;
+}
+
+describe('createTextAnchor', () => {
+  let root: HTMLElement;
+
+  beforeEach(() => {
+    root = createArticle('<p>The quick brown fox</p><p>jumps over the <em>lazy</em> dog.</p>');
+  });
+
+  it('should capture quote, context and offsets for a selection', () => {
+    const text = root.querySelectorAll('p')[0].firstChild as Text;
+    const range = document.createRange();
+    range.setStart(text, 4);
+    range.setEnd(text, 9);
+
+    const anchor = createTextAnchor(root, range);
+
+    expect(anchor).toEqual({
+      quote: 'quick',
+      prefix: 'The ',
+      suffix: ' brown foxjumps over the lazy do',
+      start_offset: 4,
+      end_offset: 9,
+    });
+  });
+
+  it('should handle selections spanning several elements', () => {
+    const first = root.querySelector('p')!.firstChild as Text;
+    const em = root.querySelector('em')!.firstChild as Text;
+    const range = document.createRange();
+    range.setStart(first, 16);
+    range.setEnd(em, 4);
+
+    const anchor = createTextAnchor(root, range);
+
+    expect(anchor?.quote).toBe('foxjumps over the lazy');
+    expect(root.textContent!.slice(anchor!.start_offset, anchor!.end_offset)).toBe(anchor!.quote);
+  });
+
+  it('should return null for collapsed or whitespace-only selections', () => {
+    const text = root.querySelector('p')!.firstChild as Text;
+    const range = document.createRange();
+    range.setStart(text, 3);
+    range.setEnd(text, 3);
+    expect(createTextAnchor(root, range)).toBeNull();
+
+    range.setEnd(text, 4);
+    expect(createTextAnchor(root, range)).toBeNull();
+  });
+
+  it('should return null for selections outside the root', () => {
+    document.body.insertAdjacentHTML('beforeend', '<p id="outside">Elsewhere</p>');
+    const outside = document.getElementById('outside')!.firstChild as Text;
+    const range = document.createRange();
+    range.setStart(outside, 0);
+    range.setEnd(outside, 4);
+
+    expect(createTextAnchor(root, range)).toBeNull();
+  });
+});
+
+describe('locateTextAnchor', () => {
+  const text = 'One fish, two fish, red fish, blue fish.';
+
+  it('should use the stored position when it still matches', () => {
+    const anchor = { quote: 'fish', prefix: 'two ', suffix: ', red', start_offset: 14 };
+    expect(locateTextAnchor(text, anchor)).toEqual({ start: 14, end: 18 });
+  });
+
+  it('should re-locate by context when the text has shifted', () => {
+    const anchor = { quote: 'fish', prefix: 'red ', suffix: ', blue', start_offset: 3 };
+    expect(locateTextAnchor(text, anchor)).toEqual({ start: 24, end: 28 });
+  });
+
+  it('should prefer the occurrence nearest the old position when context is equal', () => {
+    const anchor = { quote: 'fish', prefix: '', suffix: '', start_offset: 30 };
+    expect(locateTextAnchor(`Prefix ${text}`, anchor)).toEqual({ start: 31, end: 35 });
+  });
+
+  it('should return null when the quote no longer exists', () => {
+    const anchor = { quote: 'whale', prefix: '', suffix: '', start_offset: 0 };
+    expect(locateTextAnchor(text, anchor)).toBeNull();
+  });
+});
+
+describe('wrapTextRange', () => {
+  it('should wrap a range within a single text node', () => {
+    const root = createArticle('<p>Hello brave new world</p>');
+
+    const marks = wrapTextRange(root, 6, 11, { className: 'annotation-mark', 'data-annotation-id': 'a1' });
+
+    expect(marks).toHaveLength(1);
+    expect(marks[0].textContent).toBe('brave');
+    expect(marks[0].getAttribute('data-annotation-id')).toBe('a1');
+    expect(root.textContent).toBe('Hello brave new world');
+  });
+
+  it('should create one mark per text node for ranges crossing elements', () => {
+    const root = createArticle('<p>Alpha <strong>beta</strong> gamma</p>');
+
+    const marks = wrapTextRange(root, 3, 13, { className: 'annotation-mark' });
+
+    expect(marks.map((m) => m.textContent)).toEqual(['ha ', 'beta', ' ga']);
+    expect(root.querySelector('strong mark')).not.toBeNull();
+  });
+
+  it('should be reversible with unwrapMarks', () => {
+    const root = createArticle('<p>Alpha <strong>beta</strong> gamma</p>');
+    const original = root.innerHTML;
+
+    wrapTextRange(root, 3, 13, { className: 'annotation-mark' });
+    unwrapMarks(root, '.annotation-mark');
+
+    expect(root.innerHTML).toBe(original);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import {
+  formatTimestamp,
+  parseTimestamp,
+  youtubeTimeUrl,
+  linkTranscriptTimestamps,
+} from '../../web/utils/transcript.js';
+
+describe('formatTimestamp', () => {
+  it('should format minutes and seconds', () => {
+    expect(formatTimestamp(0)).toBe('0:00');
+    expect(formatTimestamp(65.8)).toBe('1:05');
+    expect(formatTimestamp(599)).toBe('9:59');
+  });
+
+  it('should include hours for long videos', () => {
+    expect(formatTimestamp(3600)).toBe('1:00:00');
+    expect(formatTimestamp(3729)).toBe('1:02:09');
+  });
+
+  it('should treat missing or negative values as the start', () => {
+    expect(formatTimestamp(undefined as unknown as number)).toBe('0:00');
+    expect(formatTimestamp(-5)).toBe('0:00');
+  });
+});
+
+describe('parseTimestamp', () => {
+  it('should parse m:ss and h:mm:ss', () => {
+    expect(parseTimestamp('0:00')).toBe(0);
+    expect(parseTimestamp('4:05')).toBe(245);
+    expect(parseTimestamp('12:30')).toBe(750);
+    expect(parseTimestamp('1:02:09')).toBe(3729);
+  });
+
+  it('should round-trip with formatTimestamp', () => {
+    [0, 59, 61, 3599, 3600, 7322].forEach((seconds) => {
+      expect(parseTimestamp(formatTimestamp(seconds))).toBe(seconds);
+    });
+  });
+
+  it('should return null for anything else', () => {
+    expect(parseTimestamp('')).toBeNull();
+    expect(parseTimestamp('4:5')).toBeNull();
+    expect(parseTimestamp('abc')).toBeNull();
+    expect(parseTimestamp(null as unknown as string)).toBeNull();
+  });
+});
+
+describe('youtubeTimeUrl', () => {
+  it('should open the video at a time', () => {
+    expect(youtubeTimeUrl('dQw4w9WgXcQ', 245)).toBe('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=245s');
+  });
+
+  it('should leave out the time at the start', () => {
+    expect(youtubeTimeUrl('dQw4w9WgXcQ', 0)).toBe('https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+  });
+});
+
+describe('linkTranscriptTimestamps', () => {
+  it('should link each timestamp to the video at that time', () => {
+    const html = '<p>[0:00] Welcome back.</p>\n<p>[1:02:09] Thanks for watching.</p>';
+
+    const linked = linkTranscriptTimestamps(html, 'abc123');
+
+    expect(linked).toContain(
+      '<a class="transcript-timestamp" href="https://www.youtube.com/watch?v=abc123" target="_blank" rel="noopener" title="Play from 0:00">0:00</a> Welcome back.'
+    );
+    expect(linked).toContain('href="https://www.youtube.com/watch?v=abc123&amp;t=3729s"');
+    expect(linked).not.toContain('[1:02:09]');
+  });
+
+  it('should leave other bracketed text alone', () => {
+    const html = '<p>[Music] and [see note 3] at 4:05</p>';
+    expect(linkTranscriptTimestamps(html, 'abc123')).toBe(html);
+  });
+
+  it('should escape the video id', () => {
+    const linked = linkTranscriptTimestamps('<p>[0:10] Hi</p>', '"><script>');
+    expect(linked).not.toContain('<script>');
+  });
+
+  it('should return the HTML unchanged without a video id', () => {
+    expect(linkTranscriptTimestamps('<p>[0:10] Hi</p>', '')).toBe('<p>[0:10] Hi</p>');
+  });
+});
@@ -9,7 +9,7 @@ import {
 describe('escapeHtml', () => {
   it('should escape HTML special characters', () => {
     expect(escapeHtml('<script>alert("xss")</script>')).toBe(
-      '&lt;script&gt;alert("xss")&lt;/script&gt;'
+      '&lt;script&gt;alert(&quot;xss&quot;)&lt;/script&gt;'
     );
   });
 
@@ -18,7 +18,15 @@ describe('escapeHtml', () => {
   });
 
   it('should escape quotes', () => {
-    expect(escapeHtml('"hello"')).toBe('"hello"');
+    expect(escapeHtml('"hello"')).toBe('&quot;hello&quot;');
+    expect(escapeHtml("it's")).toBe('it&#39;s');
+  });
+
+  it('should keep an attribute value from being closed', () => {
+    const html = `<img alt="${escapeHtml('x" onerror="alert(1)')}">`;
+    const img = new DOMParser().parseFromString(html, 'text/html').querySelector('img');
+    expect(img?.getAttribute('onerror')).toBeNull();
+    expect(img?.getAttribute('alt')).toBe('x" onerror="alert(1)');
   });
 
   it('should return empty string for null', () => {
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { crc32, createZip } from '../../web/utils/zip.js';
+
+// Read entries back from the central directory of a stored (uncompressed) zip
+function readZip(bytes: Uint8Array) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+  const decoder = new TextDecoder();
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(position, true)).toBe(0x02014b50);
+    const crc = view.getUint32(position + 16, true);
+    const size = view.getUint32(position + 24, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const localOffset = view.getUint32(position + 42, true);
+    const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+
+    const localNameLength = view.getUint16(localOffset + 26, true);
+    const dataStart = localOffset + 30 + localNameLength;
+    const data = bytes.subarray(dataStart, dataStart + size);
+
+    entries.push({ name, crc, content: decoder.decode(data), data });
+    position += 46 + nameLength;
+  }
+
+  return entries;
+}
+
+describe('crc32', () => {
+  it('should match known checksums', () => {
+    expect(crc32(new TextEncoder().encode('hello'))).toBe(0x3610a686);
+    expect(crc32(new Uint8Array())).toBe(0);
+  });
+});
+
+describe('createZip', () => {
+  it('should store entries that can be read back in order', () => {
+    const zip = createZip([
+      { name: 'mimetype', content: 'application/epub+zip' },
+      { name: 'notes/Café.md', content: '# Héllo\n' },
+    ]);
+
+    const entries = readZip(zip);
+    expect(entries.map((e) => e.name)).toEqual(['mimetype', 'notes/Café.md']);
+    expect(entries[1].content).toBe('# Héllo\n');
+    expect(entries[1].crc).toBe(crc32(entries[1].data));
+  });
+
+  it('should start with the first entry at offset 0 (required for EPUB)', () => {
+    const zip = createZip([{ name: 'mimetype', content: 'application/epub+zip' }]);
+    const view = new DataView(zip.buffer);
+
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    expect(view.getUint16(8, true)).toBe(0); // stored, not compressed
+    expect(new TextDecoder().decode(zip.subarray(30, 38))).toBe('mimetype');
+  });
+
+  it('should accept binary content', () => {
+    const bytes = new Uint8Array([0, 1, 2, 255]);
+    const [entry] = readZip(createZip([{ name: 'data.bin', content: bytes }]));
+    expect([...entry.data]).toEqual([0, 1, 2, 255]);
+  });
+});
@@ -11,6 +11,14 @@ import {
   setTags,
   setFolders,
   setCurrentTagFilter,
+  setCurrentFolderFilter,
+  setCurrentSmartFolder,
+  setSmartFolders,
+  setSmartFolderCounts,
+  setSavesCursor,
+  setAnnotations,
+  setPendingLibraryImport,
+  setReviewSession,
 } from './lib/state.js';
 
 import {
@@ -22,10 +30,13 @@ import {
   getAIConfig,
   getResolvedModelDisplayName,
   resolveModelForTier,
+  downloadFile,
 } from './lib/utils.js';
+import { safeUrl } from './lib/sanitize.js';
 
 import {
   fetchSaves,
+  fetchSave,
   fetchTags,
   fetchFolders,
   toggleArchive as toggleArchiveDB,
@@ -33,10 +44,21 @@ import {
   deleteSave as deleteSaveDB,
   addTagToSave as addTagToSaveDB,
   searchSaves,
+  fetchSmartFolders,
+  createSmartFolder,
+  deleteSmartFolder as deleteSmartFolderDB,
+  countSmartFolders,
   loadDigestPreferences,
   saveDigestPreferences,
   getSignedAudioUrl,
+  getSignedDocumentUrl,
+  deleteDocumentFile,
   addTagsToSave as addTagsToSaveDB,
+  fetchAnnotations,
+  createAnnotation,
+  updateAnnotation,
+  deleteAnnotation,
+  fetchSaveContent,
 } from './services/supabase.js';
 
 import {
@@ -53,6 +75,25 @@ import {
   groupHighlightsByBook,
 } from './services/kindle.js';
 
+import { listImporters, getImporter, prepareImport, runImport } from './services/importers.js';
+import {
+  processReadwiseFile,
+  importPendingReadwiseHighlights,
+  exportReadwiseCsv,
+} from './services/readwise.js';
+import {
+  exportMarkdownVault,
+  recordVaultExport,
+  getLastVaultExport,
+  getVaultFilenameTemplate,
+  setVaultFilenameTemplate,
+} from './services/markdown-vault.js';
+import { exportBackup, readBackupFile, restoreBackup } from './services/backup.js';
+import { exportBookmarksHtml } from './services/bookmarks.js';
+import { exportEpub } from './services/epub-export.js';
+import { loadDailyReview, answerReview } from './services/review.js';
+import { REVIEW_ACTIONS, nextInterval, newReviewState, formatInterval } from './utils/review-schedule.js';
+
 import {
   callClaudeAPI,
   callClaudeAPIRaw,
@@ -77,6 +118,11 @@ import {
   showKindleImportModal,
   hideKindleImportModal,
   resetKindleImportModal,
+  showReadwiseImportModal,
+  hideReadwiseImportModal,
+  showLibraryImportModal,
+  hideLibraryImportModal,
+  resetLibraryImportModal,
   showDigestModal,
   hideDigestModal,
   updateDigestOptionsState,
@@ -117,10 +163,26 @@ import {
   setEnrichingInProgress,
   refreshSaveTags,
   initReadingMode,
+  paintAnnotations,
+  removeAnnotationMarks,
+  showHighlightToolbar,
+  hideHighlightToolbar,
+  showAnnotationPopover,
+  hideAnnotationPopover,
+  renderPdfContent,
+  renderVideoContent,
 } from './ui/reading-pane.js';
 
+import { createTextAnchor, wrapTextRange } from './utils/text-anchor.js';
+import { SAVE_CARD_COLUMNS } from './utils/library-page.js';
+import { snippetTerms, findFirstMatch } from './utils/search-query.js';
+import { smartFolderFromSearch } from './utils/smart-folders.js';
+import { formatTimestamp } from './utils/transcript.js';
+
 import {
   renderSaveCard,
+  renderSaveCardNotes,
+  renderSearchSnippet,
   renderBookCard,
   renderBreakdownBar,
   renderTimeline,
@@ -137,12 +199,18 @@ import {
   renderApplePodcastItem,
   renderImportBookItem,
   renderBulkImportBook,
+  renderReviewItem,
 } from './ui/renders.js';
 
+// Added to the transcript cleanup prompts for videos, whose timestamps link into the video
+const TRANSCRIPT_TIMESTAMP_RULE = 'Paragraphs start with a timestamp like [4:05] or [1:02:09]. Keep every timestamp exactly as written at the start of its paragraph. When you merge paragraphs, keep the first timestamp. Never invent, change or remove timestamps.';
+
 class StashApp {
   constructor() {
     // Use centralized state from lib/state.js
     // Instance properties are proxies to appState for backwards compatibility
+    // Counts library list loads, so a page that arrives after the view changed is dropped
+    this.savesRequest = 0;
     this.init();
   }
 
@@ -163,6 +231,14 @@ class StashApp {
   set folders(v) { setFolders(v); }
   get currentTagFilter() { return appState.currentTagFilter; }
   set currentTagFilter(v) { setCurrentTagFilter(v); }
+  get currentFolderFilter() { return appState.currentFolderFilter; }
+  set currentFolderFilter(v) { setCurrentFolderFilter(v); }
+  get currentSmartFolder() { return appState.currentSmartFolder; }
+  set currentSmartFolder(v) { setCurrentSmartFolder(v); }
+  get smartFolders() { return appState.smartFolders; }
+  set smartFolders(v) { setSmartFolders(v); }
+  get savesCursor() { return appState.savesCursor; }
+  set savesCursor(v) { setSavesCursor(v); }
   get allowedEmails() { return appState.allowedEmails; }
   get aiJobs() { return appState.aiJobs; }
   get aiJobIdCounter() { return appState.aiJobIdCounter; }
@@ -275,6 +351,11 @@ class StashApp {
   }
 
   bindEvents() {
+    // Hide cover images that fail to load ('error' doesn't bubble, so it's caught on the way down)
+    document.addEventListener('error', (e) => {
+      if (e.target.matches?.('.save-card-image')) e.target.style.display = 'none';
+    }, true);
+
     // Google sign-in button
     document.getElementById('google-signin-btn').addEventListener('click', () => {
       this.signInWithGoogle();
@@ -296,6 +377,11 @@ class StashApp {
     // Search
     let searchTimeout;
     document.getElementById('search-input').addEventListener('input', (e) => {
+      // Editing a smart folder's query makes it a new search
+      if (this.currentSmartFolder) {
+        this.currentSmartFolder = null;
+        this.renderSmartFolders();
+      }
       clearTimeout(searchTimeout);
       searchTimeout = setTimeout(() => {
         this.search(e.target.value);
@@ -304,9 +390,14 @@ class StashApp {
 
     // Sort
     document.getElementById('sort-select').addEventListener('change', (e) => {
-      this.loadSaves();
+      this.reloadSaves();
     });
 
+    // Infinite scroll: the next page loads as the end of the list nears the viewport
+    this.savesEndObserver = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) this.loadMoreSaves();
+    }, { rootMargin: '800px 0px' });
+
     // Reading pane
     document.getElementById('close-reading-btn').addEventListener('click', () => {
       this.closeReadingPane();
@@ -331,6 +422,66 @@ class StashApp {
       this.addTagToSave();
     });
 
+    // In-app highlighting: show toolbar for selections inside the article
+    const readingBody = document.getElementById('reading-body');
+    readingBody.addEventListener('mouseup', () => {
+      this.handleReadingSelection();
+    });
+    readingBody.addEventListener('keyup', () => {
+      this.handleReadingSelection();
+    });
+    readingBody.addEventListener('click', (e) => {
+      // Buttons rendered with the content (no inline handlers; the CSP blocks them)
+      const pdfViewBtn = e.target.closest('[data-pdf-view]');
+      if (pdfViewBtn) {
+        this.showPdfView(pdfViewBtn.dataset.pdfView);
+        return;
+      }
+      if (e.target.closest('.ai-enrich-btn')) {
+        this.aiEnrichContent();
+        return;
+      }
+      if (e.target.closest('.transcript-prettify-btn')) {
+        this.prettifyCurrentTranscript();
+        return;
+      }
+
+      const mark = e.target.closest('.annotation-mark');
+      if (mark && window.getSelection().isCollapsed) {
+        this.openAnnotationPopover(mark);
+      }
+    });
+
+    document.getElementById('annotation-note-save-btn').addEventListener('click', () => {
+      this.saveAnnotationNote();
+    });
+    document.getElementById('annotation-remove-btn').addEventListener('click', () => {
+      const annotationId = document.getElementById('annotation-popover').dataset.annotationId;
+      hideAnnotationPopover();
+      this.removeAnnotation(annotationId);
+    });
+    document.getElementById('annotation-note-input').addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') hideAnnotationPopover();
+      if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) this.saveAnnotationNote();
+    });
+
+    // Note on the save itself - persisted when the textarea loses focus
+    document.getElementById('reading-note-input').addEventListener('change', (e) => {
+      this.saveNote(e.target.value);
+    });
+
+    const highlightBtn = document.getElementById('create-highlight-btn');
+    // Keep the selection alive when the button is pressed
+    highlightBtn.addEventListener('mousedown', (e) => e.preventDefault());
+    highlightBtn.addEventListener('click', () => {
+      this.createHighlightFromSelection();
+    });
+
+    document.getElementById('reading-content').addEventListener('scroll', () => {
+      hideHighlightToolbar();
+      hideAnnotationPopover();
+    });
+
     // Mobile menu
     const sidebar = document.querySelector('.sidebar');
     const overlay = document.getElementById('sidebar-overlay');
@@ -360,6 +511,11 @@ class StashApp {
       this.addFolder();
     });
 
+    // Save the current search as a smart folder
+    document.getElementById('save-search-btn').addEventListener('click', () => {
+      this.saveSmartFolder();
+    });
+
     // Theme toggle (removed from sidebar, now in Settings modal)
     const themeToggle = document.getElementById('theme-toggle');
     if (themeToggle) {
@@ -447,6 +603,94 @@ class StashApp {
       }
     });
 
+    // Library Import (Pocket, Instapaper, Omnivore, Raindrop.io)
+    const librarySource = document.getElementById('library-import-source');
+    librarySource.innerHTML = listImporters().map(importer => `
+      <option value="${importer.id}">${this.escapeHtml(importer.name)}</option>
+    `).join('');
+    this.updateLibraryImportSource();
+
+    librarySource.addEventListener('change', () => {
+      resetLibraryImportModal();
+      this.updateLibraryImportSource();
+    });
+
+    document.getElementById('library-import-btn').addEventListener('click', () => {
+      showLibraryImportModal();
+    });
+
+    const libraryModal = document.getElementById('library-import-modal');
+    const libraryDropzone = document.getElementById('library-dropzone');
+    const libraryFileInput = document.getElementById('library-file-input');
+
+    libraryModal.querySelector('.modal-overlay').addEventListener('click', () => {
+      hideLibraryImportModal();
+    });
+    libraryModal.querySelector('.modal-close-btn').addEventListener('click', () => {
+      hideLibraryImportModal();
+    });
+    document.getElementById('library-cancel-btn').addEventListener('click', () => {
+      hideLibraryImportModal();
+    });
+    document.getElementById('library-confirm-btn').addEventListener('click', () => {
+      this.confirmLibraryImport();
+    });
+
+    this.bindFileDropzone(libraryDropzone, libraryFileInput, (file) => {
+      this.handleLibraryFile(file);
+    });
+
+    // Readwise CSV Import
+    document.getElementById('readwise-import-btn').addEventListener('click', () => {
+      showReadwiseImportModal();
+    });
+
+    const readwiseModal = document.getElementById('readwise-import-modal');
+
+    readwiseModal.querySelector('.modal-overlay').addEventListener('click', () => {
+      hideReadwiseImportModal();
+    });
+    readwiseModal.querySelector('.modal-close-btn').addEventListener('click', () => {
+      hideReadwiseImportModal();
+    });
+    document.getElementById('readwise-cancel-btn').addEventListener('click', () => {
+      hideReadwiseImportModal();
+    });
+    document.getElementById('readwise-confirm-btn').addEventListener('click', () => {
+      this.confirmReadwiseImport();
+    });
+
+    this.bindFileDropzone(
+      document.getElementById('readwise-dropzone'),
+      document.getElementById('readwise-file-input'),
+      (file) => this.handleReadwiseFile(file)
+    );
+
+    // Data export (Settings > Data)
+    document.getElementById('export-readwise-btn').addEventListener('click', () => {
+      this.exportReadwiseHighlights();
+    });
+    document.getElementById('export-bookmarks-btn').addEventListener('click', () => {
+      this.exportBookmarks();
+    });
+    document.getElementById('export-epub-btn').addEventListener('click', () => {
+      this.downloadEpub();
+    });
+    document.getElementById('export-vault-btn').addEventListener('click', () => {
+      this.downloadMarkdownVault();
+    });
+    document.getElementById('export-backup-btn').addEventListener('click', () => {
+      this.downloadBackup();
+    });
+    document.getElementById('restore-backup-btn').addEventListener('click', () => {
+      document.getElementById('restore-file-input').click();
+    });
+    document.getElementById('restore-file-input').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) this.restoreFromBackup(file);
+    });
+
     // Toggle enabled/disabled state of digest options
     document.getElementById('digest-enabled').addEventListener('change', () => {
       this.updateDigestOptionsState();
@@ -790,97 +1034,133 @@ class StashApp {
       this.loadSaves(),
       this.loadTags(),
       this.loadFolders(),
+      this.loadSmartFolders(),
     ]);
+    this.applySearchFromUrl();
 
     // Check for auto-enrichment in the background (non-blocking)
     this.autoEnrichRecentSaves();
   }
 
+  // Run a search passed as ?q= (the extension's omnibox links here)
+  applySearchFromUrl() {
+    const query = new URLSearchParams(window.location.search).get('q');
+    if (!query) return;
+
+    document.getElementById('search-input').value = query;
+    this.search(query);
+  }
+
   async loadSaves() {
     const container = document.getElementById('saves-container');
     const loading = document.getElementById('loading');
     const empty = document.getElementById('empty-state');
 
+    const request = ++this.savesRequest;
+    this.savesCursor = null;
     loading.classList.remove('hidden');
     container.innerHTML = '';
 
-    const sortValue = document.getElementById('sort-select').value;
-    const [column, direction] = sortValue.split('.');
-
-    let query = this.supabase
-      .from('saves')
-      .select('*')
-      .order(column, { ascending: direction === 'asc' });
-
-    // Apply view filters
-    if (this.currentView === 'highlights') {
-      query = query.not('highlight', 'is', null);
-    } else if (this.currentView === 'articles') {
-      // Articles: no highlight, not a podcast, not a book
-      query = query.is('highlight', null)
-        .or('content_type.is.null,content_type.eq.article');
-    } else if (this.currentView === 'favorites') {
-      query = query.eq('is_favorite', true);
-    } else if (this.currentView === 'archived') {
-      query = query.eq('is_archived', true);
-    } else if (this.currentView === 'weekly') {
-      // Weekly review - get this week's saves
-      const weekAgo = new Date();
-      weekAgo.setDate(weekAgo.getDate() - 7);
-      query = query.gte('created_at', weekAgo.toISOString());
-    } else {
-      query = query.eq('is_archived', false);
-    }
-
-    const { data, error } = await query;
-
-    loading.classList.add('hidden');
-
-    if (error) {
-      console.error('Error loading saves:', error);
+    // The week in review shows all of the week's saves whole - it counts their words
+    const weekly = this.currentView === 'weekly';
+    let page;
+    try {
+      page = await fetchSaves({
+        ...this.getSavesQuery(),
+        ...(weekly ? { limit: null, columns: '*' } : {}),
+      });
+    } catch (error) {
+      if (request === this.savesRequest) loading.classList.add('hidden');
       return;
     }
+    if (request !== this.savesRequest) return;
 
-    let saves = data || [];
-
-    // Apply tag filter if active
-    if (this.currentTagFilter) {
-      const { data: taggedSaves } = await this.supabase
-        .from('save_tags')
-        .select('save_id')
-        .eq('tag_id', this.currentTagFilter.id);
-
-      const taggedSaveIds = new Set((taggedSaves || []).map(st => st.save_id));
-      saves = saves.filter(s => taggedSaveIds.has(s.id));
-    }
-
-    this.saves = saves;
+    loading.classList.add('hidden');
+    this.saves = page.saves;
+    this.savesCursor = page.cursor;
+    this.loadSmartFolderCounts();
 
     if (this.saves.length === 0) {
       empty.classList.remove('hidden');
     } else {
       empty.classList.add('hidden');
       // Use special rendering for weekly view
-      if (this.currentView === 'weekly') {
+      if (weekly) {
         this.renderWeeklyReview();
       } else {
         this.renderSaves();
+        this.watchSavesEnd();
       }
     }
   }
 
-  renderSaves() {
+  // View, filters and sort of the library list, for fetchSaves()
+  getSavesQuery() {
+    const [sortColumn, sortDirection] = document.getElementById('sort-select').value.split('.');
+    return {
+      view: this.currentView,
+      sortColumn,
+      sortDirection,
+      tagId: this.currentTagFilter?.id || null,
+      folderId: this.currentFolderFilter?.id || null,
+    };
+  }
+
+  // Infinite scroll: append the next page of the library list
+  async loadMoreSaves() {
+    if (!this.savesCursor || this.loadingMoreSaves) return;
+
+    const request = this.savesRequest;
+    const loading = document.getElementById('loading');
+    this.loadingMoreSaves = true;
+    loading.classList.remove('hidden');
+
+    try {
+      const page = await fetchSaves({ ...this.getSavesQuery(), cursor: this.savesCursor });
+      if (request !== this.savesRequest) return;
+
+      this.saves = [...this.saves, ...page.saves];
+      this.savesCursor = page.cursor;
+      this.renderSaves(page.saves, { append: true });
+      this.watchSavesEnd();
+    } catch (error) {
+      // Already logged; the next scroll to the end tries again
+    } finally {
+      this.loadingMoreSaves = false;
+      if (request === this.savesRequest) loading.classList.add('hidden');
+    }
+  }
+
+  // Watch the end of the list while there are more pages. Observing again
+  // reports its position afresh, so a page that doesn't fill the screen loads the next
+  watchSavesEnd() {
+    const end = document.getElementById('saves-end');
+    if (!this.savesEndObserver || !end) return;
+
+    this.savesEndObserver.unobserve(end);
+    if (this.savesCursor) this.savesEndObserver.observe(end);
+  }
+
+  /**
+   * Render save cards into the library list
+   * @param {Array} saves - Saves to render (default: all loaded saves)
+   * @param {Object} options
+   * @param {boolean} options.append - Add after the cards already shown
+   */
+  renderSaves(saves = this.saves, { append = false } = {}) {
     const container = document.getElementById('saves-container');
+    const html = saves.map(save => this.renderSaveCard(save)).join('');
 
-    container.innerHTML = this.saves.map(save => this.renderSaveCard(save)).join('');
+    if (append) {
+      container.insertAdjacentHTML('beforeend', html);
+    } else {
+      container.innerHTML = html;
+    }
 
     // Bind click events
-    container.querySelectorAll('.save-card').forEach(card => {
-      card.addEventListener('click', () => {
-        const id = card.dataset.id;
-        const save = this.saves.find(s => s.id === id);
-        if (save) this.openReadingPane(save);
-      });
+    saves.forEach(save => {
+      container.querySelector(`.save-card[data-id="${save.id}"]`)
+        ?.addEventListener('click', () => this.openReadingPane(save));
     });
   }
 
@@ -903,7 +1183,7 @@ class StashApp {
     let rediscovery = null;
     const allSavesQuery = this.supabase
       .from('saves')
-      .select('*')
+      .select(SAVE_CARD_COLUMNS)
       .lt('created_at', new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString())
       .limit(50);
 
@@ -1019,8 +1299,9 @@ class StashApp {
         <div class="save-card highlight" data-id="${save.id}">
           <div class="save-card-content">
             <div class="save-card-site">${this.escapeHtml(save.site_name || '')}</div>
-            <div class="save-card-highlight">"${this.escapeHtml(save.highlight)}"</div>
+            <div class="save-card-highlight">"${renderSearchSnippet(save.highlight_snippet) || this.escapeHtml(save.highlight)}"</div>
             <div class="save-card-title">${this.escapeHtml(save.title || 'Untitled')}</div>
+            ${renderSaveCardNotes(save)}
             <div class="save-card-meta">
               ${dateDisplay}
             </div>
@@ -1029,15 +1310,20 @@ class StashApp {
       `;
     }
 
+    const imageUrl = safeUrl(save.image_url, { image: true });
+
     return `
       <div class="save-card" data-id="${save.id}">
-        ${save.image_url ? `<img class="save-card-image" src="${save.image_url}" alt="" onerror="this.style.display='none'">` : ''}
+        ${imageUrl ? `<img class="save-card-image" src="${this.escapeHtml(imageUrl)}" alt="">` : ''}
         <div class="save-card-content">
           <div class="save-card-site">${this.escapeHtml(save.site_name || '')}</div>
           <div class="save-card-title">${this.escapeHtml(save.title || 'Untitled')}</div>
-          <div class="save-card-excerpt">${this.escapeHtml(save.excerpt || '')}</div>
+          <div class="save-card-excerpt">${renderSearchSnippet(save.content_snippet) || this.escapeHtml(save.excerpt || '')}</div>
+          ${renderSaveCardNotes(save)}
           <div class="save-card-meta">
             ${dateDisplay}
+            ${save.content_type === 'pdf' ? `<span class="save-card-type">PDF${save.pdf_metadata?.page_count ? ` · ${save.pdf_metadata.page_count} pages` : ''}</span>` : ''}
+            ${save.content_type === 'video' ? `<span class="save-card-type">Video${save.video_metadata?.duration_seconds ? ` · ${formatTimestamp(save.video_metadata.duration_seconds)}` : ''}</span>` : ''}
           </div>
         </div>
       </div>
@@ -1084,7 +1370,7 @@ class StashApp {
         }
 
         this.renderTags(); // Update active state
-        this.loadSaves();  // Reload with filter
+        this.reloadSaves(); // Reload with filter
       });
     });
   }
@@ -1101,22 +1387,170 @@ class StashApp {
 
   renderFolders() {
     const container = document.getElementById('folders-list');
+    const activeFolderId = this.currentFolderFilter?.id;
+
     container.innerHTML = this.folders.map(folder => `
-      <a href="#" class="nav-item" data-folder="${folder.id}">
-        <span style="color: ${folder.color}">📁</span>
+      <a href="#" class="nav-item${folder.id === activeFolderId ? ' active' : ''}" data-folder="${folder.id}">
+        <span style="color: ${this.escapeHtml(folder.color)}">📁</span>
         ${this.escapeHtml(folder.name)}
       </a>
     `).join('');
+
+    container.querySelectorAll('.nav-item').forEach(el => {
+      el.addEventListener('click', (e) => {
+        e.preventDefault();
+        const folder = this.folders.find(f => f.id === el.dataset.folder);
+        if (folder) this.filterByFolder(folder);
+      });
+    });
+  }
+
+  // Toggle filter - clicking the active folder clears it
+  filterByFolder(folder) {
+    if (this.currentFolderFilter?.id === folder.id) {
+      this.currentFolderFilter = null;
+    } else {
+      this.currentFolderFilter = { id: folder.id, name: folder.name };
+    }
+
+    this.renderFolders(); // Update active state
+    this.reloadSaves();   // Reload with filter
+  }
+
+  // ==================== Smart Folders ====================
+
+  async loadSmartFolders() {
+    try {
+      this.smartFolders = await fetchSmartFolders();
+    } catch (error) {
+      return;
+    }
+    this.renderSmartFolders();
+    this.loadSmartFolderCounts();
+  }
+
+  // Counts change with the library, so they're refreshed as it's reloaded and edited
+  async loadSmartFolderCounts() {
+    if (this.smartFolders.length === 0) return;
+
+    try {
+      setSmartFolderCounts(await countSmartFolders(this.smartFolders));
+    } catch (error) {
+      return;
+    }
+    this.renderSmartFolders();
+  }
+
+  renderSmartFolders() {
+    const container = document.getElementById('smart-folders-list');
+    const counts = appState.smartFolderCounts;
+
+    container.innerHTML = this.smartFolders.map(smartFolder => `
+      <div class="smart-folder" data-smart-folder="${smartFolder.id}">
+        <a href="#" class="nav-item${smartFolder.id === this.currentSmartFolder ? ' active' : ''}" title="${this.escapeHtml(smartFolder.query)}">
+          <span>🔎</span>
+          <span class="smart-folder-name">${this.escapeHtml(smartFolder.name)}</span>
+          <span class="smart-folder-count">${counts[smartFolder.id] ?? ''}</span>
+        </a>
+        <button class="smart-folder-delete" title="Delete smart folder" aria-label="Delete smart folder">×</button>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('.smart-folder').forEach(el => {
+      const smartFolder = this.smartFolders.find(f => f.id === el.dataset.smartFolder);
+      el.querySelector('.nav-item').addEventListener('click', (e) => {
+        e.preventDefault();
+        this.openSmartFolder(smartFolder);
+      });
+      el.querySelector('.smart-folder-delete').addEventListener('click', () => {
+        this.deleteSmartFolder(smartFolder);
+      });
+    });
+  }
+
+  // Show a smart folder's saves: its query in the search box, run in its view.
+  // Clicking the open smart folder again goes back to the view unsearched
+  openSmartFolder(smartFolder) {
+    const searchInput = document.getElementById('search-input');
+
+    if (this.currentSmartFolder === smartFolder.id) {
+      searchInput.value = '';
+      this.setView(this.currentView);
+      return;
+    }
+
+    searchInput.value = smartFolder.query;
+    this.setView(smartFolder.view);
+
+    this.currentSmartFolder = smartFolder.id;
+    this.renderSmartFolders();
+    document.querySelectorAll('.nav-item[data-view]').forEach(item => item.classList.remove('active'));
+    document.getElementById('view-title').textContent = smartFolder.name;
+  }
+
+  async saveSmartFolder() {
+    const { view, query } = smartFolderFromSearch({
+      view: this.currentView,
+      query: document.getElementById('search-input').value,
+      tagName: this.currentTagFilter?.name || null,
+      folderName: this.currentFolderFilter?.name || null,
+    });
+
+    if (!query && view === 'all') {
+      this.showToast('Search or pick a filter to save first', 'error');
+      return;
+    }
+
+    const name = prompt('Smart folder name:', query);
+    if (!name?.trim()) return;
+
+    try {
+      const smartFolder = await createSmartFolder({ name, view, query });
+      await this.loadSmartFolders();
+      this.showToast('Smart folder saved', 'success');
+      this.openSmartFolder(smartFolder);
+    } catch (error) {
+      this.showToast('Could not save the smart folder', 'error');
+    }
+  }
+
+  async deleteSmartFolder(smartFolder) {
+    if (!confirm(`Delete the smart folder "${smartFolder.name}"? Its saves stay in your library.`)) return;
+
+    try {
+      await deleteSmartFolderDB(smartFolder.id);
+    } catch (error) {
+      this.showToast('Could not delete the smart folder', 'error');
+      return;
+    }
+
+    if (this.currentSmartFolder === smartFolder.id) {
+      this.currentSmartFolder = null;
+    }
+    this.smartFolders = this.smartFolders.filter(f => f.id !== smartFolder.id);
+    this.renderSmartFolders();
   }
 
   setView(view) {
     this.currentView = view;
 
-    // Clear tag filter when switching views
+    // Stop paging the previous list; other views render their own content
+    this.savesRequest++;
+    this.savesCursor = null;
+
+    // Clear tag and folder filters when switching views
     if (this.currentTagFilter) {
       this.currentTagFilter = null;
       this.renderTags();
     }
+    if (this.currentFolderFilter) {
+      this.currentFolderFilter = null;
+      this.renderFolders();
+    }
+    if (this.currentSmartFolder) {
+      this.currentSmartFolder = null;
+      this.renderSmartFolders();
+    }
 
     // Update nav
     document.querySelectorAll('.nav-item[data-view]').forEach(item => {
@@ -1134,6 +1568,7 @@ class StashApp {
       favorites: 'Favorites',
       archived: 'Archived',
       weekly: 'Weekly Review',
+      review: 'Daily Review',
       insights: 'Insights',
       stats: 'Stats',
     };
@@ -1149,9 +1584,104 @@ class StashApp {
       this.loadBooks();
     } else if (view === 'insights') {
       this.loadInsights();
+    } else if (view === 'review') {
+      this.loadReview();
     } else {
-      this.loadSaves();
+      this.reloadSaves();
+    }
+  }
+
+  // ==================== Daily Review Methods ====================
+
+  async loadReview() {
+    const container = document.getElementById('saves-container');
+    const loading = document.getElementById('loading');
+    const empty = document.getElementById('empty-state');
+
+    loading.classList.remove('hidden');
+    empty.classList.add('hidden');
+    container.innerHTML = '';
+
+    try {
+      const { queue, reviewedToday, total } = await loadDailyReview();
+      setReviewSession({ queue, index: 0, reviewedToday, total });
+      this.renderReview();
+    } catch (error) {
+      console.error('Error loading review:', error);
+      container.innerHTML = '<div class="review-empty"><p>Could not load your review. Please try again.</p></div>';
+    } finally {
+      loading.classList.add('hidden');
+    }
+  }
+
+  renderReview() {
+    const container = document.getElementById('saves-container');
+    const session = appState.reviewSession;
+    if (!session || this.currentView !== 'review') return;
+
+    const item = session.queue[session.index];
+
+    if (!item) {
+      const reviewed = session.reviewedToday + session.index;
+      container.innerHTML = session.total === 0
+        ? `<div class="review-empty">
+            <h3>No highlights yet</h3>
+            <p>Highlight text in an article, save a highlight from the extension, or import your Kindle highlights. They'll show up here for review.</p>
+          </div>`
+        : `<div class="review-empty">
+            <h3>You're done for today</h3>
+            <p>${reviewed > 0 ? `You reviewed ${reviewed} highlight${reviewed === 1 ? '' : 's'} today. ` : ''}Come back tomorrow for more.</p>
+          </div>`;
+      return;
     }
+
+    const state = item.review || newReviewState();
+    container.innerHTML = renderReviewItem(item, {
+      position: session.index + 1,
+      total: session.queue.length,
+      actions: REVIEW_ACTIONS.map((action) => ({ action, hint: formatInterval(nextInterval(state, action)) })),
+    });
+
+    container.querySelectorAll('.review-action-btn').forEach((btn) => {
+      btn.addEventListener('click', () => this.answerReviewItem(btn.dataset.action));
+    });
+    container.querySelector('.review-open').addEventListener('click', (e) => {
+      e.preventDefault();
+      this.openReviewSource(item);
+    });
+  }
+
+  async answerReviewItem(action) {
+    const session = appState.reviewSession;
+    const item = session?.queue[session.index];
+    if (!item) return;
+
+    const buttons = document.querySelectorAll('.review-action-btn');
+    buttons.forEach((btn) => { btn.disabled = true; });
+
+    try {
+      await answerReview(item, action);
+      session.index++;
+      this.renderReview();
+    } catch (error) {
+      console.error('Error saving review:', error);
+      this.showToast('Failed to save your answer', 'error');
+      buttons.forEach((btn) => { btn.disabled = false; });
+    }
+  }
+
+  async openReviewSource(item) {
+    const { data: save, error } = await this.supabase
+      .from('saves')
+      .select('*')
+      .eq('id', item.saveId)
+      .single();
+
+    if (error || !save) {
+      this.showToast('Could not open this highlight', 'error');
+      return;
+    }
+    this.openReadingPane(save);
   }
 
   async search(query) {
@@ -1160,22 +1690,61 @@ class StashApp {
       return;
     }
 
-    const { data } = await this.supabase.rpc('search_saves', {
-      search_query: query,
-      user_uuid: this.user.id,
-    });
+    // Searches within the current view and tag/folder filters, in the sort menu's order
+    const request = ++this.savesRequest;
+    let results;
+    try {
+      results = await searchSaves(query, {
+        view: this.currentView,
+        sort: document.getElementById('sort-select').value,
+        tagName: this.currentTagFilter?.name || null,
+        folderId: this.currentFolderFilter?.id || null,
+      });
+    } catch (error) {
+      if (request === this.savesRequest) this.showToast('Search failed', 'error');
+      return;
+    }
+    if (request !== this.savesRequest) return;
 
-    this.saves = data || [];
+    // Search results come in one go, so there's no next page
+    this.savesCursor = null;
+    this.saves = results;
     this.renderSaves();
   }
 
-  openReadingPane(save) {
+  // Reload the list, keeping a search that's in the search box
+  reloadSaves() {
+    const query = document.getElementById('search-input').value;
+    if (query.trim()) {
+      this.search(query);
+    } else {
+      this.loadSaves();
+    }
+  }
+
+  async openReadingPane(save) {
+    // Cards only load what they show; the content comes with the first open
+    if (!('content' in save)) {
+      try {
+        Object.assign(save, await fetchSave(save.id));
+      } catch (error) {
+        this.showToast('Could not open this save', 'error');
+        return;
+      }
+    }
+
     this.currentSave = save;
     const pane = document.getElementById('reading-pane');
 
     // Stop any existing audio
     this.stopAudio();
 
+    // Clear highlight state from the previous save
+    hideHighlightToolbar();
+    hideAnnotationPopover();
+    setAnnotations([]);
+    document.getElementById('reading-note-input').value = save.note || '';
+
     document.getElementById('reading-title').textContent = save.title || 'Untitled';
 
     // Build meta line with publication date (if available) and saved date
@@ -1187,7 +1756,7 @@ class StashApp {
     }
     metaParts.push(`Saved ${new Date(save.created_at).toLocaleDateString()}`);
 
-    document.getElementById('reading-meta').innerHTML = metaParts.join(' · ');
+    document.getElementById('reading-meta').textContent = metaParts.join(' · ');
 
     // Handle audio player visibility
     const audioPlayer = document.getElementById('audio-player');
@@ -1199,8 +1768,8 @@ class StashApp {
       audioPlayer.classList.remove('hidden');
       audioGenerating.classList.add('hidden');
       this.initAudio(save.audio_url);
-    } else if (save.content_type === 'podcast' || save.content_type === 'book') {
-      // Podcasts and books don't need TTS audio
+    } else if (['podcast', 'book', 'video'].includes(save.content_type)) {
+      // Podcasts, books and videos don't need TTS audio
       audioPlayer.classList.add('hidden');
       audioGenerating.classList.add('hidden');
     } else if (audioEnabled && save.content && save.content.length > 100 && !save.highlight) {
@@ -1218,7 +1787,7 @@ class StashApp {
         <blockquote style="font-style: italic; background: #fef3c7; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
           "${this.escapeHtml(save.highlight)}"
         </blockquote>
-        <p><a href="${save.url}" target="_blank" style="color: var(--primary);">View original →</a></p>
+        <p><a href="${this.escapeHtml(safeUrl(save.url))}" target="_blank" rel="noopener" style="color: var(--primary);">View original →</a></p>
       `;
     } else if (save.content_type === 'podcast') {
       // Podcast transcript view
@@ -1229,7 +1798,7 @@ class StashApp {
 
       // Show AI enrich button
       html += `
-        <button class="prettify-btn ai-enrich-btn" onclick="app.aiEnrichContent()">
+        <button class="prettify-btn ai-enrich-btn">
           <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"></polygon>
           </svg>
@@ -1268,7 +1837,7 @@ class StashApp {
       // Show AI enrich button
       const hasKeyPoints = save.ai_metadata?.key_points?.length > 0;
       html += `
-        <button class="prettify-btn ai-enrich-btn" onclick="app.aiEnrichContent()">
+        <button class="prettify-btn ai-enrich-btn">
           <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"></polygon>
           </svg>
@@ -1351,11 +1920,18 @@ class StashApp {
       // Link to Google Books
       if (save.url) {
         html += `
-          <p style="margin-top: 24px;"><a href="${save.url}" target="_blank" style="color: var(--primary);">View on Google Books →</a></p>
+          <p style="margin-top: 24px;"><a href="${this.escapeHtml(safeUrl(save.url))}" target="_blank" rel="noopener" style="color: var(--primary);">View on Google Books →</a></p>
         `;
       }
 
       document.getElementById('reading-body').innerHTML = html;
+    } else if (save.content_type === 'pdf') {
+      document.getElementById('reading-body').innerHTML = renderPdfContent(save);
+      this.loadAnnotations(save);
+      if (save.pdf_metadata?.has_text === false) this.showPdfView('pdf');
+    } else if (save.content_type === 'video') {
+      document.getElementById('reading-body').innerHTML = renderVideoContent(save);
+      this.loadAnnotations(save);
     } else {
       // Article view
       let html = '';
@@ -1364,7 +1940,7 @@ class StashApp {
       if (save.content && save.content.length > 100) {
         const hasKeyPoints = save.ai_metadata?.key_points?.length > 0;
         html += `
-          <button class="prettify-btn ai-enrich-btn" onclick="app.aiEnrichContent()">
+          <button class="prettify-btn ai-enrich-btn">
             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"></polygon>
             </svg>
@@ -1385,39 +1961,205 @@ class StashApp {
         }
       }
 
-      const content = save.content || save.excerpt || 'No content available.';
-      html += this.renderMarkdown(content);
-      document.getElementById('reading-body').innerHTML = html;
+      // Wrapped so annotation offsets are relative to the article text only.
+      // Structured Markdown when the save has it; older saves only have plain text
+      const content = save.content_markdown || save.content || save.excerpt || 'No content available.';
+      html += `<div class="article-content" id="reading-article">${this.renderMarkdown(content)}</div>`;
+      document.getElementById('reading-body').innerHTML = html;
+
+      this.loadAnnotations(save);
+    }
+
+    document.getElementById('open-original-btn').href = safeUrl(save.url) || '#';
+
+    // Update button states
+    document.getElementById('archive-btn').classList.toggle('active', save.is_archived);
+    document.getElementById('favorite-btn').classList.toggle('active', save.is_favorite);
+
+    pane.classList.remove('hidden');
+    // Add open class for mobile slide-in animation
+    requestAnimationFrame(() => {
+      pane.classList.add('open');
+      this.showSearchMatch(save);
+    });
+  }
+
+  // Opened from search results: mark the first place the search matched and
+  // scroll to it. The mark doesn't change the article's text, so annotation
+  // offsets painted afterwards still line up
+  showSearchMatch(save) {
+    const article = document.getElementById('reading-article');
+    const terms = snippetTerms(save.content_snippet);
+    if (!article || !terms.length) return;
+
+    const match = findFirstMatch(article.textContent, terms);
+    if (!match) return;
+
+    const [mark] = wrapTextRange(article, match.start, match.end, { className: 'search-match' });
+    mark?.scrollIntoView({ block: 'center' });
+  }
+
+  closeReadingPane() {
+    const pane = document.getElementById('reading-pane');
+    pane.classList.remove('open');
+    // Stop audio when closing
+    this.stopAudio();
+    hideHighlightToolbar();
+    hideAnnotationPopover();
+    setAnnotations([]);
+    // Reset progress bar
+    const progressFill = document.getElementById('reading-progress-fill');
+    if (progressFill) progressFill.style.width = '0%';
+    // Wait for animation on mobile before hiding
+    setTimeout(() => {
+      if (!pane.classList.contains('open')) {
+        pane.classList.add('hidden');
+      }
+    }, 300);
+    this.currentSave = null;
+  }
+
+  // ==================== Annotations ====================
+
+  async loadAnnotations(save) {
+    try {
+      const annotations = await fetchAnnotations(save.id);
+
+      // Pane may have moved on to another save while loading
+      if (this.currentSave?.id !== save.id) return;
+
+      setAnnotations(annotations);
+      const orphaned = paintAnnotations(document.getElementById('reading-article'), annotations);
+      if (orphaned.length > 0) {
+        console.warn(`${orphaned.length} highlight(s) could not be located in this article`);
+      }
+    } catch (error) {
+      console.error('Error loading annotations:', error);
+    }
+  }
+
+  handleReadingSelection() {
+    const article = document.getElementById('reading-article');
+    const selection = window.getSelection();
+
+    if (!article || !selection || selection.isCollapsed || selection.rangeCount === 0) {
+      hideHighlightToolbar();
+      return;
+    }
+
+    const range = selection.getRangeAt(0);
+    if (!article.contains(range.commonAncestorContainer) || !range.toString().trim()) {
+      hideHighlightToolbar();
+      return;
+    }
+
+    showHighlightToolbar(range);
+  }
+
+  async createHighlightFromSelection() {
+    const article = document.getElementById('reading-article');
+    const selection = window.getSelection();
+    const save = this.currentSave;
+
+    hideHighlightToolbar();
+    if (!article || !save || !selection || selection.rangeCount === 0) return;
+
+    const anchor = createTextAnchor(article, selection.getRangeAt(0));
+    if (!anchor) return;
+
+    try {
+      const annotation = await createAnnotation(save.id, anchor);
+      selection.removeAllRanges();
+
+      if (this.currentSave?.id !== save.id) return;
+
+      setAnnotations([...appState.annotations, annotation]);
+      paintAnnotations(article, appState.annotations);
+      this.syncSaveAnnotations();
+      this.showToast('Highlight saved', 'success');
+    } catch (error) {
+      console.error('Error saving highlight:', error);
+      this.showToast('Failed to save highlight', 'error');
+    }
+  }
+
+  openAnnotationPopover(mark) {
+    const annotation = appState.annotations.find((a) => a.id === mark.dataset.annotationId);
+    if (!annotation) return;
+    hideHighlightToolbar();
+    showAnnotationPopover(mark, annotation);
+  }
+
+  async saveAnnotationNote() {
+    const popover = document.getElementById('annotation-popover');
+    const annotationId = popover.dataset.annotationId;
+    if (!annotationId) return;
+
+    const note = document.getElementById('annotation-note-input').value.trim() || null;
+    hideAnnotationPopover();
+
+    try {
+      const updated = await updateAnnotation(annotationId, { note });
+      setAnnotations(appState.annotations.map((a) => (a.id === annotationId ? updated : a)));
+      paintAnnotations(document.getElementById('reading-article'), appState.annotations);
+      this.syncSaveAnnotations();
+      this.showToast(note ? 'Note saved' : 'Note removed', 'success');
+    } catch (error) {
+      console.error('Error saving highlight note:', error);
+      this.showToast('Failed to save note', 'error');
+    }
+  }
+
+  async saveNote(value) {
+    const save = this.currentSave;
+    if (!save) return;
+
+    const note = value.trim() || null;
+    if (note === (save.note || null)) return;
+
+    const { error } = await this.supabase
+      .from('saves')
+      .update({ note })
+      .eq('id', save.id);
+
+    if (error) {
+      console.error('Error saving note:', error);
+      this.showToast('Failed to save note', 'error');
+      return;
     }
 
-    document.getElementById('open-original-btn').href = save.url || '#';
+    save.note = note;
+    this.refreshSaveCard(save);
+    this.showToast(note ? 'Note saved' : 'Note removed', 'success');
+  }
 
-    // Update button states
-    document.getElementById('archive-btn').classList.toggle('active', save.is_archived);
-    document.getElementById('favorite-btn').classList.toggle('active', save.is_favorite);
+  // Keep the open save's embedded annotations (used for card counts) in sync
+  syncSaveAnnotations() {
+    if (!this.currentSave) return;
+    this.currentSave.annotations = appState.annotations.map(({ id, note }) => ({ id, note }));
+    this.refreshSaveCard(this.currentSave);
+  }
 
-    pane.classList.remove('hidden');
-    // Add open class for mobile slide-in animation
-    requestAnimationFrame(() => {
-      pane.classList.add('open');
-    });
+  refreshSaveCard(save) {
+    const meta = document.querySelector(`.save-card[data-id="${save.id}"] .save-card-meta`);
+    if (!meta) return;
+    meta.parentElement.querySelectorAll('.save-card-note, .save-card-annotations').forEach((el) => el.remove());
+    meta.insertAdjacentHTML('beforebegin', renderSaveCardNotes(save));
   }
 
-  closeReadingPane() {
-    const pane = document.getElementById('reading-pane');
-    pane.classList.remove('open');
-    // Stop audio when closing
-    this.stopAudio();
-    // Reset progress bar
-    const progressFill = document.getElementById('reading-progress-fill');
-    if (progressFill) progressFill.style.width = '0%';
-    // Wait for animation on mobile before hiding
-    setTimeout(() => {
-      if (!pane.classList.contains('open')) {
-        pane.classList.add('hidden');
-      }
-    }, 300);
-    this.currentSave = null;
+  async removeAnnotation(annotationId) {
+    if (!annotationId) return;
+    if (!confirm('Remove this highlight?')) return;
+
+    try {
+      await deleteAnnotation(annotationId);
+      setAnnotations(appState.annotations.filter((a) => a.id !== annotationId));
+      removeAnnotationMarks(document.getElementById('reading-article'), annotationId);
+      this.syncSaveAnnotations();
+    } catch (error) {
+      console.error('Error removing highlight:', error);
+      this.showToast('Failed to remove highlight', 'error');
+    }
   }
 
   // Reading Progress Bar
@@ -1534,6 +2276,29 @@ class StashApp {
     return data.signedUrl;
   }
 
+  // Switch a PDF save between its extracted text and the original file
+  async showPdfView(view) {
+    const text = document.getElementById('reading-article');
+    const frame = document.getElementById('reading-pdf');
+    if (!text || !frame) return;
+
+    document.querySelectorAll('.pdf-view-btn').forEach((btn) => {
+      btn.classList.toggle('active', btn.dataset.pdfView === view);
+    });
+    text.classList.toggle('hidden', view !== 'text');
+    frame.classList.toggle('hidden', view !== 'pdf');
+
+    if (view === 'pdf' && !frame.querySelector('iframe')) {
+      const save = this.currentSave;
+      const signedUrl = save?.file_path ? await getSignedDocumentUrl(save.file_path) : null;
+      if (!signedUrl) {
+        frame.innerHTML = `<p class="pdf-no-text">The original PDF isn't available. <a href="${this.escapeHtml(save?.url || '#')}" target="_blank" rel="noopener">Open the source</a></p>`;
+        return;
+      }
+      frame.innerHTML = `<iframe class="pdf-frame" src="${this.escapeHtml(signedUrl)}" title="${this.escapeHtml(save.title || 'PDF')}"></iframe>`;
+    }
+  }
+
   async toggleArchive() {
     if (!this.currentSave) {
       console.log('toggleArchive: No current save');
@@ -1584,6 +2349,7 @@ class StashApp {
     this.currentSave.is_favorite = newValue;
     document.getElementById('favorite-btn').classList.toggle('active', newValue);
     this.showToast(newValue ? 'Added to favorites' : 'Removed from favorites', 'success');
+    this.loadSmartFolderCounts();
   }
 
   async deleteSave() {
@@ -1591,11 +2357,17 @@ class StashApp {
 
     if (!confirm('Delete this save? This cannot be undone.')) return;
 
+    const { file_path: filePath } = this.currentSave;
     await this.supabase
       .from('saves')
       .delete()
       .eq('id', this.currentSave.id);
 
+    // The stored PDF goes with the save; a failure only leaves an orphaned file
+    if (filePath) {
+      deleteDocumentFile(filePath).catch(() => {});
+    }
+
     this.closeReadingPane();
     this.loadSaves();
   }
@@ -1628,6 +2400,7 @@ class StashApp {
         .insert({ save_id: this.currentSave.id, tag_id: existingTag.id });
 
       this.loadTags();
+      this.loadSmartFolderCounts();
     }
   }
 
@@ -2104,6 +2877,393 @@ class StashApp {
     }
   }
 
+  // Click-to-browse and drag-and-drop for an import dropzone
+  bindFileDropzone(dropzone, fileInput, onFile) {
+    dropzone.addEventListener('click', () => {
+      fileInput.click();
+    });
+
+    fileInput.addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        onFile(e.target.files[0]);
+      }
+    });
+
+    dropzone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      dropzone.classList.add('dragover');
+    });
+
+    dropzone.addEventListener('dragleave', () => {
+      dropzone.classList.remove('dragover');
+    });
+
+    dropzone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      dropzone.classList.remove('dragover');
+      if (e.dataTransfer.files.length > 0) {
+        onFile(e.dataTransfer.files[0]);
+      }
+    });
+  }
+
+  // Readwise Import/Export Methods
+  async handleReadwiseFile(file) {
+    const dropzone = document.getElementById('readwise-dropzone');
+    dropzone.classList.add('processing');
+
+    try {
+      const { books, newHighlights, duplicateCount } = await processReadwiseFile(file);
+
+      dropzone.classList.remove('processing');
+      dropzone.classList.add('success');
+
+      document.getElementById('readwise-import-total').textContent = newHighlights.length;
+      document.getElementById('readwise-import-books').textContent = books.length;
+      document.getElementById('readwise-import-duplicates').textContent = duplicateCount;
+
+      document.getElementById('readwise-import-books-list').innerHTML = books.map(book => `
+        <div class="import-book-item">
+          <div>
+            <div class="import-book-title">${this.escapeHtml(book.title)}</div>
+            ${book.author ? `<div class="import-book-author">${this.escapeHtml(book.author)}</div>` : ''}
+          </div>
+          <span class="import-book-count">${book.count}</span>
+        </div>
+      `).join('');
+
+      document.getElementById('readwise-import-preview').classList.remove('hidden');
+      document.getElementById('readwise-import-footer').classList.toggle('hidden', newHighlights.length === 0);
+    } catch (error) {
+      console.error('Error parsing Readwise file:', error);
+      alert(error.message || 'Error reading the file. Please try again.');
+      dropzone.classList.remove('processing');
+    }
+  }
+
+  async confirmReadwiseImport() {
+    if (!appState.pendingReadwiseImport || appState.pendingReadwiseImport.length === 0) {
+      hideReadwiseImportModal();
+      return;
+    }
+
+    const confirmBtn = document.getElementById('readwise-confirm-btn');
+    confirmBtn.disabled = true;
+    confirmBtn.textContent = 'Importing...';
+
+    try {
+      const count = await importPendingReadwiseHighlights();
+
+      hideReadwiseImportModal();
+      this.loadSaves();
+      this.loadTags();
+      this.showToast(`Imported ${count} highlights`, 'success');
+    } catch (error) {
+      console.error('Error importing Readwise highlights:', error);
+      alert('Error importing highlights. Please try again.');
+    } finally {
+      confirmBtn.disabled = false;
+      confirmBtn.textContent = 'Import Highlights';
+    }
+  }
+
+  async exportReadwiseHighlights() {
+    const btn = document.getElementById('export-readwise-btn');
+    btn.disabled = true;
+
+    try {
+      const { csv, count } = await exportReadwiseCsv();
+      if (count === 0) {
+        this.showToast('No highlights to export', 'info');
+        return;
+      }
+
+      const date = new Date().toISOString().slice(0, 10);
+      downloadFile(csv, `stash-highlights-${date}.csv`, 'text/csv');
+      this.showToast(`Exported ${count} highlights`, 'success');
+    } catch (error) {
+      console.error('Error exporting highlights:', error);
+      this.showToast('Failed to export highlights', 'error');
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  async exportBookmarks() {
+    const btn = document.getElementById('export-bookmarks-btn');
+    btn.disabled = true;
+
+    try {
+      const { html, count } = await exportBookmarksHtml();
+      if (count === 0) {
+        this.showToast('No links to export', 'info');
+        return;
+      }
+
+      const date = new Date().toISOString().slice(0, 10);
+      downloadFile(html, `stash-bookmarks-${date}.html`, 'text/html');
+      this.showToast(`Exported ${count} bookmarks`, 'success');
+    } catch (error) {
+      console.error('Error exporting bookmarks:', error);
+      this.showToast('Failed to export bookmarks', 'error');
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  async downloadMarkdownVault() {
+    const btn = document.getElementById('export-vault-btn');
+    btn.disabled = true;
+    btn.textContent = 'Exporting...';
+
+    try {
+      this.saveExportSettings();
+      const incremental = document.getElementById('vault-incremental').checked;
+      const { zip, count, startedAt } = await exportMarkdownVault({ incremental });
+
+      if (!zip) {
+        this.showToast('Nothing changed since the last export', 'info');
+      } else {
+        const date = new Date().toISOString().slice(0, 10);
+        const suffix = incremental ? '-changes' : '';
+        downloadFile(new Blob([zip], { type: 'application/zip' }), `stash-vault-${date}${suffix}.zip`);
+        this.showToast(`Exported ${count} files`, 'success');
+      }
+      recordVaultExport(startedAt);
+      this.loadExportSettings();
+    } catch (error) {
+      console.error('Error exporting Markdown vault:', error);
+      this.showToast('Failed to export Markdown vault', 'error');
+    } finally {
+      btn.disabled = false;
+      btn.textContent = 'Export Markdown vault (.zip)';
+    }
+  }
+
+  async downloadEpub() {
+    const btn = document.getElementById('export-epub-btn');
+    const source = document.getElementById('epub-source');
+    const [type, id] = source.value.split(':');
+
+    btn.disabled = true;
+    btn.textContent = 'Building EPUB...';
+
+    try {
+      const { epub, title, count } = await exportEpub({
+        type,
+        id,
+        name: source.selectedOptions[0]?.dataset.name,
+        unreadOnly: document.getElementById('epub-unread-only').checked,
+      });
+
+      if (!epub) {
+        this.showToast('No articles to export', 'info');
+        return;
+      }
+
+      const fileName = `${title.replace(/[\\/:*?"<>|#]/g, '').replace(/\s+/g, '-').toLowerCase()}.epub`;
+      downloadFile(new Blob([epub], { type: 'application/epub+zip' }), fileName);
+      this.showToast(`Exported ${count} articles`, 'success');
+    } catch (error) {
+      console.error('Error exporting EPUB:', error);
+      this.showToast('Failed to export EPUB', 'error');
+    } finally {
+      btn.disabled = false;
+      btn.textContent = 'Export EPUB';
+    }
+  }
+
+  async downloadBackup() {
+    const btn = document.getElementById('export-backup-btn');
+    btn.disabled = true;
+    btn.textContent = 'Preparing backup...';
+
+    try {
+      const { json, counts } = await exportBackup();
+      const date = new Date().toISOString().slice(0, 10);
+      downloadFile(json, `stash-backup-${date}.json`, 'application/json');
+      this.showToast(`Backed up ${counts.saves} saves`, 'success');
+    } catch (error) {
+      console.error('Error exporting backup:', error);
+      this.showToast('Failed to create backup', 'error');
+    } finally {
+      btn.disabled = false;
+      btn.textContent = 'Download backup (.json)';
+    }
+  }
+
+  async restoreFromBackup(file) {
+    const mode = document.getElementById('restore-mode').value;
+    const btn = document.getElementById('restore-backup-btn');
+
+    let backup;
+    try {
+      backup = await readBackupFile(file);
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+
+    const { saves, tags, folders } = backup.data;
+    const exported = new Date(backup.exported_at).toLocaleDateString();
+    const summary = `This backup from ${exported} has ${saves.length} saves, ${tags.length} tags and ${folders.length} folders.`;
+    const question = mode === 'replace'
+      ? `${summary}\n\nReplacing downloads a copy of your current library, then deletes everything in it. Continue?`
+      : `${summary}\n\nSaves you already have will be skipped. Continue?`;
+    if (!confirm(question)) return;
+
+    btn.disabled = true;
+
+    try {
+      const result = await restoreBackup(backup, {
+        mode,
+        onProgress: (step) => {
+          btn.textContent = `${step}...`;
+        },
+      });
+
+      this.loadTheme();
+      this.loadExportSettings();
+      await Promise.all([this.loadSaves(), this.loadTags(), this.loadFolders(), this.loadSmartFolders()]);
+
+      const skipped = result.skipped > 0 ? ` (${result.skipped} already in your library)` : '';
+      this.showToast(`Restored ${result.saves} saves${skipped}`, 'success');
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      const recovery = mode === 'replace'
+        ? ' Your library from before the restore was downloaded first (stash-backup-before-restore-...json); restore that file with Replace to go back.'
+        : '';
+      alert(`Restore failed: ${error.message || 'unknown error'}. Some items may have been restored.${recovery}`);
+      this.loadSaves();
+    } finally {
+      btn.disabled = false;
+      btn.textContent = 'Choose backup file...';
+    }
+  }
+
+  // Library Import Methods
+  updateLibraryImportSource() {
+    const importer = getImporter(document.getElementById('library-import-source').value);
+    if (!importer) return;
+    document.getElementById('library-import-help').textContent = `Upload ${importer.fileHint}`;
+  }
+
+  async handleLibraryFile(file) {
+    const importerId = document.getElementById('library-import-source').value;
+    const dropzone = document.getElementById('library-dropzone');
+    dropzone.classList.add('processing');
+
+    try {
+      const { items, duplicateCount } = await prepareImport(importerId, file);
+      setPendingLibraryImport({ importerId, items, duplicateCount });
+
+      dropzone.classList.remove('processing');
+      dropzone.classList.add('success');
+
+      document.getElementById('library-import-total').textContent = items.length;
+      document.getElementById('library-import-highlights').textContent =
+        items.reduce((sum, item) => sum + (item.highlights?.length || 0), 0);
+      document.getElementById('library-import-duplicates').textContent = duplicateCount;
+
+      // Preview the first links - large libraries can have thousands
+      const previewLimit = 100;
+      const list = document.getElementById('library-import-list');
+      list.innerHTML = items.slice(0, previewLimit).map(item => {
+        const details = [new URL(item.url).hostname, item.folder, ...(item.tags || [])].filter(Boolean);
+        const status = item.isArchived ? 'Archived' : item.isFavorite ? 'Favorite' : '';
+        return `
+          <div class="import-book-item">
+            <div>
+              <div class="import-book-title">${this.escapeHtml(item.title)}</div>
+              <div class="import-book-author">${this.escapeHtml(details.join(' · '))}</div>
+            </div>
+            ${status ? `<span class="import-book-count">${status}</span>` : ''}
+          </div>
+        `;
+      }).join('') + (items.length > previewLimit
+        ? `<div class="import-book-item import-book-author">+${items.length - previewLimit} more</div>`
+        : '');
+
+      document.getElementById('library-import-preview').classList.remove('hidden');
+      document.getElementById('library-import-footer').classList.toggle('hidden', items.length === 0);
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      alert(error.message || 'Error reading the file. Please try again.');
+      dropzone.classList.remove('processing');
+    }
+  }
+
+  async confirmLibraryImport() {
+    const pending = appState.pendingLibraryImport;
+    if (!pending || pending.items.length === 0) {
+      hideLibraryImportModal();
+      return;
+    }
+
+    const { importerId, items, duplicateCount } = pending;
+    const importer = getImporter(importerId);
+
+    // Create AI job for tracking
+    const job = createAIJob(`Import ${items.length} links from ${importer.name}`, items.length);
+    updateAIJob(job.id, { status: 'processing' });
+
+    // Close modal immediately - import continues in background
+    hideLibraryImportModal();
+    this.showToast(`Importing from ${importer.name}... Check AI Jobs for progress`, 'info');
+
+    try {
+      const result = await runImport(importerId, items, (processed) => {
+        updateAIJob(job.id, {
+          completedItems: processed,
+          progress: Math.round((processed / items.length) * 100),
+        });
+      });
+
+      const summary = `${result.created} created · ${duplicateCount} duplicates · ${result.failed} failed`;
+      updateAIJob(job.id, { status: 'completed', summary });
+      this.showToast(`${importer.name} import: ${summary}`, result.failed > 0 ? 'warning' : 'success');
+
+      this.loadSaves();
+      this.loadTags();
+      this.loadFolders();
+
+      this.fetchImportedContent(result.saves, importer.name);
+    } catch (error) {
+      console.error('Error importing library:', error);
+      updateAIJob(job.id, { status: 'failed', error: error.message });
+      this.showToast(`${importer.name} import failed`, 'error');
+    }
+  }
+
+  // Imported saves start as URL-only; fetch their article content in the background
+  async fetchImportedContent(saves, sourceName) {
+    if (saves.length === 0) return;
+
+    const job = createAIJob(`Fetch content for ${saves.length} ${sourceName} saves`, saves.length);
+    updateAIJob(job.id, { status: 'processing' });
+
+    let failed = 0;
+    for (let i = 0; i < saves.length; i++) {
+      try {
+        await fetchSaveContent(saves[i].id, saves[i].url);
+      } catch (error) {
+        failed++;
+      }
+
+      updateAIJob(job.id, {
+        completedItems: i + 1,
+        progress: Math.round(((i + 1) / saves.length) * 100),
+      });
+    }
+
+    updateAIJob(job.id, failed > 0
+      ? { status: 'completed', error: `${failed} could not be fetched` }
+      : { status: 'completed' });
+
+    // Refresh cards with the fetched excerpts, unless the user is reading
+    if (!this.currentSave) this.loadSaves();
+  }
+
   // Delegate to lib/utils.js
   escapeHtml(text) {
     return escapeHtml(text);
@@ -2124,6 +3284,7 @@ class StashApp {
     this.loadAISettings();
     this.loadDigestPreferences();
     this.loadAudioSettings();
+    this.loadExportSettings();
 
     // Set dark mode checkbox to match current theme
     const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
@@ -2161,6 +3322,9 @@ class StashApp {
     // Save audio settings
     this.saveAudioSettings();
 
+    // Save export settings
+    this.saveExportSettings();
+
     // Save digest settings
     await this.saveDigestPreferences();
 
@@ -2664,6 +3828,37 @@ class StashApp {
     }
   }
 
+  loadExportSettings() {
+    const epubSource = document.getElementById('epub-source');
+    const selected = epubSource.value;
+    const option = (value, name, label) =>
+      `<option value="${value}" data-name="${this.escapeHtml(name)}">${this.escapeHtml(label)}</option>`;
+    epubSource.innerHTML = [
+      option('weekly', 'Weekly Review', 'Weekly Review (last 7 days)'),
+      this.tags.length > 0
+        ? `<optgroup label="Tags">${this.tags.map((t) => option(`tag:${t.id}`, t.name, `#${t.name}`)).join('')}</optgroup>`
+        : '',
+      this.folders.length > 0
+        ? `<optgroup label="Folders">${this.folders.map((f) => option(`folder:${f.id}`, f.name, f.name)).join('')}</optgroup>`
+        : '',
+    ].join('');
+    if (selected && epubSource.querySelector(`option[value="${selected}"]`)) epubSource.value = selected;
+
+    document.getElementById('vault-filename-template').value = getVaultFilenameTemplate();
+
+    const lastExport = getLastVaultExport();
+    const incremental = document.getElementById('vault-incremental');
+    incremental.disabled = !lastExport;
+    if (!lastExport) incremental.checked = false;
+    document.getElementById('vault-last-export').textContent = lastExport
+      ? `Last export: ${new Date(lastExport).toLocaleString()}`
+      : 'No previous export - the first export includes everything';
+  }
+
+  saveExportSettings() {
+    setVaultFilenameTemplate(document.getElementById('vault-filename-template').value);
+  }
+
   // ==================== Book Methods ====================
 
   showBookModal() {
@@ -2730,13 +3925,13 @@ class StashApp {
 
       resultsContainer.innerHTML = data.items.map(book => {
         const info = book.volumeInfo;
-        const thumbnail = info.imageLinks?.thumbnail || '';
+        const thumbnail = safeUrl(info.imageLinks?.thumbnail, { image: true });
         const authors = info.authors?.join(', ') || 'Unknown Author';
         const year = info.publishedDate?.split('-')[0] || '';
 
         return `
           <div class="book-search-result" data-book-id="${book.id}">
-            ${thumbnail ? `<img src="${thumbnail}" alt="${this.escapeHtml(info.title)}">` : '<div class="book-search-result-placeholder">📚</div>'}
+            ${thumbnail ? `<img src="${this.escapeHtml(thumbnail)}" alt="${this.escapeHtml(info.title)}">` : '<div class="book-search-result-placeholder">📚</div>'}
             <div class="book-search-result-info">
               <div class="book-search-result-title">${this.escapeHtml(info.title)}</div>
               <div class="book-search-result-author">${this.escapeHtml(authors)}</div>
@@ -2783,8 +3978,9 @@ class StashApp {
     const previewTitle = document.getElementById('book-preview-title');
     const previewAuthor = document.getElementById('book-preview-author');
 
-    if (info.imageLinks?.thumbnail) {
-      coverImg.src = info.imageLinks.thumbnail.replace('http:', 'https:');
+    const coverUrl = safeUrl(info.imageLinks?.thumbnail?.replace('http:', 'https:'), { image: true });
+    if (coverUrl) {
+      coverImg.src = coverUrl;
       coverImg.style.display = 'block';
     } else {
       coverImg.style.display = 'none';
@@ -3416,6 +4612,7 @@ Respond ONLY with valid JSON:
 
   renderBookCard(book) {
     const author = book.author || book.site_name || 'Unknown Author';
+    const coverUrl = safeUrl(book.image_url, { image: true });
     const savedDate = new Date(book.created_at).toLocaleDateString();
     const publishedDate = book.published_at ? new Date(book.published_at).toLocaleDateString() : null;
     let yearRead = '';
@@ -3436,8 +4633,8 @@ Respond ONLY with valid JSON:
 
     return `
       <div class="book-card" data-id="${book.id}">
-        ${book.image_url
-          ? `<img class="book-card-cover" src="${book.image_url}" alt="${this.escapeHtml(book.title)}">`
+        ${coverUrl
+          ? `<img class="book-card-cover" src="${this.escapeHtml(coverUrl)}" alt="${this.escapeHtml(book.title)}">`
           : `<div class="book-card-cover-placeholder">📚</div>`
         }
         <div class="book-card-content">
@@ -3584,7 +4781,7 @@ Respond ONLY with valid JSON:
                        Generate AI Insights
                      </button>`
                   : `<p class="ai-insight-content">Configure your AI settings to get personalized insights about your reading patterns and themes.</p>
-                     <button class="btn secondary insight-generate-btn" onclick="document.getElementById('ai-settings-btn').click()">
+                     <button class="btn secondary insight-generate-btn" id="configure-ai-insights">
                        Configure AI Settings
                      </button>`
                 }
@@ -3599,6 +4796,9 @@ Respond ONLY with valid JSON:
       if (generateBtn) {
         generateBtn.addEventListener('click', () => this.generateAIInsights(allSaves));
       }
+      document.getElementById('configure-ai-insights')?.addEventListener('click', () => {
+        document.getElementById('ai-settings-btn').click();
+      });
 
     } catch (error) {
       console.error('Error loading insights:', error);
@@ -3842,8 +5042,9 @@ Provide insights in 2-3 short paragraphs. Focus on:
           </svg>
           ${this.escapeHtml(file.name)}
         </span>
-        <span class="remove-file" onclick="app.removePodcastFile()">✕</span>
+        <span class="remove-file">✕</span>
       `;
+      fileNameEl.querySelector('.remove-file').addEventListener('click', () => this.removePodcastFile());
       fileNameEl.classList.remove('hidden');
       document.getElementById('podcast-dropzone').classList.add('success');
     } catch (error) {
@@ -4007,12 +5208,20 @@ Provide insights in 2-3 short paragraphs. Focus on:
     }
   }
 
-  async processTranscriptWithAI(transcript, config) {
+  /**
+   * Clean up a transcript and pull out key points
+   * @param {string} transcript - Raw transcript
+   * @param {Object} config - AI config from getAIConfig
+   * @param {Object} options
+   * @param {boolean} options.timestamps - Paragraphs start with [m:ss] timestamps that must be kept (videos)
+   * @returns {Promise<{content: string, keyPoints: Array}|null>}
+   */
+  async processTranscriptWithAI(transcript, config, { timestamps = false } = {}) {
     // For long transcripts, process in chunks to avoid output token limits
     const CHUNK_SIZE = 15000; // Characters per chunk (safe for input)
 
     if (transcript.length > CHUNK_SIZE) {
-      return await this.processLongTranscriptWithAI(transcript, config);
+      return await this.processLongTranscriptWithAI(transcript, config, { timestamps });
     }
 
     const prompt = `You are a helpful assistant that processes podcast transcripts. Please:
@@ -4029,7 +5238,7 @@ Provide insights in 2-3 short paragraphs. Focus on:
    Be CONSERVATIVE - only remove content you're highly confident is an ad. When in doubt, keep it.
 
 4. Extract 3-5 key points or takeaways from the transcript.
-
+${timestamps ? `\n${TRANSCRIPT_TIMESTAMP_RULE}\n` : ''}
 IMPORTANT: Return the COMPLETE cleaned transcript (minus obvious ads). Do not truncate or summarize the actual content.
 
 Return your response in this exact JSON format:
@@ -4054,7 +5263,7 @@ ${transcript}`;
     }
   }
 
-  async processLongTranscriptWithAI(transcript, config) {
+  async processLongTranscriptWithAI(transcript, config, { timestamps = false } = {}) {
     // Split transcript into chunks, trying to break at paragraph/speaker boundaries
     const CHUNK_SIZE = 12000;
     const chunks = [];
@@ -4098,7 +5307,7 @@ Please clean up this transcript chunk:
 - Preserve speaker labels if present
 - Remove obvious advertisement reads (sponsor mentions, promo codes, "brought to you by" segments). Be CONSERVATIVE - only remove content you're highly confident is an ad.
 - IMPORTANT: Return the COMPLETE cleaned chunk (minus ads). Do not truncate, summarize, or omit actual content.
-
+${timestamps ? `- ${TRANSCRIPT_TIMESTAMP_RULE}\n` : ''}
 ${isFirst ? 'This is the beginning of the transcript.' : 'This continues from the previous chunk.'}
 ${isLast ? 'This is the end of the transcript.' : 'More chunks will follow.'}
 
@@ -4409,9 +5618,9 @@ ${transcript.substring(0, 10000)}${transcript.length > 10000 ? '\n\n[... transcr
     });
   }
 
-  // Re-prettify transcript from reading pane
+  // Re-prettify transcript from reading pane (podcast episodes and videos)
   async prettifyCurrentTranscript() {
-    if (!this.currentSave || this.currentSave.content_type !== 'podcast') return;
+    if (!this.currentSave || !['podcast', 'video'].includes(this.currentSave.content_type)) return;
 
     const config = this.getAIConfig();
     if (!config.hasKey) {
@@ -4438,24 +5647,29 @@ ${transcript.substring(0, 10000)}${transcript.length > 10000 ? '\n\n[... transcr
     const job = this.createAIJob(`AI cleanup: ${title.substring(0, 40)}`);
     this.updateAIJob(job.id, { status: 'processing' });
 
+    // Videos keep their metadata in their own column, and their transcript's
+    // timestamps have to survive the cleanup
+    const isVideo = save.content_type === 'video';
+    const metadataColumn = isVideo ? 'video_metadata' : 'podcast_metadata';
+
     try {
-      const result = await this.processTranscriptWithAI(save.content, config);
+      const result = await this.processTranscriptWithAI(save.content, config, { timestamps: isVideo });
 
       if (result) {
         // Update in database
         const newMetadata = {
-          ...save.podcast_metadata,
+          ...save[metadataColumn],
           key_points: result.keyPoints,
           processed: true,
         };
 
+        const update = { content: result.content, [metadataColumn]: newMetadata };
+        // A video's excerpt is its description
+        if (!isVideo) update.excerpt = result.content.substring(0, 300) + '...';
+
         await this.supabase
           .from('saves')
-          .update({
-            content: result.content,
-            excerpt: result.content.substring(0, 300) + '...',
-            podcast_metadata: newMetadata,
-          })
+          .update(update)
           .eq('id', save.id);
 
         this.updateAIJob(job.id, { status: 'completed' });
@@ -4464,7 +5678,7 @@ ${transcript.substring(0, 10000)}${transcript.length > 10000 ? '\n\n[... transcr
         // If this save is still open, refresh the reading pane
         if (this.currentSave && this.currentSave.id === save.id) {
           this.currentSave.content = result.content;
-          this.currentSave.podcast_metadata = newMetadata;
+          this.currentSave[metadataColumn] = newMetadata;
           this.openReadingPane(this.currentSave);
         }
 
@@ -5116,7 +6330,7 @@ ${transcript.substring(0, 10000)}${transcript.length > 10000 ? '\n\n[... transcr
         }
 
         this.renderTags();
-        this.loadSaves();
+        this.reloadSaves();
         this.hideTagCloudModal();
       });
     });
@@ -5460,6 +6674,8 @@ Return ONLY the JSON array, no other text. Return empty array [] if no consolida
         }
       } else if (contentType === 'podcast') {
         contentToAnalyze = `Title: ${save.title}\nShow: ${save.site_name || 'Unknown'}\nTranscript: ${(save.content || save.excerpt || '').substring(0, 8000)}`;
+      } else if (contentType === 'video') {
+        contentToAnalyze = `Title: ${save.title}\nChannel: ${save.author || 'Unknown'}\nDescription: ${(save.video_metadata?.description || '').substring(0, 2000)}\nTranscript: ${(save.content || '').substring(0, 8000)}`;
       } else {
         contentToAnalyze = `Title: ${save.title}\nSource: ${save.site_name || 'Unknown'}\nContent: ${(save.content || save.excerpt || '').substring(0, 8000)}`;
       }
@@ -5878,6 +7094,10 @@ Respond ONLY with JSON:
   }
 }
 
-// Initialize app and expose globally for inline onclick handlers
+// Initialize app and expose globally for debugging from the console
 const app = new StashApp();
 window.app = app;
+
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.register('/sw.js');
+}
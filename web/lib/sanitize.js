@@ -0,0 +1,127 @@
+// HTML sanitization for Stash app
+// Saved content comes from arbitrary web pages, the bookmarklet and imports, so
+// anything rendered from it goes through an allowlist: known formatting tags,
+// a few attributes per tag and only http(s)/mailto links.
+
+// Removed together with their contents
+const DROP_TAGS = new Set([
+  'SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'IFRAME', 'FRAME', 'FRAMESET', 'OBJECT', 'EMBED',
+  'APPLET', 'LINK', 'META', 'BASE', 'TITLE', 'HEAD', 'FORM', 'BUTTON', 'SELECT', 'TEXTAREA',
+  'OPTION', 'SVG', 'MATH', 'CANVAS', 'AUDIO', 'VIDEO', 'SOURCE', 'TRACK', 'DIALOG',
+]);
+
+// Kept, with these attributes; any other element is replaced by its contents
+const ALLOWED_TAGS = {
+  A: ['href', 'title'],
+  ABBR: ['title'],
+  B: [], BLOCKQUOTE: [], BR: [], CAPTION: [], CITE: [], CODE: ['class'], COL: ['span'],
+  COLGROUP: ['span'], DD: [], DEL: [], DETAILS: ['open'], DFN: [], DIV: [], DL: [], DT: [],
+  EM: [], FIGCAPTION: [], FIGURE: [], H1: [], H2: [], H3: [], H4: [], H5: [], H6: [], HR: [],
+  I: [], IMG: ['src', 'alt', 'title', 'width', 'height'], INPUT: ['type', 'checked'], INS: [],
+  KBD: [], LI: ['value'], MARK: [], OL: ['start', 'reversed', 'type'], P: [], PRE: ['class'],
+  Q: [], S: [], SAMP: [], SMALL: [], SPAN: [], STRONG: [], SUB: [], SUMMARY: [], SUP: [],
+  TABLE: [], TBODY: [], TD: ['colspan', 'rowspan', 'align'], TFOOT: [],
+  TH: ['colspan', 'rowspan', 'align', 'scope'], THEAD: [], TIME: ['datetime'], TR: [], U: [],
+  UL: [], VAR: [], WBR: [],
+};
+
+const LINK_SCHEMES = ['http:', 'https:', 'mailto:'];
+const IMAGE_SCHEMES = ['http:', 'https:'];
+// Inline images Markdown converters produce; SVG is left out since it can carry script
+const DATA_IMAGE_PATTERN = /^data:image\/(png|gif|jpe?g|webp);base64,[a-z0-9+/=\s]+$/i;
+
+/**
+ * Check a URL before it goes into an href or src
+ * Relative URLs are allowed; absolute ones need an allowed scheme
+ * @param {string} url - URL from saved content
+ * @param {Object} options
+ * @param {boolean} options.image - Checking an image src (http(s) and base64 raster data: URLs)
+ * @returns {string} The URL, or '' when it isn't safe
+ */
+export function safeUrl(url, { image = false } = {}) {
+  if (!url) return '';
+  const value = String(url).trim();
+  // Browsers ignore tabs, newlines and control characters inside a scheme ("java\tscript:")
+  const compact = value.replace(/[\p{Cc}\s]/gu, '');
+
+  if (image && DATA_IMAGE_PATTERN.test(value)) return value;
+
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(compact);
+  if (!scheme) return value;
+  const allowed = image ? IMAGE_SCHEMES : LINK_SCHEMES;
+  return allowed.includes(`${scheme[1].toLowerCase()}:`) ? value : '';
+}
+
+function sanitizeAttributes(el) {
+  const allowed = ALLOWED_TAGS[el.tagName];
+
+  [...el.attributes].forEach((attr) => {
+    const name = attr.name.toLowerCase();
+    if (!allowed.includes(name)) {
+      el.removeAttribute(attr.name);
+      return;
+    }
+
+    if (name === 'href' || name === 'src') {
+      const url = safeUrl(attr.value, { image: name === 'src' });
+      if (url) el.setAttribute(name, url);
+      else el.removeAttribute(attr.name);
+    } else if (name === 'class') {
+      // Only syntax-highlighting classes, so content can't pick up the app's own styles
+      const classes = attr.value.split(/\s+/).filter((c) => /^language-[\w-]+$/.test(c));
+      if (classes.length) el.setAttribute('class', classes.join(' '));
+      else el.removeAttribute('class');
+    }
+  });
+
+  if (el.tagName === 'A' && el.hasAttribute('href')) {
+    el.setAttribute('target', '_blank');
+    el.setAttribute('rel', 'noopener noreferrer');
+  }
+  // Markdown task lists; checkboxes from content are display-only
+  if (el.tagName === 'INPUT') {
+    if (el.getAttribute('type') !== 'checkbox') {
+      el.remove();
+      return;
+    }
+    el.setAttribute('disabled', '');
+  }
+}
+
+function sanitizeChildren(parent) {
+  [...parent.childNodes].forEach((node) => {
+    if (node.nodeType === Node.TEXT_NODE) return;
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      // Comments, processing instructions
+      node.remove();
+      return;
+    }
+
+    const tag = node.tagName.toUpperCase();
+    if (DROP_TAGS.has(tag)) {
+      node.remove();
+      return;
+    }
+
+    sanitizeChildren(node);
+    if (ALLOWED_TAGS[tag]) {
+      sanitizeAttributes(node);
+    } else {
+      node.replaceWith(...node.childNodes);
+    }
+  });
+}
+
+/**
+ * Strip everything from an HTML string but allowlisted tags, attributes and URLs
+ * Parsed in a <template>, so nothing in it runs or loads while it's checked
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Safe HTML
+ */
+export function sanitizeHtml(html) {
+  if (!html) return '';
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  sanitizeChildren(template.content);
+  return template.innerHTML;
+}
@@ -8,14 +8,23 @@ export const appState = {
   currentView: 'all',
   currentSave: null,
   currentTagFilter: null, // { id, name } of active tag filter
+  currentFolderFilter: null, // { id, name } of active folder filter
+  currentSmartFolder: null, // ID of the smart folder whose search is shown
+  annotations: [], // In-app highlights for the save open in the reading pane
+  reviewSession: null, // { queue, index, reviewedToday, total } for the daily highlight review
 
   // Data arrays
   saves: [],
+  savesCursor: null, // Where the library list's next page starts; null when it's all loaded
   tags: [],
   folders: [],
+  smartFolders: [], // Saved searches (utils/smart-folders.js)
+  smartFolderCounts: {}, // Save count by smart folder ID
 
   // Staging data for imports
   pendingKindleImport: null,
+  pendingReadwiseImport: null,
+  pendingLibraryImport: null, // { importerId, items } from services/importers.js
   pendingApplePodcasts: null,
 
   // Audio player state
@@ -63,10 +72,46 @@ export function setCurrentTagFilter(tagFilter) {
   appState.currentTagFilter = tagFilter;
 }
 
+export function setCurrentFolderFilter(folderFilter) {
+  appState.currentFolderFilter = folderFilter;
+}
+
+export function setCurrentSmartFolder(smartFolderId) {
+  appState.currentSmartFolder = smartFolderId;
+}
+
+export function setSmartFolders(smartFolders) {
+  appState.smartFolders = smartFolders;
+}
+
+export function setSmartFolderCounts(counts) {
+  appState.smartFolderCounts = counts;
+}
+
+export function setSavesCursor(cursor) {
+  appState.savesCursor = cursor;
+}
+
+export function setAnnotations(annotations) {
+  appState.annotations = annotations;
+}
+
 export function setPendingKindleImport(data) {
   appState.pendingKindleImport = data;
 }
 
+export function setPendingReadwiseImport(data) {
+  appState.pendingReadwiseImport = data;
+}
+
+export function setPendingLibraryImport(data) {
+  appState.pendingLibraryImport = data;
+}
+
+export function setReviewSession(session) {
+  appState.reviewSession = session;
+}
+
 export function setAudio(audio) {
   appState.audio = audio;
 }
@@ -1,21 +1,25 @@
 // Utility functions for Stash app
 // Pure functions with no state dependencies
 
+import { sanitizeHtml } from './sanitize.js';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
 /**
  * Escape HTML special characters to prevent XSS
+ * Quotes are escaped too, so the result is safe inside attribute values
  * @param {string} text - Text to escape
  * @returns {string} Escaped text
  */
 export function escapeHtml(text) {
   if (!text) return '';
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+  return String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
 }
 
 /**
  * Render markdown text to HTML using marked library
- * Falls back to escaped plain text if marked isn't available
+ * Falls back to escaped plain text if marked isn't available.
+ * marked passes raw HTML in the Markdown through, so the output is sanitized
  * @param {string} text - Markdown text to render
  * @returns {string} HTML string
  */
@@ -30,7 +34,7 @@ export function renderMarkdown(text) {
     });
 
     try {
-      return marked.parse(text);
+      return sanitizeHtml(marked.parse(text));
     } catch (e) {
       console.error('Markdown parse error:', e);
       // Fallback to escaped plain text
@@ -69,6 +73,25 @@ export function getTimeAgo(date) {
   return `${Math.floor(hours / 24)}d ago`;
 }
 
+/**
+ * Trigger a browser download for generated content
+ * @param {string|Blob} content - File content
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type (ignored when content is a Blob)
+ */
+export function downloadFile(content, fileName, mimeType = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 /**
  * Show a toast notification
  * @param {string} message - Message to display
@@ -92,7 +115,7 @@ export function showToast(message, type = 'success', duration = 4000) {
   toast.innerHTML = `
     <span class="toast-icon">${icon}</span>
     <span class="toast-message">${escapeHtml(message)}</span>
-    <button class="toast-close" onclick="this.parentElement.remove()">
+    <button class="toast-close">
       <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
         <line x1="18" y1="6" x2="6" y2="18"></line>
         <line x1="6" y1="6" x2="18" y2="18"></line>
@@ -100,6 +123,7 @@ export function showToast(message, type = 'success', duration = 4000) {
     </button>
   `;
 
+  toast.querySelector('.toast-close').addEventListener('click', () => toast.remove());
   container.appendChild(toast);
 
   // Trigger animation
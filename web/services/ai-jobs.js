@@ -91,6 +91,7 @@ export function createAIJob(title, totalItems = 1) {
     startedAt: new Date(),
     completedAt: null,
     error: null,
+    summary: null, // e.g. import counts, shown once completed
   };
 
   setAIJobs([job, ...appState.aiJobs]);
@@ -185,7 +186,8 @@ export function renderAIJobsList() {
       if (job.status === 'pending') statusText = 'Queued';
       else if (job.status === 'processing')
         statusText = `Processing${job.totalItems > 1 ? ` (${job.completedItems}/${job.totalItems})` : '...'}`;
-      else if (job.status === 'completed') statusText = 'Completed';
+      else if (job.status === 'completed')
+        statusText = ['Completed', job.summary, job.error].filter(Boolean).join(' · ');
       else if (job.status === 'failed') statusText = job.error || 'Failed';
 
       const timeAgo = getTimeAgo(job.completedAt || job.startedAt);
@@ -0,0 +1,158 @@
+// Backup service for Stash app
+// Exports the whole library as JSON and restores it into the signed-in account
+
+import { appState } from '../lib/state.js';
+import { downloadFile } from '../lib/utils.js';
+import { createBackup, parseBackup, planRestore } from '../utils/backup.js';
+import {
+  fetchAllRows,
+  insertRows,
+  deleteLibrary,
+  loadDigestPreferences,
+  restoreUserPreferences,
+} from './supabase.js';
+
+// Device settings carried in a backup. API keys and caches are left out on
+// purpose: a backup file shouldn't hold secrets.
+export const BACKUP_SETTINGS_KEYS = [
+  'stash-theme',
+  'stash-reading-font-size',
+  'stash-reading-width',
+  'stash-audio-enabled',
+  'stash-ai-provider',
+  'stash-ai-tier',
+  'stash-ai-auto-enrich',
+  'stash-vault-filename-template',
+];
+
+/**
+ * Read the backed-up settings from localStorage
+ * @returns {Object} Values by key (unset keys are left out)
+ */
+function readSettings() {
+  const settings = {};
+  BACKUP_SETTINGS_KEYS.forEach((key) => {
+    const value = localStorage.getItem(key);
+    if (value !== null) settings[key] = value;
+  });
+  return settings;
+}
+
+/**
+ * Export the whole library as a JSON backup
+ * @returns {Promise<{json: string, counts: {saves: number, tags: number, folders: number, annotations: number}}>}
+ */
+export async function exportBackup() {
+  const [saves, tags, saveTags, folders, annotations, highlightReviews, smartFolders, preferences] = await Promise.all([
+    fetchAllRows('saves'),
+    fetchAllRows('tags'),
+    fetchAllRows('save_tags', { orderBy: ['save_id', 'tag_id'] }),
+    fetchAllRows('folders'),
+    fetchAllRows('annotations'),
+    fetchAllRows('highlight_reviews'),
+    fetchAllRows('smart_folders'),
+    loadDigestPreferences(),
+  ]);
+
+  const backup = createBackup({
+    saves,
+    tags,
+    saveTags,
+    folders,
+    annotations,
+    highlightReviews,
+    smartFolders,
+    preferences,
+    settings: readSettings(),
+  });
+
+  return {
+    json: JSON.stringify(backup, null, 2),
+    counts: {
+      saves: saves.length,
+      tags: tags.length,
+      folders: folders.length,
+      annotations: annotations.length,
+    },
+  };
+}
+
+/**
+ * Read and validate a backup file
+ * @param {File} file - Backup JSON file
+ * @returns {Promise<Object>} Parsed backup
+ */
+export async function readBackupFile(file) {
+  if (!/\.json$/i.test(file.name)) {
+    throw new Error('Please choose a .json backup file exported from Stash');
+  }
+  return parseBackup(await file.text());
+}
+
+/**
+ * Restore a backup into the current account
+ * @param {Object} backup - Parsed backup from readBackupFile
+ * @param {Object} options
+ * @param {'merge'|'replace'} options.mode - Merge into the library, or delete it first
+ *   (after downloading a copy of it)
+ * @param {Function} options.onProgress - Called with a short description of each step
+ * @returns {Promise<{saves: number, skipped: number, tags: number, folders: number, annotations: number}>}
+ */
+export async function restoreBackup(backup, { mode = 'merge', onProgress = () => {} } = {}) {
+  let existing = { folders: [], tags: [], saves: [], smartFolders: [] };
+
+  if (mode === 'replace') {
+    // The inserts below are separate requests, not one transaction: if one
+    // fails, only part of the backup is in. Keep a copy of the library being
+    // replaced so it can be restored. A failed export stops before anything is deleted.
+    onProgress('Downloading a copy of your current library');
+    const { json } = await exportBackup();
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(json, `stash-backup-before-restore-${date}.json`, 'application/json');
+
+    onProgress('Deleting current library');
+    await deleteLibrary();
+  } else {
+    onProgress('Checking for saves you already have');
+    const [folders, tags, saves, smartFolders] = await Promise.all([
+      fetchAllRows('folders', { columns: 'id, name' }),
+      fetchAllRows('tags', { columns: 'id, name' }),
+      fetchAllRows('saves', { columns: 'id, url, highlight' }),
+      fetchAllRows('smart_folders', { columns: 'id, name' }),
+    ]);
+    existing = { folders, tags, saves, smartFolders };
+  }
+
+  const plan = planRestore(backup, existing, { mode });
+  const withUser = (rows) => rows.map((row) => ({ ...row, user_id: appState.user.id }));
+
+  // Parents before children so every foreign key already exists
+  onProgress(`Restoring ${plan.folders.length} folders and ${plan.tags.length} tags`);
+  await insertRows('folders', withUser(plan.folders));
+  await insertRows('tags', withUser(plan.tags));
+
+  onProgress(`Restoring ${plan.saves.length} saves`);
+  await insertRows('saves', withUser(plan.saves));
+  await insertRows('save_tags', plan.saveTags);
+
+  onProgress(`Restoring ${plan.annotations.length} highlights`);
+  await insertRows('annotations', withUser(plan.annotations));
+  await insertRows('highlight_reviews', withUser(plan.highlightReviews));
+  await insertRows('smart_folders', withUser(plan.smartFolders));
+
+  if (plan.preferences) {
+    await restoreUserPreferences(plan.preferences);
+  }
+
+  Object.entries(backup.settings).forEach(([key, value]) => {
+    if (BACKUP_SETTINGS_KEYS.includes(key)) localStorage.setItem(key, value);
+  });
+
+  return {
+    saves: plan.saves.length,
+    skipped: plan.skipped,
+    tags: plan.tags.length,
+    folders: plan.folders.length,
+    annotations: plan.annotations.length,
+  };
+}
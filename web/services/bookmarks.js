@@ -0,0 +1,23 @@
+// Bookmark export service for Stash app
+// Writes the library as a Netscape bookmark file that any browser can import
+
+import { toNetscapeBookmarks } from '../utils/netscape-bookmarks.js';
+import { fetchDocumentSaves, fetchFolders, fetchSaveTagNames } from './supabase.js';
+
+/**
+ * Export every save with a URL as browser bookmarks, in their folders and with their tags
+ * @returns {Promise<{html: string, count: number}>}
+ */
+export async function exportBookmarksHtml() {
+  const [saves, folders, tagNames] = await Promise.all([
+    fetchDocumentSaves(),
+    fetchFolders(),
+    fetchSaveTagNames(),
+  ]);
+
+  const bookmarks = saves.filter((save) => save.url);
+  return {
+    html: toNetscapeBookmarks(bookmarks, { folders, tagNames }),
+    count: bookmarks.length,
+  };
+}
@@ -0,0 +1,49 @@
+// EPUB export service for Stash app
+// Collects a tag, folder or the Weekly Review set into an e-book
+
+import { buildEpub, saveToChapter } from '../utils/epub.js';
+import { fetchArticles } from './supabase.js';
+
+/**
+ * Export articles as an EPUB, one chapter per article
+ * @param {Object} selection
+ * @param {'weekly'|'tag'|'folder'} selection.type - Which set to export
+ * @param {string} selection.id - Tag or folder ID
+ * @param {string} selection.name - Tag or folder name, used in the book title
+ * @param {boolean} selection.unreadOnly - Leave out archived and read articles
+ * @returns {Promise<{epub: Uint8Array|null, title: string, count: number}>} epub is null when nothing matched
+ */
+export async function exportEpub({ type, id, name, unreadOnly = false }) {
+  const date = new Date().toISOString().slice(0, 10);
+  let articles;
+  let title;
+
+  if (type === 'weekly') {
+    // Same window as the Weekly Review view
+    const weekAgo = new Date();
+    weekAgo.setDate(weekAgo.getDate() - 7);
+    articles = await fetchArticles({ since: weekAgo.toISOString() });
+    title = `Stash Weekly Review ${date}`;
+  } else if (type === 'folder') {
+    articles = await fetchArticles({ folderId: id });
+    title = `Stash: ${name} ${date}`;
+  } else {
+    articles = await fetchArticles({ tagId: id });
+    title = `Stash: #${name} ${date}`;
+  }
+
+  if (unreadOnly) {
+    articles = articles.filter((save) => !save.is_archived && !save.read_at);
+  }
+
+  if (articles.length === 0) return { epub: null, title, count: 0 };
+
+  const epub = buildEpub({
+    title,
+    identifier: `urn:uuid:${crypto.randomUUID()}`,
+    modified: new Date().toISOString(),
+    chapters: articles.map(saveToChapter),
+  });
+
+  return { epub, title, count: articles.length };
+}
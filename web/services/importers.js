@@ -0,0 +1,221 @@
+// Library importers for Stash app
+// Registry of import sources plus a shared runner that maps items to saves,
+// tags, folders and highlights
+
+import { parsePocketExport, deduplicateByUrl } from '../utils/pocket-parser.js';
+import { parseInstapaperCsv, parseOmnivoreJson, parseRaindropCsv } from '../utils/library-parsers.js';
+import { parseNetscapeBookmarks } from '../utils/netscape-bookmarks.js';
+import {
+  findExistingUrls,
+  importSaves,
+  ensureTags,
+  ensureFolders,
+  linkSaveTags,
+} from './supabase.js';
+
+// Each importer turns a file into items shaped like:
+// { url, title, excerpt?, author?, note?, imageUrl?, publishedAt?, tags, folder?,
+//   isArchived, isFavorite?, addedAt, highlights?: [{ text, note, addedAt }] }
+const importers = new Map();
+
+/**
+ * Register an import source
+ * @param {Object} importer - { id, name, extensions: RegExp, fileHint, parse(content, fileName) }
+ */
+export function registerImporter(importer) {
+  importers.set(importer.id, importer);
+}
+
+/**
+ * Get a registered importer
+ * @param {string} id - Importer ID
+ * @returns {Object|undefined}
+ */
+export function getImporter(id) {
+  return importers.get(id);
+}
+
+/**
+ * List registered importers in registration order
+ * @returns {Array<Object>}
+ */
+export function listImporters() {
+  return [...importers.values()];
+}
+
+registerImporter({
+  id: 'pocket',
+  name: 'Pocket',
+  extensions: /\.(html?|csv)$/i,
+  fileHint: 'ril_export.html or the .csv file from your Pocket export',
+  parse: parsePocketExport,
+});
+
+registerImporter({
+  id: 'instapaper',
+  name: 'Instapaper',
+  extensions: /\.csv$/i,
+  fileHint: 'the .csv file from Instapaper\'s export',
+  parse: parseInstapaperCsv,
+});
+
+registerImporter({
+  id: 'omnivore',
+  name: 'Omnivore',
+  extensions: /\.json$/i,
+  fileHint: 'a metadata .json file from your Omnivore export',
+  parse: parseOmnivoreJson,
+});
+
+registerImporter({
+  id: 'raindrop',
+  name: 'Raindrop.io',
+  extensions: /\.csv$/i,
+  fileHint: 'the .csv file from Raindrop.io\'s export',
+  parse: parseRaindropCsv,
+});
+
+registerImporter({
+  id: 'bookmarks',
+  name: 'Browser bookmarks',
+  extensions: /\.html?$/i,
+  fileHint: 'the bookmarks .html file exported from Chrome, Firefox, Safari or Edge',
+  parse: parseNetscapeBookmarks,
+});
+
+/**
+ * Parse an export file and drop URLs that are already saved
+ * @param {string} importerId - Importer ID
+ * @param {File} file - Export file
+ * @returns {Promise<{items: Array, duplicateCount: number, total: number}>}
+ */
+export async function prepareImport(importerId, file) {
+  const importer = getImporter(importerId);
+  if (!importer) throw new Error(`Unknown import source: ${importerId}`);
+
+  if (!importer.extensions.test(file.name)) {
+    throw new Error(`Please upload ${importer.fileHint}`);
+  }
+
+  const content = await file.text();
+  let parsed;
+  try {
+    parsed = importer.parse(content, file.name);
+  } catch (error) {
+    console.error(`Error parsing ${importer.name} export:`, error);
+    throw new Error(`Could not read this file. Make sure it's a ${importer.name} export.`);
+  }
+
+  if (parsed.length === 0) {
+    throw new Error(`No links found in this file. Make sure it's a ${importer.name} export.`);
+  }
+
+  const existingUrls = await findExistingUrls();
+  const items = deduplicateByUrl(parsed, existingUrls);
+
+  return {
+    items,
+    duplicateCount: parsed.length - items.length,
+    total: parsed.length,
+  };
+}
+
+/**
+ * Import items as saves, in batches of 50
+ * A failed batch is counted and skipped so one bad row doesn't stop the import.
+ * Highlights count as saves of their own in the created/failed totals
+ * @param {string} importerId - Importer ID (stored as the save source)
+ * @param {Array} items - Items from prepareImport
+ * @param {Function} onProgress - Called with (processed, total) after each batch
+ * @returns {Promise<{created: number, failed: number, saves: Array}>} Counts and the created article saves
+ */
+export async function runImport(importerId, items, onProgress = () => {}) {
+  const folderIds = await ensureFolders(items.map((item) => item.folder).filter(Boolean));
+  const tagIds = await ensureTags(items.flatMap((item) => item.tags || []));
+
+  const result = { created: 0, failed: 0, saves: [] };
+  const batchSize = 50;
+
+  for (let i = 0; i < items.length; i += batchSize) {
+    const batch = items.slice(i, i + batchSize);
+    await importBatch(batch, importerId, { tagIds, folderIds }, result);
+    onProgress(Math.min(i + batchSize, items.length), items.length);
+  }
+
+  return result;
+}
+
+async function importBatch(batch, importerId, { tagIds, folderIds }, result) {
+  let inserted;
+  try {
+    inserted = await importSaves(batch.map((item) => toSaveRow(item, importerId, folderIds)));
+  } catch (error) {
+    result.failed += batch.length;
+    return;
+  }
+
+  result.saves.push(...inserted);
+  result.created += inserted.length;
+  const saveIds = new Map(inserted.map((save) => [save.url, save.id]));
+
+  try {
+    const links = batch.flatMap((item) =>
+      (item.tags || []).map((tag) => ({ save_id: saveIds.get(item.url), tag_id: tagIds[tag] }))
+    ).filter((link) => link.save_id && link.tag_id);
+    await linkSaveTags(links);
+  } catch (error) {
+    // Saves are in; a tagging failure is logged by linkSaveTags and not counted per save
+  }
+
+  // Highlights are stored as highlight saves, like extension and Kindle highlights
+  const highlights = batch.flatMap((item) =>
+    (item.highlights || []).map((h) => toHighlightRow(item, h, importerId, folderIds))
+  );
+  if (highlights.length === 0) return;
+
+  try {
+    result.created += (await importSaves(highlights)).length;
+  } catch (error) {
+    result.failed += highlights.length;
+  }
+}
+
+function toSaveRow(item, source, folderIds) {
+  return {
+    url: item.url,
+    title: item.title,
+    excerpt: item.excerpt || null,
+    author: item.author || null,
+    note: item.note || null,
+    image_url: item.imageUrl || null,
+    published_at: item.publishedAt || null,
+    site_name: getHostname(item.url),
+    folder_id: (item.folder && folderIds[item.folder]) || null,
+    source,
+    is_archived: !!item.isArchived,
+    is_favorite: !!item.isFavorite,
+    created_at: item.addedAt || new Date().toISOString(),
+  };
+}
+
+function toHighlightRow(item, highlight, source, folderIds) {
+  return {
+    url: item.url,
+    title: item.title,
+    author: item.author || null,
+    highlight: highlight.text,
+    note: highlight.note || null,
+    site_name: getHostname(item.url),
+    folder_id: (item.folder && folderIds[item.folder]) || null,
+    source,
+    created_at: highlight.addedAt || item.addedAt || new Date().toISOString(),
+  };
+}
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.replace('www.', '');
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,82 @@
+// Markdown vault export service for Stash app
+// Builds a zip of Markdown files and remembers when the last export ran
+
+import { buildVaultFiles, DEFAULT_FILENAME_TEMPLATE } from '../utils/markdown-export.js';
+import { createZip } from '../utils/zip.js';
+import {
+  fetchDocumentSaves,
+  fetchHighlightSaves,
+  fetchAllAnnotations,
+  fetchSaveTagNames,
+} from './supabase.js';
+
+const LAST_EXPORT_KEY = 'stash-vault-last-export';
+const TEMPLATE_KEY = 'stash-vault-filename-template';
+
+/**
+ * Get when the last vault export ran
+ * @returns {string|null} ISO date or null if never exported
+ */
+export function getLastVaultExport() {
+  return localStorage.getItem(LAST_EXPORT_KEY);
+}
+
+/**
+ * Remember that a vault export was downloaded
+ * Call once the zip is handed to the browser, so an export that never
+ * downloaded doesn't leave its changes out of the next incremental one
+ * @param {string} exportedAt - startedAt from exportMarkdownVault
+ */
+export function recordVaultExport(exportedAt) {
+  localStorage.setItem(LAST_EXPORT_KEY, exportedAt);
+}
+
+/**
+ * Get the saved filename template
+ * @returns {string}
+ */
+export function getVaultFilenameTemplate() {
+  return localStorage.getItem(TEMPLATE_KEY) || DEFAULT_FILENAME_TEMPLATE;
+}
+
+/**
+ * Save the filename template
+ * @param {string} template - Filename template (empty resets to the default)
+ */
+export function setVaultFilenameTemplate(template) {
+  if (template && template.trim()) {
+    localStorage.setItem(TEMPLATE_KEY, template.trim());
+  } else {
+    localStorage.removeItem(TEMPLATE_KEY);
+  }
+}
+
+/**
+ * Export saves as a zip of Markdown files
+ * @param {Object} options
+ * @param {boolean} options.incremental - Only include saves changed since the last export
+ * @returns {Promise<{zip: Uint8Array|null, count: number, startedAt: string}>} zip is null when
+ *   nothing changed; startedAt goes to recordVaultExport
+ */
+export async function exportMarkdownVault({ incremental = false } = {}) {
+  // Taken before loading so edits made during the export are picked up next time
+  const startedAt = new Date().toISOString();
+
+  const [saves, highlightSaves, annotations, tagNames] = await Promise.all([
+    fetchDocumentSaves(),
+    fetchHighlightSaves(),
+    fetchAllAnnotations(),
+    fetchSaveTagNames(),
+  ]);
+
+  const files = buildVaultFiles(
+    { saves, highlightSaves, annotations, tagNames },
+    {
+      since: incremental ? getLastVaultExport() : null,
+      template: getVaultFilenameTemplate(),
+    }
+  );
+
+  if (files.length === 0) return { zip: null, count: 0, startedAt };
+  return { zip: createZip(files), count: files.length, startedAt };
+}
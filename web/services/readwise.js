@@ -0,0 +1,119 @@
+// Readwise service for Stash app
+// Imports Readwise CSV highlights and exports all highlights in the same format
+
+import { appState, setPendingReadwiseImport } from '../lib/state.js';
+import { deduplicateHighlights } from '../utils/kindle-parser.js';
+import {
+  parseReadwiseCsv,
+  highlightSaveToRow,
+  annotationToRow,
+  toReadwiseCsv,
+} from '../utils/readwise-csv.js';
+import { groupHighlightsByBook } from './kindle.js';
+import {
+  findExistingHighlights,
+  importSaves,
+  ensureTags,
+  linkSaveTags,
+  fetchHighlightSaves,
+  fetchAllAnnotations,
+  fetchSaveTagNames,
+} from './supabase.js';
+
+/**
+ * Process a Readwise CSV file
+ * Parses the file, drops highlights already saved and groups the rest by book
+ * @param {File} file - Readwise CSV export
+ * @returns {Promise<{books: Array, newHighlights: Array, duplicateCount: number, total: number}>}
+ */
+export async function processReadwiseFile(file) {
+  if (!/\.csv$/i.test(file.name)) {
+    throw new Error('Please upload a .csv file exported from Readwise');
+  }
+
+  const content = await file.text();
+  const highlights = parseReadwiseCsv(content);
+
+  if (highlights.length === 0) {
+    throw new Error("No highlights found in this file. Make sure it's a Readwise CSV export.");
+  }
+
+  const existing = await findExistingHighlights();
+  const newHighlights = deduplicateHighlights(highlights, existing);
+
+  setPendingReadwiseImport(newHighlights);
+
+  return {
+    books: Object.values(groupHighlightsByBook(newHighlights)).sort((a, b) => b.count - a.count),
+    newHighlights,
+    duplicateCount: highlights.length - newHighlights.length,
+    total: highlights.length,
+  };
+}
+
+/**
+ * Import the pending Readwise highlights as highlight saves, with their tags
+ * @returns {Promise<number>} Number of imported highlights
+ */
+export async function importPendingReadwiseHighlights() {
+  const pending = appState.pendingReadwiseImport;
+  setPendingReadwiseImport(null);
+
+  if (!pending || pending.length === 0) return 0;
+
+  const tagIds = await ensureTags(pending.flatMap((h) => h.tags));
+  let imported = 0;
+
+  // One request per batch so inserted rows line up with their highlights by index
+  const batchSize = 50;
+  for (let i = 0; i < pending.length; i += batchSize) {
+    const batch = pending.slice(i, i + batchSize);
+    const inserted = await importSaves(
+      batch.map((h) => ({
+        url: h.url,
+        title: h.title,
+        author: h.author,
+        highlight: h.highlight,
+        note: h.note,
+        site_name: 'Readwise',
+        source: 'readwise',
+        created_at: h.addedAt || new Date().toISOString(),
+      }))
+    );
+
+    const links = batch.flatMap((h, index) =>
+      h.tags.map((tag) => ({ save_id: inserted[index]?.id, tag_id: tagIds[tag] }))
+    ).filter((link) => link.save_id && link.tag_id);
+    await linkSaveTags(links);
+
+    imported += inserted.length;
+  }
+
+  return imported;
+}
+
+/**
+ * Cancel pending import
+ */
+export function cancelReadwiseImport() {
+  setPendingReadwiseImport(null);
+}
+
+/**
+ * Export every highlight - highlight saves and in-app annotations - as Readwise CSV
+ * @returns {Promise<{csv: string, count: number}>}
+ */
+export async function exportReadwiseCsv() {
+  const [highlightSaves, annotations, tagNames] = await Promise.all([
+    fetchHighlightSaves(),
+    fetchAllAnnotations(),
+    fetchSaveTagNames(),
+  ]);
+
+  const rows = [
+    ...highlightSaves.map((save) => highlightSaveToRow(save, tagNames[save.id])),
+    ...annotations.map((a) => annotationToRow(a, a.saves, tagNames[a.save_id])),
+  ];
+
+  return { csv: toReadwiseCsv(rows), count: rows.length };
+}
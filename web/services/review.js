@@ -0,0 +1,41 @@
+// Daily review service for Stash app
+// Resurfaces highlights on a spaced-repetition schedule stored in highlight_reviews
+
+import {
+  buildReviewQueue,
+  newReviewState,
+  scheduleReview,
+  toReviewItems,
+} from '../utils/review-schedule.js';
+import {
+  fetchHighlightSaves,
+  fetchAllAnnotations,
+  fetchHighlightReviews,
+  saveHighlightReview,
+} from './supabase.js';
+
+/**
+ * Load today's review
+ * @returns {Promise<{queue: Array, reviewedToday: number, dueCount: number, total: number}>}
+ */
+export async function loadDailyReview() {
+  const [highlightSaves, annotations, reviews] = await Promise.all([
+    fetchHighlightSaves(),
+    fetchAllAnnotations(),
+    fetchHighlightReviews(),
+  ]);
+
+  const items = toReviewItems(highlightSaves, annotations);
+  return { ...buildReviewQueue(items, reviews), total: items.length };
+}
+
+/**
+ * Record an answer for a highlight and schedule its next review
+ * @param {Object} item - Queue item from loadDailyReview
+ * @param {string} action - 'keep', 'soon', 'later' or 'master'
+ * @returns {Promise<Object>} The updated highlight_reviews row
+ */
+export async function answerReview(item, action) {
+  const schedule = scheduleReview(item.review || newReviewState(), action);
+  return saveHighlightReview(item, schedule);
+}
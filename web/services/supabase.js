@@ -2,26 +2,42 @@
 // Pure data operations without UI dependencies
 
 import { appState } from '../lib/state.js';
+import { SAVE_CARD_COLUMNS, SAVES_PAGE_SIZE, keysetFilter, pageCursor } from '../utils/library-page.js';
+import { buildSearch } from '../utils/search-query.js';
 
 /**
- * Fetch saves with optional view filtering
+ * Fetch a page of saves for the library list, filtered and sorted in the database
  * @param {Object} options - Query options
- * @param {string} options.view - Current view filter (all, highlights, articles, archived, weekly)
+ * @param {string} options.view - Current view filter (all, highlights, articles, favorites, archived, weekly)
  * @param {string} options.sortColumn - Column to sort by (default: created_at)
  * @param {string} options.sortDirection - Sort direction: 'asc' or 'desc' (default: desc)
- * @returns {Promise<Array>} Array of save objects
+ * @param {string} options.tagId - Only saves with this tag
+ * @param {string} options.folderId - Only saves in this folder
+ * @param {Object} options.cursor - Cursor from the previous page; omit for the first page
+ * @param {number|null} options.limit - Page size, or null for every matching save
+ * @param {string} options.columns - Columns to select (default: what a save card shows)
+ * @returns {Promise<{saves: Array, cursor: Object|null}>} Saves, and the cursor for the next page (null at the end)
  */
 export async function fetchSaves(options = {}) {
   const {
     view = 'all',
     sortColumn = 'created_at',
     sortDirection = 'desc',
+    tagId = null,
+    folderId = null,
+    cursor = null,
+    limit = SAVES_PAGE_SIZE,
+    columns = SAVE_CARD_COLUMNS,
   } = options;
+  const ascending = sortDirection === 'asc';
 
+  // Embed annotation notes so cards can show highlight/note counts.
+  // An inner join on save_tags keeps only saves with the tag
   let query = appState.supabase
     .from('saves')
-    .select('*')
-    .order(sortColumn, { ascending: sortDirection === 'asc' });
+    .select(`${columns}, annotations(id, note)${tagId ? ', save_tags!inner(tag_id)' : ''}`)
+    .order(sortColumn, { ascending })
+    .order('id', { ascending });
 
   // Apply view filters
   if (view === 'highlights') {
@@ -31,6 +47,8 @@ export async function fetchSaves(options = {}) {
     query = query
       .is('highlight', null)
       .or('content_type.is.null,content_type.eq.article');
+  } else if (view === 'favorites') {
+    query = query.eq('is_favorite', true);
   } else if (view === 'archived') {
     query = query.eq('is_archived', true);
   } else if (view === 'weekly') {
@@ -42,6 +60,11 @@ export async function fetchSaves(options = {}) {
     query = query.eq('is_archived', false);
   }
 
+  if (tagId) query = query.eq('save_tags.tag_id', tagId);
+  if (folderId) query = query.eq('folder_id', folderId);
+  if (cursor) query = query.or(keysetFilter(cursor, { column: sortColumn, ascending }));
+  if (limit) query = query.limit(limit);
+
   const { data, error } = await query;
 
   if (error) {
@@ -49,7 +72,32 @@ export async function fetchSaves(options = {}) {
     throw error;
   }
 
-  return data || [];
+  const saves = data || [];
+  const hasMore = !!limit && saves.length === limit;
+  return {
+    saves,
+    cursor: hasMore ? pageCursor(saves[saves.length - 1], sortColumn) : null,
+  };
+}
+
+/**
+ * Fetch a whole save, content included
+ * @param {string} saveId - Save ID
+ * @returns {Promise<Object>} The save
+ */
+export async function fetchSave(saveId) {
+  const { data, error } = await appState.supabase
+    .from('saves')
+    .select('*')
+    .eq('id', saveId)
+    .single();
+
+  if (error) {
+    console.error('Error loading save:', error);
+    throw error;
+  }
+
+  return data;
 }
 
 /**
@@ -223,14 +271,30 @@ export async function createFolder(name, color = '#6366f1') {
 }
 
 /**
- * Search saves using full-text search
- * @param {string} query - Search query
- * @returns {Promise<Array>} Array of matching saves
+ * Search saves with the search query language (web/utils/search-query.js)
+ * @param {string} query - What was typed in the search box
+ * @param {Object} options - Where the search runs from
+ * @param {string} options.view - Current view; its filter applies unless the query sets its own
+ * @param {string} options.sort - Sort menu value, e.g. 'created_at.desc'
+ * @param {string} options.tagName - Active tag filter
+ * @param {string} options.folderId - Active folder filter
+ * @returns {Promise<Array>} Matching saves, without content
  */
-export async function searchSaves(query) {
-  const { data, error } = await appState.supabase.rpc('search_saves', {
-    search_query: query,
+export async function searchSaves(query, options = {}) {
+  const {
+    view = 'all',
+    sort = 'created_at.desc',
+    tagName = null,
+    folderId = null,
+  } = options;
+
+  const { text, filters } = buildSearch(query, { view, tagName, folderId });
+
+  const { data, error } = await appState.supabase.rpc('search_library', {
+    search_query: text,
+    filters,
     user_uuid: appState.user.id,
+    sort_order: sort,
   });
 
   if (error) {
@@ -241,6 +305,89 @@ export async function searchSaves(query) {
   return data || [];
 }
 
+/**
+ * Fetch smart folders (saved searches)
+ * @returns {Promise<Array>} Array of smart folder objects
+ */
+export async function fetchSmartFolders() {
+  const { data, error } = await appState.supabase
+    .from('smart_folders')
+    .select('*')
+    .order('name');
+
+  if (error) {
+    console.error('Error loading smart folders:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Save a search as a smart folder
+ * @param {Object} smartFolder
+ * @param {string} smartFolder.name - Name shown in the sidebar
+ * @param {string} smartFolder.view - View the search runs in
+ * @param {string} smartFolder.query - Search box query
+ * @returns {Promise<Object>} The created smart folder
+ */
+export async function createSmartFolder({ name, view, query }) {
+  const { data, error } = await appState.supabase
+    .from('smart_folders')
+    .insert({ user_id: appState.user.id, name: name.trim(), view, query })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error creating smart folder:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Delete a smart folder; its saves are untouched
+ * @param {string} smartFolderId - Smart folder ID
+ */
+export async function deleteSmartFolder(smartFolderId) {
+  const { error } = await appState.supabase
+    .from('smart_folders')
+    .delete()
+    .eq('id', smartFolderId);
+
+  if (error) {
+    console.error('Error deleting smart folder:', error);
+    throw error;
+  }
+}
+
+/**
+ * Count the saves in each smart folder, in one request
+ * @param {Array} smartFolders - Smart folders
+ * @returns {Promise<Object>} Save count by smart folder ID
+ */
+export async function countSmartFolders(smartFolders) {
+  if (smartFolders.length === 0) return {};
+
+  const searches = smartFolders.map((smartFolder) => {
+    const { text, filters } = buildSearch(smartFolder.query, { view: smartFolder.view });
+    return { query: text, filters };
+  });
+
+  const { data, error } = await appState.supabase.rpc('count_searches', {
+    searches,
+    user_uuid: appState.user.id,
+  });
+
+  if (error) {
+    console.error('Error counting smart folders:', error);
+    throw error;
+  }
+
+  return Object.fromEntries((data || []).map((row) => [smartFolders[row.search_index].id, row.save_count]));
+}
+
 /**
  * Load user digest preferences
  * @returns {Promise<Object|null>} User preferences or null
@@ -481,6 +628,40 @@ export async function getSignedAudioUrl(path) {
   return data.signedUrl;
 }
 
+/**
+ * Get a signed URL for a saved PDF
+ * @param {string} path - Path in the documents bucket (saves.file_path)
+ * @returns {Promise<string|null>} Signed URL or null
+ */
+export async function getSignedDocumentUrl(path) {
+  const { data, error } = await appState.supabase.storage
+    .from('documents')
+    .createSignedUrl(path, 3600);
+
+  if (error) {
+    console.error('Error getting document URL:', error);
+    return null;
+  }
+
+  return data.signedUrl;
+}
+
+/**
+ * Delete a saved PDF's file
+ * @param {string} path - Path in the documents bucket (saves.file_path)
+ * @returns {Promise<void>}
+ */
+export async function deleteDocumentFile(path) {
+  const { error } = await appState.supabase.storage
+    .from('documents')
+    .remove([path]);
+
+  if (error) {
+    console.error('Error deleting document file:', error);
+    throw error;
+  }
+}
+
 /**
  * Check for duplicate Kindle highlights
  * @param {Array} highlights - Highlights to check
@@ -530,3 +711,444 @@ export async function loadAllSaves() {
 
   return data || [];
 }
+
+/**
+ * Fetch annotations (in-app highlights) for a save
+ * @param {string} saveId - Save ID
+ * @returns {Promise<Array>} Array of annotation objects in document order
+ */
+export async function fetchAnnotations(saveId) {
+  const { data, error } = await appState.supabase
+    .from('annotations')
+    .select('*')
+    .eq('save_id', saveId)
+    .order('start_offset', { ascending: true });
+
+  if (error) {
+    console.error('Error loading annotations:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Create an annotation anchored to a save's article text
+ * @param {string} saveId - Save ID
+ * @param {Object} anchor - Anchor from createTextAnchor (quote, prefix, suffix, offsets)
+ * @param {Object} fields - Extra fields (e.g. color)
+ * @returns {Promise<Object>} The created annotation
+ */
+export async function createAnnotation(saveId, anchor, fields = {}) {
+  const { data, error } = await appState.supabase
+    .from('annotations')
+    .insert({
+      user_id: appState.user.id,
+      save_id: saveId,
+      ...anchor,
+      ...fields,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error creating annotation:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Update an annotation (e.g. its note or color)
+ * @param {string} annotationId - Annotation ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} The updated annotation
+ */
+export async function updateAnnotation(annotationId, updates) {
+  const { data, error } = await appState.supabase
+    .from('annotations')
+    .update(updates)
+    .eq('id', annotationId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error updating annotation:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Delete an annotation
+ * @param {string} annotationId - Annotation ID
+ * @returns {Promise<void>}
+ */
+export async function deleteAnnotation(annotationId) {
+  const { error } = await appState.supabase
+    .from('annotations')
+    .delete()
+    .eq('id', annotationId);
+
+  if (error) {
+    console.error('Error deleting annotation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the URLs of all saves, for import duplicate detection
+ * @returns {Promise<string[]>} Saved URLs
+ */
+export async function findExistingUrls() {
+  const saves = await fetchAllRows('saves', {
+    columns: 'id, url',
+    filter: (query) => query.not('url', 'is', null),
+  });
+
+  return saves.map((s) => s.url);
+}
+
+/**
+ * Insert saves in batches of 50
+ * Pages that are already saved (same URL key) are skipped rather than failing the batch
+ * @param {Array} saves - Save rows (user_id is added)
+ * @returns {Promise<Array>} Inserted saves (id and url)
+ */
+export async function importSaves(saves) {
+  const rows = saves.map((s) => ({ ...s, user_id: appState.user.id }));
+  const inserted = [];
+
+  const batchSize = 50;
+  for (let i = 0; i < rows.length; i += batchSize) {
+    const batch = rows.slice(i, i + batchSize);
+    const { data, error } = await appState.supabase
+      .from('saves')
+      .upsert(batch, { onConflict: 'user_id,url_key', ignoreDuplicates: true })
+      .select('id, url');
+
+    if (error) {
+      console.error('Error importing saves:', error);
+      throw error;
+    }
+    inserted.push(...(data || []));
+  }
+
+  return inserted;
+}
+
+/**
+ * Get tags by name, creating any that don't exist yet
+ * @param {string[]} tagNames - Tag names
+ * @returns {Promise<Object>} Map of tag name to tag ID
+ */
+export async function ensureTags(tagNames) {
+  const names = [...new Set(tagNames.map((n) => n.trim()).filter(Boolean))];
+  if (names.length === 0) return {};
+
+  const { data: existing, error } = await appState.supabase
+    .from('tags')
+    .select('id, name')
+    .in('name', names);
+
+  if (error) {
+    console.error('Error loading tags:', error);
+    throw error;
+  }
+
+  const tagIds = {};
+  (existing || []).forEach((tag) => {
+    tagIds[tag.name] = tag.id;
+  });
+
+  const missing = names.filter((name) => !tagIds[name]);
+  if (missing.length > 0) {
+    const { data: created, error: createError } = await appState.supabase
+      .from('tags')
+      .insert(missing.map((name) => ({ user_id: appState.user.id, name })))
+      .select('id, name');
+
+    if (createError) {
+      console.error('Error creating tags:', createError);
+      throw createError;
+    }
+    (created || []).forEach((tag) => {
+      tagIds[tag.name] = tag.id;
+    });
+  }
+
+  return tagIds;
+}
+
+/**
+ * Get folders by name, creating any that don't exist yet
+ * @param {string[]} folderNames - Folder names
+ * @returns {Promise<Object>} Map of folder name to folder ID
+ */
+export async function ensureFolders(folderNames) {
+  const names = [...new Set(folderNames.map((n) => n.trim()).filter(Boolean))];
+  if (names.length === 0) return {};
+
+  const { data: existing, error } = await appState.supabase
+    .from('folders')
+    .select('id, name')
+    .in('name', names);
+
+  if (error) {
+    console.error('Error loading folders:', error);
+    throw error;
+  }
+
+  const folderIds = {};
+  (existing || []).forEach((folder) => {
+    folderIds[folder.name] = folder.id;
+  });
+
+  for (const name of names.filter((n) => !folderIds[n])) {
+    const folder = await createFolder(name);
+    folderIds[folder.name] = folder.id;
+  }
+
+  return folderIds;
+}
+
+/**
+ * Link saves to tags in batches of 50
+ * @param {Array<{save_id: string, tag_id: string}>} links - save_tags rows
+ * @returns {Promise<void>}
+ */
+export async function linkSaveTags(links) {
+  const batchSize = 50;
+  for (let i = 0; i < links.length; i += batchSize) {
+    const { error } = await appState.supabase
+      .from('save_tags')
+      .insert(links.slice(i, i + batchSize));
+
+    if (error) {
+      console.error('Error linking tags:', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Fetch and extract article content for an existing save
+ * Runs the save-page extraction server-side and updates the save in place
+ * @param {string} saveId - Save ID
+ * @param {string} url - Article URL
+ * @returns {Promise<Object>} The updated save
+ */
+export async function fetchSaveContent(saveId, url) {
+  const { data, error } = await appState.supabase.functions.invoke('save-page', {
+    body: { url, save_id: saveId },
+  });
+
+  if (error) {
+    console.error('Error fetching content:', error);
+    throw error;
+  }
+
+  return data.save;
+}
+
+/**
+ * Load every highlight save (Kindle, extension, imported), oldest first
+ * @returns {Promise<Array>} Highlight saves
+ */
+export async function fetchHighlightSaves() {
+  return fetchAllRows('saves', {
+    orderBy: ['created_at', 'id'],
+    filter: (query) => query.not('highlight', 'is', null),
+  });
+}
+
+/**
+ * Load every in-app annotation with the save it belongs to
+ * @returns {Promise<Array>} Annotations, each with a `saves` object
+ */
+export async function fetchAllAnnotations() {
+  return fetchAllRows('annotations', {
+    columns: '*, saves(id, title, author, url, site_name, content_type)',
+    orderBy: ['created_at', 'id'],
+  });
+}
+
+/**
+ * Load tag names for every tagged save
+ * @returns {Promise<Object>} Map of save ID to tag names
+ */
+export async function fetchSaveTagNames() {
+  const rows = await fetchAllRows('save_tags', {
+    columns: 'save_id, tags(name)',
+    orderBy: ['save_id', 'tag_id'],
+  });
+
+  const tagNames = {};
+  rows.forEach((row) => {
+    if (!row.tags?.name) return;
+    (tagNames[row.save_id] = tagNames[row.save_id] || []).push(row.tags.name);
+  });
+
+  return tagNames;
+}
+
+/**
+ * Load every article, book and podcast save (everything that isn't a highlight)
+ * @returns {Promise<Array>} Saves, oldest first
+ */
+export async function fetchDocumentSaves() {
+  return fetchAllRows('saves', {
+    orderBy: ['created_at', 'id'],
+    filter: (query) => query.is('highlight', null),
+  });
+}
+
+/**
+ * Load every row of a table, a page at a time
+ * PostgREST caps each response (1000 rows by default), so a full backup has to page
+ * @param {string} table - Table name; RLS limits rows to the current user
+ * @param {Object} [options]
+ * @param {string} [options.columns] - Columns to select
+ * @param {string[]} [options.orderBy] - Columns that give a stable order
+ * @param {Function} [options.filter] - Adds filters to each page's query and returns it
+ * @returns {Promise<Array>} All rows
+ */
+export async function fetchAllRows(table, { columns = '*', orderBy = ['id'], filter = (query) => query } = {}) {
+  const pageSize = 1000;
+  const rows = [];
+
+  for (let from = 0; ; from += pageSize) {
+    let query = filter(appState.supabase.from(table).select(columns));
+    orderBy.forEach((column) => {
+      query = query.order(column, { ascending: true });
+    });
+
+    const { data, error } = await query.range(from, from + pageSize - 1);
+
+    if (error) {
+      console.error(`Error loading ${table}:`, error);
+      throw error;
+    }
+
+    rows.push(...(data || []));
+    if (!data || data.length < pageSize) return rows;
+  }
+}
+
+/**
+ * Insert rows in batches of 50
+ * @param {string} table - Table name
+ * @param {Array} rows - Complete rows, including user_id where the table has one
+ * @returns {Promise<void>}
+ */
+export async function insertRows(table, rows) {
+  const batchSize = 50;
+  for (let i = 0; i < rows.length; i += batchSize) {
+    const { error } = await appState.supabase
+      .from(table)
+      .insert(rows.slice(i, i + batchSize));
+
+    if (error) {
+      console.error(`Error restoring ${table}:`, error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Delete every save, tag, folder and smart folder of the current user
+ * save_tags and annotations go with them (on delete cascade)
+ * @returns {Promise<void>}
+ */
+export async function deleteLibrary() {
+  for (const table of ['saves', 'tags', 'folders', 'smart_folders']) {
+    const { error } = await appState.supabase
+      .from(table)
+      .delete()
+      .eq('user_id', appState.user.id);
+
+    if (error) {
+      console.error(`Error deleting ${table}:`, error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Replace the current user's preferences row
+ * @param {Object} preferences - Preference columns (without id or user_id)
+ * @returns {Promise<void>}
+ */
+export async function restoreUserPreferences(preferences) {
+  const { error } = await appState.supabase
+    .from('user_preferences')
+    .upsert({ ...preferences, user_id: appState.user.id }, { onConflict: 'user_id' });
+
+  if (error) {
+    console.error('Error restoring preferences:', error);
+    throw error;
+  }
+}
+
+/**
+ * Load article saves (not highlights, books or podcasts), oldest first
+ * @param {Object} [options]
+ * @param {string} [options.folderId] - Only saves in this folder
+ * @param {string} [options.tagId] - Only saves with this tag
+ * @param {string} [options.since] - Only saves created after this ISO date
+ * @returns {Promise<Array>} Article saves
+ */
+export async function fetchArticles({ folderId = null, tagId = null, since = null } = {}) {
+  return fetchAllRows('saves', {
+    // The inner join drops saves without the tag
+    columns: tagId ? '*, save_tags!inner(tag_id)' : '*',
+    orderBy: ['created_at', 'id'],
+    filter: (query) => {
+      query = query
+        .is('highlight', null)
+        .or('content_type.is.null,content_type.eq.article');
+      if (folderId) query = query.eq('folder_id', folderId);
+      if (tagId) query = query.eq('save_tags.tag_id', tagId);
+      if (since) query = query.gte('created_at', since);
+      return query;
+    },
+  });
+}
+
+/**
+ * Load the spaced-repetition schedule of every reviewed highlight
+ * @returns {Promise<Array>} highlight_reviews rows
+ */
+export async function fetchHighlightReviews() {
+  return fetchAllRows('highlight_reviews');
+}
+
+/**
+ * Store the schedule of one highlight
+ * @param {Object} target - The highlight: { saveId } for a highlight save, { annotationId } for an annotation
+ * @param {Object} schedule - Columns from scheduleReview
+ * @returns {Promise<Object>} The stored highlight_reviews row
+ */
+export async function saveHighlightReview({ saveId, annotationId }, schedule) {
+  const row = annotationId
+    ? { annotation_id: annotationId, save_id: null }
+    : { save_id: saveId, annotation_id: null };
+
+  const { data, error } = await appState.supabase
+    .from('highlight_reviews')
+    .upsert(
+      { ...row, ...schedule, user_id: appState.user.id },
+      { onConflict: annotationId ? 'annotation_id' : 'save_id' }
+    )
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error saving highlight review:', error);
+    throw error;
+  }
+
+  return data;
+}
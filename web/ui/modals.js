@@ -1,7 +1,12 @@
 // Modals UI module for Stash app
 // Handles modal lifecycle (show/hide/reset) for all modals
 
-import { appState, setPendingKindleImport } from '../lib/state.js';
+import {
+  appState,
+  setPendingKindleImport,
+  setPendingReadwiseImport,
+  setPendingLibraryImport,
+} from '../lib/state.js';
 import { getAIConfig } from '../lib/utils.js';
 
 // ==================== Generic Modal Helpers ====================
@@ -50,6 +55,58 @@ export function resetKindleImportModal() {
   if (dropzone) dropzone.classList.remove('success', 'processing');
 }
 
+// ==================== Readwise Import Modal ====================
+
+export function showReadwiseImportModal() {
+  showModal('readwise-import-modal');
+  resetReadwiseImportModal();
+}
+
+export function hideReadwiseImportModal() {
+  hideModal('readwise-import-modal');
+  resetReadwiseImportModal();
+}
+
+export function resetReadwiseImportModal() {
+  setPendingReadwiseImport(null);
+
+  const fileInput = document.getElementById('readwise-file-input');
+  const preview = document.getElementById('readwise-import-preview');
+  const footer = document.getElementById('readwise-import-footer');
+  const dropzone = document.getElementById('readwise-dropzone');
+
+  if (fileInput) fileInput.value = '';
+  if (preview) preview.classList.add('hidden');
+  if (footer) footer.classList.add('hidden');
+  if (dropzone) dropzone.classList.remove('success', 'processing');
+}
+
+// ==================== Library Import Modal ====================
+
+export function showLibraryImportModal() {
+  showModal('library-import-modal');
+  resetLibraryImportModal();
+}
+
+export function hideLibraryImportModal() {
+  hideModal('library-import-modal');
+  resetLibraryImportModal();
+}
+
+export function resetLibraryImportModal() {
+  setPendingLibraryImport(null);
+
+  const fileInput = document.getElementById('library-file-input');
+  const preview = document.getElementById('library-import-preview');
+  const footer = document.getElementById('library-import-footer');
+  const dropzone = document.getElementById('library-dropzone');
+
+  if (fileInput) fileInput.value = '';
+  if (preview) preview.classList.add('hidden');
+  if (footer) footer.classList.add('hidden');
+  if (dropzone) dropzone.classList.remove('success', 'processing');
+}
+
 // ==================== Digest Modal ====================
 
 export function showDigestModal() {
@@ -416,6 +473,12 @@ export function bindModalCloseEvents(callbacks) {
   // Kindle modal
   bindModalClose('kindle-import-modal', callbacks.kindle || hideKindleImportModal);
 
+  // Readwise modal
+  bindModalClose('readwise-import-modal', callbacks.readwise || hideReadwiseImportModal);
+
+  // Library import modal
+  bindModalClose('library-import-modal', callbacks.libraryImport || hideLibraryImportModal);
+
   // Digest modal
   bindModalClose('digest-modal', callbacks.digest || hideDigestModal);
 
@@ -3,7 +3,10 @@
 
 import { appState, setCurrentSave } from '../lib/state.js';
 import { escapeHtml, renderMarkdown } from '../lib/utils.js';
+import { safeUrl } from '../lib/sanitize.js';
 import { stopAudio, initAudio } from '../services/audio.js';
+import { locateTextAnchor, wrapTextRange, unwrapMarks } from '../utils/text-anchor.js';
+import { formatTimestamp, youtubeTimeUrl, linkTranscriptTimestamps } from '../utils/transcript.js';
 
 // Track if AI enrichment is in progress
 let enrichingInProgress = false;
@@ -32,7 +35,7 @@ export function openReadingPane(save) {
   if (titleEl) titleEl.textContent = save.title || 'Untitled';
   if (metaEl) {
     metaEl.innerHTML = `
-      ${save.site_name || ''} ${save.author ? `· ${save.author}` : ''} · ${new Date(save.created_at).toLocaleDateString()}
+      ${escapeHtml(save.site_name || '')} ${save.author ? `· ${escapeHtml(save.author)}` : ''} · ${new Date(save.created_at).toLocaleDateString()}
     `;
   }
 
@@ -48,6 +51,10 @@ export function openReadingPane(save) {
       bodyEl.innerHTML = renderPodcastContent(save);
     } else if (save.content_type === 'book') {
       bodyEl.innerHTML = renderBookContent(save);
+    } else if (save.content_type === 'pdf') {
+      bodyEl.innerHTML = renderPdfContent(save);
+    } else if (save.content_type === 'video') {
+      bodyEl.innerHTML = renderVideoContent(save);
     } else {
       bodyEl.innerHTML = renderArticleContent(save);
     }
@@ -55,7 +62,7 @@ export function openReadingPane(save) {
 
   // Set original link
   const originalBtn = document.getElementById('open-original-btn');
-  if (originalBtn) originalBtn.href = save.url || '#';
+  if (originalBtn) originalBtn.href = safeUrl(save.url) || '#';
 
   // Update button states
   const archiveBtn = document.getElementById('archive-btn');
@@ -63,6 +70,10 @@ export function openReadingPane(save) {
   if (archiveBtn) archiveBtn.classList.toggle('active', save.is_archived);
   if (favoriteBtn) favoriteBtn.classList.toggle('active', save.is_favorite);
 
+  // Show the save's note
+  const noteInput = document.getElementById('reading-note-input');
+  if (noteInput) noteInput.value = save.note || '';
+
   // Load and display tags for this save
   loadSaveTags(save.id);
 
@@ -89,6 +100,8 @@ export function closeReadingPane() {
 
   pane.classList.remove('open');
   stopAudio();
+  hideHighlightToolbar();
+  hideAnnotationPopover();
 
   // Reset progress bar
   const progressFill = document.getElementById('reading-progress-fill');
@@ -377,6 +390,104 @@ function handleReadingModeEscape(e) {
   }
 }
 
+// ==================== Annotations ====================
+
+/**
+ * Paint annotations as <mark> elements over the article text
+ * Existing marks are cleared first, so this can be called after any change
+ * @param {HTMLElement} root - Article content element (#reading-article)
+ * @param {Array} annotations - Annotation rows with anchors
+ * @returns {Array} Annotations whose text could not be found
+ */
+export function paintAnnotations(root, annotations) {
+  if (!root) return annotations;
+
+  unwrapMarks(root, '.annotation-mark');
+
+  // Marks don't change textContent, so one snapshot serves every annotation
+  const text = root.textContent;
+  const orphaned = [];
+
+  annotations.forEach((annotation) => {
+    const location = locateTextAnchor(text, annotation);
+    if (!location) {
+      orphaned.push(annotation);
+      return;
+    }
+    const attributes = {
+      className: `annotation-mark annotation-${annotation.color || 'yellow'}${annotation.note ? ' has-note' : ''}`,
+      'data-annotation-id': annotation.id,
+    };
+    if (annotation.note) attributes.title = annotation.note;
+    wrapTextRange(root, location.start, location.end, attributes);
+  });
+
+  return orphaned;
+}
+
+/**
+ * Remove the marks for a single annotation
+ * @param {HTMLElement} root - Article content element
+ * @param {string} annotationId - Annotation ID
+ */
+export function removeAnnotationMarks(root, annotationId) {
+  if (!root) return;
+  unwrapMarks(root, `.annotation-mark[data-annotation-id="${annotationId}"]`);
+}
+
+/**
+ * Show the highlight toolbar above a selected range
+ * @param {Range} range - Selected range in the article
+ */
+export function showHighlightToolbar(range) {
+  const toolbar = document.getElementById('highlight-toolbar');
+  if (!toolbar) return;
+
+  const rect = range.getBoundingClientRect();
+  toolbar.classList.remove('hidden');
+  toolbar.style.top = `${Math.max(8, rect.top - toolbar.offsetHeight - 8)}px`;
+  toolbar.style.left = `${rect.left + rect.width / 2 - toolbar.offsetWidth / 2}px`;
+}
+
+/**
+ * Hide the highlight toolbar
+ */
+export function hideHighlightToolbar() {
+  const toolbar = document.getElementById('highlight-toolbar');
+  if (toolbar) toolbar.classList.add('hidden');
+}
+
+/**
+ * Show the note popover below an annotation's mark
+ * @param {HTMLElement} mark - Clicked annotation mark
+ * @param {Object} annotation - Annotation row
+ */
+export function showAnnotationPopover(mark, annotation) {
+  const popover = document.getElementById('annotation-popover');
+  const input = document.getElementById('annotation-note-input');
+  if (!popover || !input) return;
+
+  popover.dataset.annotationId = annotation.id;
+  input.value = annotation.note || '';
+  popover.classList.remove('hidden');
+
+  const rect = mark.getBoundingClientRect();
+  const left = Math.min(rect.left, window.innerWidth - popover.offsetWidth - 8);
+  popover.style.top = `${rect.bottom + 8}px`;
+  popover.style.left = `${Math.max(8, left)}px`;
+  input.focus();
+}
+
+/**
+ * Hide the annotation note popover
+ */
+export function hideAnnotationPopover() {
+  const popover = document.getElementById('annotation-popover');
+  if (!popover) return;
+  popover.classList.add('hidden');
+  delete popover.dataset.annotationId;
+}
+
 // ==================== Private Helpers ====================
 
 function handleAudioVisibility(save) {
@@ -393,8 +504,8 @@ function handleAudioVisibility(save) {
     audioPlayer.classList.remove('hidden');
     audioGenerating.classList.add('hidden');
     initAudio(save.audio_url);
-  } else if (save.content_type === 'podcast' || save.content_type === 'book') {
-    // Podcasts and books don't need TTS audio
+  } else if (['podcast', 'book', 'video'].includes(save.content_type)) {
+    // Podcasts, books and videos don't need TTS audio
     audioPlayer.classList.add('hidden');
     audioGenerating.classList.add('hidden');
   } else if (audioEnabled && save.content && save.content.length > 100 && !save.highlight) {
@@ -413,7 +524,7 @@ function renderHighlightContent(save) {
     <blockquote style="font-style: italic; background: #fef3c7; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
       "${escapeHtml(save.highlight)}"
     </blockquote>
-    <p><a href="${save.url}" target="_blank" style="color: var(--primary);">View original →</a></p>
+    <p><a href="${escapeHtml(safeUrl(save.url))}" target="_blank" rel="noopener" style="color: var(--primary);">View original →</a></p>
   `;
 }
 
@@ -494,7 +605,7 @@ function renderBookContent(save) {
   // Google Books link
   if (save.url) {
     html += `
-      <p style="margin-top: 24px;"><a href="${save.url}" target="_blank" style="color: var(--primary);">View on Google Books →</a></p>
+      <p style="margin-top: 24px;"><a href="${escapeHtml(safeUrl(save.url))}" target="_blank" rel="noopener" style="color: var(--primary);">View on Google Books →</a></p>
     `;
   }
 
@@ -515,8 +626,96 @@ function renderArticleContent(save) {
     }
   }
 
+  // Wrapped so annotation offsets are relative to the article text only.
+  // Structured Markdown when the save has it; older saves only have plain text
+  const content = save.content_markdown || save.content || save.excerpt || 'No content available.';
+  html += `<div class="article-content" id="reading-article">${renderMarkdown(content)}</div>`;
+
+  return html;
+}
+
+/**
+ * Render a saved PDF: extracted text, with a switch to the original file
+ * The PDF frame is filled in by the app when first shown (it needs a signed URL)
+ * @param {Object} save - PDF save (content_type 'pdf')
+ * @returns {string} HTML string
+ */
+export function renderPdfContent(save) {
+  const meta = save.pdf_metadata || {};
+  const hasText = meta.has_text !== false && !!(save.content_markdown || save.content);
+  const pages = meta.page_count ? `${meta.page_count} page${meta.page_count === 1 ? '' : 's'}` : '';
+
+  const text = hasText
+    ? renderMarkdown(save.content_markdown || save.content)
+    : '<p class="pdf-no-text">No text could be extracted from this PDF (it may be scanned). Switch to the PDF view to read it.</p>';
+
+  return `
+    <div class="pdf-view-toggle" role="tablist">
+      <button class="pdf-view-btn active" data-pdf-view="text">Text</button>
+      <button class="pdf-view-btn" data-pdf-view="pdf">PDF</button>
+      ${pages ? `<span class="pdf-page-count">${pages}</span>` : ''}
+    </div>
+    <div class="article-content" id="reading-article">${text}</div>
+    <div class="pdf-frame-container hidden" id="reading-pdf"></div>
+  `;
+}
+
+/**
+ * Render a saved YouTube video: thumbnail, key points and the transcript,
+ * whose timestamps open the video at that point
+ * @param {Object} save - Video save (content_type 'video')
+ * @returns {string} HTML string
+ */
+export function renderVideoContent(save) {
+  const meta = save.video_metadata || {};
+  const videoId = meta.video_id;
+  const imageUrl = safeUrl(save.image_url, { image: true });
+  const keyPoints = save.ai_metadata?.key_points?.length ? save.ai_metadata.key_points : meta.key_points;
+
+  let html = `
+    <div class="video-header">
+      ${
+        imageUrl
+          ? `<a class="video-thumbnail" href="${escapeHtml(videoId ? youtubeTimeUrl(videoId) : safeUrl(save.url))}" target="_blank" rel="noopener">
+              <img src="${escapeHtml(imageUrl)}" alt="">
+              ${meta.duration_seconds ? `<span class="video-duration">${formatTimestamp(meta.duration_seconds)}</span>` : ''}
+            </a>`
+          : ''
+      }
+      <div class="video-actions">
+        ${renderAIEnrichButton(keyPoints?.length > 0)}
+        ${
+          meta.has_transcript
+            ? `<button class="prettify-btn transcript-prettify-btn">${meta.processed ? 'Clean up transcript again' : 'Clean up transcript'}</button>`
+            : ''
+        }
+      </div>
+    </div>
+  `;
+
+  if (keyPoints?.length > 0) {
+    html += renderKeyPoints(keyPoints);
+  }
+
+  if (meta.has_transcript && meta.description) {
+    html += `
+      <details class="video-description">
+        <summary>Description</summary>
+        <div>${renderMarkdown(meta.description)}</div>
+      </details>
+    `;
+  }
+
+  if (meta.has_transcript) {
+    const source = meta.transcript_auto_generated ? 'Auto-generated captions' : 'Captions';
+    html += `<p class="video-transcript-source">${source}${meta.processed ? ' · cleaned up with AI' : ''} · click a time to watch from there</p>`;
+  } else {
+    html += '<p class="video-transcript-source">This video had no captions when it was saved.</p>';
+  }
+
+  // Wrapped so annotation offsets are relative to the transcript only
   const content = save.content || save.excerpt || 'No content available.';
-  html += renderMarkdown(content);
+  html += `<div class="article-content video-transcript" id="reading-article">${linkTranscriptTimestamps(renderMarkdown(content), videoId)}</div>`;
 
   return html;
 }
@@ -531,7 +730,7 @@ function renderAIEnrichButton(hasExisting) {
     `;
   }
   return `
-    <button class="prettify-btn ai-enrich-btn" onclick="app.aiEnrichContent()">
+    <button class="prettify-btn ai-enrich-btn">
       <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
         <polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"></polygon>
       </svg>
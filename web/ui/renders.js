@@ -2,6 +2,9 @@
 // Pure HTML generation functions without event binding
 
 import { escapeHtml } from '../lib/utils.js';
+import { safeUrl } from '../lib/sanitize.js';
+import { formatTimestamp } from '../utils/transcript.js';
+import { MATCH_START, MATCH_END, snippetTerms } from '../utils/search-query.js';
 
 /**
  * Render a save card HTML
@@ -17,8 +20,9 @@ export function renderSaveCard(save) {
       <div class="save-card highlight" data-id="${save.id}">
         <div class="save-card-content">
           <div class="save-card-site">${escapeHtml(save.site_name || '')}</div>
-          <div class="save-card-highlight">"${escapeHtml(save.highlight)}"</div>
+          <div class="save-card-highlight">"${renderSearchSnippet(save.highlight_snippet) || escapeHtml(save.highlight)}"</div>
           <div class="save-card-title">${escapeHtml(save.title || 'Untitled')}</div>
+          ${renderSaveCardNotes(save)}
           <div class="save-card-meta">
             <span class="save-card-date">${date}</span>
           </div>
@@ -27,27 +31,70 @@ export function renderSaveCard(save) {
     `;
   }
 
+  const imageUrl = safeUrl(save.image_url, { image: true });
+
   return `
     <div class="save-card" data-id="${save.id}">
-      ${save.image_url ? `<img class="save-card-image" src="${save.image_url}" alt="" onerror="this.style.display='none'">` : ''}
+      ${imageUrl ? `<img class="save-card-image" src="${escapeHtml(imageUrl)}" alt="">` : ''}
       <div class="save-card-content">
         <div class="save-card-site">${escapeHtml(save.site_name || '')}</div>
         <div class="save-card-title">${escapeHtml(save.title || 'Untitled')}</div>
-        <div class="save-card-excerpt">${escapeHtml(save.excerpt || '')}</div>
+        <div class="save-card-excerpt">${renderSearchSnippet(save.content_snippet) || escapeHtml(save.excerpt || '')}</div>
+        ${renderSaveCardNotes(save)}
         <div class="save-card-meta">
           <span class="save-card-date">${date}</span>
+          ${save.content_type === 'pdf' ? `<span class="save-card-type">PDF${save.pdf_metadata?.page_count ? ` · ${save.pdf_metadata.page_count} pages` : ''}</span>` : ''}
+          ${save.content_type === 'video' ? `<span class="save-card-type">Video${save.video_metadata?.duration_seconds ? ` · ${formatTimestamp(save.video_metadata.duration_seconds)}` : ''}</span>` : ''}
         </div>
       </div>
     </div>
   `;
 }
 
+/**
+ * Render a search result snippet with the matched words in <mark>
+ * @param {string|null} snippet - content_snippet or highlight_snippet from search_library
+ * @returns {string} HTML string, or '' when nothing in the snippet matched
+ *   (the match was in the title or an annotation), so the card shows its excerpt
+ */
+export function renderSearchSnippet(snippet) {
+  if (!snippetTerms(snippet).length) return '';
+  return escapeHtml(snippet)
+    .replaceAll(MATCH_START, '<mark class="search-match">')
+    .replaceAll(MATCH_END, '</mark>');
+}
+
+/**
+ * Render the notes section of a save card
+ * Shows the save's own note and a count of in-app highlights and their notes
+ * @param {Object} save - Save object (annotations embedded if loaded)
+ * @returns {string} HTML string
+ */
+export function renderSaveCardNotes(save) {
+  const annotations = save.annotations || [];
+  const noteCount = annotations.filter((a) => a.note?.trim()).length;
+  let html = '';
+
+  if (save.note?.trim()) {
+    html += `<div class="save-card-note">${escapeHtml(save.note)}</div>`;
+  }
+
+  if (annotations.length > 0) {
+    const highlightLabel = `${annotations.length} highlight${annotations.length === 1 ? '' : 's'}`;
+    const noteLabel = noteCount > 0 ? ` · ${noteCount} note${noteCount === 1 ? '' : 's'}` : '';
+    html += `<div class="save-card-annotations">${highlightLabel}${noteLabel}</div>`;
+  }
+
+  return html;
+}
+
 /**
  * Render a book card HTML
  * @param {Object} book - Book save object
  * @returns {string} HTML string
  */
 export function renderBookCard(book) {
+  const coverUrl = safeUrl(book.image_url, { image: true });
   const author = book.author || book.site_name || 'Unknown Author';
   let yearRead = '';
   try {
@@ -60,8 +107,8 @@ export function renderBookCard(book) {
   return `
     <div class="book-card" data-id="${book.id}">
       ${
-        book.image_url
-          ? `<img class="book-card-cover" src="${book.image_url}" alt="${escapeHtml(book.title)}">`
+        coverUrl
+          ? `<img class="book-card-cover" src="${escapeHtml(coverUrl)}" alt="${escapeHtml(book.title)}">`
           : `<div class="book-card-cover-placeholder">📚</div>`
       }
       <div class="book-card-content">
@@ -478,7 +525,7 @@ export function renderBulkImportBook(book, index, matches = [], warnings = {}) {
   if (matches.length > 0) {
     matchOptionsHtml = matches.slice(0, 3).map((match, matchIdx) => {
       const info = match.volumeInfo || {};
-      const thumbnail = info.imageLinks?.thumbnail?.replace('http:', 'https:') || '';
+      const thumbnail = safeUrl(info.imageLinks?.thumbnail?.replace('http:', 'https:'), { image: true });
       const authors = info.authors?.join(', ') || 'Unknown Author';
       const year = info.publishedDate?.split('-')[0] || '';
       const isMatchSelected = selectedMatchId === match.id;
@@ -487,7 +534,7 @@ export function renderBulkImportBook(book, index, matches = [], warnings = {}) {
         <label class="bulk-import-match-option ${isMatchSelected ? 'selected' : ''}" data-match-id="${match.id}">
           <input type="radio" name="match-${index}" value="${match.id}" ${isMatchSelected ? 'checked' : ''}>
           ${thumbnail
-            ? `<img class="bulk-import-match-cover" src="${thumbnail}" alt="">`
+            ? `<img class="bulk-import-match-cover" src="${escapeHtml(thumbnail)}" alt="">`
             : `<div class="bulk-import-match-cover-placeholder">📚</div>`
           }
           <div class="bulk-import-match-info">
@@ -532,3 +579,39 @@ export function renderBulkImportBook(book, index, matches = [], warnings = {}) {
     </div>
   `;
 }
+
+const REVIEW_SOURCE_LABELS = { kindle: 'Kindle', podcast: 'Podcast', web: 'Web' };
+const REVIEW_ACTION_LABELS = { soon: 'Soon', keep: 'Keep', later: 'Later', master: 'Mastered' };
+
+/**
+ * Render one highlight in the daily review
+ * @param {Object} item - Review item (see utils/review-schedule.js)
+ * @param {Object} options
+ * @param {number} options.position - 1-based position in today's queue
+ * @param {number} options.total - Size of today's queue
+ * @param {Array<{action: string, hint: string}>} options.actions - Answer buttons with their next interval
+ * @returns {string} HTML string
+ */
+export function renderReviewItem(item, { position, total, actions }) {
+  const byline = [item.title, item.author].filter(Boolean).map(escapeHtml).join(' · ');
+
+  return `
+    <div class="review-session">
+      <div class="review-progress">Highlight ${position} of ${total}</div>
+      <div class="review-card">
+        <span class="review-source review-source-${item.source}">${REVIEW_SOURCE_LABELS[item.source] || 'Web'}</span>
+        <blockquote class="review-quote">${escapeHtml(item.text)}</blockquote>
+        ${item.note ? `<div class="review-note">${escapeHtml(item.note)}</div>` : ''}
+        <a href="#" class="review-open">${byline}</a>
+      </div>
+      <div class="review-actions">
+        ${actions.map(({ action, hint }) => `
+          <button class="btn ${action === 'keep' ? 'primary' : 'secondary'} review-action-btn" data-action="${action}">
+            <span>${REVIEW_ACTION_LABELS[action]}</span>
+            <small>${escapeHtml(hint)}</small>
+          </button>
+        `).join('')}
+      </div>
+    </div>
+  `;
+}
@@ -0,0 +1,234 @@
+// Library backup format
+// Builds versioned JSON backups and plans restores with fresh IDs, so a backup
+// can be restored into the same account, another account or another Supabase project
+
+import { urlKey } from './canonical-url.js';
+
+export const BACKUP_FORMAT = 'stash-backup';
+export const BACKUP_VERSION = 1;
+
+// Columns the database owns: generated, set by a trigger, or tied to the account the row lives in
+const SERVER_COLUMNS = ['user_id', 'fts', 'url_key'];
+const PREFERENCE_SERVER_COLUMNS = ['id', 'user_id', 'last_digest_sent', 'created_at', 'updated_at'];
+
+/**
+ * A backup file's contents
+ * @typedef {Object} Backup
+ * @property {string} format - BACKUP_FORMAT
+ * @property {number} version - BACKUP_VERSION when it was made
+ * @property {string} exported_at - ISO date of the export
+ * @property {Object} data - Rows by table
+ * @property {Array} data.folders
+ * @property {Array} data.tags
+ * @property {Array} data.saves
+ * @property {Array} data.save_tags
+ * @property {Array} data.annotations
+ * @property {Array} data.highlight_reviews
+ * @property {Array} data.smart_folders
+ * @property {Object|null} data.user_preferences
+ * @property {Object} settings - localStorage settings by key
+ */
+
+/**
+ * Remove columns from a row
+ * @param {Object} row - Database row
+ * @param {string[]} columns - Columns to drop
+ * @returns {Object} Copy without the columns
+ */
+function omit(row, columns) {
+  const copy = { ...row };
+  columns.forEach((column) => delete copy[column]);
+  return copy;
+}
+
+/**
+ * Build a backup object
+ * @param {Object} data
+ * @param {Array} data.saves - Every save
+ * @param {Array} data.tags - Every tag
+ * @param {Array} data.saveTags - Every save_tags row
+ * @param {Array} data.folders - Every folder
+ * @param {Array} data.annotations - Every in-app annotation
+ * @param {Array} data.highlightReviews - Every highlight_reviews row
+ * @param {Array} data.smartFolders - Every smart folder (saved search)
+ * @param {Object|null} data.preferences - The user_preferences row
+ * @param {Object} data.settings - localStorage settings by key
+ * @param {string} exportedAt - ISO date of the export
+ * @returns {Backup} Backup, ready for JSON.stringify
+ */
+export function createBackup(
+  { saves, tags, saveTags, folders, annotations, highlightReviews = [], smartFolders = [], preferences, settings },
+  exportedAt = new Date().toISOString()
+) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exported_at: exportedAt,
+    data: {
+      folders: folders.map((f) => omit(f, SERVER_COLUMNS)),
+      tags: tags.map((t) => omit(t, SERVER_COLUMNS)),
+      saves: saves.map((s) => omit(s, SERVER_COLUMNS)),
+      save_tags: saveTags.map((st) => ({ save_id: st.save_id, tag_id: st.tag_id, created_at: st.created_at })),
+      annotations: annotations.map((a) => omit(a, SERVER_COLUMNS)),
+      highlight_reviews: highlightReviews.map((r) => omit(r, SERVER_COLUMNS)),
+      smart_folders: smartFolders.map((f) => omit(f, SERVER_COLUMNS)),
+      user_preferences: preferences ? omit(preferences, PREFERENCE_SERVER_COLUMNS) : null,
+    },
+    settings: { ...settings },
+  };
+}
+
+/**
+ * Parse and validate a backup file
+ * @param {string} text - File content
+ * @returns {Backup} Backup with every data list present
+ * @throws {Error} If the file isn't a Stash backup or was made by a newer version
+ */
+export function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (e) {
+    throw new Error('This file is not valid JSON');
+  }
+
+  if (!backup || backup.format !== BACKUP_FORMAT || !backup.data) {
+    throw new Error("This file isn't a Stash backup");
+  }
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of Stash. Update the app and try again.');
+  }
+
+  const data = backup.data;
+  return {
+    ...backup,
+    data: {
+      folders: data.folders || [],
+      tags: data.tags || [],
+      saves: data.saves || [],
+      save_tags: data.save_tags || [],
+      annotations: data.annotations || [],
+      highlight_reviews: data.highlight_reviews || [],
+      smart_folders: data.smart_folders || [],
+      user_preferences: data.user_preferences || null,
+    },
+    settings: backup.settings || {},
+  };
+}
+
+/**
+ * Key used to spot a save that already exists when merging
+ * Page saves are matched on their URL key (the database allows one per URL);
+ * highlights on their text as well, since many share one URL
+ * @param {Object} save - Save row
+ * @returns {string|null} Key, or null for saves without a URL or highlight
+ */
+function saveKey(save) {
+  if (!save.url && !save.highlight) return null;
+  const url = (!save.highlight && urlKey(save.url)) || save.url || '';
+  return `${url}\n${save.highlight || ''}`;
+}
+
+/**
+ * Plan the rows to insert for a restore
+ * Every restored row gets a new ID and references are remapped to match. When
+ * merging, folders, tags and smart folders are matched by name and saves by URL
+ * (plus highlight text), and matches reuse the existing row instead of being inserted again.
+ * @param {Backup} backup - Parsed backup
+ * @param {Object} existing - The account's current library (ignored when replacing)
+ * @param {Array<{id: string, name: string}>} existing.folders
+ * @param {Array<{id: string, name: string}>} existing.tags
+ * @param {Array<{id: string, url: string, highlight: string|null}>} existing.saves
+ * @param {Array<{id: string, name: string}>} [existing.smartFolders]
+ * @param {Object} [options]
+ * @param {'merge'|'replace'} [options.mode] - Restore mode
+ * @param {Function} [options.generateId] - Returns a new UUID
+ * @returns {{folders: Array, tags: Array, saves: Array, saveTags: Array, annotations: Array,
+ *   highlightReviews: Array, smartFolders: Array, preferences: Object|null, skipped: number}} Rows to insert,
+ *   without user_id
+ */
+export function planRestore(backup, existing, { mode = 'merge', generateId = () => crypto.randomUUID() } = {}) {
+  const current = mode === 'merge' ? existing : { folders: [], tags: [], saves: [], smartFolders: [] };
+  const { data } = backup;
+
+  const remap = (rows, currentRows, keyOf) => {
+    const existingIds = new Map();
+    currentRows.forEach((row) => {
+      const key = keyOf(row);
+      if (key !== null && !existingIds.has(key)) existingIds.set(key, row.id);
+    });
+
+    const ids = new Map();
+    const created = [];
+    rows.forEach((row) => {
+      const key = keyOf(row);
+      const match = key !== null ? existingIds.get(key) : undefined;
+      if (match) {
+        ids.set(row.id, match);
+        return;
+      }
+
+      const id = generateId();
+      ids.set(row.id, id);
+      created.push({ ...row, id });
+      // Later rows with the same key (duplicates inside the backup) reuse this one
+      if (key !== null) existingIds.set(key, id);
+    });
+
+    return { ids, created };
+  };
+
+  const folders = remap(data.folders, current.folders, (f) => f.name);
+  const tags = remap(data.tags, current.tags, (t) => t.name);
+  const saves = remap(data.saves, current.saves, saveKey);
+
+  const createdSaveIds = new Set(saves.created.map((s) => s.id));
+
+  const saveTagKeys = new Set();
+  const saveTags = [];
+  data.save_tags.forEach((link) => {
+    const saveId = saves.ids.get(link.save_id);
+    const tagId = tags.ids.get(link.tag_id);
+    const key = `${saveId}:${tagId}`;
+    // Existing saves keep the tags they have; only restored saves are linked
+    if (!createdSaveIds.has(saveId) || !tagId || saveTagKeys.has(key)) return;
+    saveTagKeys.add(key);
+    saveTags.push({ ...link, save_id: saveId, tag_id: tagId });
+  });
+
+  const annotationIds = new Map();
+  const annotations = data.annotations
+    .filter((a) => createdSaveIds.has(saves.ids.get(a.save_id)))
+    .map((a) => {
+      annotationIds.set(a.id, generateId());
+      return { ...a, id: annotationIds.get(a.id), save_id: saves.ids.get(a.save_id) };
+    });
+
+  // Review schedules follow their highlight save or annotation
+  const highlightReviews = data.highlight_reviews
+    .map((r) => ({
+      ...r,
+      id: generateId(),
+      save_id: r.save_id && createdSaveIds.has(saves.ids.get(r.save_id)) ? saves.ids.get(r.save_id) : null,
+      annotation_id: r.annotation_id ? annotationIds.get(r.annotation_id) || null : null,
+    }))
+    .filter((r) => r.save_id || r.annotation_id);
+
+  // Smart folders refer to folders and tags by name in their query, so nothing to remap
+  const smartFolders = remap(data.smart_folders, current.smartFolders || [], (f) => f.name);
+
+  return {
+    folders: folders.created,
+    tags: tags.created,
+    saves: saves.created.map((s) => ({
+      ...s,
+      folder_id: s.folder_id ? folders.ids.get(s.folder_id) || null : null,
+    })),
+    saveTags,
+    annotations,
+    highlightReviews,
+    smartFolders: smartFolders.created,
+    preferences: data.user_preferences,
+    skipped: data.saves.length - saves.created.length,
+  };
+}
@@ -0,0 +1,98 @@
+// Canonical page URLs and URL keys
+// Saves store a cleaned URL (canonical link followed, tracking parameters
+// dropped); duplicates are caught by a normalized key with a unique index.
+// cleanUrl/canonicalUrl are mirrored in extension/canonical-url.js and
+// supabase/functions/save-page/canonical-url.ts.
+
+// Query parameters that only track where a visit came from
+const TRACKING_PARAM_PATTERN = /^(utm_[a-z0-9_]*|fbclid|gclid|gclsrc|dclid|msclkid|yclid|twclid|igshid|mc_cid|mc_eid|_hsenc|_hsmi|mkt_tok|ref_src|ref_url)$/i;
+
+// #!/... and #/... are app routes, so part of the address; other fragments are positions in the page
+const ROUTE_FRAGMENT_PATTERN = /^#[!/]/;
+
+/**
+ * Whether a query parameter only tracks where a visit came from
+ * @param {string} name - Parameter name
+ * @returns {boolean}
+ */
+export function isTrackingParam(name) {
+  return TRACKING_PARAM_PATTERN.test(name);
+}
+
+/**
+ * Drop tracking parameters and the #fragment from a page URL
+ * Anything that isn't an http(s) URL is returned unchanged
+ * @param {string} href - Page URL
+ * @returns {string}
+ */
+export function cleanUrl(href) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch {
+    return href;
+  }
+  if (!/^https?:$/.test(url.protocol)) return href;
+
+  // Deleting re-encodes the whole query, so it's left alone when there's nothing to drop
+  [...url.searchParams.keys()]
+    .filter(isTrackingParam)
+    .forEach((key) => url.searchParams.delete(key));
+  if (!ROUTE_FRAGMENT_PATTERN.test(url.hash)) url.hash = '';
+  return url.href;
+}
+
+/**
+ * The URL to save a page under: its <link rel="canonical"> when that's usable, cleaned
+ * @param {string} pageUrl - Address the page was opened at
+ * @param {string|null} canonicalHref - href of the page's canonical link, if any
+ * @returns {string}
+ */
+export function canonicalUrl(pageUrl, canonicalHref) {
+  if (canonicalHref) {
+    try {
+      const page = new URL(pageUrl);
+      const canonical = new URL(canonicalHref, page);
+      // Some sites point every page's canonical link at their home page
+      const pointsHome = canonical.pathname === '/' && page.pathname !== '/';
+      if (/^https?:$/.test(canonical.protocol) && !pointsHome) {
+        return cleanUrl(canonical.href);
+      }
+    } catch {
+      // Unparseable canonical link; use the page address
+    }
+  }
+  return cleanUrl(pageUrl);
+}
+
+/**
+ * Normalized key for duplicate detection - the same as the database's
+ * normalize_url_key() (supabase/migrations/009_url_keys.sql), so a key made here
+ * matches saves.url_key. Works on the raw string for that reason, not URL parsing.
+ * @param {string} href - Page URL
+ * @returns {string|null} e.g. "example.com/post?a=1&b=2", or null for non-http(s) URLs
+ */
+export function urlKey(href) {
+  const match = /^https?:\/\/([^/?#]+)([^?#]*)(\?[^#]*)?(#.*)?$/i.exec((href || '').trim());
+  if (!match) return null;
+  const [, authority, path, search = '', hash = ''] = match;
+
+  const host = authority
+    .toLowerCase()
+    .replace(/^[^@]*@/, '')
+    .replace(/:(80|443)$/, '')
+    .replace(/^(www|m|mobile)\./, '')
+    .replace(/\.$/, '');
+
+  const query = search
+    .slice(1)
+    .split('&')
+    .filter((param) => param && !isTrackingParam(param.split('=')[0]))
+    .sort()
+    .join('&');
+
+  return host
+    + path.replace(/\/+$/, '')
+    + (query ? `?${query}` : '')
+    + (ROUTE_FRAGMENT_PATTERN.test(hash) ? hash : '');
+}
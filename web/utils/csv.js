@@ -0,0 +1,92 @@
+// CSV parsing and serialization for imports and exports
+// Handles quoted fields, escaped quotes, embedded newlines and CRLF line endings
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - Raw CSV content
+ * @returns {string[][]} Rows, each an array of field values
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 byte order mark (common in spreadsheet exports)
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Last line without a trailing newline
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((value) => value.trim()));
+}
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * @param {string} text - Raw CSV content with a header row
+ * @returns {Object[]} One object per data row
+ */
+export function parseCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const keys = header.map((key) => key.trim());
+  return rows.map((row) => {
+    const record = {};
+    keys.forEach((key, index) => {
+      record[key] = row[index] ?? '';
+    });
+    return record;
+  });
+}
+
+/**
+ * Quote a CSV field when it contains a comma, quote or newline
+ * @param {*} value - Field value (null/undefined become empty)
+ * @returns {string} Escaped field
+ */
+function escapeCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows to CSV text
+ * @param {Array<Array>} rows - Rows of field values (first row is usually the header)
+ * @returns {string} CSV content with CRLF line endings
+ */
+export function toCsv(rows) {
+  return rows.map((row) => row.map(escapeCsvField).join(',')).join('\r\n');
+}
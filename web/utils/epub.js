@@ -0,0 +1,211 @@
+// EPUB 3 builder for sending saves to e-readers (Kindle, Kobo)
+// Includes an EPUB 2 toc.ncx as well, since older readers only look at that
+
+import { createZip } from './zip.js';
+
+// Control characters other than tab and newlines are not allowed in XML, and
+// one stray character makes readers reject the whole book
+const INVALID_XML_CHARS = /[^\P{Cc}\t\n\r]/gu;
+
+/**
+ * Escape text for XML content or attributes
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeXml(text) {
+  return String(text ?? '')
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Render stored article text as XHTML paragraphs
+ * Paragraphs are separated by blank lines; single newlines become line breaks
+ * @param {string|null} text - Article text
+ * @returns {string} XHTML
+ */
+export function textToParagraphs(text) {
+  return String(text || '')
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .map((paragraph) => `<p>${paragraph.split('\n').map(escapeXml).join('<br/>')}</p>`)
+    .join('\n');
+}
+
+/**
+ * Build the byline shown under a chapter title
+ * @param {Object} chapter - Chapter
+ * @returns {string} e.g. "Jane Doe · example.com"
+ */
+function getByline(chapter) {
+  return [chapter.author, chapter.site].filter(Boolean).join(' · ');
+}
+
+/**
+ * Render one article as an XHTML chapter
+ * @param {Object} chapter
+ * @param {string} chapter.title - Article title
+ * @param {string} chapter.author - Author
+ * @param {string} chapter.site - Site name
+ * @param {string} chapter.url - Original URL
+ * @param {string[]} chapter.keyPoints - AI key points, shown as a preface
+ * @param {string|null} [chapter.note] - The reader's note on the save
+ * @param {string} chapter.content - Article text
+ * @returns {string} XHTML document
+ */
+export function renderChapter(chapter) {
+  const byline = getByline(chapter);
+  const keyPoints = chapter.keyPoints || [];
+
+  const parts = [`<h1>${escapeXml(chapter.title)}</h1>`];
+  if (byline) parts.push(`<p class="byline">${escapeXml(byline)}</p>`);
+  if (chapter.url) parts.push(`<p class="source"><a href="${escapeXml(chapter.url)}">${escapeXml(chapter.url)}</a></p>`);
+  if (keyPoints.length > 0) {
+    parts.push(
+      '<section class="key-points">',
+      '<h2>Key points</h2>',
+      `<ul>\n${keyPoints.map((point) => `<li>${escapeXml(point)}</li>`).join('\n')}\n</ul>`,
+      '</section>'
+    );
+  }
+  if (chapter.note) {
+    parts.push('<section class="note">', '<h2>Note</h2>', textToParagraphs(chapter.note), '</section>');
+  }
+  parts.push(textToParagraphs(chapter.content) || '<p>No content available.</p>');
+
+  return xhtmlDocument(chapter.title, parts.join('\n'));
+}
+
+function xhtmlDocument(title, body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="en" lang="en">
+<head>
+<meta charset="UTF-8"/>
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+const CONTAINER_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+const STYLESHEET = `body { font-family: serif; line-height: 1.5; }
+h1 { font-size: 1.5em; margin-bottom: 0.25em; }
+.byline, .source { color: #555; font-size: 0.9em; margin: 0; }
+.source a { word-break: break-all; }
+.key-points, .note { border-top: 1px solid #ccc; border-bottom: 1px solid #ccc; margin: 1em 0; padding: 0.5em 0; }
+.key-points h2, .note h2 { font-size: 1em; margin: 0; }
+p { margin: 0 0 0.75em; }
+`;
+
+/**
+ * Build an EPUB file
+ * @param {Object} book
+ * @param {string} book.title - Book title
+ * @param {string} book.identifier - Unique ID, e.g. "urn:uuid:..."
+ * @param {string} book.modified - ISO date
+ * @param {Array<Object>} book.chapters - Chapters (see renderChapter), in reading order
+ * @returns {Uint8Array} EPUB (zip) bytes
+ */
+export function buildEpub({ title, identifier, modified, chapters }) {
+  const items = chapters.map((chapter, index) => ({
+    id: `chapter-${String(index + 1).padStart(3, '0')}`,
+    href: `chapter-${String(index + 1).padStart(3, '0')}.xhtml`,
+    chapter,
+  }));
+
+  // dcterms:modified must be CCYY-MM-DDThh:mm:ssZ, without milliseconds
+  const modifiedAt = `${new Date(modified).toISOString().slice(0, 19)}Z`;
+
+  const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${escapeXml(identifier)}</dc:identifier>
+    <dc:title>${escapeXml(title)}</dc:title>
+    <dc:creator>Stash</dc:creator>
+    <dc:language>en</dc:language>
+    <meta property="dcterms:modified">${modifiedAt}</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+    <item id="style" href="style.css" media-type="text/css"/>
+${items.map((item) => `    <item id="${item.id}" href="${item.href}" media-type="application/xhtml+xml"/>`).join('\n')}
+  </manifest>
+  <spine toc="ncx">
+    <itemref idref="nav"/>
+${items.map((item) => `    <itemref idref="${item.id}"/>`).join('\n')}
+  </spine>
+</package>
+`;
+
+  const nav = xhtmlDocument(title, `<nav epub:type="toc" id="toc">
+<h1>${escapeXml(title)}</h1>
+<ol>
+${items.map((item) => {
+    const byline = getByline(item.chapter);
+    const suffix = byline ? ` <small>${escapeXml(byline)}</small>` : '';
+    return `<li><a href="${item.href}">${escapeXml(item.chapter.title)}</a>${suffix}</li>`;
+  }).join('\n')}
+</ol>
+</nav>`);
+
+  const ncx = `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head>
+    <meta name="dtb:uid" content="${escapeXml(identifier)}"/>
+  </head>
+  <docTitle><text>${escapeXml(title)}</text></docTitle>
+  <navMap>
+${items.map((item, index) => `    <navPoint id="nav-${item.id}" playOrder="${index + 1}">
+      <navLabel><text>${escapeXml(item.chapter.title)}</text></navLabel>
+      <content src="${item.href}"/>
+    </navPoint>`).join('\n')}
+  </navMap>
+</ncx>
+`;
+
+  // The mimetype entry has to come first, uncompressed, for readers to recognise the file
+  return createZip([
+    { name: 'mimetype', content: 'application/epub+zip' },
+    { name: 'META-INF/container.xml', content: CONTAINER_XML },
+    { name: 'OEBPS/content.opf', content: opf },
+    { name: 'OEBPS/nav.xhtml', content: nav },
+    { name: 'OEBPS/toc.ncx', content: ncx },
+    { name: 'OEBPS/style.css', content: STYLESHEET },
+    ...items.map((item) => ({ name: `OEBPS/${item.href}`, content: renderChapter(item.chapter) })),
+  ]);
+}
+
+/**
+ * Map a save to an EPUB chapter
+ * @param {Object} save - Article save
+ * @returns {Object} Chapter for buildEpub
+ */
+export function saveToChapter(save) {
+  return {
+    title: save.title || 'Untitled',
+    author: save.author,
+    site: save.site_name,
+    url: save.url,
+    keyPoints: save.ai_metadata?.key_points || [],
+    note: save.note || null,
+    content: save.content || save.excerpt || '',
+  };
+}
@@ -0,0 +1,76 @@
+// Keyset pagination for the library list
+// Pages are fetched after the last card shown - (sort value, id) - rather than
+// by offset, so a page costs the same however far down the list it is, and
+// saves added while scrolling don't shift later pages.
+
+// What a save card needs; content is loaded when a save is opened
+export const SAVE_CARD_COLUMNS = [
+  'id',
+  'url',
+  'title',
+  'excerpt',
+  'highlight',
+  'site_name',
+  'author',
+  'published_at',
+  'image_url',
+  'content_type',
+  'pdf_metadata',
+  'video_metadata',
+  'folder_id',
+  'is_archived',
+  'is_favorite',
+  'note',
+  'created_at',
+].join(', ');
+
+export const SAVES_PAGE_SIZE = 50;
+
+/**
+ * Quote a value for a PostgREST filter, so commas, dots and parentheses
+ * in titles don't end the filter early
+ * @param {string} value - Filter value
+ * @returns {string}
+ */
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Cursor for the page after a save
+ * @param {Object} save - Last save on the current page
+ * @param {string} sortColumn - Column the list is sorted by
+ * @returns {{value: string|null, id: string}}
+ */
+export function pageCursor(save, sortColumn) {
+  return { value: save[sortColumn] ?? null, id: save.id };
+}
+
+/**
+ * PostgREST `or` filter for the rows after a cursor
+ * Rows are ordered by the sort column, then id; nulls come last ascending and
+ * first descending, as Postgres orders them by default.
+ * @param {{value: string|null, id: string}} cursor - From pageCursor()
+ * @param {Object} sort
+ * @param {string} sort.column - Sort column
+ * @param {boolean} sort.ascending - Sort direction
+ * @returns {string} Filter for query.or()
+ */
+export function keysetFilter(cursor, { column, ascending }) {
+  const id = quoteFilterValue(cursor.id);
+  const idAfter = ascending ? `id.gt.${id}` : `id.lt.${id}`;
+
+  if (cursor.value === null) {
+    const sameValue = `and(${column}.is.null,${idAfter})`;
+    // Descending, the nulls came first and every non-null value is still to come
+    return ascending ? sameValue : `${column}.not.is.null,${sameValue}`;
+  }
+
+  const value = quoteFilterValue(cursor.value);
+  const filters = [
+    `${column}.${ascending ? 'gt' : 'lt'}.${value}`,
+    `and(${column}.eq.${value},${idAfter})`,
+  ];
+  if (ascending) filters.push(`${column}.is.null`);
+  return filters.join(',');
+}
@@ -0,0 +1,164 @@
+// Parsers for read-it-later library exports (Instapaper, Omnivore, Raindrop.io)
+// Each returns import items in the shape used by services/importers.js:
+// { url, title, excerpt, author, note, tags, folder, isArchived, isFavorite, addedAt, highlights }
+
+import { parseCsvRecords } from './csv.js';
+
+/**
+ * Parse a date that may be Unix seconds or an ISO/date string
+ * @param {string|number} value - Date value
+ * @returns {string|null} ISO date string or null if missing/invalid
+ */
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = /^\d+$/.test(String(value).trim())
+    ? new Date(parseInt(value, 10) * 1000)
+    : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Split a tag field, accepting a JSON array or a comma-separated list
+ * @param {string} value - Tag field
+ * @returns {string[]} Unique, trimmed tag names
+ */
+function parseTagList(value) {
+  if (!value || !value.trim()) return [];
+
+  let tags;
+  if (value.trim().startsWith('[')) {
+    try {
+      tags = JSON.parse(value);
+    } catch (e) {
+      tags = value.replace(/[[\]"]/g, '').split(',');
+    }
+  } else {
+    tags = value.split(',');
+  }
+
+  return [...new Set(tags.map((t) => String(t).trim()).filter(Boolean))];
+}
+
+function isHttpUrl(value) {
+  return /^https?:\/\//i.test((value || '').trim());
+}
+
+/**
+ * Parse Instapaper's CSV export (URL,Title,Selection,Folder,Timestamp,Tags)
+ * The Unread/Archive/Starred folders map to status; other folders are kept as folders
+ * @param {string} content - Raw CSV content
+ * @returns {Array} Import items
+ */
+export function parseInstapaperCsv(content) {
+  return parseCsvRecords(content)
+    .filter((record) => isHttpUrl(record.URL))
+    .map((record) => {
+      const url = record.URL.trim();
+      const folder = (record.Folder || '').trim();
+      const builtIn = ['unread', 'archive', 'starred'].includes(folder.toLowerCase());
+
+      return {
+        url,
+        title: (record.Title || '').trim() || url,
+        excerpt: (record.Selection || '').trim() || null,
+        tags: parseTagList(record.Tags),
+        folder: folder && !builtIn ? folder : null,
+        isArchived: folder.toLowerCase() === 'archive',
+        isFavorite: folder.toLowerCase() === 'starred',
+        addedAt: parseDate(record.Timestamp),
+        highlights: [],
+      };
+    });
+}
+
+/**
+ * Parse Omnivore's JSON export (an array of articles with labels and highlights)
+ * @param {string} content - Raw JSON content
+ * @returns {Array} Import items
+ */
+export function parseOmnivoreJson(content) {
+  const data = JSON.parse(content);
+  const articles = Array.isArray(data) ? data : data.articles || [];
+
+  return articles
+    .filter((article) => isHttpUrl(article.url))
+    .map((article) => {
+      const url = article.url.trim();
+      const labels = (article.labels || [])
+        .map((label) => (typeof label === 'string' ? label : label?.name))
+        .filter(Boolean);
+
+      return {
+        url,
+        title: (article.title || '').trim() || url,
+        excerpt: article.description || null,
+        author: article.author || null,
+        imageUrl: article.thumbnail || null,
+        publishedAt: parseDate(article.publishedAt),
+        tags: [...new Set(labels.map((l) => l.trim()).filter(Boolean))],
+        folder: null,
+        isArchived: article.state === 'Archived' || article.isArchived === true,
+        isFavorite: false,
+        addedAt: parseDate(article.savedAt),
+        highlights: (article.highlights || [])
+          .filter((h) => h.quote?.trim())
+          .map((h) => ({
+            text: h.quote.trim(),
+            note: h.annotation?.trim() || null,
+            addedAt: parseDate(h.createdAt || h.updatedAt),
+          })),
+      };
+    });
+}
+
+/**
+ * Parse the highlights column of a Raindrop.io CSV export
+ * Entries look like "Highlight: text" optionally followed by "Note: text"
+ * @param {string} value - Highlights field
+ * @returns {Array<{text: string, note: string|null, addedAt: null}>}
+ */
+function parseRaindropHighlights(value) {
+  if (!value || !value.trim()) return [];
+
+  return value
+    .split(/^(?=Highlight:)/m)
+    .map((entry) => {
+      const match = entry.match(/^Highlight:\s*([\s\S]*?)(?:\n\s*Note:\s*([\s\S]*))?$/);
+      if (!match) return null;
+      return {
+        text: match[1].trim(),
+        note: match[2]?.trim() || null,
+        addedAt: null,
+      };
+    })
+    .filter((h) => h?.text);
+}
+
+/**
+ * Parse Raindrop.io's CSV export (id,title,note,excerpt,url,folder,tags,created,cover,highlights,favorite)
+ * Collections map to folders; the "Unsorted" collection has no folder
+ * @param {string} content - Raw CSV content
+ * @returns {Array} Import items
+ */
+export function parseRaindropCsv(content) {
+  return parseCsvRecords(content)
+    .filter((record) => isHttpUrl(record.url))
+    .map((record) => {
+      const url = record.url.trim();
+      const folder = (record.folder || '').trim();
+
+      return {
+        url,
+        title: (record.title || '').trim() || url,
+        excerpt: (record.excerpt || '').trim() || null,
+        note: (record.note || '').trim() || null,
+        imageUrl: isHttpUrl(record.cover) ? record.cover.trim() : null,
+        tags: parseTagList(record.tags),
+        folder: folder && folder.toLowerCase() !== 'unsorted' ? folder : null,
+        isArchived: false,
+        isFavorite: (record.favorite || '').trim().toLowerCase() === 'true',
+        addedAt: parseDate(record.created),
+        highlights: parseRaindropHighlights(record.highlights),
+      };
+    });
+}
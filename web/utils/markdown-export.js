@@ -0,0 +1,275 @@
+// Markdown vault export
+// Turns saves and their highlights into Markdown files with YAML frontmatter (Obsidian/Logseq)
+
+export const DEFAULT_FILENAME_TEMPLATE = '{title}';
+
+// Characters that are invalid in file names on common platforms or meaningful to Obsidian links
+const UNSAFE_FILENAME_CHARS = /[\\/:*?"<>|#^[\]]|\p{Cc}/gu;
+const MAX_SEGMENT_LENGTH = 100;
+
+/**
+ * Serialize a flat or nested object to YAML
+ * Strings are double-quoted (JSON escaping is valid YAML); empty values are skipped
+ * @param {Object} fields - Values: strings, numbers, booleans, string arrays or nested objects
+ * @param {number} indent - Indent level for nested objects
+ * @returns {string} YAML lines
+ */
+export function toYaml(fields, indent = 0) {
+  const pad = '  '.repeat(indent);
+  const lines = [];
+
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value === null || value === undefined || value === '') return;
+
+    if (Array.isArray(value)) {
+      if (value.length === 0) return;
+      lines.push(`${pad}${key}:`);
+      value.forEach((item) => lines.push(`${pad}  - ${JSON.stringify(String(item))}`));
+    } else if (typeof value === 'object') {
+      const nested = toYaml(value, indent + 1);
+      if (nested) lines.push(`${pad}${key}:`, nested);
+    } else if (typeof value === 'string') {
+      lines.push(`${pad}${key}: ${JSON.stringify(value)}`);
+    } else {
+      lines.push(`${pad}${key}: ${value}`);
+    }
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Make a template value safe to use as part of a file name
+ * @param {string} value - Raw value
+ * @returns {string} Sanitized value
+ */
+function sanitizeSegment(value) {
+  return String(value || '')
+    .replace(UNSAFE_FILENAME_CHARS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_SEGMENT_LENGTH)
+    .replace(/^[.\s]+|[.\s]+$/g, '');
+}
+
+/**
+ * Render a file path from a template
+ * Tokens: {title} {date} {year} {site} {author} {type} {id}; "/" in the template creates folders
+ * @param {string} template - Filename template, without extension
+ * @param {Object} save - Save (or highlight group) being exported
+ * @returns {string} Relative path ending in .md
+ */
+export function renderFilename(template, save) {
+  const created = save.created_at ? new Date(save.created_at) : null;
+  const tokens = {
+    title: save.title || 'Untitled',
+    date: created ? created.toISOString().slice(0, 10) : '',
+    year: created ? String(created.getUTCFullYear()) : '',
+    site: save.site_name || '',
+    author: save.author || '',
+    type: save.content_type || 'article',
+    id: save.id || '',
+  };
+
+  const path = (template || DEFAULT_FILENAME_TEMPLATE)
+    .split('/')
+    .map((segment) => sanitizeSegment(segment.replace(/\{(\w+)\}/g, (match, key) =>
+      key in tokens ? sanitizeSegment(tokens[key]) : match
+    )))
+    .filter(Boolean)
+    .join('/');
+
+  return `${path || 'Untitled'}.md`;
+}
+
+/**
+ * Attach highlight saves and annotations to the saves they belong to
+ * Highlight saves match by URL, or by title for books; the rest are grouped by title
+ * @param {Array} saves - Article/book/podcast saves
+ * @param {Array} highlightSaves - Saves with a highlight
+ * @param {Array} annotations - In-app annotations
+ * @returns {{linked: Map<string, {highlights: Array, annotations: Array}>, unlinked: Array}}
+ */
+export function linkHighlights(saves, highlightSaves, annotations) {
+  const linked = new Map(saves.map((save) => [save.id, { highlights: [], annotations: [] }]));
+  const byUrl = new Map();
+  const booksByTitle = new Map();
+
+  saves.forEach((save) => {
+    if (save.url && !byUrl.has(save.url)) byUrl.set(save.url, save.id);
+    if (save.content_type === 'book' && save.title) booksByTitle.set(save.title, save.id);
+  });
+
+  const groups = new Map();
+  highlightSaves.forEach((highlight) => {
+    const saveId = (highlight.url && byUrl.get(highlight.url)) || booksByTitle.get(highlight.title);
+    if (saveId) {
+      linked.get(saveId).highlights.push(highlight);
+      return;
+    }
+
+    const key = highlight.title || 'Untitled';
+    if (!groups.has(key)) {
+      groups.set(key, {
+        id: `highlights-${key}`,
+        title: key,
+        author: highlight.author,
+        url: highlight.url,
+        site_name: highlight.site_name,
+        content_type: highlight.source === 'kindle' ? 'book' : 'article',
+        created_at: highlight.created_at,
+        highlights: [],
+      });
+    }
+    groups.get(key).highlights.push(highlight);
+  });
+
+  annotations.forEach((annotation) => {
+    linked.get(annotation.save_id)?.annotations.push(annotation);
+  });
+
+  return { linked, unlinked: [...groups.values()] };
+}
+
+/**
+ * Render highlights as Markdown blockquotes with their notes
+ * @param {Array<{text: string, note: string|null}>} highlights
+ * @returns {string} Markdown
+ */
+function renderHighlights(highlights) {
+  return highlights
+    .map((h) => {
+      const quote = h.text.split('\n').map((line) => `> ${line}`).join('\n');
+      return h.note ? `${quote}\n\n**Note:** ${h.note}` : quote;
+    })
+    .join('\n\n');
+}
+
+/**
+ * Get the readable body of a save by content type
+ * @param {Object} save - Save
+ * @returns {string} Markdown body
+ */
+function renderBody(save) {
+  if (save.content_type !== 'book') return save.content_markdown || save.content || save.excerpt || '';
+
+  let book;
+  try {
+    book = JSON.parse(save.content || '{}');
+  } catch (e) {
+    book = { description: save.content || save.excerpt || '' };
+  }
+
+  const notes = book.notes || book.metadata?.userNotes;
+  return [
+    notes ? `## Your Notes\n\n${notes}` : '',
+    book.description ? `## About This Book\n\n${book.description}` : '',
+  ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Render one save as a Markdown document
+ * @param {Object} save - Article/book/podcast/video save
+ * @param {Object} options
+ * @param {string[]} options.tags - Tag names
+ * @param {Array} options.highlights - Linked highlight saves
+ * @param {Array} options.annotations - Linked in-app annotations
+ * @returns {string} Markdown with frontmatter
+ */
+export function saveToMarkdown(save, { tags = [], highlights = [], annotations = [] } = {}) {
+  const keyPoints = save.ai_metadata?.key_points || save.podcast_metadata?.key_points || save.video_metadata?.key_points || [];
+
+  const frontmatter = toYaml({
+    title: save.title || 'Untitled',
+    url: save.url,
+    author: save.author,
+    site_name: save.site_name,
+    type: save.content_type || 'article',
+    tags,
+    published_at: save.published_at,
+    created_at: save.created_at,
+    ai_metadata: { key_points: keyPoints },
+  });
+
+  const allHighlights = [
+    ...[...annotations]
+      .sort((a, b) => a.start_offset - b.start_offset)
+      .map((a) => ({ text: a.quote, note: a.note })),
+    ...highlights.map((h) => ({ text: h.highlight, note: h.note })),
+  ];
+
+  const sections = [`# ${save.title || 'Untitled'}`];
+  if (save.note) sections.push(`## Note\n\n${save.note}`);
+  const body = renderBody(save).trim();
+  if (body) sections.push(body);
+  if (allHighlights.length > 0) sections.push(`## Highlights\n\n${renderHighlights(allHighlights)}`);
+
+  return `---\n${frontmatter}\n---\n\n${sections.join('\n\n')}\n`;
+}
+
+/**
+ * Check whether anything in an export entry changed after a date
+ * @param {Array<Object>} records - Rows with updated_at/created_at
+ * @param {string|null} since - ISO date; null means everything counts as changed
+ * @returns {boolean}
+ */
+function changedSince(records, since) {
+  if (!since) return true;
+  const cutoff = new Date(since).getTime();
+  return records.some((r) => new Date(r.updated_at || r.created_at).getTime() > cutoff);
+}
+
+/**
+ * Build the files of a Markdown vault
+ * @param {Object} data
+ * @param {Array} data.saves - Article/book/podcast saves
+ * @param {Array} data.highlightSaves - Saves with a highlight
+ * @param {Array} data.annotations - In-app annotations
+ * @param {Object} data.tagNames - Map of save ID to tag names
+ * @param {Object} options
+ * @param {string|null} [options.since] - Only include entries changed after this ISO date
+ * @param {string} options.template - Filename template
+ * @returns {Array<{name: string, content: string}>} Files, with unique names
+ */
+export function buildVaultFiles({ saves, highlightSaves, annotations, tagNames }, { since = null, template } = {}) {
+  const { linked, unlinked } = linkHighlights(saves, highlightSaves, annotations);
+  const usedNames = new Set();
+  const files = [];
+
+  // Names are reserved for every entry, changed or not, so a save keeps the
+  // same file name in incremental exports
+  const reserveName = (entry) => {
+    let name = renderFilename(template, entry);
+    const base = name.slice(0, -3);
+    for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+      name = `${base} (${n}).md`;
+    }
+    usedNames.add(name.toLowerCase());
+    return name;
+  };
+
+  saves.forEach((save) => {
+    const { highlights, annotations: saveAnnotations } = linked.get(save.id);
+    const name = reserveName(save);
+    if (!changedSince([save, ...highlights, ...saveAnnotations], since)) return;
+
+    files.push({
+      name,
+      content: saveToMarkdown(save, {
+        tags: tagNames[save.id] || [],
+        highlights,
+        annotations: saveAnnotations,
+      }),
+    });
+  });
+
+  unlinked.forEach((group) => {
+    const name = reserveName(group);
+    if (!changedSince(group.highlights, since)) return;
+
+    const tags = [...new Set(group.highlights.flatMap((h) => tagNames[h.id] || []))];
+    files.push({ name, content: saveToMarkdown(group, { tags, highlights: group.highlights }) });
+  });
+
+  return files;
+}
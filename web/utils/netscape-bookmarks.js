@@ -0,0 +1,144 @@
+// Netscape bookmark file format, used by every browser's bookmark import/export
+// Nested folders are flattened into Stash folder names joined with " / "
+
+export const FOLDER_SEPARATOR = ' / ';
+
+/**
+ * Convert an ADD_DATE value to an ISO string
+ * Browsers write Unix seconds; some tools write milliseconds or microseconds
+ * @param {string} value - ADD_DATE attribute
+ * @returns {string|null} ISO date string or null if missing/invalid
+ */
+function parseAddDate(value) {
+  let time = parseInt(value, 10);
+  if (!time || Number.isNaN(time)) return null;
+  while (time > 1e11) time /= 1000;
+  return new Date(Math.round(time) * 1000).toISOString();
+}
+
+/**
+ * Get the folder path of a bookmark from the headings of the lists it is nested in
+ * @param {Element} anchor - Bookmark link
+ * @returns {string[]} Folder names, outermost first
+ */
+function getFolderPath(anchor) {
+  const path = [];
+  for (let el = anchor.parentElement; el; el = el.parentElement) {
+    if (el.tagName !== 'DL') continue;
+    const heading = el.previousElementSibling;
+    if (heading?.tagName === 'H3') path.unshift(heading.textContent.trim());
+  }
+  return path.filter(Boolean);
+}
+
+/**
+ * Parse a Netscape bookmark file
+ * @param {string} content - Raw HTML content
+ * @returns {Array<{url: string, title: string, note: string|null, tags: string[],
+ *   folder: string|null, isArchived: boolean, addedAt: string|null}>} Import items
+ */
+export function parseNetscapeBookmarks(content) {
+  const doc = new DOMParser().parseFromString(content, 'text/html');
+  const items = [];
+
+  doc.querySelectorAll('dt > a[href]').forEach((anchor) => {
+    const url = anchor.getAttribute('href').trim();
+    if (!/^https?:\/\//i.test(url)) return;
+
+    // The description, when present, is the <DD> right after the bookmark's <DT>
+    const next = anchor.parentElement.nextElementSibling;
+    const description = next?.tagName === 'DD' ? next.textContent.trim() : '';
+    const path = getFolderPath(anchor);
+    const tags = (anchor.getAttribute('tags') || '').split(',').map((t) => t.trim()).filter(Boolean);
+
+    items.push({
+      url,
+      title: anchor.textContent.trim() || url,
+      note: description || null,
+      tags: [...new Set(tags)],
+      folder: path.length > 0 ? path.join(FOLDER_SEPARATOR) : null,
+      isArchived: false,
+      addedAt: parseAddDate(anchor.getAttribute('add_date')),
+    });
+  });
+
+  return items;
+}
+
+/**
+ * Escape text for HTML content or a double-quoted attribute
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render one bookmark line, plus its description
+ * @param {Object} save - Save with a URL
+ * @param {string[]} tags - Tag names
+ * @param {string} indent - Leading whitespace
+ * @returns {string} HTML lines
+ */
+function renderBookmark(save, tags, indent) {
+  const attributes = [`HREF="${escapeText(save.url)}"`];
+  if (save.created_at) {
+    attributes.push(`ADD_DATE="${Math.floor(new Date(save.created_at).getTime() / 1000)}"`);
+  }
+  if (tags.length > 0) attributes.push(`TAGS="${escapeText(tags.join(','))}"`);
+
+  const line = `${indent}<DT><A ${attributes.join(' ')}>${escapeText(save.title || save.url)}</A>`;
+  return save.note ? `${line}\n${indent}<DD>${escapeText(save.note)}` : line;
+}
+
+/**
+ * Build a Netscape bookmark file from saves
+ * Folder names containing " / " become nested folders again
+ * @param {Array} saves - Saves; ones without a URL are skipped
+ * @param {Object} options
+ * @param {Array<{id: string, name: string}>} options.folders - Folders, for names
+ * @param {Object} options.tagNames - Map of save ID to tag names
+ * @returns {string} Bookmark file HTML
+ */
+export function toNetscapeBookmarks(saves, { folders = [], tagNames = {} } = {}) {
+  const folderNames = new Map(folders.map((f) => [f.id, f.name]));
+  const root = { folders: new Map(), saves: [] };
+
+  saves.filter((save) => save.url).forEach((save) => {
+    const name = folderNames.get(save.folder_id);
+    let node = root;
+    (name ? name.split(FOLDER_SEPARATOR) : []).forEach((part) => {
+      if (!node.folders.has(part)) node.folders.set(part, { folders: new Map(), saves: [] });
+      node = node.folders.get(part);
+    });
+    node.saves.push(save);
+  });
+
+  const renderList = (node, depth) => {
+    const indent = '    '.repeat(depth + 1);
+    const lines = [`${'    '.repeat(depth)}<DL><p>`];
+    node.folders.forEach((child, name) => {
+      lines.push(`${indent}<DT><H3>${escapeText(name)}</H3>`, renderList(child, depth + 1));
+    });
+    node.saves.forEach((save) => lines.push(renderBookmark(save, tagNames[save.id] || [], indent)));
+    lines.push(`${'    '.repeat(depth)}</DL><p>`);
+    return lines.join('\n');
+  };
+
+  return [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file.',
+    '     It will be read and overwritten.',
+    '     DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    renderList(root, 0),
+    '',
+  ].join('\n');
+}
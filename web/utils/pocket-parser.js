@@ -0,0 +1,112 @@
+// Pocket export parsing
+// Supports the classic ril_export.html and the newer CSV export
+
+import { parseCsvRecords } from './csv.js';
+import { urlKey } from './canonical-url.js';
+
+/**
+ * Convert a Pocket time_added value (Unix seconds) to an ISO string
+ * @param {string|number} value - Unix timestamp in seconds
+ * @returns {string|null} ISO date string or null if missing/invalid
+ */
+function parseTimeAdded(value) {
+  const seconds = parseInt(value, 10);
+  if (!seconds || Number.isNaN(seconds)) return null;
+  return new Date(seconds * 1000).toISOString();
+}
+
+/**
+ * Split a Pocket tag list, dropping empties and duplicates
+ * @param {string} value - Tag list
+ * @param {string} separator - Separator used by the export format
+ * @returns {string[]} Tag names
+ */
+function parseTags(value, separator) {
+  if (!value) return [];
+  const tags = value.split(separator).map((t) => t.trim()).filter(Boolean);
+  return [...new Set(tags)];
+}
+
+/**
+ * Parse Pocket's ril_export.html
+ * Items are links grouped under "Unread" and "Read Archive" headings
+ * @param {string} content - Raw HTML content
+ * @returns {Array<{url: string, title: string, tags: string[], isArchived: boolean, addedAt: string|null}>}
+ */
+export function parsePocketHtml(content) {
+  const doc = new DOMParser().parseFromString(content, 'text/html');
+  const items = [];
+  let isArchived = false;
+
+  // Walk headings and links in document order so each link picks up its section
+  doc.querySelectorAll('h1, a[href]').forEach((el) => {
+    if (el.tagName === 'H1') {
+      isArchived = /archive/i.test(el.textContent);
+      return;
+    }
+
+    const url = el.getAttribute('href').trim();
+    if (!/^https?:\/\//i.test(url)) return;
+
+    items.push({
+      url,
+      title: el.textContent.trim() || url,
+      tags: parseTags(el.getAttribute('tags'), ','),
+      isArchived,
+      addedAt: parseTimeAdded(el.getAttribute('time_added')),
+    });
+  });
+
+  return items;
+}
+
+/**
+ * Parse Pocket's CSV export (title,url,time_added,tags,status)
+ * Tags are pipe-separated; status is "unread" or "archive"
+ * @param {string} content - Raw CSV content
+ * @returns {Array<{url: string, title: string, tags: string[], isArchived: boolean, addedAt: string|null}>}
+ */
+export function parsePocketCsv(content) {
+  return parseCsvRecords(content)
+    .filter((record) => /^https?:\/\//i.test((record.url || '').trim()))
+    .map((record) => {
+      const url = record.url.trim();
+      return {
+        url,
+        title: (record.title || '').trim() || url,
+        tags: parseTags(record.tags, '|'),
+        isArchived: (record.status || '').trim().toLowerCase() === 'archive',
+        addedAt: parseTimeAdded(record.time_added),
+      };
+    });
+}
+
+/**
+ * Parse a Pocket export file, choosing the format from its name or content
+ * @param {string} content - Raw file content
+ * @param {string} fileName - Original file name
+ * @returns {Array} Parsed Pocket items
+ */
+export function parsePocketExport(content, fileName = '') {
+  const isHtml = /\.html?$/i.test(fileName) || /^\s*<(!doctype|html)/i.test(content);
+  return isHtml ? parsePocketHtml(content) : parsePocketCsv(content);
+}
+
+/**
+ * Remove items whose URL is already saved or appears earlier in the file
+ * URLs are compared by their key, so tracking parameters, www. and the like don't count
+ * @param {Array} items - Parsed items with a url property
+ * @param {string[]} existingUrls - URLs already in the library
+ * @returns {Array} Items that are new
+ */
+export function deduplicateByUrl(items, existingUrls) {
+  const keyOf = (url) => urlKey(url) || url;
+  const seen = new Set(existingUrls.map(keyOf));
+
+  return items.filter((item) => {
+    const key = keyOf(item.url);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
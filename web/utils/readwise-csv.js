@@ -0,0 +1,140 @@
+// Readwise CSV format for highlight import/export
+// Column layout matches Readwise's own CSV export so files move between tools
+
+import { parseCsvRecords, toCsv } from './csv.js';
+
+export const READWISE_COLUMNS = [
+  'Highlight',
+  'Book Title',
+  'Book Author',
+  'Amazon Book ID',
+  'Note',
+  'Color',
+  'Tags',
+  'Location Type',
+  'Location',
+  'Highlighted at',
+  'Document tags',
+];
+
+/**
+ * Split a Readwise tag list ("tag1, tag2")
+ * @param {string} value - Tag field
+ * @returns {string[]} Unique, trimmed tag names
+ */
+function parseTags(value) {
+  if (!value) return [];
+  return [...new Set(value.split(',').map((t) => t.trim()).filter(Boolean))];
+}
+
+/**
+ * Parse a Readwise timestamp ("2021-02-01 18:03:00+00:00")
+ * @param {string} value - Timestamp
+ * @returns {string|null} ISO date string or null if missing/invalid
+ */
+function parseHighlightedAt(value) {
+  if (!value || !value.trim()) return null;
+  const date = new Date(value.trim().replace(' ', 'T'));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Format a date the way Readwise does ("2021-02-01 18:03:00+00:00")
+ * @param {string|null} value - ISO date string
+ * @returns {string} Readwise timestamp, or empty if missing
+ */
+export function formatHighlightedAt(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return `${date.toISOString().slice(0, 19).replace('T', ' ')}+00:00`;
+}
+
+/**
+ * Get the Amazon book ID (ASIN) from an Amazon product URL
+ * @param {string} url - Save URL
+ * @returns {string} ASIN or empty string
+ */
+function getAmazonBookId(url) {
+  const match = (url || '').match(/amazon\.[^/]+\/(?:.*\/)?(?:dp|gp\/product)\/([A-Z0-9]{10})/i);
+  return match ? match[1] : '';
+}
+
+/**
+ * Parse a Readwise CSV export into highlights
+ * @param {string} content - Raw CSV content
+ * @returns {Array<{highlight: string, title: string, author: string|null, note: string|null,
+ *   color: string|null, tags: string[], url: string|null, addedAt: string|null}>}
+ */
+export function parseReadwiseCsv(content) {
+  return parseCsvRecords(content)
+    .filter((record) => (record.Highlight || '').trim())
+    .map((record) => {
+      const asin = (record['Amazon Book ID'] || '').trim();
+      return {
+        highlight: record.Highlight.trim(),
+        title: (record['Book Title'] || '').trim() || 'Untitled',
+        author: (record['Book Author'] || '').trim() || null,
+        note: (record.Note || '').trim() || null,
+        color: (record.Color || '').trim() || null,
+        // Highlight tags and document tags both become tags on the highlight save
+        tags: [...new Set([...parseTags(record.Tags), ...parseTags(record['Document tags'])])],
+        url: asin ? `https://www.amazon.com/dp/${asin}` : null,
+        addedAt: parseHighlightedAt(record['Highlighted at']),
+      };
+    });
+}
+
+/**
+ * Build a Readwise row for a highlight save (Kindle, extension, imported)
+ * @param {Object} save - Save with a highlight
+ * @param {string[]} tags - Tag names on the save
+ * @returns {string[]} Row values in READWISE_COLUMNS order
+ */
+export function highlightSaveToRow(save, tags = []) {
+  return [
+    save.highlight,
+    save.title || '',
+    save.author || '',
+    getAmazonBookId(save.url),
+    save.note || '',
+    '',
+    tags.join(', '),
+    '',
+    '',
+    formatHighlightedAt(save.created_at),
+    '',
+  ];
+}
+
+/**
+ * Build a Readwise row for an in-app annotation
+ * @param {Object} annotation - Annotation row
+ * @param {Object} save - The annotated save
+ * @param {string[]} documentTags - Tag names on the annotated save
+ * @returns {string[]} Row values in READWISE_COLUMNS order
+ */
+export function annotationToRow(annotation, save, documentTags = []) {
+  return [
+    annotation.quote,
+    save?.title || '',
+    save?.author || '',
+    getAmazonBookId(save?.url),
+    annotation.note || '',
+    annotation.color || '',
+    '',
+    'offset',
+    annotation.start_offset ?? '',
+    formatHighlightedAt(annotation.created_at),
+    documentTags.join(', '),
+  ];
+}
+
+/**
+ * Serialize rows to a Readwise CSV file
+ * @param {Array<string[]>} rows - Rows from highlightSaveToRow/annotationToRow
+ * @returns {string} CSV content with header
+ */
+export function toReadwiseCsv(rows) {
+  return toCsv([READWISE_COLUMNS, ...rows]);
+}
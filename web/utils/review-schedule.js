@@ -0,0 +1,193 @@
+// Spaced-repetition scheduling for the daily highlight review
+// A simplified SM-2: each answer moves the next review out (or in) and nudges
+// the highlight's ease, which scales how fast its intervals grow
+
+export const DAILY_REVIEW_SIZE = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+const MAX_EASE = 3.5;
+
+/**
+ * Review answers, in the order they're shown
+ * keep   - worth seeing again on the normal schedule
+ * soon   - bring it back tomorrow
+ * later  - fine for now, push it well out
+ * master - know it by heart, stop showing it
+ */
+export const REVIEW_ACTIONS = ['soon', 'keep', 'later', 'master'];
+
+/**
+ * Initial schedule for a highlight that hasn't been reviewed
+ * @returns {{interval_days: number, ease: number, repetitions: number, mastered: boolean}}
+ */
+export function newReviewState() {
+  return { interval_days: 0, ease: 2.5, repetitions: 0, mastered: false };
+}
+
+function clampEase(ease) {
+  return Math.min(MAX_EASE, Math.max(MIN_EASE, Math.round(ease * 100) / 100));
+}
+
+/**
+ * Work out the next interval for an answer, without changing anything
+ * @param {Object} state - Current schedule (from newReviewState or a highlight_reviews row)
+ * @param {string} action - One of REVIEW_ACTIONS
+ * @returns {number|null} Days until the highlight comes back, or null once mastered
+ */
+export function nextInterval(state, action) {
+  const current = state.interval_days || 0;
+
+  switch (action) {
+    case 'soon':
+      return 1;
+    case 'keep':
+      if (state.repetitions === 0) return 3;
+      if (state.repetitions === 1) return 7;
+      return Math.round(current * state.ease);
+    case 'later':
+      return Math.max(14, Math.round(current * state.ease * 1.5));
+    case 'master':
+      return null;
+    default:
+      throw new Error(`Unknown review action: ${action}`);
+  }
+}
+
+/**
+ * Apply an answer to a highlight's schedule
+ * @param {Object} state - Current schedule
+ * @param {string} action - One of REVIEW_ACTIONS
+ * @param {Date} now - Time of the review
+ * @returns {{interval_days: number, ease: number, repetitions: number, due_at: string,
+ *   mastered: boolean, last_action: string, last_reviewed_at: string}} Columns to store in highlight_reviews
+ */
+export function scheduleReview(state, action, now = new Date()) {
+  const interval = nextInterval(state, action);
+  const easeChange = { soon: -0.2, keep: 0, later: 0.15, master: 0 }[action];
+
+  return {
+    interval_days: interval ?? state.interval_days ?? 0,
+    ease: clampEase(state.ease + easeChange),
+    // "soon" means it didn't stick, so growth starts over
+    repetitions: action === 'soon' ? 0 : state.repetitions + 1,
+    due_at: new Date(now.getTime() + (interval ?? 0) * DAY_MS).toISOString(),
+    mastered: action === 'master',
+    last_action: action,
+    last_reviewed_at: now.toISOString(),
+  };
+}
+
+/**
+ * Format an interval for an answer button
+ * @param {number|null} days - Interval from nextInterval
+ * @returns {string} e.g. "tomorrow", "5 days", "3 weeks", "2 months"
+ */
+export function formatInterval(days) {
+  if (days === null) return 'done';
+  if (days <= 1) return 'tomorrow';
+  if (days < 14) return `${days} days`;
+  if (days < 60) return `${Math.round(days / 7)} weeks`;
+  if (days < 365) return `${Math.round(days / 30)} months`;
+  const years = Math.round(days / 365);
+  return years === 1 ? '1 year' : `${years} years`;
+}
+
+/**
+ * Turn highlight saves and annotations into review items
+ * @param {Array} highlightSaves - Saves with a highlight
+ * @param {Array} annotations - In-app annotations, each with a `saves` object
+ * @returns {Array<{key: string, saveId: string|null, annotationId: string|null, text: string,
+ *   note: string|null, title: string, author: string|null, source: string, createdAt: string}>}
+ */
+export function toReviewItems(highlightSaves, annotations) {
+  return [
+    ...highlightSaves.map((save) => ({
+      key: `save:${save.id}`,
+      saveId: save.id,
+      annotationId: null,
+      text: save.highlight,
+      note: save.note || null,
+      title: save.title || 'Untitled',
+      author: save.author || null,
+      source: save.source === 'kindle' ? 'kindle' : 'web',
+      createdAt: save.created_at,
+    })),
+    ...annotations.map((annotation) => ({
+      key: `annotation:${annotation.id}`,
+      saveId: annotation.save_id,
+      annotationId: annotation.id,
+      text: annotation.quote,
+      note: annotation.note || null,
+      title: annotation.saves?.title || 'Untitled',
+      author: annotation.saves?.author || null,
+      source: annotation.saves?.content_type === 'podcast' ? 'podcast' : 'web',
+      createdAt: annotation.created_at,
+    })),
+  ];
+}
+
+/**
+ * Get the review key of a highlight_reviews row
+ * @param {Object} review - highlight_reviews row
+ * @returns {string} Same format as review item keys
+ */
+export function reviewKey(review) {
+  return review.annotation_id ? `annotation:${review.annotation_id}` : `save:${review.save_id}`;
+}
+
+/**
+ * Order new highlights the same way all day, but differently each day
+ * @param {string} key - Review item key
+ * @param {string} day - YYYY-MM-DD
+ * @returns {number} Sort value
+ */
+function dailyOrder(key, day) {
+  let hash = 2166136261;
+  for (const char of `${day}:${key}`) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Pick today's review
+ * Due highlights come first (most overdue first), then new ones. Answers given
+ * today count towards the daily size, so the queue shrinks as you go.
+ * @param {Array} items - Review items from toReviewItems
+ * @param {Array} reviews - highlight_reviews rows
+ * @param {Object} options
+ * @param {Date} options.now - Current time
+ * @param {number} options.size - Highlights per day
+ * @returns {{queue: Array, reviewedToday: number, dueCount: number}} Queue items carry their `review` row (or null)
+ */
+export function buildReviewQueue(items, reviews, { now = new Date(), size = DAILY_REVIEW_SIZE } = {}) {
+  const reviewsByKey = new Map(reviews.map((review) => [reviewKey(review), review]));
+  const startOfDay = new Date(now);
+  startOfDay.setHours(0, 0, 0, 0);
+  const day = startOfDay.toISOString().slice(0, 10);
+
+  const reviewedToday = reviews.filter(
+    (review) => review.last_reviewed_at && new Date(review.last_reviewed_at) >= startOfDay
+  ).length;
+
+  const due = [];
+  const fresh = [];
+  items.forEach((item) => {
+    const review = reviewsByKey.get(item.key) || null;
+    if (!review) {
+      fresh.push({ ...item, review });
+    } else if (!review.mastered && new Date(review.due_at) <= now) {
+      due.push({ ...item, review });
+    }
+  });
+
+  due.sort((a, b) => new Date(a.review.due_at) - new Date(b.review.due_at));
+  fresh.sort((a, b) => dailyOrder(a.key, day) - dailyOrder(b.key, day));
+
+  return {
+    queue: [...due, ...fresh].slice(0, Math.max(0, size - reviewedToday)),
+    reviewedToday,
+    dueCount: due.length,
+  };
+}
@@ -0,0 +1,231 @@
+// Search query language
+// Splits what's typed in the search box into full-text terms and structured
+// filters for the search_library RPC (supabase/migrations/011_advanced_search.sql):
+//
+//   tag:ai site:nytimes.com type:podcast folder:Research is:favorite is:unread
+//   before:2025-01-01 after:2024-06-01 "exact phrase" -excluded
+//
+// Filters take a leading "-" to exclude (-tag:old, -is:archived) and a quoted
+// value for spaces (tag:"machine learning"). Dates can be relative to today:
+// after:30d, before:2w (d, w, m or y). A saved search with one stays current.
+// Everything else (words, "phrases", -words, "or") goes to
+// websearch_to_tsquery as typed.
+
+export const SEARCH_TYPES = ['article', 'highlight', 'kindle', 'podcast', 'book', 'video', 'pdf'];
+
+/**
+ * Filters for the search_library RPC; only the ones used are set
+ * @typedef {Object} SearchFilters
+ * @property {string[]} [tags] - Tag names, all required
+ * @property {string[]} [exclude_tags]
+ * @property {string[]} [sites] - Sites like "nytimes.com"
+ * @property {string[]} [exclude_sites]
+ * @property {string[]} [types] - From SEARCH_TYPES
+ * @property {string[]} [exclude_types]
+ * @property {boolean} [favorite]
+ * @property {boolean} [archived]
+ * @property {boolean} [read] - Archived saves count as read
+ * @property {string} [before] - Created before this date (YYYY-MM-DD)
+ * @property {string} [after] - Created on or after this date or time
+ * @property {string} [folder] - Folder name
+ * @property {string} [folder_id]
+ */
+
+const IS_FILTERS = {
+  favorite: { key: 'favorite', value: true },
+  archived: { key: 'archived', value: true },
+  read: { key: 'read', value: true },
+  unread: { key: 'read', value: false },
+};
+
+// -?key:value or -?key:"quoted value", then "phrases", then bare words
+const TOKEN_PATTERN = /(-?)([a-z]+):(?:"([^"]*)"|(\S+))|-?"[^"]*"?|\S+/gi;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const RELATIVE_DATE_PATTERN = /^(\d+)([dwmy])$/i;
+
+/**
+ * Resolve a before:/after: value to a date
+ * @param {string} value - YYYY-MM-DD, or an age like 30d, 2w, 6m or 1y
+ * @param {Date} now - Current time, for ages
+ * @returns {string|null} YYYY-MM-DD, or null when the value isn't a date
+ */
+function resolveDate(value, now) {
+  if (DATE_PATTERN.test(value)) {
+    return Number.isNaN(Date.parse(value)) ? null : value;
+  }
+
+  const age = value.match(RELATIVE_DATE_PATTERN);
+  if (!age) return null;
+
+  const amount = Number(age[1]);
+  const date = new Date(now);
+  switch (age[2].toLowerCase()) {
+    case 'd': date.setUTCDate(date.getUTCDate() - amount); break;
+    case 'w': date.setUTCDate(date.getUTCDate() - amount * 7); break;
+    case 'm': date.setUTCMonth(date.getUTCMonth() - amount); break;
+    case 'y': date.setUTCFullYear(date.getUTCFullYear() - amount); break;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+// nytimes.com from "https://www.nytimes.com/section"
+function normalizeSite(value) {
+  return value
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/[/?#].*$/, '');
+}
+
+function addTo(filters, key, value) {
+  filters[key] = [...(filters[key] || []), value];
+}
+
+/**
+ * Apply one key:value filter
+ * @returns {boolean} false when the key or value isn't recognized, so the token is searched as text
+ */
+function applyFilter(filters, key, value, negated, now) {
+  const lowered = value.toLowerCase();
+
+  switch (key.toLowerCase()) {
+    case 'tag':
+      if (!value) return false;
+      addTo(filters, negated ? 'exclude_tags' : 'tags', value);
+      return true;
+    case 'site': {
+      const site = normalizeSite(value);
+      if (!site) return false;
+      addTo(filters, negated ? 'exclude_sites' : 'sites', site);
+      return true;
+    }
+    case 'type': {
+      const type = lowered.replace(/s$/, '');
+      if (!SEARCH_TYPES.includes(type)) return false;
+      addTo(filters, negated ? 'exclude_types' : 'types', type);
+      return true;
+    }
+    case 'is': {
+      const filter = IS_FILTERS[lowered];
+      if (!filter) return false;
+      filters[filter.key] = negated ? !filter.value : filter.value;
+      return true;
+    }
+    case 'folder':
+      if (negated || !value) return false;
+      filters.folder = value;
+      return true;
+    case 'before':
+    case 'after': {
+      const date = negated ? null : resolveDate(value, now);
+      if (!date) return false;
+      filters[key.toLowerCase()] = date;
+      return true;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Parse a search box query
+ * @param {string} input - What was typed
+ * @param {Date} now - Current time, for relative dates
+ * @returns {{text: string, filters: SearchFilters}} Full-text part for websearch_to_tsquery, and the filters
+ */
+export function parseSearchQuery(input, now = new Date()) {
+  /** @type {SearchFilters} */
+  const filters = {};
+  const terms = [];
+
+  for (const match of (input || '').matchAll(TOKEN_PATTERN)) {
+    const [token, negated, key, quoted, bare] = match;
+    if (key && applyFilter(filters, key, quoted ?? bare, negated === '-', now)) continue;
+    terms.push(token);
+  }
+
+  return { text: terms.join(' '), filters };
+}
+
+/**
+ * Narrow search filters to the view being searched from
+ * Filters typed in the query win over the view's (is:archived finds archived
+ * saves from All Saves; type:podcast finds podcasts from Articles)
+ * @param {SearchFilters} filters - From parseSearchQuery()
+ * @param {string} view - Current view
+ * @param {Date} now - Current time (for the weekly view)
+ * @returns {SearchFilters}
+ */
+export function applyViewFilters(filters, view, now = new Date()) {
+  const viewFilters = {
+    all: { archived: false },
+    highlights: { types: ['highlight'] },
+    articles: { types: ['article'] },
+    kindle: { types: ['kindle'] },
+    podcasts: { types: ['podcast'] },
+    books: { types: ['book'] },
+    favorites: { favorite: true },
+    archived: { archived: true },
+  }[view] || {};
+
+  if (view === 'weekly') {
+    const weekAgo = new Date(now);
+    weekAgo.setDate(weekAgo.getDate() - 7);
+    viewFilters.after = weekAgo.toISOString();
+  }
+
+  return { ...viewFilters, ...filters };
+}
+
+/**
+ * Build a search for the search_library RPC
+ * @param {string} query - What was typed in the search box
+ * @param {Object} [scope] - Where the search runs from
+ * @param {string} [scope.view] - View whose filter applies unless the query sets its own
+ * @param {string|null} [scope.tagName] - Active tag filter
+ * @param {string|null} [scope.folderId] - Active folder filter
+ * @param {Date} now - Current time, for relative dates and the weekly view
+ * @returns {{text: string, filters: SearchFilters}}
+ */
+export function buildSearch(query, { view = 'all', tagName = null, folderId = null } = {}, now = new Date()) {
+  const { text, filters: queryFilters } = parseSearchQuery(query, now);
+  const filters = applyViewFilters(queryFilters, view, now);
+  if (tagName) filters.tags = [...(filters.tags || []), tagName];
+  if (folderId) filters.folder_id = folderId;
+  return { text, filters };
+}
+
+// Around the matched words in search_library's snippets
+// (supabase/migrations/012_search_snippets.sql)
+export const MATCH_START = '\uE000';
+export const MATCH_END = '\uE001';
+
+const MATCH_PATTERN = new RegExp(`${MATCH_START}([^${MATCH_END}]*)${MATCH_END}`, 'g');
+
+/**
+ * The words a search matched, from a result's snippet
+ * @param {string|null} snippet - content_snippet or highlight_snippet
+ * @returns {string[]} Each matched word once, in order
+ */
+export function snippetTerms(snippet) {
+  const terms = [...(snippet || '').matchAll(MATCH_PATTERN)]
+    .map(([, term]) => term.trim())
+    .filter(Boolean);
+  return [...new Set(terms)];
+}
+
+/**
+ * Find the first whole-word occurrence of any of the terms in a text
+ * @param {string} text - Text to look in, e.g. the reading pane article's textContent
+ * @param {string[]} terms - From snippetTerms()
+ * @returns {{start: number, end: number}|null} Character offsets, or null when none occur
+ */
+export function findFirstMatch(text, terms) {
+  if (!text || !terms.length) return null;
+
+  const alternatives = terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, 'iu');
+  const match = pattern.exec(text);
+  return match ? { start: match.index, end: match.index + match[0].length } : null;
+}
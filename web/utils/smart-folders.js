@@ -0,0 +1,43 @@
+// Smart folders
+// A smart folder is a saved search: the view it runs in and a search box query.
+// The sidebar tag and folder filters in use when it's saved are written into
+// the query (tag:ai folder:Research), so the query alone says what it holds.
+
+// Views a smart folder can open in: the ones that list saves. Saving from
+// another view keeps its saves with a type: filter instead
+export const SMART_FOLDER_VIEWS = ['all', 'highlights', 'articles', 'favorites', 'archived', 'weekly'];
+
+const VIEW_TYPES = {
+  kindle: 'kindle',
+  podcasts: 'podcast',
+  books: 'book',
+};
+
+// key:value, quoted when the value has spaces. The syntax has no escape for
+// quotes, so they're dropped
+function filterToken(key, value) {
+  const clean = value.replaceAll('"', '');
+  return /\s/.test(clean) ? `${key}:"${clean}"` : `${key}:${clean}`;
+}
+
+/**
+ * Describe the search on screen as a smart folder
+ * @param {Object} search - What's on screen
+ * @param {string} search.view - Current view
+ * @param {string} [search.query] - Search box text
+ * @param {string|null} [search.tagName] - Active tag filter
+ * @param {string|null} [search.folderName] - Active folder filter
+ * @returns {{view: string, query: string}}
+ */
+export function smartFolderFromSearch({ view, query = '', tagName = null, folderName = null }) {
+  const tokens = [];
+  if (VIEW_TYPES[view]) tokens.push(`type:${VIEW_TYPES[view]}`);
+  if (tagName) tokens.push(filterToken('tag', tagName));
+  if (folderName) tokens.push(filterToken('folder', folderName));
+  if (query.trim()) tokens.push(query.trim());
+
+  return {
+    view: SMART_FOLDER_VIEWS.includes(view) ? view : 'all',
+    query: tokens.join(' '),
+  };
+}
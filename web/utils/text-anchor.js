@@ -0,0 +1,185 @@
+// Text anchoring for in-app highlights
+// Describes a selection by quote + context + character position, and
+// re-locates it in rendered article text
+
+// Characters of surrounding text stored on each side of a quote
+const CONTEXT_LENGTH = 32;
+
+/**
+ * Get the character offset of a DOM position within a root element's text
+ * @param {Node} root - Root element the offset is relative to
+ * @param {Node} node - Container node of the position
+ * @param {number} offset - Offset within the container node
+ * @returns {number} Character offset into root.textContent
+ */
+export function getTextOffset(root, node, offset) {
+  const range = document.createRange();
+  range.setStart(root, 0);
+  range.setEnd(node, offset);
+  return range.toString().length;
+}
+
+/**
+ * Build an anchor for a DOM range inside a root element
+ * @param {Node} root - Root element containing the article text
+ * @param {Range} range - Selected range
+ * @returns {{quote: string, prefix: string, suffix: string, start_offset: number, end_offset: number}|null}
+ */
+export function createTextAnchor(root, range) {
+  if (!root || !range || range.collapsed) return null;
+  if (!root.contains(range.startContainer) || !root.contains(range.endContainer)) {
+    return null;
+  }
+
+  const text = root.textContent;
+  const start = getTextOffset(root, range.startContainer, range.startOffset);
+  const end = getTextOffset(root, range.endContainer, range.endOffset);
+  const quote = text.slice(start, end);
+
+  if (!quote.trim()) return null;
+
+  return {
+    quote,
+    prefix: text.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+    suffix: text.slice(end, end + CONTEXT_LENGTH),
+    start_offset: start,
+    end_offset: end,
+  };
+}
+
+/**
+ * Count matching characters at the end of two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function commonSuffixLength(a, b) {
+  let i = 0;
+  while (i < a.length && i < b.length && a[a.length - 1 - i] === b[b.length - 1 - i]) {
+    i++;
+  }
+  return i;
+}
+
+/**
+ * Count matching characters at the start of two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function commonPrefixLength(a, b) {
+  let i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) {
+    i++;
+  }
+  return i;
+}
+
+/**
+ * Find where an anchor currently sits in a text
+ * Tries the stored position first, then scores every occurrence of the quote
+ * by how well its surrounding context and position match
+ * @param {string} text - Current article text
+ * @param {Object} anchor - Anchor with quote, prefix, suffix, start_offset
+ * @returns {{start: number, end: number}|null} Character range or null if not found
+ */
+export function locateTextAnchor(text, anchor) {
+  if (!text || !anchor?.quote) return null;
+
+  const { quote, prefix = '', suffix = '' } = anchor;
+  const start = anchor.start_offset;
+
+  // Fast path: position anchor still matches
+  if (Number.isInteger(start) && text.slice(start, start + quote.length) === quote) {
+    return { start, end: start + quote.length };
+  }
+
+  let best = null;
+  let bestScore = -Infinity;
+  let index = text.indexOf(quote);
+
+  while (index !== -1) {
+    const before = text.slice(Math.max(0, index - prefix.length), index);
+    const after = text.slice(index + quote.length, index + quote.length + suffix.length);
+    const contextScore = commonSuffixLength(before, prefix) + commonPrefixLength(after, suffix);
+    // Prefer context matches; use distance from the old position as a tie-breaker
+    const distance = Number.isInteger(start) ? Math.abs(index - start) : 0;
+    const score = contextScore - distance / (text.length + 1);
+
+    if (score > bestScore) {
+      bestScore = score;
+      best = { start: index, end: index + quote.length };
+    }
+    index = text.indexOf(quote, index + 1);
+  }
+
+  return best;
+}
+
+/**
+ * Wrap a character range of a root element's text in <mark> elements
+ * A range spanning several text nodes produces one mark per node
+ * @param {Node} root - Root element
+ * @param {number} start - Start character offset
+ * @param {number} end - End character offset
+ * @param {Object} attributes - Attributes to set on each mark
+ * @returns {HTMLElement[]} Created mark elements
+ */
+export function wrapTextRange(root, start, end, attributes = {}) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const targets = [];
+  let position = 0;
+
+  // Collect text nodes first - wrapping while walking would confuse the walker
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    const nodeStart = position;
+    const nodeEnd = position + node.data.length;
+    position = nodeEnd;
+
+    if (nodeEnd <= start) continue;
+    if (nodeStart >= end) break;
+
+    targets.push({
+      node,
+      from: Math.max(0, start - nodeStart),
+      to: Math.min(node.data.length, end - nodeStart),
+    });
+  }
+
+  const marks = [];
+  targets.forEach(({ node, from, to }) => {
+    if (from >= to) return;
+
+    let target = node;
+    if (from > 0) target = target.splitText(from);
+    if (to - from < target.data.length) target.splitText(to - from);
+
+    const mark = document.createElement('mark');
+    Object.entries(attributes).forEach(([key, value]) => {
+      if (key === 'className') mark.className = value;
+      else mark.setAttribute(key, value);
+    });
+    target.parentNode.insertBefore(mark, target);
+    mark.appendChild(target);
+    marks.push(mark);
+  });
+
+  return marks;
+}
+
+/**
+ * Remove marks created by wrapTextRange, keeping their text
+ * @param {Node} root - Root element
+ * @param {string} selector - Selector for the marks to unwrap
+ */
+export function unwrapMarks(root, selector) {
+  root.querySelectorAll(selector).forEach((mark) => {
+    const parent = mark.parentNode;
+    while (mark.firstChild) {
+      parent.insertBefore(mark.firstChild, mark);
+    }
+    parent.removeChild(mark);
+    parent.normalize();
+  });
+}
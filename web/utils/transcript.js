@@ -0,0 +1,56 @@
+// Video transcript helpers
+// Transcripts are stored as paragraphs that start with a [m:ss] or [h:mm:ss]
+// timestamp; in the reader each timestamp links to the video at that time
+
+const TIMESTAMP_PATTERN = /\[((?:\d{1,2}:)?\d{1,2}:\d{2})\]/g;
+
+/**
+ * Format seconds as m:ss, or h:mm:ss for an hour or more
+ * @param {number} seconds - Seconds from the start of the video
+ * @returns {string} e.g. "4:05", "1:02:09"
+ */
+export function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Parse a m:ss or h:mm:ss timestamp
+ * @param {string} timestamp - e.g. "4:05"
+ * @returns {number|null} Seconds, or null if it isn't a timestamp
+ */
+export function parseTimestamp(timestamp) {
+  if (!/^(\d{1,2}:)?\d{1,2}:\d{2}$/.test(timestamp || '')) return null;
+  return timestamp.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * URL that opens a YouTube video at a time
+ * @param {string} videoId - YouTube video id
+ * @param {number} seconds - Start time
+ * @returns {string}
+ */
+export function youtubeTimeUrl(videoId, seconds = 0) {
+  const url = `https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}`;
+  return seconds > 0 ? `${url}&t=${Math.floor(seconds)}s` : url;
+}
+
+/**
+ * Turn [m:ss] timestamps in rendered transcript HTML into links to the video
+ * @param {string} html - Rendered transcript
+ * @param {string} videoId - YouTube video id
+ * @returns {string} HTML with timestamps linked
+ */
+export function linkTranscriptTimestamps(html, videoId) {
+  if (!html || !videoId) return html || '';
+
+  return html.replace(TIMESTAMP_PATTERN, (match, timestamp) => {
+    const seconds = parseTimestamp(timestamp);
+    if (seconds === null) return match;
+    const href = youtubeTimeUrl(videoId, seconds).replace(/&/g, '&amp;');
+    return `<a class="transcript-timestamp" href="${href}" target="_blank" rel="noopener" title="Play from ${timestamp}">${timestamp}</a>`;
+  });
+}